@@ -0,0 +1,15 @@
+#!/usr/bin/env node
+/**
+ * EmailService command-line tool; see src/services/Cli.js
+ */
+
+import { runCli } from '../src/services/Cli.js';
+
+// The first Ctrl-C stops waiting (or following) and exits cleanly; a second one exits at once
+const controller = new AbortController();
+process.on('SIGINT', () => {
+  if (controller.signal.aborted) process.exit(130);
+  controller.abort();
+});
+
+runCli(process.argv.slice(2), { signal: controller.signal }).then(code => process.exit(code));
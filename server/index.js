@@ -0,0 +1,56 @@
+/**
+ * Standalone EmailService HTTP API
+ *
+ *   node server/index.js [config.json]
+ *
+ * The configuration file (or EMAIL_SERVICE_CONFIG) is described in
+ * src/services/ServiceFactory.js; it may also set `port` and `host`, and
+ * `metricsPort` to serve /metrics for Prometheus on a port of its own. PORT,
+ * HOST and METRICS_PORT in the environment win over the file. Without a
+ * configuration the server runs against mock providers.
+ */
+
+import { createApiServer } from '../src/services/ApiServer.js';
+import { createMetricsServer } from '../src/services/MetricsServer.js';
+import { createEmailService, loadConfig } from '../src/services/ServiceFactory.js';
+
+async function main() {
+  const configPath = process.argv[2] || process.env.EMAIL_SERVICE_CONFIG;
+  const config = configPath ? await loadConfig(configPath) : {};
+  const port = Number(process.env.PORT || config.port || 3000);
+  const host = process.env.HOST || config.host || '127.0.0.1';
+  const metricsPort = process.env.METRICS_PORT || config.metricsPort;
+
+  const emailService = createEmailService(config);
+  if (!config.providers) {
+    emailService.logger.warn('No providers configured, using mock providers');
+  }
+  await emailService.ready;
+
+  const server = createApiServer(emailService);
+  server.listen(port, host, () => {
+    emailService.logger.info('API server listening', { url: `http://${host}:${port}` });
+  });
+
+  const servers = [server];
+  if (metricsPort) {
+    const metricsServer = createMetricsServer(emailService);
+    metricsServer.listen(Number(metricsPort), host, () => {
+      emailService.logger.info('Metrics server listening', { url: `http://${host}:${metricsPort}/metrics` });
+    });
+    servers.push(metricsServer);
+  }
+
+  const shutdown = signal => {
+    emailService.logger.info('Shutting down API server', { signal });
+    Promise.all(servers.map(each => new Promise(resolve => each.close(resolve))))
+      .then(() => process.exit(0));
+  };
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+}
+
+main().catch(error => {
+  console.error(error.message);
+  process.exit(1);
+});
@@ -0,0 +1,118 @@
+import React, { useRef, useState } from 'react';
+import { Paperclip, X, Image as ImageIcon } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import { cn } from '@/lib/utils';
+
+const MAX_ATTACHMENT_BYTES = 10 * 1024 * 1024;
+
+export function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+function readAsBase64(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    // "data:<type>;base64,<content>"
+    reader.onload = () => resolve(String(reader.result).split(',', 2)[1] || '');
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(file);
+  });
+}
+
+function contentIdFor(filename, taken) {
+  const base = filename.toLowerCase().replace(/\.[^.]*$/, '').replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'image';
+  let cid = base;
+  for (let index = 2; taken.includes(cid); index++) cid = `${base}-${index}`;
+  return cid;
+}
+
+/**
+ * File picker for email attachments. `value` holds
+ * `{ filename, content, contentType, size, cid }` with base64 content; with
+ * `allowInline`, images can be marked inline and referenced from the HTML as
+ * `cid:<id>`.
+ */
+export function AttachmentInput({ value, onChange, allowInline = false }) {
+  const inputRef = useRef(null);
+  const [error, setError] = useState('');
+
+  const handleFiles = async (event) => {
+    const files = Array.from(event.target.files || []);
+    event.target.value = '';
+    const tooLarge = files.filter(file => file.size > MAX_ATTACHMENT_BYTES);
+    setError(tooLarge.length > 0
+      ? `${tooLarge.map(file => file.name).join(', ')} exceeds ${formatBytes(MAX_ATTACHMENT_BYTES)}`
+      : '');
+
+    const added = await Promise.all(files
+      .filter(file => file.size <= MAX_ATTACHMENT_BYTES)
+      .map(async file => ({
+        filename: file.name,
+        content: await readAsBase64(file),
+        // Left empty, the builder detects it from the name and bytes
+        contentType: file.type || undefined,
+        size: file.size
+      })));
+    if (added.length > 0) onChange([...value, ...added]);
+  };
+
+  const toggleInline = (index) => {
+    const taken = value.map(attachment => attachment.cid).filter(Boolean);
+    onChange(value.map((attachment, other) => {
+      if (other !== index) return attachment;
+      const { cid, ...rest } = attachment;
+      return cid ? rest : { ...rest, cid: contentIdFor(attachment.filename, taken) };
+    }));
+  };
+
+  return (
+    <div className="space-y-2">
+      <input ref={inputRef} type="file" multiple className="hidden" onChange={handleFiles} />
+      <Button type="button" variant="outline" size="sm" onClick={() => inputRef.current?.click()}>
+        <Paperclip className="h-4 w-4 mr-2" />
+        Attach files
+      </Button>
+      {value.length > 0 && (
+        <div className="flex flex-wrap gap-2">
+          {value.map((attachment, index) => {
+            const isImage = (attachment.contentType || '').startsWith('image/');
+            return (
+              <span
+                key={`${attachment.filename}-${index}`}
+                className={cn(
+                  'inline-flex items-center gap-2 rounded-md border px-2 py-1 text-xs',
+                  attachment.cid && 'border-primary'
+                )}
+              >
+                <span className="font-medium">{attachment.filename}</span>
+                <span className="text-muted-foreground">{formatBytes(attachment.size)}</span>
+                {allowInline && isImage && (
+                  <button
+                    type="button"
+                    className={cn('inline-flex items-center gap-1 hover:text-foreground', attachment.cid ? 'text-primary' : 'text-muted-foreground')}
+                    onClick={() => toggleInline(index)}
+                    title={attachment.cid ? `Inline: <img src="cid:${attachment.cid}">` : 'Show inline in the HTML'}
+                  >
+                    <ImageIcon className="h-3 w-3" />
+                    {attachment.cid ? `cid:${attachment.cid}` : 'Inline'}
+                  </button>
+                )}
+                <button
+                  type="button"
+                  className="opacity-70 hover:opacity-100"
+                  onClick={() => onChange(value.filter((_, other) => other !== index))}
+                  aria-label={`Remove ${attachment.filename}`}
+                >
+                  <X className="h-3 w-3" />
+                </button>
+              </span>
+            );
+          })}
+        </div>
+      )}
+      {error && <p className="text-xs text-destructive">{error}</p>}
+    </div>
+  );
+}
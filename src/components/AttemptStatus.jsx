@@ -0,0 +1,87 @@
+import React from 'react';
+import { CheckCircle, XCircle, Clock, AlertTriangle, Activity, CalendarClock, Ban } from 'lucide-react';
+import { Badge } from '@/components/ui/badge';
+import { cn } from '@/lib/utils';
+import { EmailStatus, RecipientStatus } from '@/services/EmailService';
+import { formatAddress } from '@/services/Recipients';
+
+export function AttemptStatusIcon({ status }) {
+  switch (status) {
+    case EmailStatus.SENT:
+      return <CheckCircle className="h-4 w-4 text-success" />;
+    case EmailStatus.FAILED:
+      return <XCircle className="h-4 w-4 text-destructive" />;
+    case EmailStatus.SENDING:
+      return <Activity className="h-4 w-4 text-primary animate-pulse" />;
+    case EmailStatus.RATE_LIMITED:
+      return <AlertTriangle className="h-4 w-4 text-warning" />;
+    case EmailStatus.SCHEDULED:
+      return <CalendarClock className="h-4 w-4 text-primary" />;
+    case EmailStatus.CANCELLED:
+      return <Ban className="h-4 w-4 text-muted-foreground" />;
+    default:
+      return <Clock className="h-4 w-4 text-muted-foreground" />;
+  }
+}
+
+export function getStatusBadgeVariant(status) {
+  switch (status) {
+    case EmailStatus.SENT:
+      return 'default';
+    case EmailStatus.FAILED:
+      return 'destructive';
+    case EmailStatus.SENDING:
+      return 'secondary';
+    case EmailStatus.RATE_LIMITED:
+    case EmailStatus.SCHEDULED:
+    case EmailStatus.CANCELLED:
+      return 'outline';
+    default:
+      return 'secondary';
+  }
+}
+
+export function getRecipientBadgeVariant(status) {
+  switch (status) {
+    case RecipientStatus.SENT:
+      return 'default';
+    case RecipientStatus.REJECTED:
+    case RecipientStatus.FAILED:
+      return 'destructive';
+    default:
+      return 'secondary';
+  }
+}
+
+/**
+ * One badge per recipient with its outcome; `compact` leaves out names and errors
+ */
+export function RecipientOutcomes({ recipients = [], compact = false, className }) {
+  return (
+    <div className={cn(compact ? 'flex flex-wrap gap-1' : 'space-y-2', className)}>
+      {recipients.map((recipient, index) => (
+        compact ? (
+          <Badge
+            key={index}
+            variant={getRecipientBadgeVariant(recipient.status)}
+            className="font-normal"
+            title={recipient.error}
+          >
+            {recipient.field !== 'to' && `${recipient.field}: `}{recipient.address} · {recipient.status}
+          </Badge>
+        ) : (
+          <div key={index} className="flex items-start justify-between gap-4 text-sm">
+            <div className="min-w-0">
+              <p className="font-medium break-all">{formatAddress(recipient)}</p>
+              {recipient.error && <p className="text-xs text-destructive break-all">{recipient.error}</p>}
+            </div>
+            <div className="flex items-center gap-2 shrink-0">
+              <span className="text-xs uppercase text-muted-foreground">{recipient.field}</span>
+              <Badge variant={getRecipientBadgeVariant(recipient.status)}>{recipient.status}</Badge>
+            </div>
+          </div>
+        )
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,106 @@
+import React from 'react';
+import {
+  Send,
+  CheckCircle,
+  XCircle,
+  Clock,
+  AlertTriangle,
+  CalendarClock,
+  Ban,
+  RotateCcw,
+  ShieldOff,
+  Hourglass,
+  Gauge,
+  UserX
+} from 'lucide-react';
+import { format } from 'date-fns';
+import { cn } from '@/lib/utils';
+import { HistoryEvent } from '@/services/EmailService';
+
+function describeEntry(entry) {
+  switch (entry.type) {
+    case HistoryEvent.QUEUED:
+      return { icon: Clock, title: 'Queued', detail: entry.priority && `${entry.priority} priority` };
+    case HistoryEvent.SCHEDULED:
+      return { icon: CalendarClock, title: 'Scheduled', detail: entry.sendAt && `for ${format(entry.sendAt, 'PPP p')}` };
+    case HistoryEvent.RATE_LIMITED:
+      return {
+        icon: AlertTriangle,
+        title: 'Rate limited',
+        detail: entry.until && `deferred until ${format(entry.until, 'p:ss')}`,
+        tone: 'text-warning'
+      };
+    case HistoryEvent.RESUMED:
+      return { icon: RotateCcw, title: 'Resumed after restart' };
+    case HistoryEvent.PROVIDER_TRIED:
+      return { icon: Send, title: `Trying ${entry.provider}`, detail: `attempt ${entry.attempt}` };
+    case HistoryEvent.PROVIDER_FAILED:
+      return {
+        icon: XCircle,
+        title: `${entry.provider} failed`,
+        detail: `${entry.error} (${entry.category.replace('_', ' ')})`,
+        tone: 'text-destructive'
+      };
+    case HistoryEvent.BREAKER_SKIPPED:
+      return { icon: ShieldOff, title: `Skipped ${entry.provider}`, detail: 'circuit breaker open', tone: 'text-warning' };
+    case HistoryEvent.PROVIDER_THROTTLED:
+      return { icon: Gauge, title: `Skipped ${entry.provider}`, detail: `rate limit reached, next token in ${entry.waitMs}ms`, tone: 'text-warning' };
+    case HistoryEvent.BACKOFF:
+      return {
+        icon: Hourglass,
+        title: entry.reason ? `Waiting ${entry.delayMs}ms` : `Backing off ${entry.delayMs}ms`,
+        detail: `until ${format(entry.until, 'p:ss')}${entry.reason ? ` (${entry.reason.replace(/_/g, ' ')}${entry.domain ? ` for ${entry.domain}` : ''})` : ''}`
+      };
+    case HistoryEvent.SENT:
+      return { icon: CheckCircle, title: `Sent via ${entry.provider}`, detail: entry.messageId, tone: 'text-success' };
+    case HistoryEvent.RECIPIENTS_REJECTED:
+      return { icon: UserX, title: `${entry.provider} refused some recipients`, detail: entry.recipients, tone: 'text-warning' };
+    case HistoryEvent.FAILED:
+      return {
+        icon: XCircle,
+        title: 'Failed',
+        detail: entry.failureReason && entry.failureReason.replace('_', ' '),
+        tone: 'text-destructive'
+      };
+    case HistoryEvent.CANCELLED:
+      return { icon: Ban, title: 'Cancelled' };
+    case HistoryEvent.REQUEUED:
+      return { icon: RotateCcw, title: 'Requeued', detail: entry.provider && `via ${entry.provider} only` };
+    default:
+      return { icon: Clock, title: entry.type };
+  }
+}
+
+export function AttemptTimeline({ history = [] }) {
+  if (history.length === 0) {
+    return (
+      <div className="text-center py-8 text-muted-foreground">
+        No delivery events recorded
+      </div>
+    );
+  }
+
+  return (
+    <ol className="relative border-l border-border ml-3 space-y-6">
+      {history.map((entry, index) => {
+        const { icon: Icon, title, detail, tone } = describeEntry(entry);
+        return (
+          <li key={index} className="ml-6">
+            <span className="absolute -left-3 flex h-6 w-6 items-center justify-center rounded-full border bg-background">
+              <Icon className={cn("h-3 w-3", tone || "text-muted-foreground")} />
+            </span>
+            <div className="flex items-baseline justify-between gap-4">
+              <p className={cn("font-medium", tone)}>{title}</p>
+              <time className="text-xs text-muted-foreground font-mono whitespace-nowrap">
+                {format(entry.timestamp, 'HH:mm:ss.SSS')}
+              </time>
+            </div>
+            {detail && (
+              <p className="text-sm text-muted-foreground break-all">{detail}</p>
+            )}
+          </li>
+        );
+      })}
+    </ol>
+  );
+}
@@ -1,52 +1,152 @@
 import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
 import { Button } from '@/components/ui/button';
 import { Input } from '@/components/ui/input';
 import { Textarea } from '@/components/ui/textarea';
+import { Switch } from '@/components/ui/switch';
 import { Badge } from '@/components/ui/badge';
 import { Progress } from '@/components/ui/progress';
 import { Tabs, TabsContent, TabsList, TabsTrigger } from '@/components/ui/tabs';
 import { Alert, AlertDescription } from '@/components/ui/alert';
 import { ScrollArea } from '@/components/ui/scroll-area';
 import { Separator } from '@/components/ui/separator';
+import { Calendar } from '@/components/ui/calendar';
+import { Popover, PopoverContent, PopoverTrigger } from '@/components/ui/popover';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import {
+  AlertDialog,
+  AlertDialogAction,
+  AlertDialogCancel,
+  AlertDialogContent,
+  AlertDialogDescription,
+  AlertDialogFooter,
+  AlertDialogHeader,
+  AlertDialogTitle,
+  AlertDialogTrigger
+} from '@/components/ui/alert-dialog';
 import { 
   Send, 
   CheckCircle, 
-  XCircle, 
   Clock, 
-  AlertTriangle, 
   Activity,
   Mail,
   Settings,
   BarChart3,
-  Zap
+  Zap,
+  CalendarIcon,
+  X,
+  Ban,
+  RotateCcw,
+  Inbox,
+  History,
+  Globe,
+  Shuffle,
+  LineChart,
+  Download,
+  Code,
+  Eye
 } from 'lucide-react';
+import { format, startOfToday } from 'date-fns';
 import { cn } from '@/lib/utils';
 import { 
-  EmailService, 
-  MockEmailProvider, 
   EmailStatus, 
-  ProviderStatus 
+  ProviderStatus,
+  EmailPriority,
+  ErrorCategory,
+  CircuitState,
+  RoutingStrategy,
+  LogLevel
 } from '@/services/EmailService';
+import { OPENMETRICS_CONTENT_TYPE } from '@/services/MetricsRegistry';
+import { findInvalidAddresses, formatAddressList } from '@/services/Recipients';
+import { emailService } from '@/lib/emailService';
+import { AttemptStatusIcon, getStatusBadgeVariant, RecipientOutcomes } from '@/components/AttemptStatus';
+import { RecipientInput } from '@/components/RecipientInput';
+import { AttachmentInput } from '@/components/AttachmentInput';
+import { ProviderMetricsCharts } from '@/components/ProviderMetricsCharts';
 import { useToast } from '@/hooks/use-toast';
 
-const emailService = new EmailService([
-  new MockEmailProvider('SendGrid', 0.15, 800),
-  new MockEmailProvider('Mailgun', 0.2, 1200)
-]);
+const ROUTING_STRATEGY_LABELS = {
+  [RoutingStrategy.PRIORITY]: 'Priority failover',
+  [RoutingStrategy.WEIGHTED_ROUND_ROBIN]: 'Weighted round-robin',
+  [RoutingStrategy.LEAST_LATENCY]: 'Least latency',
+  [RoutingStrategy.RULE_BASED]: 'Rule-based'
+};
+
+// Inline images show in the preview as data URLs instead of cid: references
+function previewHtml(html, attachments) {
+  return attachments.reduce((result, attachment) => (attachment.cid
+    ? result.split(`cid:${attachment.cid}`).join(`data:${attachment.contentType};base64,${attachment.content}`)
+    : result), html);
+}
+
+function ConfirmAction({ title, description, confirmLabel, onConfirm, children }) {
+  return (
+    <AlertDialog>
+      <AlertDialogTrigger asChild>{children}</AlertDialogTrigger>
+      <AlertDialogContent>
+        <AlertDialogHeader>
+          <AlertDialogTitle>{title}</AlertDialogTitle>
+          <AlertDialogDescription>{description}</AlertDialogDescription>
+        </AlertDialogHeader>
+        <AlertDialogFooter>
+          <AlertDialogCancel>Keep as is</AlertDialogCancel>
+          <AlertDialogAction onClick={onConfirm}>{confirmLabel}</AlertDialogAction>
+        </AlertDialogFooter>
+      </AlertDialogContent>
+    </AlertDialog>
+  );
+}
 
 export default function EmailServiceDashboard() {
   const [emailForm, setEmailForm] = useState({
-    to: '',
+    to: [],
+    cc: [],
+    bcc: [],
+    replyTo: '',
     subject: '',
     body: '',
+    html: '',
+    attachments: [],
     from: 'noreply@emailservice.com'
   });
+  const [showCopies, setShowCopies] = useState(false);
+  const [htmlMode, setHtmlMode] = useState(false);
+  const [deliveryOptions, setDeliveryOptions] = useState({
+    priority: EmailPriority.NORMAL,
+    sendDate: undefined,
+    sendTime: '09:00'
+  });
   const [attempts, setAttempts] = useState([]);
   const [providerStatus, setProviderStatus] = useState([]);
-  const [queueStatus, setQueueStatus] = useState({ queueLength: 0, processing: false });
-  const [rateLimitStatus, setRateLimitStatus] = useState({ current: 0, limit: 100, resetTime: new Date() });
+  const [queueStatus, setQueueStatus] = useState({
+    queueLength: 0,
+    processing: false,
+    activeWorkers: 0,
+    readyItems: 0,
+    delayedItems: 0,
+    deferredItems: 0,
+    maxQueueDepth: null,
+    backpressure: false
+  });
+  const [rateLimitStatus, setRateLimitStatus] = useState({
+    current: 0,
+    limit: 100,
+    resetTime: new Date(),
+    window: 'perMinute',
+    providers: []
+  });
+  const [domainStatus, setDomainStatus] = useState([]);
+  const [routingStatus, setRoutingStatus] = useState({ strategy: RoutingStrategy.PRIORITY, rules: [], providers: [] });
+  const [metrics, setMetrics] = useState({ windowsMs: [], sliceMs: 0, providers: [] });
+  const [metricsWindow, setMetricsWindow] = useState('300000');
   const [logs, setLogs] = useState([]);
+  const [logFilter, setLogFilter] = useState({ level: 'all', search: '', attemptId: '' });
+  const [deadLetterSummary, setDeadLetterSummary] = useState({ total: 0, byReason: {}, byProvider: {} });
+  const [deadLetterFilter, setDeadLetterFilter] = useState({ failureReason: 'all', provider: 'all' });
+  const [replayProvider, setReplayProvider] = useState('any');
+  const [circuitEvents, setCircuitEvents] = useState([]);
   const [isLoading, setIsLoading] = useState(false);
   const { toast } = useToast();
 
@@ -57,15 +157,30 @@ export default function EmailServiceDashboard() {
       setProviderStatus(emailService.getProviderStatus());
       setQueueStatus(emailService.getQueueStatus());
       setRateLimitStatus(emailService.getRateLimitStatus());
-      setLogs(emailService.getLogs().slice(-20));
+      setDomainStatus(emailService.getDomainThrottleStatus());
+      setRoutingStatus(emailService.getRoutingStatus());
+      setMetrics(emailService.getMetrics());
+      setLogs(emailService.getLogs());
+      setDeadLetterSummary(emailService.getDeadLetterSummary());
     };
 
     // Listen to service events
     emailService.on('attemptCreated', updateData);
     emailService.on('attemptUpdated', updateData);
+    emailService.on('attemptsRequeued', updateData);
+    emailService.on('deadLettered', updateData);
+    emailService.on('backpressure', updateData);
+    emailService.on('routingStrategyChanged', updateData);
 
-    // Initial load
+    const recordCircuitEvent = (change) => {
+      setCircuitEvents(prev => [change, ...prev].slice(0, 20));
+      updateData();
+    };
+    emailService.on('circuitStateChanged', recordCircuitEvent);
+
+    // Initial load, then again once persisted attempts have been restored
     updateData();
+    emailService.ready.then(updateData);
 
     // Set up polling for updates
     const interval = setInterval(updateData, 1000);
@@ -74,11 +189,17 @@ export default function EmailServiceDashboard() {
       clearInterval(interval);
       emailService.off('attemptCreated', updateData);
       emailService.off('attemptUpdated', updateData);
+      emailService.off('attemptsRequeued', updateData);
+      emailService.off('deadLettered', updateData);
+      emailService.off('backpressure', updateData);
+      emailService.off('routingStrategyChanged', updateData);
+      emailService.off('circuitStateChanged', recordCircuitEvent);
     };
   }, []);
 
   const handleSendEmail = async () => {
-    if (!emailForm.to || !emailForm.subject || !emailForm.body) {
+    const content = htmlMode ? emailForm.html : emailForm.body;
+    if (emailForm.to.length === 0 || !emailForm.subject || !content.trim()) {
       toast({
         title: "Validation Error",
         description: "Please fill in all required fields",
@@ -87,14 +208,63 @@ export default function EmailServiceDashboard() {
       return;
     }
 
+    const [invalid] = findInvalidAddresses(emailForm);
+    if (invalid) {
+      toast({
+        title: "Validation Error",
+        description: `${invalid.value} is not a valid address`,
+        variant: "destructive"
+      });
+      return;
+    }
+
+    // Leave out empty optional fields so they do not count towards deduplication
+    const { cc, bcc, replyTo, body, html, attachments, ...required } = emailForm;
+    // In HTML mode the text part is derived from the HTML
+    const email = {
+      ...required,
+      ...(htmlMode ? { html } : { body }),
+      ...(cc.length > 0 ? { cc } : {}),
+      ...(bcc.length > 0 ? { bcc } : {}),
+      ...(replyTo.trim() ? { replyTo: replyTo.trim() } : {}),
+      ...(attachments.length > 0
+        ? { attachments: attachments.map(({ size, ...attachment }) => attachment) }
+        : {})
+    };
+
+    let sendAt;
+    if (deliveryOptions.sendDate) {
+      const [hours, minutes] = deliveryOptions.sendTime.split(':').map(Number);
+      sendAt = new Date(deliveryOptions.sendDate);
+      sendAt.setHours(hours || 0, minutes || 0, 0, 0);
+    }
+
     setIsLoading(true);
     try {
-      const attemptId = await emailService.sendEmail(emailForm);
+      const { attemptId, status, duplicate } = await emailService.sendEmailWithResult(email, {
+        priority: deliveryOptions.priority,
+        sendAt
+      });
+      if (duplicate) {
+        toast({
+          title: "Duplicate Email",
+          description: `This email was already submitted and is ${status.replace('_', ' ')}. Tracking ID: ${attemptId}`
+        });
+        return;
+      }
+      const deferred = status === EmailStatus.RATE_LIMITED;
       toast({
-        title: "Email Queued",
-        description: `Email queued for delivery. Tracking ID: ${attemptId}`,
+        title: deferred ? "Email Deferred" : sendAt ? "Email Scheduled" : "Email Queued",
+        description: deferred
+          ? `Rate limit reached, email will be sent when capacity frees up. Tracking ID: ${attemptId}`
+          : sendAt
+          ? `Email scheduled for ${format(sendAt, 'PPP p')}. Tracking ID: ${attemptId}`
+          : `Email queued for delivery. Tracking ID: ${attemptId}`,
       });
-      setEmailForm(prev => ({ ...prev, to: '', subject: '', body: '' }));
+      setEmailForm(prev => ({
+        ...prev, to: [], cc: [], bcc: [], replyTo: '', subject: '', body: '', html: '', attachments: []
+      }));
+      setDeliveryOptions(prev => ({ ...prev, sendDate: undefined }));
     } catch (error) {
       toast({
         title: "Error",
@@ -106,33 +276,85 @@ export default function EmailServiceDashboard() {
     }
   };
 
-  const getStatusIcon = (status) => {
-    switch (status) {
-      case EmailStatus.SENT:
-        return <CheckCircle className="h-4 w-4 text-success" />;
-      case EmailStatus.FAILED:
-        return <XCircle className="h-4 w-4 text-destructive" />;
-      case EmailStatus.SENDING:
-        return <Activity className="h-4 w-4 text-primary animate-pulse" />;
-      case EmailStatus.RATE_LIMITED:
-        return <AlertTriangle className="h-4 w-4 text-warning" />;
-      default:
-        return <Clock className="h-4 w-4 text-muted-foreground" />;
+  const handleRoutingChange = (strategy) => {
+    try {
+      emailService.setRoutingStrategy(strategy);
+      toast({ title: "Routing Updated", description: `Now routing by ${ROUTING_STRATEGY_LABELS[strategy].toLowerCase()}` });
+    } catch (error) {
+      toast({
+        title: "Error",
+        description: error.message,
+        variant: "destructive"
+      });
     }
   };
 
-  const getStatusBadgeVariant = (status) => {
-    switch (status) {
-      case EmailStatus.SENT:
-        return 'default';
-      case EmailStatus.FAILED:
-        return 'destructive';
-      case EmailStatus.SENDING:
-        return 'secondary';
-      case EmailStatus.RATE_LIMITED:
-        return 'outline';
+  // Same text a Prometheus scrape of the Node endpoint returns
+  const handleDownloadMetrics = () => {
+    const blob = new Blob([emailService.getOpenMetrics()], { type: OPENMETRICS_CONTENT_TYPE });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `emailservice-metrics-${format(new Date(), 'yyyyMMdd-HHmmss')}.txt`;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const runAttemptAction = (action, successTitle) => {
+    try {
+      const result = action();
+      toast({ title: successTitle, description: Array.isArray(result) ? `${result.length} emails requeued` : `Tracking ID: ${result.id}` });
+    } catch (error) {
+      toast({
+        title: "Error",
+        description: error.message,
+        variant: "destructive"
+      });
+    }
+  };
+
+  // A RATE_LIMITED attempt with nextAttemptAt is deferred and still waiting on the queue
+  const isDeferred = (attempt) =>
+    attempt.status === EmailStatus.RATE_LIMITED && Boolean(attempt.nextAttemptAt);
+
+  const canCancel = (attempt) =>
+    attempt.status === EmailStatus.QUEUED || attempt.status === EmailStatus.SCHEDULED || isDeferred(attempt);
+
+  const canRetry = (attempt) =>
+    attempt.status === EmailStatus.FAILED
+      || attempt.status === EmailStatus.CANCELLED
+      || (attempt.status === EmailStatus.RATE_LIMITED && !isDeferred(attempt));
+
+  const failedCount = attempts.filter(attempt => attempt.status === EmailStatus.FAILED).length;
+
+  const activeDeadLetterFilter = {
+    failureReason: deadLetterFilter.failureReason === 'all' ? undefined : deadLetterFilter.failureReason,
+    provider: deadLetterFilter.provider === 'all' ? undefined : deadLetterFilter.provider
+  };
+  // Re-read on every render; deadLetterSummary changes whenever the store does
+  const deadLetters = deadLetterSummary.total > 0 ? emailService.getDeadLetters(activeDeadLetterFilter) : [];
+  const replayOptions = { provider: replayProvider === 'any' ? undefined : replayProvider };
+
+  const activeLogFilter = {
+    level: logFilter.level === 'all' ? undefined : logFilter.level,
+    search: logFilter.search.trim() || undefined,
+    attemptId: logFilter.attemptId.trim() || undefined
+  };
+  // Newest first; logs changes whenever the buffer does
+  const visibleLogs = logs.length > 0 ? emailService.getLogs(activeLogFilter).reverse() : [];
+
+  const formatDuration = (ms) => ms >= 60000 ? `${ms / 60000} min` : `${ms / 1000} s`;
+
+  const formatWindow = (window) => window ? window.replace('per', '').toLowerCase() : '';
+
+  const getCircuitBadge = (breaker) => {
+    switch (breaker.state) {
+      case CircuitState.OPEN:
+        return { variant: 'destructive', label: 'Circuit Open' };
+      case CircuitState.HALF_OPEN:
+        return { variant: 'outline', label: 'Half-Open' };
       default:
-        return 'secondary';
+        return { variant: 'default', label: 'Circuit Closed' };
     }
   };
 
@@ -206,7 +428,19 @@ export default function EmailServiceDashboard() {
               <div className="flex items-center justify-between">
                 <div>
                   <p className="text-sm text-muted-foreground">Queue Length</p>
-                  <p className="text-2xl font-bold">{queueStatus.queueLength}</p>
+                  <p className="text-2xl font-bold">
+                    {queueStatus.queueLength}
+                    {queueStatus.maxQueueDepth !== null && (
+                      <span className="text-sm font-normal text-muted-foreground"> / {queueStatus.maxQueueDepth}</span>
+                    )}
+                  </p>
+                  <p className="text-xs text-muted-foreground">
+                    {queueStatus.activeWorkers} active · {queueStatus.readyItems} ready · {queueStatus.delayedItems} delayed
+                    {queueStatus.deferredItems > 0 && ` · ${queueStatus.deferredItems} rate limited`}
+                  </p>
+                  {queueStatus.backpressure && (
+                    <Badge variant="destructive" className="mt-1">Backpressure</Badge>
+                  )}
                 </div>
                 <Clock className="h-8 w-8 text-primary" />
               </div>
@@ -227,7 +461,7 @@ export default function EmailServiceDashboard() {
         </div>
 
         <Tabs defaultValue="send" className="space-y-6">
-          <TabsList className="grid w-full grid-cols-4 bg-muted/50">
+          <TabsList className="grid w-full grid-cols-5 bg-muted/50">
             <TabsTrigger value="send" className="flex items-center gap-2">
               <Send className="h-4 w-4" />
               Send Email
@@ -240,6 +474,13 @@ export default function EmailServiceDashboard() {
               <Settings className="h-4 w-4" />
               Providers
             </TabsTrigger>
+            <TabsTrigger value="dead-letters" className="flex items-center gap-2">
+              <Inbox className="h-4 w-4" />
+              Dead Letters
+              {deadLetterSummary.total > 0 && (
+                <Badge variant="destructive" className="h-5 px-1.5">{deadLetterSummary.total}</Badge>
+              )}
+            </TabsTrigger>
             <TabsTrigger value="logs" className="flex items-center gap-2">
               <Activity className="h-4 w-4" />
               Logs
@@ -260,12 +501,22 @@ export default function EmailServiceDashboard() {
               <CardContent className="space-y-4">
                 <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
                   <div className="space-y-2">
-                    <label className="text-sm font-medium">To</label>
-                    <Input
-                      type="email"
-                      placeholder="recipient@example.com"
+                    <div className="flex items-center justify-between">
+                      <label htmlFor="email-to" className="text-sm font-medium">To</label>
+                      <Button
+                        variant="link"
+                        size="sm"
+                        className="h-auto p-0 text-xs"
+                        onClick={() => setShowCopies(prev => !prev)}
+                      >
+                        {showCopies ? 'Hide Cc/Bcc' : 'Cc/Bcc, Reply-To'}
+                      </Button>
+                    </div>
+                    <RecipientInput
+                      id="email-to"
+                      placeholder="Jane Doe <jane@example.com>, ops@example.com"
                       value={emailForm.to}
-                      onChange={(e) => setEmailForm(prev => ({ ...prev, to: e.target.value }))}
+                      onChange={(to) => setEmailForm(prev => ({ ...prev, to }))}
                     />
                   </div>
                   <div className="space-y-2">
@@ -277,6 +528,35 @@ export default function EmailServiceDashboard() {
                     />
                   </div>
                 </div>
+                {showCopies && (
+                  <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                    <div className="space-y-2">
+                      <label htmlFor="email-cc" className="text-sm font-medium">Cc</label>
+                      <RecipientInput
+                        id="email-cc"
+                        value={emailForm.cc}
+                        onChange={(cc) => setEmailForm(prev => ({ ...prev, cc }))}
+                      />
+                    </div>
+                    <div className="space-y-2">
+                      <label htmlFor="email-bcc" className="text-sm font-medium">Bcc</label>
+                      <RecipientInput
+                        id="email-bcc"
+                        value={emailForm.bcc}
+                        onChange={(bcc) => setEmailForm(prev => ({ ...prev, bcc }))}
+                      />
+                    </div>
+                    <div className="space-y-2">
+                      <label htmlFor="email-reply-to" className="text-sm font-medium">Reply-To</label>
+                      <Input
+                        id="email-reply-to"
+                        placeholder="support@example.com"
+                        value={emailForm.replyTo}
+                        onChange={(e) => setEmailForm(prev => ({ ...prev, replyTo: e.target.value }))}
+                      />
+                    </div>
+                  </div>
+                )}
                 <div className="space-y-2">
                   <label className="text-sm font-medium">Subject</label>
                   <Input
@@ -285,13 +565,120 @@ export default function EmailServiceDashboard() {
                     onChange={(e) => setEmailForm(prev => ({ ...prev, subject: e.target.value }))}
                   />
                 </div>
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                  <div className="space-y-2">
+                    <label className="text-sm font-medium">Priority</label>
+                    <Select
+                      value={deliveryOptions.priority}
+                      onValueChange={(priority) => setDeliveryOptions(prev => ({ ...prev, priority }))}
+                    >
+                      <SelectTrigger>
+                        <SelectValue />
+                      </SelectTrigger>
+                      <SelectContent>
+                        <SelectItem value={EmailPriority.HIGH}>High (transactional)</SelectItem>
+                        <SelectItem value={EmailPriority.NORMAL}>Normal</SelectItem>
+                        <SelectItem value={EmailPriority.LOW}>Low (bulk)</SelectItem>
+                      </SelectContent>
+                    </Select>
+                  </div>
+                  <div className="space-y-2">
+                    <label className="text-sm font-medium">Send At</label>
+                    <div className="flex gap-2">
+                      <Popover>
+                        <PopoverTrigger asChild>
+                          <Button
+                            variant="outline"
+                            className={cn(
+                              "flex-1 justify-start text-left font-normal",
+                              !deliveryOptions.sendDate && "text-muted-foreground"
+                            )}
+                          >
+                            <CalendarIcon className="h-4 w-4 mr-2" />
+                            {deliveryOptions.sendDate ? format(deliveryOptions.sendDate, 'PPP') : 'Send now'}
+                          </Button>
+                        </PopoverTrigger>
+                        <PopoverContent className="w-auto p-0" align="start">
+                          <Calendar
+                            mode="single"
+                            selected={deliveryOptions.sendDate}
+                            onSelect={(sendDate) => setDeliveryOptions(prev => ({ ...prev, sendDate }))}
+                            disabled={(date) => date < startOfToday()}
+                            initialFocus
+                          />
+                        </PopoverContent>
+                      </Popover>
+                      <Input
+                        type="time"
+                        className="w-32"
+                        value={deliveryOptions.sendTime}
+                        disabled={!deliveryOptions.sendDate}
+                        onChange={(e) => setDeliveryOptions(prev => ({ ...prev, sendTime: e.target.value }))}
+                      />
+                      {deliveryOptions.sendDate && (
+                        <Button
+                          variant="ghost"
+                          size="icon"
+                          onClick={() => setDeliveryOptions(prev => ({ ...prev, sendDate: undefined }))}
+                        >
+                          <X className="h-4 w-4" />
+                        </Button>
+                      )}
+                    </div>
+                  </div>
+                </div>
                 <div className="space-y-2">
-                  <label className="text-sm font-medium">Message</label>
-                  <Textarea
-                    placeholder="Email content..."
-                    rows={6}
-                    value={emailForm.body}
-                    onChange={(e) => setEmailForm(prev => ({ ...prev, body: e.target.value }))}
+                  <div className="flex items-center justify-between">
+                    <label className="text-sm font-medium">Message</label>
+                    <label className="flex items-center gap-2 text-sm text-muted-foreground">
+                      <Code className="h-4 w-4" />
+                      HTML
+                      <Switch checked={htmlMode} onCheckedChange={setHtmlMode} />
+                    </label>
+                  </div>
+                  {htmlMode ? (
+                    <Tabs defaultValue="edit">
+                      <TabsList>
+                        <TabsTrigger value="edit"><Code className="h-4 w-4 mr-2" />Edit</TabsTrigger>
+                        <TabsTrigger value="preview"><Eye className="h-4 w-4 mr-2" />Preview</TabsTrigger>
+                      </TabsList>
+                      <TabsContent value="edit">
+                        <Textarea
+                          placeholder="<p>Email content...</p>"
+                          rows={10}
+                          className="font-mono text-xs"
+                          value={emailForm.html}
+                          onChange={(e) => setEmailForm(prev => ({ ...prev, html: e.target.value }))}
+                        />
+                        <p className="text-xs text-muted-foreground mt-1">
+                          A plain-text version is generated from the HTML
+                        </p>
+                      </TabsContent>
+                      <TabsContent value="preview">
+                        {/* Sandboxed: no scripts, no access to the dashboard */}
+                        <iframe
+                          title="HTML preview"
+                          sandbox=""
+                          className="w-full h-64 rounded-md border bg-white"
+                          srcDoc={previewHtml(emailForm.html, emailForm.attachments)}
+                        />
+                      </TabsContent>
+                    </Tabs>
+                  ) : (
+                    <Textarea
+                      placeholder="Email content..."
+                      rows={6}
+                      value={emailForm.body}
+                      onChange={(e) => setEmailForm(prev => ({ ...prev, body: e.target.value }))}
+                    />
+                  )}
+                </div>
+                <div className="space-y-2">
+                  <label className="text-sm font-medium">Attachments</label>
+                  <AttachmentInput
+                    value={emailForm.attachments}
+                    onChange={(attachments) => setEmailForm(prev => ({ ...prev, attachments }))}
+                    allowInline={htmlMode}
                   />
                 </div>
                 <Button 
@@ -329,7 +716,7 @@ export default function EmailServiceDashboard() {
                   <div className="flex items-center justify-between">
                     <span className="text-sm text-muted-foreground">Current Usage</span>
                     <span className="font-medium">
-                      {rateLimitStatus.current} / {rateLimitStatus.limit} emails/minute
+                      {rateLimitStatus.current} / {rateLimitStatus.limit} emails/{formatWindow(rateLimitStatus.window)}
                     </span>
                   </div>
                   <Progress 
@@ -337,23 +724,99 @@ export default function EmailServiceDashboard() {
                     className="w-full"
                   />
                   <p className="text-xs text-muted-foreground">
-                    Resets at {rateLimitStatus.resetTime.toLocaleTimeString()}
+                    Fully refilled at {rateLimitStatus.resetTime.toLocaleTimeString()}
                   </p>
+                  {rateLimitStatus.providers.filter(provider => provider.limits.length > 0).map(provider => (
+                    <div key={provider.name} className="space-y-2 pt-2">
+                      <p className="text-sm font-medium">{provider.name}</p>
+                      {provider.limits.map(limit => (
+                        <div key={limit.window} className="space-y-1">
+                          <div className="flex items-center justify-between text-xs text-muted-foreground">
+                            <span>per {formatWindow(limit.window)}</span>
+                            <span>{limit.limit - limit.remaining} / {limit.limit}</span>
+                          </div>
+                          <Progress value={((limit.limit - limit.remaining) / limit.limit) * 100} className="w-full h-2" />
+                        </div>
+                      ))}
+                    </div>
+                  ))}
                 </div>
               </CardContent>
             </Card>
 
-            {/* Email Attempts */}
+            {/* Recipient Domains */}
             <Card className="bg-gradient-to-br from-card to-card/50 shadow-soft">
               <CardHeader>
                 <CardTitle className="flex items-center gap-2">
-                  <BarChart3 className="h-5 w-5" />
-                  Recent Email Attempts
+                  <Globe className="h-5 w-5" />
+                  Recipient Domains
                 </CardTitle>
                 <CardDescription>
-                  Track the status of your email deliveries in real-time
+                  Sends per recipient domain; throttled domains are delayed rather than failed
                 </CardDescription>
               </CardHeader>
+              <CardContent>
+                {domainStatus.length === 0 ? (
+                  <div className="text-center py-4 text-muted-foreground">
+                    No emails sent yet
+                  </div>
+                ) : (
+                  <div className="space-y-3">
+                    {domainStatus.map(domain => (
+                      <div key={domain.domain} className="flex items-center justify-between p-3 rounded-lg border bg-card/50">
+                        <div className="space-y-1">
+                          <div className="flex items-center gap-2">
+                            <span className="font-medium">{domain.domain}</span>
+                            {domain.throttled && <Badge variant="outline">Throttled</Badge>}
+                          </div>
+                          {domain.limits.map(limit => (
+                            <p key={limit.window} className="text-xs text-muted-foreground">
+                              {limit.limit - limit.remaining} / {limit.limit} per {formatWindow(limit.window)}
+                            </p>
+                          ))}
+                        </div>
+                        <div className="text-right text-sm">
+                          <p>
+                            {domain.inFlight}{domain.maxConcurrent !== null && ` / ${domain.maxConcurrent}`} in flight
+                          </p>
+                          <p className="text-xs text-muted-foreground">
+                            {domain.admitted} admitted · {domain.delayed} delayed
+                          </p>
+                        </div>
+                      </div>
+                    ))}
+                  </div>
+                )}
+              </CardContent>
+            </Card>
+
+            {/* Email Attempts */}
+            <Card className="bg-gradient-to-br from-card to-card/50 shadow-soft">
+              <CardHeader className="flex flex-row items-start justify-between space-y-0">
+                <div className="space-y-1.5">
+                  <CardTitle className="flex items-center gap-2">
+                    <BarChart3 className="h-5 w-5" />
+                    Recent Email Attempts
+                  </CardTitle>
+                  <CardDescription>
+                    Track the status of your email deliveries in real-time
+                  </CardDescription>
+                </div>
+                <ConfirmAction
+                  title="Requeue all failed emails?"
+                  description={`${failedCount} failed emails will be queued again with a fresh retry budget.`}
+                  confirmLabel="Requeue"
+                  onConfirm={() => runAttemptAction(
+                    () => emailService.requeueAll({ status: EmailStatus.FAILED }),
+                    "Failed Emails Requeued"
+                  )}
+                >
+                  <Button variant="outline" size="sm" disabled={failedCount === 0}>
+                    <RotateCcw className="h-4 w-4 mr-2" />
+                    Requeue failed
+                  </Button>
+                </ConfirmAction>
+              </CardHeader>
               <CardContent>
                 <ScrollArea className="h-96">
                   <div className="space-y-3">
@@ -363,12 +826,17 @@ export default function EmailServiceDashboard() {
                         className="flex items-center justify-between p-3 rounded-lg border bg-card/50 hover:bg-card/80 transition-colors"
                       >
                         <div className="flex items-center gap-3">
-                          {getStatusIcon(attempt.status)}
+                          <AttemptStatusIcon status={attempt.status} />
                           <div>
-                            <p className="font-medium">{attempt.email.to}</p>
+                            <Link to={`/attempts/${attempt.id}`} className="font-medium hover:underline">
+                              {formatAddressList(attempt.email.to)}
+                            </Link>
                             <p className="text-sm text-muted-foreground">
                               {attempt.email.subject}
                             </p>
+                            {attempt.recipients && attempt.recipients.length > 1 && (
+                              <RecipientOutcomes recipients={attempt.recipients} compact className="mt-1" />
+                            )}
                           </div>
                         </div>
                         <div className="text-right space-y-1">
@@ -377,12 +845,63 @@ export default function EmailServiceDashboard() {
                           </Badge>
                           <p className="text-xs text-muted-foreground">
                             {attempt.attempts}/{attempt.maxAttempts} attempts
+                            {attempt.priority && attempt.priority !== EmailPriority.NORMAL && ` · ${attempt.priority} priority`}
                           </p>
+                          {attempt.status === EmailStatus.SCHEDULED && attempt.sendAt && (
+                            <p className="text-xs text-muted-foreground">
+                              sends {format(attempt.sendAt, 'PPP p')}
+                            </p>
+                          )}
                           {attempt.provider && (
                             <p className="text-xs text-muted-foreground">
                               via {attempt.provider}
                             </p>
                           )}
+                          {attempt.failureReason && (
+                            <p className="text-xs text-destructive">
+                              {attempt.failureReason.replace('_', ' ')}
+                            </p>
+                          )}
+                          <div className="flex justify-end gap-1">
+                            <Button asChild variant="ghost" size="sm" className="h-7 px-2">
+                              <Link to={`/attempts/${attempt.id}`}>
+                                <History className="h-3 w-3 mr-1" />
+                                Timeline
+                              </Link>
+                            </Button>
+                            {canCancel(attempt) && (
+                              <ConfirmAction
+                                title="Cancel this email?"
+                                description={`The email to ${formatAddressList(attempt.email.to)} will be taken off the queue and not sent.`}
+                                confirmLabel="Cancel email"
+                                onConfirm={() => runAttemptAction(
+                                  () => emailService.cancelAttempt(attempt.id),
+                                  "Email Cancelled"
+                                )}
+                              >
+                                <Button variant="ghost" size="sm" className="h-7 px-2">
+                                  <Ban className="h-3 w-3 mr-1" />
+                                  Cancel
+                                </Button>
+                              </ConfirmAction>
+                            )}
+                            {canRetry(attempt) && (
+                              <ConfirmAction
+                                title="Retry this email?"
+                                description={`The email to ${formatAddressList(attempt.email.to)} will be queued again with a fresh retry budget.`}
+                                confirmLabel="Retry"
+                                onConfirm={() => runAttemptAction(
+                                  () => emailService.retryAttempt(attempt.id),
+                                  "Email Requeued"
+                                )}
+                              >
+                                <Button variant="ghost" size="sm" className="h-7 px-2">
+                                  <RotateCcw className="h-3 w-3 mr-1" />
+                                  Retry
+                                </Button>
+                              </ConfirmAction>
+                            )}
+                          </div>
                         </div>
                       </div>
                     ))}
@@ -398,6 +917,54 @@ export default function EmailServiceDashboard() {
           </TabsContent>
 
           <TabsContent value="providers" className="space-y-6">
+            <Card className="bg-gradient-to-br from-card to-card/50 shadow-soft">
+              <CardHeader className="flex flex-row items-start justify-between space-y-0">
+                <div className="space-y-1.5">
+                  <CardTitle className="flex items-center gap-2">
+                    <Shuffle className="h-5 w-5" />
+                    Routing
+                  </CardTitle>
+                  <CardDescription>
+                    Which provider takes each email; the others stay as fallbacks
+                  </CardDescription>
+                </div>
+                <Select value={routingStatus.strategy} onValueChange={handleRoutingChange}>
+                  <SelectTrigger className="w-48">
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {Object.values(RoutingStrategy).map(strategy => (
+                      <SelectItem key={strategy} value={strategy}>
+                        {ROUTING_STRATEGY_LABELS[strategy]}
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </CardHeader>
+              <CardContent>
+                <div className="space-y-2">
+                  {routingStatus.providers.map((provider, index) => (
+                    <div key={provider.name} className="flex items-center justify-between text-sm">
+                      <span className="font-medium">
+                        {routingStatus.strategy === RoutingStrategy.PRIORITY && `${index + 1}. `}{provider.name}
+                      </span>
+                      <span className="text-muted-foreground">
+                        {routingStatus.strategy === RoutingStrategy.WEIGHTED_ROUND_ROBIN && `weight ${provider.weight} · `}
+                        {provider.averageLatencyMs === null ? 'no latency data' : `${Math.round(provider.averageLatencyMs)}ms avg`}
+                      </span>
+                    </div>
+                  ))}
+                  {routingStatus.strategy === RoutingStrategy.RULE_BASED && (
+                    <p className="text-xs text-muted-foreground pt-2">
+                      {routingStatus.rules.length === 0
+                        ? 'No routing rules configured, using priority order'
+                        : `${routingStatus.rules.length} routing rules configured`}
+                    </p>
+                  )}
+                </div>
+              </CardContent>
+            </Card>
+
             <Card className="bg-gradient-to-br from-card to-card/50 shadow-soft">
               <CardHeader>
                 <CardTitle className="flex items-center gap-2">
@@ -430,18 +997,240 @@ export default function EmailServiceDashboard() {
                         </div>
                       </div>
                       <div className="text-right space-y-1">
-                        <Badge variant={provider.circuitBreaker.isOpen ? "destructive" : "default"}>
-                          {provider.circuitBreaker.isOpen ? "Circuit Open" : "Circuit Closed"}
+                        <Badge variant={getCircuitBadge(provider.circuitBreaker).variant}>
+                          {getCircuitBadge(provider.circuitBreaker).label}
                         </Badge>
                         <p className="text-xs text-muted-foreground">
                           Failures: {provider.circuitBreaker.failureCount}
+                          {provider.circuitBreaker.windowRequests > 0 &&
+                            ` · ${Math.round(provider.circuitBreaker.failureRate * 100)}% of last ${provider.circuitBreaker.windowRequests}`}
                         </p>
+                        {provider.circuitBreaker.state === CircuitState.OPEN && provider.circuitBreaker.halfOpenRetryTime && (
+                          <p className="text-xs text-muted-foreground">
+                            Probing at {provider.circuitBreaker.halfOpenRetryTime.toLocaleTimeString()}
+                          </p>
+                        )}
+                        {provider.circuitBreaker.state === CircuitState.HALF_OPEN && (
+                          <p className="text-xs text-muted-foreground">
+                            Probes in flight: {provider.circuitBreaker.probesInFlight}
+                          </p>
+                        )}
                       </div>
                     </div>
                   ))}
                 </div>
               </CardContent>
             </Card>
+
+            <Card className="bg-gradient-to-br from-card to-card/50 shadow-soft">
+              <CardHeader className="flex flex-row items-start justify-between space-y-0">
+                <div className="space-y-1.5">
+                  <CardTitle className="flex items-center gap-2">
+                    <LineChart className="h-5 w-5" />
+                    Provider Performance
+                  </CardTitle>
+                  <CardDescription>
+                    Send counts, success rate and latency percentiles over a rolling window
+                  </CardDescription>
+                </div>
+                <div className="flex items-center gap-2">
+                  <Select value={metricsWindow} onValueChange={setMetricsWindow}>
+                    <SelectTrigger className="w-32">
+                      <SelectValue />
+                    </SelectTrigger>
+                    <SelectContent>
+                      {metrics.windowsMs.map(windowMs => (
+                        <SelectItem key={windowMs} value={String(windowMs)}>
+                          Last {formatDuration(windowMs)}
+                        </SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                  <Button variant="outline" size="sm" onClick={handleDownloadMetrics}>
+                    <Download className="h-4 w-4 mr-1" />
+                    OpenMetrics
+                  </Button>
+                </div>
+              </CardHeader>
+              <CardContent>
+                <ProviderMetricsCharts metrics={metrics} windowMs={Number(metricsWindow)} />
+              </CardContent>
+            </Card>
+
+            <Card className="bg-gradient-to-br from-card to-card/50 shadow-soft">
+              <CardHeader>
+                <CardTitle className="flex items-center gap-2">
+                  <Zap className="h-5 w-5" />
+                  Circuit Breaker Transitions
+                </CardTitle>
+                <CardDescription>
+                  State changes since this page was opened, newest first
+                </CardDescription>
+              </CardHeader>
+              <CardContent>
+                <div className="space-y-2">
+                  {circuitEvents.map((change, index) => (
+                    <div key={index} className="flex items-center gap-3 text-sm">
+                      <span className="font-mono text-xs text-muted-foreground">
+                        {change.at.toLocaleTimeString()}
+                      </span>
+                      <span className="font-medium">{change.provider}</span>
+                      <span className="text-muted-foreground">
+                        {change.from.replace('_', '-')} → {change.to.replace('_', '-')}
+                      </span>
+                      <span className="text-xs text-muted-foreground">{change.reason}</span>
+                    </div>
+                  ))}
+                  {circuitEvents.length === 0 && (
+                    <div className="text-center py-4 text-muted-foreground">
+                      No circuit breaker transitions yet
+                    </div>
+                  )}
+                </div>
+              </CardContent>
+            </Card>
+          </TabsContent>
+
+          <TabsContent value="dead-letters" className="space-y-6">
+            <Card className="bg-gradient-to-br from-card to-card/50 shadow-soft">
+              <CardHeader>
+                <CardTitle className="flex items-center gap-2">
+                  <Inbox className="h-5 w-5" />
+                  Dead Letters
+                </CardTitle>
+                <CardDescription>
+                  Emails that exhausted their retries, with every provider try
+                </CardDescription>
+              </CardHeader>
+              <CardContent className="space-y-4">
+                <div className="flex flex-wrap items-end gap-3">
+                  <div className="space-y-2">
+                    <label className="text-sm font-medium">Failure reason</label>
+                    <Select
+                      value={deadLetterFilter.failureReason}
+                      onValueChange={(value) => setDeadLetterFilter(prev => ({ ...prev, failureReason: value }))}
+                    >
+                      <SelectTrigger className="w-44">
+                        <SelectValue />
+                      </SelectTrigger>
+                      <SelectContent>
+                        <SelectItem value="all">All reasons</SelectItem>
+                        {Object.values(ErrorCategory).map(category => (
+                          <SelectItem key={category} value={category}>
+                            {category.replace('_', ' ')} ({deadLetterSummary.byReason[category] || 0})
+                          </SelectItem>
+                        ))}
+                      </SelectContent>
+                    </Select>
+                  </div>
+                  <div className="space-y-2">
+                    <label className="text-sm font-medium">Provider</label>
+                    <Select
+                      value={deadLetterFilter.provider}
+                      onValueChange={(value) => setDeadLetterFilter(prev => ({ ...prev, provider: value }))}
+                    >
+                      <SelectTrigger className="w-44">
+                        <SelectValue />
+                      </SelectTrigger>
+                      <SelectContent>
+                        <SelectItem value="all">All providers</SelectItem>
+                        {providerStatus.map(provider => (
+                          <SelectItem key={provider.name} value={provider.name}>
+                            {provider.name} ({deadLetterSummary.byProvider[provider.name] || 0})
+                          </SelectItem>
+                        ))}
+                      </SelectContent>
+                    </Select>
+                  </div>
+                  <div className="space-y-2">
+                    <label className="text-sm font-medium">Replay via</label>
+                    <Select value={replayProvider} onValueChange={setReplayProvider}>
+                      <SelectTrigger className="w-44">
+                        <SelectValue />
+                      </SelectTrigger>
+                      <SelectContent>
+                        <SelectItem value="any">Normal fallback order</SelectItem>
+                        {providerStatus.map(provider => (
+                          <SelectItem key={provider.name} value={provider.name}>
+                            {provider.name} only
+                          </SelectItem>
+                        ))}
+                      </SelectContent>
+                    </Select>
+                  </div>
+                  <ConfirmAction
+                    title="Replay dead letters?"
+                    description={`${deadLetters.length} emails will be queued again with a fresh retry budget.`}
+                    confirmLabel="Replay"
+                    onConfirm={() => runAttemptAction(
+                      () => emailService.replayDeadLetters(activeDeadLetterFilter, replayOptions),
+                      "Dead Letters Replayed"
+                    )}
+                  >
+                    <Button variant="outline" disabled={deadLetters.length === 0}>
+                      <RotateCcw className="h-4 w-4 mr-2" />
+                      Replay {deadLetters.length}
+                    </Button>
+                  </ConfirmAction>
+                </div>
+
+                <ScrollArea className="h-96">
+                  <div className="space-y-3">
+                    {deadLetters.map((entry) => (
+                      <div key={entry.attemptId} className="p-3 rounded-lg border bg-card/50 space-y-2">
+                        <div className="flex items-center justify-between">
+                          <div>
+                            <p className="font-medium">{formatAddressList(entry.email.to)}</p>
+                            <p className="text-sm text-muted-foreground">{entry.email.subject}</p>
+                          </div>
+                          <div className="text-right space-y-1">
+                            <Badge variant="destructive">
+                              {entry.failureReason ? entry.failureReason.replace('_', ' ') : 'failed'}
+                            </Badge>
+                            <p className="text-xs text-muted-foreground">
+                              dead since {format(entry.deadAt, 'PPP p')}
+                            </p>
+                          </div>
+                        </div>
+                        <div className="space-y-1 text-xs font-mono">
+                          {entry.tries.map((record, index) => (
+                            <div key={index} className="flex gap-2 text-muted-foreground">
+                              <span>{record.timestamp.toLocaleTimeString()}</span>
+                              <span className="font-medium text-foreground">{record.provider}</span>
+                              <span className={record.error ? "text-destructive" : "text-success"}>
+                                {record.error || 'sent'}
+                              </span>
+                              {record.delayMs !== undefined && <span>· waited {record.delayMs}ms</span>}
+                            </div>
+                          ))}
+                        </div>
+                        <div className="flex justify-end">
+                          <ConfirmAction
+                            title="Replay this email?"
+                            description={`The email to ${formatAddressList(entry.email.to)} will be queued again with a fresh retry budget.`}
+                            confirmLabel="Replay"
+                            onConfirm={() => runAttemptAction(
+                              () => emailService.replayDeadLetter(entry.attemptId, replayOptions),
+                              "Dead Letter Replayed"
+                            )}
+                          >
+                            <Button variant="ghost" size="sm" className="h-7 px-2">
+                              <RotateCcw className="h-3 w-3 mr-1" />
+                              Replay
+                            </Button>
+                          </ConfirmAction>
+                        </div>
+                      </div>
+                    ))}
+                    {deadLetters.length === 0 && (
+                      <div className="text-center py-8 text-muted-foreground">
+                        No dead letters
+                      </div>
+                    )}
+                  </div>
+                </ScrollArea>
+              </CardContent>
+            </Card>
           </TabsContent>
 
           <TabsContent value="logs" className="space-y-6">
@@ -452,13 +1241,59 @@ export default function EmailServiceDashboard() {
                   System Logs
                 </CardTitle>
                 <CardDescription>
-                  Real-time service activity and debugging information
+                  Real-time service activity and debugging information, newest first
                 </CardDescription>
               </CardHeader>
-              <CardContent>
+              <CardContent className="space-y-4">
+                <div className="flex flex-wrap items-end gap-3">
+                  <div className="space-y-2">
+                    <label className="text-sm font-medium">Minimum level</label>
+                    <Select
+                      value={logFilter.level}
+                      onValueChange={(value) => setLogFilter(prev => ({ ...prev, level: value }))}
+                    >
+                      <SelectTrigger className="w-36">
+                        <SelectValue />
+                      </SelectTrigger>
+                      <SelectContent>
+                        <SelectItem value="all">All levels</SelectItem>
+                        {Object.values(LogLevel).map(level => (
+                          <SelectItem key={level} value={level}>{level}</SelectItem>
+                        ))}
+                      </SelectContent>
+                    </Select>
+                  </div>
+                  <div className="space-y-2 flex-1 min-w-48">
+                    <label className="text-sm font-medium">Search</label>
+                    <Input
+                      placeholder="Message or data"
+                      value={logFilter.search}
+                      onChange={(e) => setLogFilter(prev => ({ ...prev, search: e.target.value }))}
+                    />
+                  </div>
+                  <div className="space-y-2 flex-1 min-w-48">
+                    <label className="text-sm font-medium">Attempt ID</label>
+                    <Input
+                      placeholder="email_..."
+                      className="font-mono"
+                      value={logFilter.attemptId}
+                      onChange={(e) => setLogFilter(prev => ({ ...prev, attemptId: e.target.value }))}
+                    />
+                  </div>
+                  <Button
+                    variant="outline"
+                    onClick={() => setLogFilter({ level: 'all', search: '', attemptId: '' })}
+                  >
+                    <X className="h-4 w-4 mr-2" />
+                    Clear filters
+                  </Button>
+                </div>
+                <p className="text-sm text-muted-foreground">
+                  Showing {visibleLogs.length} of {logs.length} buffered entries
+                </p>
                 <ScrollArea className="h-96">
                   <div className="space-y-2">
-                    {logs.map((log, index) => (
+                    {visibleLogs.map((log, index) => (
                       <div
                         key={index}
                         className="flex items-start gap-3 p-2 rounded text-sm border-b border-border/50 last:border-0"
@@ -473,9 +1308,23 @@ export default function EmailServiceDashboard() {
                           {log.level}
                         </Badge>
                         <div className="flex-1 space-y-1">
-                          <p className="text-muted-foreground">
-                            {log.timestamp.toLocaleTimeString()}
-                          </p>
+                          <div className="flex flex-wrap items-center gap-2 text-muted-foreground">
+                            <span>{log.timestamp.toLocaleTimeString()}</span>
+                            {log.attemptId && (
+                              <Badge
+                                variant="outline"
+                                className="text-xs font-mono cursor-pointer"
+                                onClick={() => setLogFilter(prev => ({ ...prev, attemptId: log.attemptId }))}
+                              >
+                                {log.attemptId}
+                              </Badge>
+                            )}
+                            {log.provider && (
+                              <Badge variant="secondary" className="text-xs">
+                                {log.provider}
+                              </Badge>
+                            )}
+                          </div>
                           <p>{log.message}</p>
                           {log.data && (
                             <pre className="text-xs text-muted-foreground bg-muted/50 p-2 rounded overflow-auto">
@@ -485,9 +1334,9 @@ export default function EmailServiceDashboard() {
                         </div>
                       </div>
                     ))}
-                    {logs.length === 0 && (
+                    {visibleLogs.length === 0 && (
                       <div className="text-center py-8 text-muted-foreground">
-                        No logs available
+                        {logs.length === 0 ? 'No logs available' : 'No logs match these filters'}
                       </div>
                     )}
                   </div>
@@ -0,0 +1,135 @@
+import React from 'react';
+import { Bar, BarChart, CartesianGrid, Line, LineChart, XAxis, YAxis } from 'recharts';
+import { format } from 'date-fns';
+import {
+  ChartContainer,
+  ChartTooltip,
+  ChartTooltipContent,
+  ChartLegend,
+  ChartLegendContent
+} from '@/components/ui/chart';
+
+const PERCENTILE_CONFIG = {
+  p50: { label: 'p50', color: 'hsl(var(--success))' },
+  p95: { label: 'p95', color: 'hsl(var(--warning))' },
+  p99: { label: 'p99', color: 'hsl(var(--destructive))' }
+};
+
+const PROVIDER_COLORS = [
+  'hsl(var(--primary))',
+  'hsl(var(--warning))',
+  'hsl(var(--success))',
+  'hsl(var(--destructive))'
+];
+
+const round = (value) => value === null ? null : Math.round(value);
+
+function formatRate(rate) {
+  return rate === null ? '—' : `${(rate * 100).toFixed(1)}%`;
+}
+
+function formatLatency(ms) {
+  return ms === null ? '—' : `${Math.round(ms)}ms`;
+}
+
+/**
+ * Latency percentiles and error rates per provider, from getMetrics()
+ * @param {Object} props.metrics - getMetrics() result
+ * @param {number} props.windowMs - Which rolling window to summarize
+ */
+export function ProviderMetricsCharts({ metrics, windowMs }) {
+  const providers = metrics.providers.map(provider => ({
+    ...provider,
+    window: provider.windows.find(entry => entry.windowMs === windowMs) || provider.windows[0]
+  }));
+
+  const latencyData = providers.map(provider => ({
+    provider: provider.name,
+    p50: round(provider.window.latency.p50),
+    p95: round(provider.window.latency.p95),
+    p99: round(provider.window.latency.p99)
+  }));
+
+  // One point per slice in the window, with a column per provider
+  const windowStart = Date.now() - windowMs;
+  const errorConfig = {};
+  const errorPoints = new Map();
+  providers.forEach((provider, index) => {
+    errorConfig[provider.name] = {
+      label: provider.name,
+      color: PROVIDER_COLORS[index % PROVIDER_COLORS.length]
+    };
+    provider.series.filter(point => point.at.getTime() + metrics.sliceMs > windowStart).forEach(point => {
+      const time = point.at.getTime();
+      if (!errorPoints.has(time)) {
+        errorPoints.set(time, { time: format(point.at, 'HH:mm:ss') });
+      }
+      errorPoints.get(time)[provider.name] = point.errorRate === null ? null : Math.round(point.errorRate * 100);
+    });
+  });
+  const errorData = [...errorPoints.entries()].sort(([a], [b]) => a - b).map(([, point]) => point);
+
+  return (
+    <div className="space-y-6">
+      <div className="grid gap-3">
+        {providers.map(provider => (
+          <div key={provider.name} className="grid grid-cols-5 gap-2 text-sm p-3 rounded-lg border bg-card/50">
+            <span className="font-medium">{provider.name}</span>
+            <span className="text-muted-foreground">{provider.window.sent} sent</span>
+            <span className="text-muted-foreground">{formatRate(provider.window.successRate)} success</span>
+            <span className="text-muted-foreground">p50 {formatLatency(provider.window.latency.p50)}</span>
+            <span className="text-muted-foreground">p99 {formatLatency(provider.window.latency.p99)}</span>
+          </div>
+        ))}
+      </div>
+
+      <div className="grid gap-6 md:grid-cols-2">
+        <div className="space-y-2">
+          <p className="text-sm font-medium">Latency percentiles (ms)</p>
+          <ChartContainer config={PERCENTILE_CONFIG} className="h-64 w-full aspect-auto">
+            <BarChart data={latencyData}>
+              <CartesianGrid vertical={false} />
+              <XAxis dataKey="provider" tickLine={false} axisLine={false} />
+              <YAxis tickLine={false} axisLine={false} width={40} />
+              <ChartTooltip content={<ChartTooltipContent />} />
+              <ChartLegend content={<ChartLegendContent />} />
+              <Bar dataKey="p50" fill="var(--color-p50)" radius={4} />
+              <Bar dataKey="p95" fill="var(--color-p95)" radius={4} />
+              <Bar dataKey="p99" fill="var(--color-p99)" radius={4} />
+            </BarChart>
+          </ChartContainer>
+        </div>
+
+        <div className="space-y-2">
+          <p className="text-sm font-medium">Error rate (%)</p>
+          {errorData.length === 0 ? (
+            <div className="flex h-64 items-center justify-center text-muted-foreground">
+              No sends in this window yet
+            </div>
+          ) : (
+            <ChartContainer config={errorConfig} className="h-64 w-full aspect-auto">
+              <LineChart data={errorData}>
+                <CartesianGrid vertical={false} />
+                <XAxis dataKey="time" tickLine={false} axisLine={false} minTickGap={24} />
+                <YAxis domain={[0, 100]} tickLine={false} axisLine={false} width={40} />
+                <ChartTooltip content={<ChartTooltipContent />} />
+                <ChartLegend content={<ChartLegendContent />} />
+                {providers.map(provider => (
+                  <Line
+                    key={provider.name}
+                    dataKey={provider.name}
+                    stroke={`var(--color-${provider.name})`}
+                    strokeWidth={2}
+                    dot={false}
+                    connectNulls
+                    isAnimationActive={false}
+                  />
+                ))}
+              </LineChart>
+            </ChartContainer>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,87 @@
+import React, { useState } from 'react';
+import { X } from 'lucide-react';
+import { cn } from '@/lib/utils';
+import { isValidAddress, parseAddress, splitAddressList } from '@/services/Recipients';
+
+/**
+ * Chip-style address field. Typing a comma, semicolon or Enter (or leaving
+ * the field) turns the text into chips; pasted lists are split the same way.
+ * `value` is an array of `Name <address>` or bare address strings.
+ */
+export function RecipientInput({ value, onChange, placeholder, id }) {
+  const [draft, setDraft] = useState('');
+
+  const commit = (text) => {
+    const entries = splitAddressList(text);
+    if (entries.length > 0) onChange([...value, ...entries]);
+    setDraft('');
+  };
+
+  const handleChange = (event) => {
+    const text = event.target.value;
+    // A separator ends the entry unless it is inside quotes or angle brackets
+    const separated = /[,;]\s*$/.test(text) && splitAddressList(`${text}x`).length > splitAddressList(text).length;
+    if (separated) {
+      commit(text);
+    } else {
+      setDraft(text);
+    }
+  };
+
+  const handleKeyDown = (event) => {
+    if (event.key === 'Enter' && draft.trim()) {
+      event.preventDefault();
+      commit(draft);
+    } else if (event.key === 'Backspace' && draft === '' && value.length > 0) {
+      onChange(value.slice(0, -1));
+    }
+  };
+
+  const handlePaste = (event) => {
+    const text = event.clipboardData.getData('text');
+    if (splitAddressList(text).length > 1) {
+      event.preventDefault();
+      commit(`${draft}${text}`);
+    }
+  };
+
+  return (
+    <div
+      className="flex min-h-10 w-full flex-wrap items-center gap-1 rounded-md border border-input bg-background px-2 py-1.5 text-sm ring-offset-background focus-within:ring-2 focus-within:ring-ring focus-within:ring-offset-2"
+    >
+      {value.map((entry, index) => {
+        const valid = isValidAddress(parseAddress(entry).address);
+        return (
+          <span
+            key={`${entry}-${index}`}
+            className={cn(
+              'inline-flex items-center gap-1 rounded-full border px-2 py-0.5 text-xs',
+              valid ? 'bg-secondary text-secondary-foreground' : 'border-destructive text-destructive'
+            )}
+            title={valid ? entry : `${entry} is not a valid address`}
+          >
+            {entry}
+            <button
+              type="button"
+              className="rounded-full opacity-70 hover:opacity-100"
+              onClick={() => onChange(value.filter((_, other) => other !== index))}
+              aria-label={`Remove ${entry}`}
+            >
+              <X className="h-3 w-3" />
+            </button>
+          </span>
+        );
+      })}
+      <input
+        id={id}
+        className="min-w-[10rem] flex-1 bg-transparent py-0.5 outline-none placeholder:text-muted-foreground"
+        placeholder={value.length === 0 ? placeholder : ''}
+        value={draft}
+        onChange={handleChange}
+        onKeyDown={handleKeyDown}
+        onPaste={handlePaste}
+        onBlur={() => commit(draft)}
+      />
+    </div>
+  );
+}
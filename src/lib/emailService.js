@@ -0,0 +1,13 @@
+import { EmailService, MockEmailProvider } from '@/services/EmailService';
+import { IndexedDBStorageAdapter, InMemoryStorageAdapter } from '@/services/StorageAdapters';
+
+// Shared by the dashboard and the attempt detail page
+export const emailService = new EmailService([
+  new MockEmailProvider('SendGrid', 0.15, 800),
+  new MockEmailProvider('Mailgun', 0.2, 1200)
+], {}, {
+  // Persist attempts across page reloads where the browser supports it
+  storage: IndexedDBStorageAdapter.isSupported()
+    ? new IndexedDBStorageAdapter()
+    : new InMemoryStorageAdapter()
+});
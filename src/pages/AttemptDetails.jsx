@@ -0,0 +1,170 @@
+import React, { useState, useEffect } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { ArrowLeft, History, Users } from 'lucide-react';
+import { format } from 'date-fns';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Badge } from '@/components/ui/badge';
+import { Button } from '@/components/ui/button';
+import { AttemptTimeline } from '@/components/AttemptTimeline';
+import { AttemptStatusIcon, getStatusBadgeVariant, RecipientOutcomes } from '@/components/AttemptStatus';
+import { emailService } from '@/lib/emailService';
+import { formatAddressList } from '@/services/Recipients';
+
+const AttemptDetails = () => {
+  const { id } = useParams();
+  const [attempt, setAttempt] = useState(() => emailService.getAttempt(id));
+  const [isRestoring, setIsRestoring] = useState(true);
+
+  useEffect(() => {
+    // Copy so React sees a new object; the service mutates attempts in place
+    const updateData = () => {
+      const current = emailService.getAttempt(id);
+      setAttempt(current
+        ? {
+          ...current,
+          history: [...(current.history || [])],
+          recipients: (current.recipients || []).map(recipient => ({ ...recipient }))
+        }
+        : null);
+    };
+
+    emailService.on('attemptUpdated', updateData);
+    emailService.ready.then(() => {
+      updateData();
+      setIsRestoring(false);
+    });
+
+    const interval = setInterval(updateData, 1000);
+
+    return () => {
+      clearInterval(interval);
+      emailService.off('attemptUpdated', updateData);
+    };
+  }, [id]);
+
+  return (
+    <div className="min-h-screen bg-background p-6">
+      <div className="max-w-3xl mx-auto space-y-6">
+        <Button asChild variant="ghost" size="sm">
+          <Link to="/">
+            <ArrowLeft className="h-4 w-4 mr-2" />
+            Back to dashboard
+          </Link>
+        </Button>
+
+        {!attempt ? (
+          <Card className="bg-gradient-to-br from-card to-card/50 shadow-soft">
+            <CardContent className="py-8 text-center text-muted-foreground">
+              {isRestoring ? 'Loading attempt…' : `No email attempt with ID ${id}`}
+            </CardContent>
+          </Card>
+        ) : (
+          <>
+            <Card className="bg-gradient-to-br from-card to-card/50 shadow-soft">
+              <CardHeader className="flex flex-row items-start justify-between space-y-0">
+                <div className="space-y-1.5">
+                  <CardTitle className="flex items-center gap-2">
+                    <AttemptStatusIcon status={attempt.status} />
+                    {formatAddressList(attempt.email.to)}
+                  </CardTitle>
+                  <CardDescription>{attempt.email.subject}</CardDescription>
+                </div>
+                <Badge variant={getStatusBadgeVariant(attempt.status)}>
+                  {attempt.status}
+                </Badge>
+              </CardHeader>
+              <CardContent className="grid grid-cols-2 gap-2 text-sm">
+                <span className="text-muted-foreground">Tracking ID</span>
+                <span className="font-mono break-all">{attempt.id}</span>
+                {[['Cc', attempt.email.cc], ['Bcc', attempt.email.bcc], ['Reply-To', attempt.email.replyTo]]
+                  .filter(([, value]) => value && value.length > 0)
+                  .map(([label, value]) => (
+                    <React.Fragment key={label}>
+                      <span className="text-muted-foreground">{label}</span>
+                      <span className="break-all">{formatAddressList(value)}</span>
+                    </React.Fragment>
+                  ))}
+                {attempt.email.html && (
+                  <>
+                    <span className="text-muted-foreground">Format</span>
+                    <span>HTML with text alternative</span>
+                  </>
+                )}
+                {attempt.template && (
+                  <>
+                    <span className="text-muted-foreground">Template</span>
+                    <span>{attempt.template.name} v{attempt.template.version}</span>
+                  </>
+                )}
+                {attempt.email.attachments?.length > 0 && (
+                  <>
+                    <span className="text-muted-foreground">Attachments</span>
+                    <span className="break-all">
+                      {attempt.email.attachments.map(attachment => attachment.filename || attachment.cid).join(', ')}
+                    </span>
+                  </>
+                )}
+                <span className="text-muted-foreground">Created</span>
+                <span>{format(attempt.createdAt, 'PPP p')}</span>
+                <span className="text-muted-foreground">Attempts</span>
+                <span>{attempt.attempts}/{attempt.maxAttempts}</span>
+                {attempt.provider && (
+                  <>
+                    <span className="text-muted-foreground">Provider</span>
+                    <span>{attempt.provider}</span>
+                  </>
+                )}
+                {attempt.messageId && (
+                  <>
+                    <span className="text-muted-foreground">Message ID</span>
+                    <span className="font-mono break-all">{attempt.messageId}</span>
+                  </>
+                )}
+                {attempt.trace && (
+                  <>
+                    <span className="text-muted-foreground">Trace ID</span>
+                    <span className="font-mono break-all">{attempt.trace.traceId}</span>
+                  </>
+                )}
+              </CardContent>
+            </Card>
+
+            {attempt.recipients && attempt.recipients.length > 0 && (
+              <Card className="bg-gradient-to-br from-card to-card/50 shadow-soft">
+                <CardHeader>
+                  <CardTitle className="flex items-center gap-2">
+                    <Users className="h-5 w-5" />
+                    Recipients
+                  </CardTitle>
+                  <CardDescription>
+                    Outcome for each address; a provider can accept the email but refuse some recipients
+                  </CardDescription>
+                </CardHeader>
+                <CardContent>
+                  <RecipientOutcomes recipients={attempt.recipients} />
+                </CardContent>
+              </Card>
+            )}
+
+            <Card className="bg-gradient-to-br from-card to-card/50 shadow-soft">
+              <CardHeader>
+                <CardTitle className="flex items-center gap-2">
+                  <History className="h-5 w-5" />
+                  Delivery Timeline
+                </CardTitle>
+                <CardDescription>
+                  Every step this email went through, oldest first
+                </CardDescription>
+              </CardHeader>
+              <CardContent>
+                <AttemptTimeline history={attempt.history} />
+              </CardContent>
+            </Card>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default AttemptDetails;
@@ -0,0 +1,419 @@
+/**
+ * HTTP API for Node
+ *
+ * Exposes an EmailService over JSON:
+ *
+ *   POST   /emails             Send; honours an Idempotency-Key header, and
+ *                               answers a duplicate with 200 and the original
+ *   GET    /emails?status=     List attempts, newest first
+ *   GET    /emails/:id         One attempt
+ *   POST   /emails/:id/retry   Requeue a failed, cancelled or rate-limited attempt
+ *   DELETE /emails/:id         Cancel a scheduled, queued or deferred attempt
+ *   POST   /mail-merge         Send a template once per row of data
+ *   GET    /templates          Registered templates and their versions
+ *   GET    /providers          Provider health and circuit breaker state
+ *   GET    /queue              Queue depth and backpressure
+ *   GET    /health             200 while at least one provider can send, else 503
+ *
+ * Errors are `{ error: { message } }` with the matching status code: 400 for
+ * invalid input, 404, 405, 409 for a request the attempt's status does not
+ * allow, 413, 415, 429 when rate limited and 503 when the queue is full.
+ *
+ *   const server = createApiServer(emailService);
+ *   server.listen(3000);
+ */
+
+import http from 'http';
+import { EmailStatus, ProviderStatus, RateLimitExceededError, QueueFullError, InvalidEmailError } from './EmailService.js';
+import { EmailPriority } from './AttemptQueue.js';
+import { findInvalidAddresses, isValidAddress, parseAddressList } from './Recipients.js';
+import { normalizeAttachment } from './MimeBuilder.js';
+
+// Room for base64 attachments
+export const MAX_BODY_BYTES = 10 * 1024 * 1024;
+
+class ApiError extends Error {
+  constructor(status, message, headers = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.headers = headers;
+  }
+}
+
+function sendJson(response, status, body, headers = {}) {
+  const payload = JSON.stringify(body);
+  response.writeHead(status, {
+    'Content-Type': 'application/json; charset=utf-8',
+    'Content-Length': Buffer.byteLength(payload),
+    ...headers
+  });
+  response.end(payload);
+}
+
+async function readJson(request) {
+  const contentType = request.headers['content-type'] || '';
+  if (!/^application\/json\b/i.test(contentType)) {
+    throw new ApiError(415, 'Content-Type must be application/json');
+  }
+
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of request) {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) {
+      throw new ApiError(413, `Body exceeds ${MAX_BODY_BYTES} bytes`);
+    }
+    chunks.push(chunk);
+  }
+
+  try {
+    return JSON.parse(Buffer.concat(chunks).toString('utf8'));
+  } catch {
+    throw new ApiError(400, 'Body is not valid JSON');
+  }
+}
+
+/**
+ * Check a POST /emails body and split it into the email and send options
+ */
+export function validateSendRequest(body) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    throw new ApiError(400, 'Body must be a JSON object');
+  }
+
+  const {
+    to, cc, bcc, replyTo, from, subject, body: text, html, attachments, template, templateVersion, data, priority, sendAt
+  } = body;
+  if (html !== undefined && typeof html !== 'string') {
+    throw new ApiError(400, 'html must be a string');
+  }
+  if (template !== undefined) {
+    if (typeof template !== 'string' || template.trim() === '') {
+      throw new ApiError(400, 'template must be a template name');
+    }
+    if (templateVersion !== undefined && !Number.isInteger(templateVersion)) {
+      throw new ApiError(400, 'templateVersion must be a whole number');
+    }
+    if (data !== undefined && (data === null || typeof data !== 'object' || Array.isArray(data))) {
+      throw new ApiError(400, 'data must be an object');
+    }
+  }
+  // A template supplies the content; an HTML email gets its text part from the HTML
+  let required = ['subject', 'body'];
+  if (template !== undefined) required = [];
+  else if (html && html.trim() !== '') required = ['subject'];
+  required.forEach(field => {
+    if (typeof body[field] !== 'string' || body[field].trim() === '') {
+      throw new ApiError(400, `${field} is required`);
+    }
+  });
+  if (text !== undefined && typeof text !== 'string') {
+    throw new ApiError(400, 'body must be a string');
+  }
+  if (attachments !== undefined) {
+    if (!Array.isArray(attachments)) {
+      throw new ApiError(400, 'attachments must be an array');
+    }
+    attachments.forEach(attachment => {
+      if (!attachment || typeof attachment !== 'object' || typeof attachment.content !== 'string') {
+        throw new ApiError(400, 'Each attachment needs string content');
+      }
+      try {
+        normalizeAttachment(attachment);
+      } catch (error) {
+        throw new ApiError(400, error.message);
+      }
+    });
+  }
+  const isAddressList = value => typeof value === 'string'
+    || (Array.isArray(value) && value.every(entry => typeof entry === 'string'));
+  if (!isAddressList(to) || parseAddressList(to).length === 0) {
+    throw new ApiError(400, 'to is required');
+  }
+  [['cc', cc], ['bcc', bcc]].forEach(([field, value]) => {
+    if (value !== undefined && !isAddressList(value)) {
+      throw new ApiError(400, `${field} must be a string or an array of strings`);
+    }
+  });
+  if (replyTo !== undefined && (typeof replyTo !== 'string' || parseAddressList(replyTo).length !== 1)) {
+    throw new ApiError(400, 'replyTo must be a single address');
+  }
+  const [invalid] = findInvalidAddresses({ to, cc, bcc, replyTo });
+  if (invalid) {
+    throw new ApiError(400, `Invalid recipient address in ${invalid.field}: ${invalid.value}`);
+  }
+  if (from !== undefined && !isValidAddress(from)) {
+    throw new ApiError(400, `Invalid sender address: ${from}`);
+  }
+  if (priority !== undefined && !Object.values(EmailPriority).includes(priority)) {
+    throw new ApiError(400, `Unknown priority: ${priority}`);
+  }
+  if (sendAt !== undefined && (typeof sendAt === 'boolean' || Number.isNaN(new Date(sendAt).getTime()))) {
+    throw new ApiError(400, `Invalid sendAt: ${sendAt}`);
+  }
+
+  const email = { to, subject };
+  if (text !== undefined) email.body = text;
+  if (html !== undefined) email.html = html;
+  if (attachments !== undefined) {
+    email.attachments = attachments.map(({ filename, content, encoding, contentType, cid }) =>
+      Object.fromEntries(Object.entries({ filename, content, encoding, contentType, cid })
+        .filter(([, value]) => value !== undefined)));
+  }
+  if (cc !== undefined) email.cc = cc;
+  if (bcc !== undefined) email.bcc = bcc;
+  if (replyTo !== undefined) email.replyTo = replyTo;
+  if (from !== undefined) email.from = from;
+  if (template !== undefined) {
+    email.template = template;
+    if (templateVersion !== undefined) email.templateVersion = templateVersion;
+    if (data !== undefined) email.data = data;
+  }
+  return { email, options: { priority, sendAt } };
+}
+
+// Attachment content can run to megabytes; list the files instead
+function serializeEmail(email) {
+  if (!Array.isArray(email.attachments)) return email;
+  return {
+    ...email,
+    attachments: email.attachments.map(attachment => {
+      const { filename, contentType, cid, content } = normalizeAttachment(attachment);
+      return { filename, contentType, ...(cid ? { cid } : {}), size: content.length };
+    })
+  };
+}
+
+/**
+ * The public view of an attempt; retry bookkeeping stays internal
+ */
+export function serializeAttempt(attempt) {
+  return {
+    id: attempt.id,
+    status: attempt.status,
+    email: serializeEmail(attempt.email),
+    recipients: attempt.recipients,
+    priority: attempt.priority,
+    template: attempt.template,
+    attempts: attempt.attempts,
+    maxAttempts: attempt.maxAttempts,
+    provider: attempt.provider,
+    messageId: attempt.messageId,
+    error: attempt.error,
+    failureReason: attempt.failureReason,
+    sendAt: attempt.sendAt,
+    nextAttemptAt: attempt.nextAttemptAt,
+    createdAt: attempt.createdAt,
+    updatedAt: attempt.updatedAt,
+    sentAt: attempt.sentAt,
+    cancelledAt: attempt.cancelledAt,
+    traceId: attempt.trace ? attempt.trace.traceId : undefined,
+    history: attempt.history
+  };
+}
+
+function decodeId(encodedId) {
+  try {
+    return decodeURIComponent(encodedId);
+  } catch {
+    throw new ApiError(400, `Invalid attempt ID: ${encodedId}`);
+  }
+}
+
+function requireAttempt(emailService, id) {
+  const attempt = emailService.getAttempt(id);
+  if (!attempt) {
+    throw new ApiError(404, `Attempt not found: ${id}`);
+  }
+  return attempt;
+}
+
+/**
+ * Run a state change the attempt's status may not allow; refusals become 409
+ */
+function transition(emailService, id, change) {
+  requireAttempt(emailService, id);
+  try {
+    return serializeAttempt(change(id));
+  } catch (error) {
+    throw new ApiError(409, error.message);
+  }
+}
+
+function readIdempotencyKey(request) {
+  const idempotencyKey = request.headers['idempotency-key'];
+  if (idempotencyKey !== undefined && idempotencyKey.trim() === '') {
+    throw new ApiError(400, 'Idempotency-Key must not be empty');
+  }
+  return idempotencyKey;
+}
+
+// Unknown templates and render errors are the caller's to fix
+function checkTemplate(emailService, email) {
+  if (email.template === undefined) return;
+  try {
+    emailService.renderEmailTemplate(email);
+  } catch (error) {
+    throw new ApiError(400, error.message);
+  }
+}
+
+async function sendEmail(emailService, request) {
+  const { email, options } = validateSendRequest(await readJson(request));
+  const idempotencyKey = readIdempotencyKey(request);
+  checkTemplate(emailService, email);
+
+  try {
+    const { attemptId, duplicate } = await emailService.sendEmailWithResult(email, { ...options, idempotencyKey });
+    const headers = { Location: `/emails/${attemptId}` };
+    if (duplicate) headers['Idempotent-Replayed'] = 'true';
+    return { status: duplicate ? 200 : 202, body: serializeAttempt(emailService.getAttempt(attemptId)), headers };
+  } catch (error) {
+    // Whatever the request checks above missed, the service still refuses
+    if (error instanceof InvalidEmailError) {
+      throw new ApiError(400, error.message);
+    }
+    if (error instanceof RateLimitExceededError) {
+      throw new ApiError(429, error.message, { 'Retry-After': String(Math.ceil(error.retryAfterMs / 1000)) });
+    }
+    if (error instanceof QueueFullError) {
+      throw new ApiError(503, error.message, { 'Retry-After': '1' });
+    }
+    throw error;
+  }
+}
+
+/**
+ * `{ template, templateVersion, rows: [{ to, data, ... }], priority, sendAt }`.
+ * Every row is checked before any is sent; rows refused while sending (rate
+ * limited, queue full) come back with an `error`.
+ */
+async function sendMailMerge(emailService, request) {
+  const body = await readJson(request);
+  if (!body || typeof body !== 'object' || !Array.isArray(body.rows) || body.rows.length === 0) {
+    throw new ApiError(400, 'rows must be a non-empty array');
+  }
+  const { template, templateVersion, rows, priority, sendAt } = body;
+  if (typeof template !== 'string' || template.trim() === '') {
+    throw new ApiError(400, 'template must be a template name');
+  }
+
+  const validated = rows.map((row, index) => {
+    try {
+      const request = validateSendRequest({ ...row, template, templateVersion, priority, sendAt });
+      checkTemplate(emailService, request.email);
+      return request;
+    } catch (error) {
+      throw new ApiError(400, `Row ${index}: ${error.message}`);
+    }
+  });
+  const emails = validated.map(({ email: { template: name, templateVersion: version, ...fields } }) => fields);
+  const { options } = validated[0];
+
+  const results = await emailService.sendMailMerge(template, emails, {
+    ...options,
+    templateVersion,
+    idempotencyKey: readIdempotencyKey(request)
+  });
+  return { status: 202, body: { results, total: results.length } };
+}
+
+function listEmails(emailService, url) {
+  const status = url.searchParams.get('status');
+  if (status !== null && !Object.values(EmailStatus).includes(status)) {
+    throw new ApiError(400, `Unknown status: ${status}`);
+  }
+
+  const attempts = emailService.getAllAttempts()
+    .filter(attempt => status === null || attempt.status === status)
+    .map(serializeAttempt);
+  return { body: { emails: attempts, total: attempts.length } };
+}
+
+function health(emailService) {
+  const providers = emailService.getProviderStatus();
+  const available = providers.filter(provider => provider.status !== ProviderStatus.FAILED).length;
+  const status = available === providers.length ? 'ok' : available > 0 ? 'degraded' : 'down';
+
+  return {
+    status: available > 0 ? 200 : 503,
+    body: {
+      status,
+      providers: { available, total: providers.length },
+      queue: emailService.getQueueStatus()
+    }
+  };
+}
+
+// Matched in order; `:id` captures one path segment
+const ROUTES = [
+  { path: '/emails', methods: {
+    POST: (service, { request }) => sendEmail(service, request),
+    GET: (service, { url }) => listEmails(service, url)
+  } },
+  { path: '/emails/:id', methods: {
+    GET: (service, { id }) => ({ body: serializeAttempt(requireAttempt(service, id)) }),
+    DELETE: (service, { id }) => ({ body: transition(service, id, attemptId => service.cancelAttempt(attemptId)) })
+  } },
+  { path: '/emails/:id/retry', methods: {
+    POST: (service, { id }) => ({ body: transition(service, id, attemptId => service.retryAttempt(attemptId)) })
+  } },
+  { path: '/mail-merge', methods: {
+    POST: (service, { request }) => sendMailMerge(service, request)
+  } },
+  { path: '/templates', methods: {
+    GET: service => ({ body: { templates: service.getTemplates() } })
+  } },
+  { path: '/providers', methods: {
+    GET: service => ({ body: { providers: service.getProviderStatus() } })
+  } },
+  { path: '/queue', methods: {
+    GET: service => ({ body: service.getQueueStatus() })
+  } },
+  { path: '/health', methods: {
+    GET: service => health(service)
+  } }
+].map(route => ({
+  ...route,
+  pattern: new RegExp(`^${route.path.replace(':id', '([^/]+)')}$`)
+}));
+
+/**
+ * @param {EmailService} emailService
+ * @param {Object} options - `logger` for unexpected errors (default: the
+ *   service's logger)
+ * @returns {http.Server} Not yet listening
+ */
+export function createApiServer(emailService, { logger = emailService.logger } = {}) {
+  return http.createServer(async (request, response) => {
+    const url = new URL(request.url, 'http://localhost');
+
+    try {
+      const route = ROUTES.find(candidate => candidate.pattern.test(url.pathname));
+      if (!route) {
+        throw new ApiError(404, `Not found: ${url.pathname}`);
+      }
+
+      const handler = route.methods[request.method];
+      if (!handler) {
+        throw new ApiError(405, `Method not allowed: ${request.method}`, {
+          Allow: Object.keys(route.methods).join(', ')
+        });
+      }
+
+      const [, encodedId] = url.pathname.match(route.pattern);
+      const id = encodedId === undefined ? undefined : decodeId(encodedId);
+      const { status = 200, body, headers } = await handler(emailService, { request, url, id });
+      sendJson(response, status, body, headers);
+    } catch (error) {
+      if (error instanceof ApiError) {
+        sendJson(response, error.status, { error: { message: error.message } }, error.headers);
+        return;
+      }
+
+      logger.error('API request failed', { method: request.method, path: url.pathname, error: error.message });
+      sendJson(response, 500, { error: { message: 'Internal server error' } });
+    }
+  });
+}
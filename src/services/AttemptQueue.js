@@ -0,0 +1,125 @@
+/**
+ * Priority and time ordered queue of attempt IDs
+ *
+ * Entries whose `readyAt` is in the future (scheduled sends and attempts
+ * backing off) wait in the delayed lane, ordered by time. Once due they move
+ * to the ready lane, which is ordered by priority and then FIFO, so
+ * transactional mail overtakes bulk mail that was queued earlier.
+ */
+
+export const EmailPriority = {
+  HIGH: 'high',
+  NORMAL: 'normal',
+  LOW: 'low'
+};
+
+const PRIORITY_RANK = {
+  [EmailPriority.HIGH]: 0,
+  [EmailPriority.NORMAL]: 1,
+  [EmailPriority.LOW]: 2
+};
+
+function compareReady(a, b) {
+  return a.rank - b.rank || a.sequence - b.sequence;
+}
+
+function compareDelayed(a, b) {
+  return a.readyAt - b.readyAt || compareReady(a, b);
+}
+
+// Binary search for the first index whose entry sorts after `entry`
+function insertSorted(list, entry, compare) {
+  let low = 0;
+  let high = list.length;
+  while (low < high) {
+    const mid = (low + high) >>> 1;
+    if (compare(list[mid], entry) <= 0) {
+      low = mid + 1;
+    } else {
+      high = mid;
+    }
+  }
+  list.splice(low, 0, entry);
+}
+
+export class AttemptQueue {
+  constructor() {
+    this.ready = [];
+    this.delayed = [];
+    this.sequence = 0;
+  }
+
+  get length() {
+    return this.ready.length + this.delayed.length;
+  }
+
+  /**
+   * @param {string} attemptId
+   * @param {Object} options - `priority` (EmailPriority) and `readyAt` (ms timestamp)
+   */
+  push(attemptId, { priority = EmailPriority.NORMAL, readyAt = 0 } = {}) {
+    this.remove(attemptId);
+
+    const entry = {
+      attemptId,
+      rank: PRIORITY_RANK[priority] ?? PRIORITY_RANK[EmailPriority.NORMAL],
+      readyAt,
+      sequence: this.sequence++
+    };
+
+    if (readyAt > Date.now()) {
+      insertSorted(this.delayed, entry, compareDelayed);
+    } else {
+      insertSorted(this.ready, entry, compareReady);
+    }
+  }
+
+  remove(attemptId) {
+    const before = this.length;
+    this.ready = this.ready.filter(entry => entry.attemptId !== attemptId);
+    this.delayed = this.delayed.filter(entry => entry.attemptId !== attemptId);
+    return this.length < before;
+  }
+
+  includes(attemptId) {
+    return this.ready.some(entry => entry.attemptId === attemptId)
+      || this.delayed.some(entry => entry.attemptId === attemptId);
+  }
+
+  /**
+   * Move entries that have become due into the ready lane
+   * @returns {string[]} IDs that were promoted
+   */
+  promoteDue(now = Date.now()) {
+    const promoted = [];
+    while (this.delayed.length > 0 && this.delayed[0].readyAt <= now) {
+      const entry = this.delayed.shift();
+      insertSorted(this.ready, entry, compareReady);
+      promoted.push(entry.attemptId);
+    }
+    return promoted;
+  }
+
+  /**
+   * Remove and return the highest priority ready attempt ID, or null
+   */
+  shift() {
+    const entry = this.ready.shift();
+    return entry ? entry.attemptId : null;
+  }
+
+  nextReadyAt() {
+    return this.delayed.length > 0 ? this.delayed[0].readyAt : null;
+  }
+
+  /**
+   * Delayed entries that are not due yet
+   */
+  delayedCount(now = Date.now()) {
+    return this.delayed.filter(entry => entry.readyAt > now).length;
+  }
+
+  delayedIds() {
+    return this.delayed.map(entry => entry.attemptId);
+  }
+}
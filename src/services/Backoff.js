@@ -0,0 +1,74 @@
+/**
+ * Retry backoff with jitter
+ *
+ * Pure exponential backoff makes attempts that failed together retry together.
+ * Jitter spreads them out (see "Exponential Backoff And Jitter", AWS
+ * Architecture Blog):
+ *
+ * - none:         min(cap, base * multiplier^n)
+ * - full:         random(0, exponential)
+ * - equal:        exponential / 2 + random(0, exponential / 2)
+ * - decorrelated: min(cap, random(base, previousDelay * 3))
+ *
+ * A Retry-After hint from the provider raises the delay to at least that
+ * long, but the result never exceeds maxDelayMs.
+ */
+
+export const JitterStrategy = {
+  NONE: 'none',
+  FULL: 'full',
+  EQUAL: 'equal',
+  DECORRELATED: 'decorrelated'
+};
+
+/**
+ * @param {Object} options
+ * @param {number} options.retryIndex - Zero-based index of the retry round that just failed
+ * @param {number} options.previousDelay - Delay used before this round (decorrelated jitter)
+ * @param {number} options.retryAfterMs - Provider's Retry-After hint, if any
+ * @param {number} options.initialDelayMs
+ * @param {number} options.maxDelayMs
+ * @param {number} options.backoffMultiplier
+ * @param {string} options.jitter - One of JitterStrategy
+ * @param {Function} random - Source of randomness in [0, 1)
+ * @returns {number} Delay in milliseconds
+ */
+export function computeBackoffDelay(options, random = Math.random) {
+  const {
+    retryIndex,
+    previousDelay,
+    retryAfterMs,
+    initialDelayMs,
+    maxDelayMs,
+    backoffMultiplier,
+    jitter = JitterStrategy.NONE
+  } = options;
+
+  const exponential = Math.min(initialDelayMs * Math.pow(backoffMultiplier, retryIndex), maxDelayMs);
+  let delay;
+
+  switch (jitter) {
+    case JitterStrategy.NONE:
+      delay = exponential;
+      break;
+    case JitterStrategy.FULL:
+      delay = random() * exponential;
+      break;
+    case JitterStrategy.EQUAL:
+      delay = exponential / 2 + random() * (exponential / 2);
+      break;
+    case JitterStrategy.DECORRELATED: {
+      const upper = Math.max(initialDelayMs, (previousDelay || initialDelayMs) * 3);
+      delay = initialDelayMs + random() * (upper - initialDelayMs);
+      break;
+    }
+    default:
+      throw new Error(`Unknown jitter strategy: ${jitter}`);
+  }
+
+  if (retryAfterMs !== undefined) {
+    delay = Math.max(delay, retryAfterMs);
+  }
+
+  return Math.round(Math.min(delay, maxDelayMs));
+}
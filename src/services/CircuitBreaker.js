@@ -0,0 +1,197 @@
+/**
+ * Per-provider circuit breaker
+ *
+ * CLOSED lets every request through and watches for failures. It trips to
+ * OPEN either after `failureThreshold` consecutive failures or, with the
+ * failure_rate strategy, once the failure rate over a sliding window reaches
+ * `failureRateThreshold` (given at least `minimumRequests` in the window).
+ *
+ * OPEN rejects requests for `resetTimeMs`, then moves to HALF_OPEN. HALF_OPEN
+ * admits at most `halfOpenProbes` requests at a time; `successThreshold`
+ * successful probes close the breaker and any failed probe opens it again.
+ */
+
+export const CircuitState = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half_open'
+};
+
+export const CircuitTripStrategy = {
+  CONSECUTIVE: 'consecutive',
+  FAILURE_RATE: 'failure_rate'
+};
+
+export const DEFAULT_CIRCUIT_OPTIONS = {
+  strategy: CircuitTripStrategy.CONSECUTIVE,
+  failureThreshold: 5,
+  resetTimeMs: 60000,
+  halfOpenProbes: 1,
+  successThreshold: 1,
+  windowMs: 60000,
+  failureRateThreshold: 0.5,
+  minimumRequests: 10
+};
+
+export class CircuitBreaker {
+  /**
+   * @param {Object} options - Overrides for DEFAULT_CIRCUIT_OPTIONS
+   * @param {Function} onStateChange - Called with `{ from, to, reason, at }`
+   */
+  constructor(options = {}, onStateChange = () => {}) {
+    this.options = { ...DEFAULT_CIRCUIT_OPTIONS, ...options };
+
+    if (!Object.values(CircuitTripStrategy).includes(this.options.strategy)) {
+      throw new Error(`Unknown circuit breaker strategy: ${this.options.strategy}`);
+    }
+
+    this.onStateChange = onStateChange;
+    this.state = CircuitState.CLOSED;
+    this.consecutiveFailures = 0;
+    this.outcomes = [];
+    this.openedAt = undefined;
+    this.probesInFlight = 0;
+    this.probeSuccesses = 0;
+    this.lastFailureTime = undefined;
+  }
+
+  /**
+   * Ask to send a request. In HALF_OPEN a granted request takes a probe slot,
+   * so every granted request must be followed by recordSuccess,
+   * recordFailure or release.
+   */
+  allowRequest() {
+    if (this.state === CircuitState.OPEN) {
+      if (Date.now() < this.openedAt.getTime() + this.options.resetTimeMs) {
+        return false;
+      }
+      this.transition(CircuitState.HALF_OPEN, 'reset timeout elapsed');
+    }
+
+    if (this.state === CircuitState.HALF_OPEN) {
+      if (this.probesInFlight >= this.options.halfOpenProbes) {
+        return false;
+      }
+      this.probesInFlight++;
+    }
+
+    return true;
+  }
+
+  recordSuccess() {
+    if (this.state === CircuitState.HALF_OPEN) {
+      this.probesInFlight = Math.max(0, this.probesInFlight - 1);
+      this.probeSuccesses++;
+      if (this.probeSuccesses >= this.options.successThreshold) {
+        this.transition(CircuitState.CLOSED, `${this.probeSuccesses} successful probes`);
+      }
+      return;
+    }
+
+    this.consecutiveFailures = 0;
+    this.recordOutcome(true);
+  }
+
+  recordFailure() {
+    this.lastFailureTime = new Date();
+
+    if (this.state === CircuitState.HALF_OPEN) {
+      this.transition(CircuitState.OPEN, 'probe failed');
+      return;
+    }
+
+    if (this.state === CircuitState.OPEN) return;
+
+    this.consecutiveFailures++;
+    this.recordOutcome(false);
+
+    const reason = this.tripReason();
+    if (reason) {
+      this.transition(CircuitState.OPEN, reason);
+    }
+  }
+
+  /**
+   * Give back a probe slot for a request that says nothing about provider
+   * health (e.g. it was throttled, or the email itself was refused)
+   */
+  release() {
+    if (this.state === CircuitState.HALF_OPEN) {
+      this.probesInFlight = Math.max(0, this.probesInFlight - 1);
+    }
+  }
+
+  tripReason() {
+    if (this.options.strategy === CircuitTripStrategy.FAILURE_RATE) {
+      const { total, failureRate } = this.windowStats();
+      if (total >= this.options.minimumRequests && failureRate >= this.options.failureRateThreshold) {
+        return `failure rate ${Math.round(failureRate * 100)}% over ${total} requests`;
+      }
+      return null;
+    }
+
+    if (this.consecutiveFailures >= this.options.failureThreshold) {
+      return `${this.consecutiveFailures} consecutive failures`;
+    }
+    return null;
+  }
+
+  recordOutcome(success) {
+    this.outcomes.push({ at: Date.now(), success });
+    this.pruneOutcomes();
+  }
+
+  pruneOutcomes() {
+    const cutoff = Date.now() - this.options.windowMs;
+    while (this.outcomes.length > 0 && this.outcomes[0].at <= cutoff) {
+      this.outcomes.shift();
+    }
+  }
+
+  windowStats() {
+    this.pruneOutcomes();
+    const total = this.outcomes.length;
+    const failures = this.outcomes.filter(outcome => !outcome.success).length;
+    return { total, failures, failureRate: total > 0 ? failures / total : 0 };
+  }
+
+  transition(to, reason) {
+    const from = this.state;
+    if (from === to) return;
+
+    this.state = to;
+    this.probesInFlight = 0;
+    this.probeSuccesses = 0;
+
+    if (to === CircuitState.OPEN) {
+      this.openedAt = new Date();
+    } else if (to === CircuitState.CLOSED) {
+      this.openedAt = undefined;
+      this.consecutiveFailures = 0;
+      this.outcomes = [];
+    }
+
+    this.onStateChange({ from, to, reason, at: new Date() });
+  }
+
+  /**
+   * Plain-object view for status APIs; `isOpen` and `failureCount` keep the
+   * shape the dashboard has always read
+   */
+  snapshot() {
+    const { total, failureRate } = this.windowStats();
+    return {
+      state: this.state,
+      isOpen: this.state === CircuitState.OPEN,
+      failureCount: this.consecutiveFailures,
+      lastFailureTime: this.lastFailureTime,
+      halfOpenRetryTime: this.openedAt
+        ? new Date(this.openedAt.getTime() + this.options.resetTimeMs)
+        : undefined,
+      probesInFlight: this.probesInFlight,
+      probeSuccesses: this.probeSuccesses,
+      windowRequests: total,
+      failureRate
+    };
+  }
+}
@@ -0,0 +1,719 @@
+/**
+ * Command-line interface for Node
+ *
+ *   email-service send --to user@example.com --subject Hi --body "Hello"
+ *   email-service send --file welcome.eml
+ *   email-service send --to user@example.com --template welcome --data '{"name":"Jane"}'
+ *   email-service send --to user@example.com --subject Hi --html welcome.html --attach terms.pdf
+ *   email-service status <id>
+ *   email-service list --status failed
+ *   email-service retry <id>
+ *   email-service providers
+ *   email-service templates
+ *   email-service logs --level error --follow
+ *
+ * Every command runs its own EmailService built from the configuration file
+ * (see ServiceFactory.js). Set `storageFile` there so that commands, and the
+ * API server, see the same attempts (FileStorageAdapter merges each process's
+ * changes into the file under a lock), and `logFile` for `logs`. The CLI
+ * restores attempts without resuming them: `send` and `retry` deliver only
+ * their own email, and wait until it has been sent, failed or cancelled. The
+ * API server reads storage only at startup, so nothing else would deliver an
+ * email the CLI left waiting: one still waiting when `--timeout` runs out is
+ * cancelled, and `--send-at` is refused.
+ *
+ * Output is a human-readable table, or JSON with `--json`. The exit code is
+ * 0 on success, 1 when the email failed or was refused and 2 for usage
+ * errors.
+ */
+
+import { parseArgs } from 'util';
+import { promises as fs } from 'fs';
+import path from 'path';
+import { createEmailService, loadConfig } from './ServiceFactory.js';
+import { serializeAttempt } from './ApiServer.js';
+import { EmailStatus, LogLevel, RateLimitExceededError, QueueFullError } from './EmailService.js';
+import { parseAddress, parseAddressList, formatAddress, formatAddressList } from './Recipients.js';
+
+export const DEFAULT_CONFIG_FILE = 'email-service.config.json';
+
+const DEFAULT_WAIT_MS = 60000;
+const FOLLOW_POLL_MS = 500;
+
+// Nothing more will happen to these, here or in any other process
+const FINAL_STATUSES = [EmailStatus.SENT, EmailStatus.FAILED, EmailStatus.CANCELLED];
+
+const LOG_LEVELS = Object.values(LogLevel);
+
+export class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UsageError';
+  }
+}
+
+/**
+ * Pad each column to its widest cell
+ *
+ * @param {Object[]} rows
+ * @param {Object[]} columns - `{ header, value: row => string }`
+ */
+export function formatTable(rows, columns) {
+  const cells = rows.map(row => columns.map(column => String(column.value(row) ?? '')));
+  const widths = columns.map((column, index) =>
+    Math.max(column.header.length, ...cells.map(line => line[index].length)));
+  const render = line => line.map((cell, index) => cell.padEnd(widths[index])).join('  ').trimEnd();
+
+  return [render(columns.map(column => column.header)), ...cells.map(render)].join('\n');
+}
+
+function formatDetails(pairs) {
+  const present = pairs.filter(([, value]) => value !== undefined && value !== null && value !== '');
+  const width = Math.max(...present.map(([label]) => label.length));
+  return present.map(([label, value]) => `${label.padEnd(width)}  ${value}`).join('\n');
+}
+
+function formatTime(value) {
+  return value ? new Date(value).toISOString().replace('T', ' ').replace(/\.\d+Z$/, 'Z') : '';
+}
+
+/**
+ * Read a plain-text RFC 5322 message: headers (with folded lines), a blank
+ * line, then the body
+ *
+ * @returns {Object} `{ to, cc, bcc, replyTo, from, subject, body }`; the
+ *   recipient lists keep display names
+ */
+export function parseEml(source) {
+  const text = source.replace(/\r\n/g, '\n');
+  const split = text.indexOf('\n\n');
+  const head = split === -1 ? text : text.slice(0, split);
+  const body = split === -1 ? '' : text.slice(split + 2);
+
+  const headers = {};
+  let current = null;
+  head.split('\n').forEach(line => {
+    if (/^[ \t]/.test(line) && current) {
+      headers[current] += ` ${line.trim()}`;
+      return;
+    }
+    const colon = line.indexOf(':');
+    if (colon > 0) {
+      current = line.slice(0, colon).trim().toLowerCase();
+      headers[current] = line.slice(colon + 1).trim();
+    }
+  });
+
+  const list = value => parseAddressList(value).map(formatAddress);
+  const email = { to: list(headers.to), subject: headers.subject || '', body: body.replace(/\n$/, '') };
+  if (headers.cc) email.cc = list(headers.cc);
+  if (headers.bcc) email.bcc = list(headers.bcc);
+  if (headers['reply-to']) email.replyTo = formatAddress(parseAddress(headers['reply-to']));
+  if (headers.from) email.from = parseAddress(headers.from).address;
+  return email;
+}
+
+async function readEmailFile(filePath) {
+  const source = await fs.readFile(filePath, 'utf8');
+  if (path.extname(filePath).toLowerCase() === '.eml') {
+    return { email: parseEml(source), options: {} };
+  }
+
+  let data;
+  try {
+    data = JSON.parse(source);
+  } catch (error) {
+    throw new UsageError(`Invalid JSON in ${filePath}: ${error.message}`);
+  }
+  const { priority, sendAt, idempotencyKey, ...email } = data;
+  return { email, options: { priority, sendAt, idempotencyKey } };
+}
+
+function parseCount(value, flag) {
+  const count = Number(value);
+  if (!Number.isInteger(count) || count < 0) {
+    throw new UsageError(`${flag} must be a whole number: ${value}`);
+  }
+  return count;
+}
+
+/**
+ * Resolve once the attempt is sent, failed or cancelled. After `timeoutMs`
+ * or on `signal` a waiting attempt is cancelled; one in the middle of a send
+ * gets to finish that send first.
+ *
+ * @returns {Promise<Object>} `{ attempt, cancelled }`, where `cancelled` says
+ *   the wait ran out and the attempt was cancelled here
+ */
+function waitForFinal(emailService, attemptId, timeoutMs, signal) {
+  return new Promise(resolve => {
+    let givenUp = false;
+    let cancelling = false;
+    let cancelled = false;
+    const cancelIfWaiting = () => {
+      cancelling = false;
+      const { status } = emailService.getAttempt(attemptId);
+      if (FINAL_STATUSES.includes(status) || status === EmailStatus.SENDING) return;
+      cancelled = true;
+      emailService.cancelAttempt(attemptId);
+    };
+    const check = () => {
+      const attempt = emailService.getAttempt(attemptId);
+      if (FINAL_STATUSES.includes(attempt.status)) {
+        finish(attempt);
+      } else if (givenUp && attempt.status !== EmailStatus.SENDING && !cancelling) {
+        // Updates are announced before the attempt is back on the queue, so
+        // cancel once the service has finished with it
+        cancelling = true;
+        setTimeout(cancelIfWaiting, 0);
+      }
+    };
+    const onUpdate = attempt => {
+      if (attempt.id === attemptId) check();
+    };
+    const giveUp = () => {
+      givenUp = true;
+      check();
+    };
+    const timer = setTimeout(giveUp, timeoutMs);
+    function finish(attempt) {
+      clearTimeout(timer);
+      signal.removeEventListener('abort', giveUp);
+      emailService.off('attemptUpdated', onUpdate);
+      resolve({ attempt, cancelled });
+    }
+
+    emailService.on('attemptUpdated', onUpdate);
+    signal.addEventListener('abort', giveUp, { once: true });
+    if (signal.aborted) giveUp();
+    else check();
+  });
+}
+
+/**
+ * Wait for the outcome of a send or retry, print it and return the exit code
+ */
+async function reportOutcome(context, emailService, attemptId) {
+  const { attempt, cancelled } = await waitForFinal(emailService, attemptId, context.waitMs, context.io.signal);
+  if (cancelled) {
+    context.io.error(`Not sent within ${context.waitMs}ms, so it was cancelled; run "email-service retry ${attemptId}" to try again`);
+  }
+  printAttempt(context.io, attempt, context);
+  return exitCodeFor(attempt);
+}
+
+function describeAttempt(attempt) {
+  return formatDetails([
+    ['ID', attempt.id],
+    ['Status', attempt.status],
+    ['To', formatAddressList(attempt.email.to)],
+    ['Cc', formatAddressList(attempt.email.cc)],
+    ['Bcc', formatAddressList(attempt.email.bcc)],
+    ['Reply-To', attempt.email.replyTo],
+    ['Subject', attempt.email.subject],
+    ['Template', attempt.template && `${attempt.template.name} v${attempt.template.version}`],
+    ['Attachments', (attempt.email.attachments || []).map(attachment => attachment.filename || attachment.cid).join(', ')],
+    ['Priority', attempt.priority],
+    ['Attempts', `${attempt.attempts}/${attempt.maxAttempts}`],
+    ['Provider', attempt.provider],
+    ['Message ID', attempt.messageId],
+    ['Next attempt', formatTime(attempt.nextAttemptAt || attempt.sendAt)],
+    ['Error', attempt.status === EmailStatus.SENT ? undefined : attempt.error],
+    ['Created', formatTime(attempt.createdAt)],
+    ['Updated', formatTime(attempt.updatedAt)],
+    ['Trace ID', attempt.trace && attempt.trace.traceId]
+  ]);
+}
+
+function describeHistory(history = []) {
+  return formatTable(history, [
+    { header: 'TIME', value: entry => formatTime(entry.timestamp) },
+    { header: 'EVENT', value: entry => entry.type },
+    {
+      header: 'DETAIL',
+      value: entry => Object.entries(entry)
+        .filter(([key]) => key !== 'type' && key !== 'timestamp')
+        .map(([key, value]) => `${key}=${value instanceof Date ? formatTime(value) : value}`)
+        .join(' ')
+    }
+  ]);
+}
+
+function describeRecipients(recipients) {
+  return formatTable(recipients, [
+    { header: 'RECIPIENT', value: recipient => formatAddress(recipient) },
+    { header: 'FIELD', value: recipient => recipient.field },
+    { header: 'STATUS', value: recipient => recipient.status },
+    { header: 'ERROR', value: recipient => recipient.error }
+  ]);
+}
+
+function exitCodeFor(attempt) {
+  return attempt.status === EmailStatus.FAILED || attempt.status === EmailStatus.CANCELLED ? 1 : 0;
+}
+
+function printAttempt(io, attempt, { json, history = false }) {
+  if (json) {
+    io.print(JSON.stringify(serializeAttempt(attempt), null, 2));
+    return;
+  }
+  io.print(describeAttempt(attempt));
+  // Single-recipient emails say it all in the Status line
+  if (attempt.recipients && attempt.recipients.length > 1) {
+    io.print('');
+    io.print(describeRecipients(attempt.recipients));
+  }
+  if (history) {
+    io.print('');
+    io.print(describeHistory(attempt.history));
+  }
+}
+
+async function readFlagFile(io, file, encoding) {
+  try {
+    return await fs.readFile(path.resolve(io.cwd, file), encoding);
+  } catch (error) {
+    throw new UsageError(`Cannot read ${file}: ${error.message}`);
+  }
+}
+
+async function sendCommand(context) {
+  const { values, io } = context;
+  let email = {};
+  let options = {};
+  if (values.file) {
+    ({ email, options } = await readEmailFile(path.resolve(io.cwd, values.file)));
+  }
+
+  // Flags override the file; --to, --cc and --bcc may repeat
+  ['to', 'cc', 'bcc', 'from', 'subject', 'body'].forEach(field => {
+    if (values[field] !== undefined) email[field] = values[field];
+  });
+  if (values['reply-to'] !== undefined) email.replyTo = values['reply-to'];
+  if (values.html !== undefined) {
+    email.html = await readFlagFile(io, values.html, 'utf8');
+  }
+  if (values.attach !== undefined) {
+    const files = await Promise.all(values.attach.map(async file => ({
+      filename: path.basename(file),
+      content: await readFlagFile(io, file, 'base64')
+    })));
+    email.attachments = [...(email.attachments || []), ...files];
+  }
+  if (values.priority !== undefined) options.priority = values.priority;
+  if (values['send-at'] !== undefined) options.sendAt = values['send-at'];
+  if (options.sendAt !== undefined) {
+    throw new UsageError('--send-at is not supported: the CLI exits before the send time and nothing else '
+      + 'would send the email. Schedule it with POST /emails on the API server instead');
+  }
+  if (values['idempotency-key'] !== undefined) options.idempotencyKey = values['idempotency-key'];
+  if (values.template !== undefined) email.template = values.template;
+  if (values['template-version'] !== undefined) {
+    email.templateVersion = parseCount(values['template-version'], '--template-version');
+  }
+  if (values.data !== undefined) {
+    try {
+      email.data = JSON.parse(values.data);
+    } catch (error) {
+      throw new UsageError(`Invalid JSON in --data: ${error.message}`);
+    }
+  }
+
+  // A template supplies the content; an HTML email gets its text part from the HTML
+  let required = ['to', 'subject', 'body'];
+  if (email.template !== undefined) required = ['to'];
+  else if (email.html) required = ['to', 'subject'];
+  const missing = required.filter(field =>
+    (field === 'to' ? parseAddressList(email.to).length === 0 : !email[field]));
+  if (missing.length > 0) {
+    throw new UsageError(`Missing ${missing.join(', ')}: pass --${missing[0]} or --file`);
+  }
+
+  return context.withService(async emailService => {
+    let result;
+    try {
+      result = await emailService.sendEmailWithResult(email, options);
+    } catch (error) {
+      if (error instanceof RateLimitExceededError || error instanceof QueueFullError) {
+        io.error(error.message);
+        return 1;
+      }
+      // Invalid priority, unknown templates and the like
+      throw new UsageError(error.message);
+    }
+
+    // A duplicate belongs to whichever process created it, so report it as it stands
+    if (result.duplicate) {
+      io.error(`Duplicate of ${result.attemptId} (${result.status})`);
+      const existing = emailService.getAttempt(result.attemptId);
+      printAttempt(io, existing, context);
+      return exitCodeFor(existing);
+    }
+
+    return reportOutcome(context, emailService, result.attemptId);
+  });
+}
+
+function requireId(context) {
+  const [id] = context.positionals;
+  if (!id) {
+    throw new UsageError(`${context.command} needs an attempt ID`);
+  }
+  return id;
+}
+
+function requireAttempt(emailService, id) {
+  const attempt = emailService.getAttempt(id);
+  if (!attempt) {
+    throw new Error(`Attempt not found: ${id}`);
+  }
+  return attempt;
+}
+
+async function statusCommand(context) {
+  const id = requireId(context);
+  return context.withService(async emailService => {
+    printAttempt(context.io, requireAttempt(emailService, id), { json: context.json, history: true });
+    return 0;
+  });
+}
+
+async function listCommand(context) {
+  const { values, io } = context;
+  if (values.status !== undefined && !Object.values(EmailStatus).includes(values.status)) {
+    throw new UsageError(`Unknown status: ${values.status} (expected ${Object.values(EmailStatus).join(', ')})`);
+  }
+  const limit = values.limit === undefined ? Infinity : parseCount(values.limit, '--limit');
+
+  return context.withService(async emailService => {
+    const attempts = emailService.getAllAttempts()
+      .filter(attempt => values.status === undefined || attempt.status === values.status)
+      .slice(0, limit);
+
+    if (context.json) {
+      io.print(JSON.stringify(attempts.map(serializeAttempt), null, 2));
+      return 0;
+    }
+    if (attempts.length === 0) {
+      io.print('No emails found');
+      return 0;
+    }
+    io.print(formatTable(attempts, [
+      { header: 'ID', value: attempt => attempt.id },
+      { header: 'STATUS', value: attempt => attempt.status },
+      { header: 'TO', value: attempt => formatAddressList(attempt.email.to) },
+      { header: 'SUBJECT', value: attempt => attempt.email.subject },
+      { header: 'PROVIDER', value: attempt => attempt.provider },
+      { header: 'TRIES', value: attempt => `${attempt.attempts}/${attempt.maxAttempts}` },
+      { header: 'UPDATED', value: attempt => formatTime(attempt.updatedAt) }
+    ]));
+    return 0;
+  });
+}
+
+async function retryCommand(context) {
+  const id = requireId(context);
+  return context.withService(async emailService => {
+    requireAttempt(emailService, id);
+    emailService.retryAttempt(id);
+    return reportOutcome(context, emailService, id);
+  });
+}
+
+async function providersCommand(context) {
+  return context.withService(async emailService => {
+    // Breaker state lives in memory, so delivery counts come from stored attempts
+    const attempts = emailService.getAllAttempts();
+    const providers = emailService.getProviderStatus().map(provider => ({
+      name: provider.name,
+      status: provider.status,
+      circuit: provider.circuitBreaker.state,
+      sent: attempts.filter(attempt => attempt.status === EmailStatus.SENT && attempt.provider === provider.name).length,
+      failedTries: attempts.reduce((count, attempt) => count + (attempt.tries || [])
+        .filter(entry => entry.provider === provider.name && entry.error).length, 0)
+    }));
+
+    if (context.json) {
+      context.io.print(JSON.stringify(providers, null, 2));
+      return 0;
+    }
+    context.io.print(formatTable(providers, [
+      { header: 'NAME', value: provider => provider.name },
+      { header: 'STATUS', value: provider => provider.status },
+      { header: 'CIRCUIT', value: provider => provider.circuit },
+      { header: 'SENT', value: provider => provider.sent },
+      { header: 'FAILED TRIES', value: provider => provider.failedTries }
+    ]));
+    return 0;
+  });
+}
+
+async function templatesCommand(context) {
+  return context.withService(async emailService => {
+    const templates = emailService.getTemplates();
+    if (context.json) {
+      context.io.print(JSON.stringify(templates, null, 2));
+      return 0;
+    }
+    if (templates.length === 0) {
+      context.io.print('No templates registered');
+      return 0;
+    }
+    context.io.print(formatTable(templates, [
+      { header: 'NAME', value: template => template.name },
+      { header: 'VERSION', value: template => template.version },
+      { header: 'VERSIONS', value: template => template.versions.join(', ') }
+    ]));
+    return 0;
+  });
+}
+
+function formatLogEntry(entry) {
+  const correlation = [entry.attemptId, entry.provider].filter(Boolean).join(' ');
+  const { attemptId, provider, ...data } = entry.data || {};
+  const fields = Object.keys(data).length > 0 ? ` ${JSON.stringify(data)}` : '';
+  return `${formatTime(entry.timestamp)} ${entry.level.padEnd(5)} ${entry.message}${correlation ? ` [${correlation}]` : ''}${fields}`;
+}
+
+async function logsCommand(context) {
+  const { values, io, config } = context;
+  if (!config.logFile) {
+    throw new UsageError('logs needs a logFile in the configuration');
+  }
+  const level = values.level === undefined ? undefined : values.level.toUpperCase();
+  if (level !== undefined && !LOG_LEVELS.includes(level)) {
+    throw new UsageError(`Unknown log level: ${values.level} (expected ${LOG_LEVELS.join(', ').toLowerCase()})`);
+  }
+  const lines = values.lines === undefined ? 50 : parseCount(values.lines, '--lines');
+
+  const matches = entry => (!level || LOG_LEVELS.indexOf(entry.level) >= LOG_LEVELS.indexOf(level))
+    && (!values.attempt || entry.attemptId === values.attempt);
+  const print = entry => io.print(context.json ? JSON.stringify(entry) : formatLogEntry(entry));
+  const parse = line => {
+    try {
+      return JSON.parse(line);
+    } catch {
+      return null; // A line cut off mid-write
+    }
+  };
+
+  const logPath = path.resolve(io.cwd, config.logFile);
+  let contents = '';
+  try {
+    contents = await fs.readFile(logPath, 'utf8');
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+  let offset = Buffer.byteLength(contents);
+  let partial = contents.endsWith('\n') ? '' : contents.slice(contents.lastIndexOf('\n') + 1);
+
+  const entries = contents.split('\n').slice(0, partial ? -1 : undefined).map(parse).filter(Boolean).filter(matches);
+  entries.slice(entries.length - Math.min(lines, entries.length)).forEach(print);
+
+  if (!values.follow) return 0;
+
+  // Poll rather than watch: fs.watch is unreliable across platforms
+  while (!io.signal.aborted) {
+    await new Promise(resolve => {
+      const timer = setTimeout(resolve, FOLLOW_POLL_MS);
+      io.signal.addEventListener('abort', () => {
+        clearTimeout(timer);
+        resolve();
+      }, { once: true });
+    });
+
+    const stats = await fs.stat(logPath).catch(() => null);
+    if (!stats) continue;
+    if (stats.size < offset) {
+      offset = 0; // Truncated or rotated
+      partial = '';
+    }
+    if (stats.size === offset) continue;
+
+    const handle = await fs.open(logPath, 'r');
+    try {
+      const buffer = Buffer.alloc(stats.size - offset);
+      await handle.read(buffer, 0, buffer.length, offset);
+      offset = stats.size;
+      const chunk = partial + buffer.toString('utf8');
+      const complete = chunk.split('\n');
+      partial = complete.pop();
+      complete.map(parse).filter(entry => entry && matches(entry)).forEach(print);
+    } finally {
+      await handle.close();
+    }
+  }
+  return 0;
+}
+
+const WAIT_OPTION = { timeout: { type: 'string' } };
+
+const COMMANDS = {
+  send: {
+    summary: 'Send an email and wait for the outcome',
+    usage: 'send (--to <address> --subject <text> --body <text> | --file <email.json|email.eml>)\n'
+      + '       [--cc <address>] [--bcc <address>] [--reply-to <address>] [--from <address>]\n'
+      + '       [--html <file.html>] [--attach <file>]\n'
+      + '       [--template <name> [--template-version <n>] [--data <json>]]\n'
+      + '       [--priority high|normal|low] [--idempotency-key <key>] [--timeout <ms>]\n'
+      + '       --to, --cc and --bcc repeat, or take a comma-separated list; --attach repeats',
+    options: {
+      to: { type: 'string', multiple: true },
+      cc: { type: 'string', multiple: true },
+      bcc: { type: 'string', multiple: true },
+      'reply-to': { type: 'string' },
+      from: { type: 'string' },
+      subject: { type: 'string' },
+      body: { type: 'string' },
+      html: { type: 'string' },
+      attach: { type: 'string', multiple: true },
+      template: { type: 'string' },
+      'template-version': { type: 'string' },
+      data: { type: 'string' },
+      file: { type: 'string' },
+      priority: { type: 'string' },
+      'send-at': { type: 'string' },
+      'idempotency-key': { type: 'string' },
+      ...WAIT_OPTION
+    },
+    run: sendCommand
+  },
+  status: { summary: 'Show an email and its delivery timeline', usage: 'status <id>', options: {}, run: statusCommand },
+  list: {
+    summary: 'List emails, newest first',
+    usage: 'list [--status <status>] [--limit <n>]',
+    options: { status: { type: 'string' }, limit: { type: 'string' } },
+    run: listCommand
+  },
+  retry: {
+    summary: 'Requeue a failed, cancelled or rate-limited email and wait for the outcome',
+    usage: 'retry <id> [--timeout <ms>]',
+    options: { ...WAIT_OPTION },
+    run: retryCommand
+  },
+  providers: { summary: 'Show provider health and delivery counts', usage: 'providers', options: {}, run: providersCommand },
+  templates: { summary: 'List registered templates and their versions', usage: 'templates', options: {}, run: templatesCommand },
+  logs: {
+    summary: 'Show the log file, optionally following it',
+    usage: 'logs [--level debug|info|warn|error] [--attempt <id>] [--lines <n>] [--follow]',
+    options: {
+      level: { type: 'string' },
+      attempt: { type: 'string' },
+      lines: { type: 'string' },
+      follow: { type: 'boolean', short: 'f' }
+    },
+    run: logsCommand
+  }
+};
+
+const GLOBAL_OPTIONS = {
+  config: { type: 'string', short: 'c' },
+  json: { type: 'boolean' },
+  help: { type: 'boolean', short: 'h' }
+};
+
+export function usage() {
+  const width = Math.max(...Object.keys(COMMANDS).map(name => name.length));
+  return [
+    'Usage: email-service <command> [options]',
+    '',
+    'Commands:',
+    ...Object.entries(COMMANDS).map(([name, command]) => `  ${name.padEnd(width)}  ${command.summary}`),
+    '',
+    'Options:',
+    `  -c, --config <file>  Configuration file (default: $EMAIL_SERVICE_CONFIG or ./${DEFAULT_CONFIG_FILE})`,
+    '      --json           Print JSON instead of tables',
+    '  -h, --help           Show help for a command'
+  ].join('\n');
+}
+
+async function resolveConfig(configFlag, io) {
+  const explicit = configFlag || io.env.EMAIL_SERVICE_CONFIG;
+  const configPath = path.resolve(io.cwd, explicit || DEFAULT_CONFIG_FILE);
+  try {
+    const config = await loadConfig(configPath);
+    // Paths in the file are relative to the file
+    const base = path.dirname(configPath);
+    ['storageFile', 'logFile'].forEach(key => {
+      if (config[key]) config[key] = path.resolve(base, config[key]);
+    });
+    return config;
+  } catch (error) {
+    if (error.code === 'ENOENT' && !explicit) return {};
+    throw error;
+  }
+}
+
+/**
+ * @param {string[]} argv - Arguments after the program name
+ * @param {Object} io - `stdout` and `stderr` streams, `cwd`, `env` and an
+ *   AbortSignal `signal` that stops waiting for a send and ends
+ *   `logs --follow`
+ * @returns {Promise<number>} Exit code
+ */
+export async function runCli(argv, io = {}) {
+  const streams = {
+    cwd: io.cwd || process.cwd(),
+    env: io.env || process.env,
+    signal: io.signal || new AbortController().signal,
+    print: text => (io.stdout || process.stdout).write(`${text}\n`),
+    error: text => (io.stderr || process.stderr).write(`${text}\n`)
+  };
+
+  const [commandName, ...rest] = argv;
+  if (commandName === undefined || commandName === '--help' || commandName === '-h') {
+    streams.print(usage());
+    return 0;
+  }
+  const command = COMMANDS[commandName];
+  if (!command) {
+    streams.error(`Unknown command: ${commandName}\n\n${usage()}`);
+    return 2;
+  }
+
+  try {
+    let parsed;
+    try {
+      parsed = parseArgs({ args: rest, options: { ...GLOBAL_OPTIONS, ...command.options }, allowPositionals: true });
+    } catch (error) {
+      throw new UsageError(error.message);
+    }
+    const { values, positionals } = parsed;
+    if (values.help) {
+      streams.print(`Usage: email-service ${command.usage}`);
+      return 0;
+    }
+
+    const config = await resolveConfig(values.config, streams);
+    const context = {
+      command: commandName,
+      values,
+      positionals,
+      config,
+      io: streams,
+      json: Boolean(values.json),
+      waitMs: values.timeout === undefined ? DEFAULT_WAIT_MS : parseCount(values.timeout, '--timeout'),
+      async withService(run) {
+        const emailService = createEmailService(config, { logSinks: [], resume: false });
+        await emailService.ready;
+        try {
+          return await run(emailService);
+        } finally {
+          emailService.stop();
+          await emailService.logger.flush();
+          if (typeof emailService.storage.flush === 'function') {
+            await emailService.storage.flush();
+          }
+        }
+      }
+    };
+    return await command.run(context);
+  } catch (error) {
+    if (error instanceof UsageError) {
+      streams.error(`${error.message}\n\nUsage: email-service ${command.usage}`);
+      return 2;
+    }
+    streams.error(error.message);
+    return 1;
+  }
+}
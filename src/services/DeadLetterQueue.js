@@ -0,0 +1,81 @@
+/**
+ * Dead-letter store for attempts that ended FAILED
+ *
+ * Each entry is a snapshot of the attempt at the moment it gave up, including
+ * every provider try (provider, timestamp, error and the backoff that
+ * followed), so failures can be inspected and replayed after the fact.
+ */
+
+/**
+ * @param {Object} attempt - The attempt that just failed
+ * @returns {Object} Dead-letter entry keyed by attemptId
+ */
+export function createDeadLetter(attempt) {
+  return {
+    attemptId: attempt.id,
+    email: attempt.email,
+    priority: attempt.priority,
+    failureReason: attempt.failureReason,
+    error: attempt.error,
+    attempts: attempt.attempts,
+    tries: (attempt.tries || []).map(entry => ({ ...entry })),
+    createdAt: attempt.createdAt,
+    deadAt: new Date()
+  };
+}
+
+export class DeadLetterQueue {
+  constructor() {
+    this.entries = new Map();
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  add(entry) {
+    this.entries.set(entry.attemptId, entry);
+  }
+
+  get(attemptId) {
+    return this.entries.get(attemptId) || null;
+  }
+
+  has(attemptId) {
+    return this.entries.has(attemptId);
+  }
+
+  remove(attemptId) {
+    return this.entries.delete(attemptId);
+  }
+
+  /**
+   * @param {Object} filter
+   * @param {string} filter.failureReason - ErrorCategory the attempt failed with
+   * @param {string} filter.provider - Only entries that tried this provider
+   * @returns {Object[]} Matching entries, most recent first
+   */
+  list({ failureReason, provider } = {}) {
+    return Array.from(this.entries.values())
+      .filter(entry => !failureReason || entry.failureReason === failureReason)
+      .filter(entry => !provider || entry.tries.some(record => record.provider === provider))
+      .sort((a, b) => b.deadAt.getTime() - a.deadAt.getTime());
+  }
+
+  /**
+   * Dead letters per failure reason and per provider, for summaries
+   */
+  summarize() {
+    const byReason = {};
+    const byProvider = {};
+
+    this.entries.forEach(entry => {
+      byReason[entry.failureReason] = (byReason[entry.failureReason] || 0) + 1;
+      new Set(entry.tries.map(record => record.provider)).forEach(provider => {
+        byProvider[provider] = (byProvider[provider] || 0) + 1;
+      });
+    });
+
+    return { total: this.entries.size, byReason, byProvider };
+  }
+}
@@ -0,0 +1,146 @@
+/**
+ * Per-recipient-domain throttling
+ *
+ * Mailbox providers such as gmail.com throttle senders per domain, so a batch
+ * to one domain must not go out as fast as the queue drains. A rule like
+ * `{ perMinute: 60, maxConcurrent: 2 }` caps the send rate to a domain (token
+ * buckets, same windows as RateLimiter) and the number of sends to it in
+ * flight at once. Counters are kept for every domain seen, throttled or not.
+ *
+ * An email to several domains (across to, cc and bcc) needs a slot on each
+ * of them, and takes them all or none.
+ */
+
+import { RateLimiter } from './RateLimiter.js';
+import { listRecipients, parseAddressList } from './Recipients.js';
+
+export const DomainHoldReason = {
+  RATE_LIMIT: 'domain_rate_limit',
+  CONCURRENCY: 'domain_concurrency'
+};
+
+// How long an email waits before checking again for a free concurrency slot
+export const DOMAIN_CONCURRENCY_RETRY_MS = 250;
+
+function domainOf(address) {
+  const match = /@([^\s<>,;@]+)$/.exec(address);
+  return match ? match[1].toLowerCase() : null;
+}
+
+/**
+ * Domain of the first address in a recipient field, lower-cased; accepts
+ * any form Recipients.parseAddressList takes
+ * @returns {string|null}
+ */
+export function recipientDomain(to) {
+  const [first] = parseAddressList(to);
+  return first ? domainOf(first.address) : null;
+}
+
+/**
+ * Every distinct domain the email goes to, in to, cc, bcc order
+ * @returns {string[]}
+ */
+export function recipientDomains(email) {
+  return [...new Set(listRecipients(email).map(recipient => domainOf(recipient.address)).filter(Boolean))];
+}
+
+function domainList(domains) {
+  return [...new Set((Array.isArray(domains) ? domains : [domains]).filter(Boolean))];
+}
+
+export class DomainThrottle {
+  /**
+   * @param {Object} rules - Keyed by domain; each rule takes RateLimiter
+   *   windows plus an optional `maxConcurrent`
+   */
+  constructor(rules = {}) {
+    this.rules = new Map();
+    this.counters = new Map();
+
+    Object.entries(rules).forEach(([domain, rule = {}]) => {
+      const { maxConcurrent = null, ...limits } = rule;
+      if (maxConcurrent !== null && !(Number.isInteger(maxConcurrent) && maxConcurrent > 0)) {
+        throw new Error(`Invalid maxConcurrent for ${domain}: ${maxConcurrent}`);
+      }
+      this.rules.set(domain.toLowerCase(), { maxConcurrent, limiter: new RateLimiter(limits) });
+    });
+  }
+
+  counter(domain) {
+    if (!this.counters.has(domain)) {
+      this.counters.set(domain, { inFlight: 0, admitted: 0, delayed: 0 });
+    }
+    return this.counters.get(domain);
+  }
+
+  hold(domain) {
+    const rule = this.rules.get(domain);
+    if (!rule) return null;
+    if (rule.maxConcurrent !== null && this.counter(domain).inFlight >= rule.maxConcurrent) {
+      return { reason: DomainHoldReason.CONCURRENCY, waitMs: DOMAIN_CONCURRENCY_RETRY_MS, domain };
+    }
+    const waitMs = rule.limiter.msUntilAvailable();
+    return waitMs > 0 ? { reason: DomainHoldReason.RATE_LIMIT, waitMs, domain } : null;
+  }
+
+  /**
+   * Claim a send slot on every domain, or on none. An admitted send must be
+   * followed by release() with the same domains once it finishes.
+   * @param {string|string[]} domains
+   * @returns {Object|null} null when admitted, otherwise `{ reason, waitMs, domain }`
+   *   for the first domain that holds the send
+   */
+  acquire(domains) {
+    const list = domainList(domains);
+    for (const domain of list) {
+      const hold = this.hold(domain);
+      if (hold) {
+        this.counter(domain).delayed++;
+        return hold;
+      }
+    }
+
+    list.forEach(domain => {
+      const rule = this.rules.get(domain);
+      if (rule) rule.limiter.tryTake();
+      const counter = this.counter(domain);
+      counter.inFlight++;
+      counter.admitted++;
+    });
+    return null;
+  }
+
+  release(domains) {
+    domainList(domains).forEach(domain => {
+      const counter = this.counters.get(domain);
+      if (counter) {
+        counter.inFlight = Math.max(0, counter.inFlight - 1);
+      }
+    });
+  }
+
+  /**
+   * Counters and remaining quota for every configured or seen domain
+   */
+  status() {
+    const domains = [...new Set([...this.rules.keys(), ...this.counters.keys()])].sort();
+
+    return domains.map(domain => {
+      const rule = this.rules.get(domain);
+      const { inFlight, admitted, delayed } = this.counters.get(domain) || { inFlight: 0, admitted: 0, delayed: 0 };
+      const { remaining, limits } = rule ? rule.limiter.status() : { remaining: null, limits: [] };
+
+      return {
+        domain,
+        throttled: Boolean(rule),
+        inFlight,
+        maxConcurrent: rule ? rule.maxConcurrent : null,
+        admitted,
+        delayed,
+        remaining,
+        limits
+      };
+    });
+  }
+}
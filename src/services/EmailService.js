@@ -2,73 +2,144 @@
  * Resilient Email Service Implementation
  * 
  * Features:
- * - Retry logic with exponential backoff
+ * - Retry logic with exponential backoff, jitter and Retry-After support
  * - Fallback mechanism between providers
+ * - Routing strategies: priority, weighted round-robin, least latency, rules
  * - Idempotency to prevent duplicate sends
- * - Rate limiting
+ * - Token-bucket rate limiting, global and per provider
+ * - Reject or defer when rate limited, with queue depth backpressure
+ * - Per-recipient-domain rate and concurrency throttling
  * - Status tracking
- * - Circuit breaker pattern
- * - Simple logging
- * - Basic queue system
+ * - Per-provider send counts, error rates and latency percentiles
+ * - OpenMetrics export for Prometheus scraping
+ * - Circuit breaker with half-open probing and failure-rate tripping
+ * - Structured logging with levels, sinks and per-attempt correlation
+ * - Tracing spans per send, delivery round and provider call
+ * - Queue with a concurrent worker pool and non-blocking retries
+ * - Priority lanes and scheduled send times
+ * - Cancel, retry and bulk requeue of individual attempts
+ * - Dead-letter queue with per-try history and replay
+ * - Per-attempt delivery timeline
+ * - Pluggable persistence with rehydration on startup
+ * - Error classification so permanent failures stop retrying
+ * - Versioned templates with partials, rendered before queueing, and mail merge
  */
 
+import { InMemoryStorageAdapter } from './StorageAdapters.js';
+import { ErrorCategory, TransientError, PermanentError, classifyError } from './ProviderErrors.js';
+import { JitterStrategy, computeBackoffDelay } from './Backoff.js';
+import { AttemptQueue, EmailPriority } from './AttemptQueue.js';
+import { DeadLetterQueue, createDeadLetter } from './DeadLetterQueue.js';
+import { CircuitBreaker, CircuitState, CircuitTripStrategy } from './CircuitBreaker.js';
+import { RateLimiter } from './RateLimiter.js';
+import { DomainThrottle, recipientDomains } from './DomainThrottle.js';
+import { DedupeMode, dedupeKey } from './Idempotency.js';
+import { RecipientStatus, listRecipients } from './Recipients.js';
+import { buildMimeMessage, normalizeAttachment } from './MimeBuilder.js';
+import { TemplateRegistry } from './Templates.js';
+import { ProviderRouter, RoutingStrategy } from './ProviderRouter.js';
+import { ProviderMetrics, LATENCY_BUCKETS_MS } from './ProviderMetrics.js';
+import { MetricsRegistry } from './MetricsRegistry.js';
+import { Logger, LogLevel } from './Logger.js';
+import { NoopTracer, SpanStatus, TRACEPARENT_HEADER, formatTraceparent } from './Tracing.js';
+
+export { JitterStrategy } from './Backoff.js';
+export { RoutingStrategy } from './ProviderRouter.js';
+export { Logger, LogLevel } from './Logger.js';
+export { Tracer, NoopTracer, InMemorySpanExporter, SpanStatus } from './Tracing.js';
+export { EmailPriority } from './AttemptQueue.js';
+export { CircuitState, CircuitTripStrategy } from './CircuitBreaker.js';
+export { DedupeMode } from './Idempotency.js';
+export { RecipientField, RecipientStatus } from './Recipients.js';
+
+export {
+  ErrorCategory,
+  ProviderError,
+  TransientError,
+  PermanentError,
+  RateLimitedError
+} from './ProviderErrors.js';
+
 export const EmailStatus = {
   PENDING: 'pending',
+  SCHEDULED: 'scheduled',
   QUEUED: 'queued',
   SENDING: 'sending',
   SENT: 'sent',
   FAILED: 'failed',
+  CANCELLED: 'cancelled',
   RATE_LIMITED: 'rate_limited'
 };
 
-export const ProviderStatus = {
-  HEALTHY: 'healthy',
-  DEGRADED: 'degraded',
-  FAILED: 'failed'
+// Entry types in an attempt's `history` timeline
+export const HistoryEvent = {
+  QUEUED: 'queued',
+  SCHEDULED: 'scheduled',
+  RATE_LIMITED: 'rate_limited',
+  RESUMED: 'resumed',
+  PROVIDER_TRIED: 'provider_tried',
+  PROVIDER_THROTTLED: 'provider_throttled',
+  PROVIDER_FAILED: 'provider_failed',
+  BREAKER_SKIPPED: 'breaker_skipped',
+  BACKOFF: 'backoff',
+  SENT: 'sent',
+  RECIPIENTS_REJECTED: 'recipients_rejected',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled',
+  REQUEUED: 'requeued'
 };
 
-export class Logger {
-  constructor() {
-    this.logs = [];
-  }
-
-  info(message, data) {
-    this.log('INFO', message, data);
-  }
-
-  warn(message, data) {
-    this.log('WARN', message, data);
-  }
-
-  error(message, data) {
-    this.log('ERROR', message, data);
-  }
+export const RateLimitPolicy = {
+  REJECT: 'reject',
+  DEFER: 'defer'
+};
 
-  log(level, message, data) {
-    const entry = { timestamp: new Date(), level, message, data };
-    this.logs.push(entry);
-    console.log(`[${level}] ${message}`, data || '');
-    
-    // Keep only last 100 logs
-    if (this.logs.length > 100) {
-      this.logs.shift();
-    }
+/**
+ * Thrown by sendEmail when the global rate limit is hit under the reject policy
+ */
+export class RateLimitExceededError extends Error {
+  constructor(message, { retryAfterMs } = {}) {
+    super(message);
+    this.name = 'RateLimitExceededError';
+    this.retryAfterMs = retryAfterMs;
   }
+}
 
-  getLogs() {
-    return [...this.logs];
+/**
+ * Thrown by sendEmail when the email or its options are invalid, before
+ * anything is queued
+ */
+export class InvalidEmailError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'InvalidEmailError';
   }
+}
 
-  clearLogs() {
-    this.logs = [];
+/**
+ * Thrown by sendEmail while the queue is at maxQueueDepth
+ */
+export class QueueFullError extends Error {
+  constructor(message, { queueLength, maxQueueDepth } = {}) {
+    super(message);
+    this.name = 'QueueFullError';
+    this.queueLength = queueLength;
+    this.maxQueueDepth = maxQueueDepth;
   }
 }
 
+export const ProviderStatus = {
+  HEALTHY: 'healthy',
+  DEGRADED: 'degraded',
+  FAILED: 'failed'
+};
+
 export class MockEmailProvider {
   constructor(name, failureRate = 0.2, latencyMs = 1000) {
     this.name = name;
     this.failureRate = failureRate;
     this.latencyMs = latencyMs;
+    this.rejectedAddresses = new Set();
   }
 
   async sendEmail(email) {
@@ -77,12 +148,24 @@ export class MockEmailProvider {
 
     // Simulate random failures
     if (Math.random() < this.failureRate) {
-      throw new Error(`${this.name} provider failure: Network timeout`);
+      throw new TransientError(`${this.name} provider failure: Network timeout`, { provider: this.name });
+    }
+
+    const recipients = listRecipients(email);
+    const rejected = recipients
+      .filter(recipient => this.rejectedAddresses.has(recipient.address.toLowerCase()))
+      .map(recipient => ({ address: recipient.address, error: 'Mailbox unavailable' }));
+    if (recipients.length > 0 && rejected.length === recipients.length) {
+      throw new PermanentError(`${this.name} rejected every recipient`, {
+        provider: this.name,
+        category: ErrorCategory.REJECTED
+      });
     }
 
     return {
       success: true,
-      messageId: `${this.name}-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`
+      messageId: `${this.name}-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+      ...(rejected.length > 0 ? { rejected } : {})
     };
   }
 
@@ -94,60 +177,314 @@ export class MockEmailProvider {
   setLatency(ms) {
     this.latencyMs = ms;
   }
+
+  // Refuse these addresses while accepting the rest of the email
+  setRejectedRecipients(addresses) {
+    this.rejectedAddresses = new Set(addresses.map(address => address.toLowerCase()));
+  }
 }
 
+export const DEFAULT_CONFIG = {
+  maxRetries: 3,
+  initialDelayMs: 1000,
+  maxDelayMs: 10000,
+  backoffMultiplier: 2,
+  jitter: JitterStrategy.NONE,
+  circuitBreakerStrategy: CircuitTripStrategy.CONSECUTIVE,
+  circuitBreakerThreshold: 5,
+  circuitBreakerResetTime: 60000,
+  circuitBreakerHalfOpenProbes: 1,
+  circuitBreakerSuccessThreshold: 1,
+  circuitBreakerWindowMs: 60000,
+  circuitBreakerFailureRate: 0.5,
+  circuitBreakerMinimumRequests: 10,
+  rateLimitPerMinute: 100,
+  rateLimit: null,
+  providerRateLimits: {},
+  rateLimitPolicy: RateLimitPolicy.REJECT,
+  maxQueueDepth: null,
+  domainThrottles: {},
+  routingStrategy: RoutingStrategy.PRIORITY,
+  providerWeights: {},
+  routingRules: [],
+  metricsWindowsMs: [60000, 300000, 900000],
+  metricsSliceMs: 15000,
+  logLevel: LogLevel.INFO,
+  logBufferSize: 100,
+  dedupeMode: DedupeMode.EXACT,
+  idempotencyTtlMs: 300000,
+  strictTemplates: false,
+  concurrency: 1
+};
+
+// Statuses that still have work to do after a reload or restart
+const RESUMABLE_STATUSES = [EmailStatus.SCHEDULED, EmailStatus.QUEUED, EmailStatus.SENDING];
+
+// Backpressure clears once the queue drains below this share of maxQueueDepth
+const BACKPRESSURE_RELEASE_RATIO = 0.8;
+
+// Statuses that can still be withdrawn before a provider sees them
+const CANCELLABLE_STATUSES = [EmailStatus.SCHEDULED, EmailStatus.QUEUED, EmailStatus.RATE_LIMITED];
+
+// Statuses that ended without delivery and can be put back on the queue
+const REQUEUEABLE_STATUSES = [EmailStatus.FAILED, EmailStatus.CANCELLED, EmailStatus.RATE_LIMITED];
+
 export class EmailService {
-  constructor(
-    providers,
-    config = {
-      maxRetries: 3,
-      initialDelayMs: 1000,
-      maxDelayMs: 10000,
-      backoffMultiplier: 2,
-      circuitBreakerThreshold: 5,
-      circuitBreakerResetTime: 60000,
-      rateLimitPerMinute: 100
-    }
-  ) {
+  /**
+   * @param {Array} providers - Providers in priority order; the routing
+   *   strategy decides the order each attempt tries them in
+   * @param {Object} config - Overrides for DEFAULT_CONFIG
+   * @param {Object} options - Collaborators: `storage` (a storage adapter,
+   *   defaults to InMemoryStorageAdapter), `logSinks` (defaults to the
+   *   console), `tracer` (defaults to a NoopTracer) and `templates` (a
+   *   TemplateRegistry, to share one between services). `resume: false`
+   *   restores stored attempts without sending the unfinished ones, for
+   *   short-lived tools that share storage with a long-running service.
+   */
+  constructor(providers, config = {}, options = {}) {
     this.providers = providers;
-    this.config = config;
+    this.config = { ...DEFAULT_CONFIG, ...config };
+    this.storage = options.storage || new InMemoryStorageAdapter();
+    this.resumeOnRestore = options.resume !== false;
     this.attempts = new Map();
+    this.idempotencyIndex = new Map();
     this.circuitBreakers = new Map();
-    this.queue = [];
-    this.processingQueue = false;
-    this.logger = new Logger();
+    this.queue = new AttemptQueue();
+    this.deadLetters = new DeadLetterQueue();
+    this.activeWorkers = 0;
+    this.wakeUpTimer = null;
+    this.backpressure = false;
+    this.logger = new Logger({
+      level: this.config.logLevel,
+      bufferSize: this.config.logBufferSize,
+      sinks: options.logSinks
+    });
+    this.tracer = options.tracer || new NoopTracer();
+    this.templates = options.templates || new TemplateRegistry({ strict: this.config.strictTemplates });
     this.eventListeners = new Map();
     
-    this.rateLimitState = {
-      count: 0,
-      resetTime: new Date(Date.now() + 60000)
-    };
+    // Global limit on accepted emails; `rateLimit` windows replace the per-minute shorthand
+    this.rateLimiter = new RateLimiter(this.config.rateLimit || { perMinute: this.config.rateLimitPerMinute });
+    this.providerRateLimiters = new Map();
+    this.domainThrottle = new DomainThrottle(this.config.domainThrottles);
+    this.metrics = new ProviderMetrics({
+      windowsMs: this.config.metricsWindowsMs,
+      sliceMs: this.config.metricsSliceMs
+    });
+    this.registry = new MetricsRegistry();
+    this.instruments = this.registerMetrics();
+    this.countedStatuses = new WeakMap();
 
     // Initialize circuit breakers
     providers.forEach(provider => {
-      this.circuitBreakers.set(provider.name, {
-        isOpen: false,
-        failureCount: 0
-      });
+      this.circuitBreakers.set(provider.name, this.createCircuitBreaker(provider.name));
+      this.providerRateLimiters.set(provider.name, new RateLimiter(this.config.providerRateLimits[provider.name]));
+      this.metrics.register(provider.name);
+    });
+
+    if (!Object.values(RateLimitPolicy).includes(this.config.rateLimitPolicy)) {
+      throw new Error(`Unknown rate limit policy: ${this.config.rateLimitPolicy}`);
+    }
+    if (!Object.values(DedupeMode).includes(this.config.dedupeMode)) {
+      throw new Error(`Unknown dedupe mode: ${this.config.dedupeMode}`);
+    }
+
+    this.router = new ProviderRouter();
+    this.configureRouting(this.config.routingStrategy, {
+      weights: this.config.providerWeights,
+      rules: this.config.routingRules
     });
 
     this.logger.info('EmailService initialized', { 
       providers: providers.map(p => p.name),
       config: this.config 
     });
+
+    // Resolves once persisted state has been loaded and interrupted work resumed
+    this.ready = this.restore();
+  }
+
+  /**
+   * Rehydrate attempts, queue, idempotency keys and dead letters from storage and resume
+   * attempts that were left QUEUED or SENDING by a reload or restart
+   */
+  async restore() {
+    try {
+      const [storedAttempts, storedQueue, idempotencyKeys, deadLetters] = await Promise.all([
+        this.storage.listAttempts(),
+        this.storage.listQueue(),
+        this.storage.listIdempotencyKeys(),
+        this.storage.listDeadLetters()
+      ]);
+
+      // Attempts created while storage was loading are live and take precedence
+      const restored = storedAttempts.filter(attempt => !this.attempts.has(attempt.id));
+      restored.forEach(attempt => this.attempts.set(attempt.id, attempt));
+
+      idempotencyKeys.forEach(entry => {
+        if (!this.idempotencyIndex.has(entry.key)) {
+          this.idempotencyIndex.set(entry.key, entry);
+        }
+      });
+
+      const restoredIds = new Set(restored.map(attempt => attempt.id));
+
+      deadLetters
+        .filter(entry => restoredIds.has(entry.attemptId) && !this.deadLetters.has(entry.attemptId))
+        .forEach(entry => this.deadLetters.add(entry));
+      const interrupted = restored
+        .filter(attempt => RESUMABLE_STATUSES.includes(attempt.status))
+        .map(attempt => attempt.id);
+      const pendingIds = this.resumeOnRestore ? [...new Set([...storedQueue, ...interrupted])] : [];
+
+      let resumed = 0;
+      for (const attemptId of pendingIds) {
+        if (!restoredIds.has(attemptId) || this.queue.includes(attemptId)) continue;
+
+        const attempt = this.attempts.get(attemptId);
+        // RATE_LIMITED attempts are only waiting if they were deferred onto the queue
+        const deferred = attempt.status === EmailStatus.RATE_LIMITED && storedQueue.includes(attemptId);
+        if (!RESUMABLE_STATUSES.includes(attempt.status) && !deferred) {
+          this.persist(this.storage.dequeue(attemptId), 'dequeue', attemptId);
+          continue;
+        }
+
+        // A SENDING attempt was cut off mid-delivery; send it again from the queue
+        if (attempt.status === EmailStatus.SENDING) {
+          attempt.status = EmailStatus.QUEUED;
+          attempt.updatedAt = new Date();
+        }
+        this.recordHistory(attempt, HistoryEvent.RESUMED);
+        this.saveAttempt(attempt);
+        this.enqueue(attempt);
+        resumed++;
+      }
+
+      if (restored.length > 0) {
+        this.logger.info('State restored from storage', { attempts: restored.length, resumed });
+      }
+
+      if (resumed > 0) {
+        this.processQueue();
+      }
+    } catch (error) {
+      this.logger.error('Failed to restore state from storage', { error: error.message });
+    }
   }
 
   /**
    * Send an email with full resilience features
+   *
+   * @param {Object} email - `{ to, cc, bcc, replyTo, from, subject, body }`,
+   *   optionally `html` and `attachments` (see MimeBuilder.js). With
+   *   `template` (and `templateVersion`, `data`) the registered template
+   *   supplies subject, html and body instead.
+   * @param {Object} options
+   * @param {string} options.priority - EmailPriority lane (default: normal)
+   * @param {Date|number|string} options.sendAt - Hold the email until this time
+   * @param {string} options.idempotencyKey - Deduplicate on this key for
+   *   idempotencyTtlMs, whatever the dedupe mode
+   * @returns {Promise<string>} Attempt ID; for a duplicate, the original's
+   * @throws {QueueFullError} While the queue is at maxQueueDepth
+   * @throws {RateLimitExceededError} When rate limited under the reject policy
    */
-  async sendEmail(email) {
+  async sendEmail(email, options = {}) {
+    const { attemptId } = await this.sendEmailWithResult(email, options);
+    return attemptId;
+  }
+
+  /**
+   * sendEmail, but also says whether the email was a duplicate and what
+   * status its attempt has
+   *
+   * @returns {Promise<Object>} `{ attemptId, status, duplicate }`
+   */
+  async sendEmailWithResult(email, options = {}) {
+    const span = this.tracer.startSpan('email.send', {
+      attributes: { 'email.priority': options.priority || EmailPriority.NORMAL }
+    });
+    try {
+      const result = await this.submitEmail(email, options, span);
+      span.setAttribute('email.attempt_id', result.attemptId).setStatus(SpanStatus.OK);
+      return result;
+    } catch (error) {
+      span.recordException(error);
+      throw error;
+    } finally {
+      span.end();
+    }
+  }
+
+  /**
+   * Validate, deduplicate and admit an email; the body of sendEmail, run
+   * inside its `email.send` span
+   *
+   * @returns {Promise<Object>} `{ attemptId, status, duplicate }`
+   */
+  async submitEmail(email, options, span) {
+    const { priority = EmailPriority.NORMAL, sendAt, idempotencyKey } = options;
+
+    if (!Object.values(EmailPriority).includes(priority)) {
+      throw new InvalidEmailError(`Unknown priority: ${priority}`);
+    }
+
+    const sendAtDate = sendAt !== undefined && sendAt !== null ? new Date(sendAt) : undefined;
+    if (sendAtDate && Number.isNaN(sendAtDate.getTime())) {
+      throw new InvalidEmailError(`Invalid sendAt: ${sendAt}`);
+    }
+
+    if (idempotencyKey !== undefined && !(typeof idempotencyKey === 'string' && idempotencyKey.length > 0)) {
+      throw new InvalidEmailError(`Invalid idempotencyKey: ${idempotencyKey}`);
+    }
+
+    // Rendered once: retries and replays send the same content
+    let template;
+    if (email.template !== undefined) {
+      ({ email, template } = this.renderEmailTemplate(email));
+      span.setAttributes({ 'email.template': template.name, 'email.template_version': template.version });
+    }
+
+    if (email.html !== undefined && typeof email.html !== 'string') {
+      throw new InvalidEmailError('html must be a string');
+    }
+    if (email.attachments !== undefined) {
+      if (!Array.isArray(email.attachments)) {
+        throw new InvalidEmailError('attachments must be an array');
+      }
+      try {
+        email.attachments.forEach(normalizeAttachment);
+      } catch (error) {
+        throw new InvalidEmailError(error.message);
+      }
+    }
+    // Providers encode the same content (text part, headers, attachments), so
+    // anything that cannot be encoded fails here once rather than on every try
+    try {
+      buildMimeMessage(email);
+    } catch (error) {
+      throw new InvalidEmailError(`Email cannot be encoded: ${error.message}`);
+    }
+
     const attemptId = this.generateId();
     
-    // Check for idempotency (simplified - in production use email hash + timestamp)
-    const existingAttempt = this.findExistingAttempt(email);
+    const existingAttempt = this.findExistingAttempt(email, idempotencyKey);
     if (existingAttempt) {
-      this.logger.warn('Duplicate email detected', { attemptId, existingId: existingAttempt.id });
-      return existingAttempt.id;
+      const { id, status } = existingAttempt;
+      span.setAttributes({ 'email.duplicate': true, 'email.status': status });
+      this.logger.warn('Duplicate email detected', { attemptId, existingId: id, status });
+      this.emit('duplicateDetected', { attemptId: id, status, idempotencyKey });
+      return { attemptId: id, status, duplicate: true };
+    }
+
+    // Backpressure: refuse new work rather than grow the queue without bound
+    const { maxQueueDepth } = this.config;
+    if (maxQueueDepth !== null && this.queue.length >= maxQueueDepth) {
+      this.updateBackpressure();
+      this.logger.warn('Queue full, rejecting email', { queueLength: this.queue.length, maxQueueDepth });
+      throw new QueueFullError('Queue is full. Please try again later.', {
+        queueLength: this.queue.length,
+        maxQueueDepth
+      });
     }
 
     // Create attempt record
@@ -157,221 +494,682 @@ export class EmailService {
       status: EmailStatus.PENDING,
       attempts: 0,
       maxAttempts: this.config.maxRetries,
+      priority,
+      sendAt: sendAtDate,
+      template,
+      recipients: listRecipients(email).map(recipient => ({ ...recipient, status: RecipientStatus.PENDING })),
+      // Later delivery rounds join this trace
+      trace: span.context(),
+      history: [],
       createdAt: new Date(),
       updatedAt: new Date()
     };
 
-    this.attempts.set(attemptId, attempt);
+    this.saveAttempt(attempt);
+    this.rememberIdempotencyKey(email, attemptId, idempotencyKey);
     this.emit('attemptCreated', attempt);
 
     // Check rate limiting
-    if (!this.checkRateLimit()) {
+    if (!this.rateLimiter.tryTake()) {
+      const retryAfterMs = this.rateLimiter.msUntilAvailable();
       attempt.status = EmailStatus.RATE_LIMITED;
       attempt.error = 'Rate limit exceeded';
-      this.attempts.set(attemptId, attempt);
+
+      if (this.config.rateLimitPolicy === RateLimitPolicy.DEFER) {
+        // Wait on the queue for a token; promoteDueAttempts moves it back to QUEUED
+        const readyAt = Math.max(Date.now() + retryAfterMs, sendAtDate ? sendAtDate.getTime() : 0);
+        attempt.nextAttemptAt = new Date(readyAt);
+        this.recordHistory(attempt, HistoryEvent.RATE_LIMITED, { until: attempt.nextAttemptAt });
+        this.saveAttempt(attempt);
+        this.enqueue(attempt);
+        this.emit('attemptUpdated', attempt);
+        span.setAttribute('email.status', attempt.status);
+        this.logger.warn('Rate limit exceeded, email deferred', { attemptId, until: attempt.nextAttemptAt });
+        this.processQueue();
+        return { attemptId, status: attempt.status, duplicate: false };
+      }
+
+      this.recordHistory(attempt, HistoryEvent.RATE_LIMITED);
+      this.saveAttempt(attempt);
       this.emit('attemptUpdated', attempt);
       this.logger.warn('Rate limit exceeded', { attemptId });
-      throw new Error('Rate limit exceeded. Please try again later.');
+      throw new RateLimitExceededError('Rate limit exceeded. Please try again later.', { retryAfterMs });
     }
 
-    // Add to queue
-    this.queue.push(attemptId);
-    attempt.status = EmailStatus.QUEUED;
-    this.attempts.set(attemptId, attempt);
+    // Add to queue; future sends wait in the delayed lane until due
+    const scheduled = sendAtDate && sendAtDate.getTime() > Date.now();
+    attempt.status = scheduled ? EmailStatus.SCHEDULED : EmailStatus.QUEUED;
+    attempt.nextAttemptAt = scheduled ? sendAtDate : undefined;
+    this.recordHistory(attempt, scheduled ? HistoryEvent.SCHEDULED : HistoryEvent.QUEUED,
+      scheduled ? { sendAt: sendAtDate, priority } : { priority });
+    this.saveAttempt(attempt);
+    this.enqueue(attempt);
     this.emit('attemptUpdated', attempt);
+    span.setAttribute('email.status', attempt.status);
 
-    this.logger.info('Email queued for sending', { attemptId, to: email.to });
+    if (scheduled) {
+      this.logger.info('Email scheduled for sending', { attemptId, to: email.to, priority, sendAt: sendAtDate });
+    } else {
+      this.logger.info('Email queued for sending', { attemptId, to: email.to, priority });
+    }
     
     // Process queue
     this.processQueue();
 
-    return attemptId;
+    return { attemptId, status: attempt.status, duplicate: false };
   }
 
   /**
-   * Process the email queue
+   * Fill free worker slots with attempts that are ready to send. Attempts
+   * waiting out a backoff stay on the queue until their nextAttemptAt.
    */
-  async processQueue() {
-    if (this.processingQueue) return;
-    this.processingQueue = true;
+  processQueue() {
+    while (this.activeWorkers < this.config.concurrency) {
+      const attempt = this.takeReadyAttempt();
+      if (!attempt) break;
+      if (!this.admitToDomain(attempt)) continue;
+      this.runWorker(attempt);
+    }
+
+    this.scheduleWakeUp();
+  }
 
-    while (this.queue.length > 0) {
-      const attemptId = this.queue.shift();
+  async runWorker(attempt) {
+    this.activeWorkers++;
+    try {
+      await this.processEmailAttempt(attempt);
+    } catch (error) {
+      this.logger.error('Error processing email attempt', { attemptId: attempt.id, error: error.message });
+    } finally {
+      this.activeWorkers--;
+      this.domainThrottle.release(recipientDomains(attempt.email));
+      this.processQueue();
+    }
+  }
+
+  /**
+   * Claim a slot under the throttle of every recipient domain, or put the
+   * attempt back to wait for them without spending a retry
+   * @returns {boolean} Whether the attempt may be sent now
+   */
+  admitToDomain(attempt) {
+    const hold = this.domainThrottle.acquire(recipientDomains(attempt.email));
+    if (!hold) return true;
+
+    this.logger.info('Recipient domain throttled, delaying email', {
+      attemptId: attempt.id,
+      domain: hold.domain,
+      reason: hold.reason,
+      delay: hold.waitMs
+    });
+    this.deferAttempt(attempt, hold.waitMs, { reason: hold.reason, domain: hold.domain });
+    return false;
+  }
+
+  takeReadyAttempt() {
+    this.promoteDueAttempts();
+
+    let attemptId;
+    while ((attemptId = this.queue.shift()) !== null) {
+      this.persist(this.storage.dequeue(attemptId), 'dequeue', attemptId);
+      this.updateBackpressure();
       const attempt = this.attempts.get(attemptId);
-      
-      if (!attempt) continue;
+      if (attempt) return attempt;
+    }
 
-      try {
-        await this.processEmailAttempt(attempt);
-      } catch (error) {
-        this.logger.error('Error processing email attempt', { attemptId, error: error.message });
+    return null;
+  }
+
+  /**
+   * Scheduled emails stay SCHEDULED until due, then wait as QUEUED. Deferred
+   * RATE_LIMITED emails become QUEUED once they get a rate limit token, and
+   * otherwise go back to waiting for the next one.
+   */
+  promoteDueAttempts() {
+    this.queue.promoteDue().forEach(attemptId => {
+      const attempt = this.attempts.get(attemptId);
+      if (!attempt) return;
+
+      if (attempt.status === EmailStatus.RATE_LIMITED) {
+        if (!this.rateLimiter.tryTake()) {
+          attempt.nextAttemptAt = new Date(Date.now() + this.rateLimiter.msUntilAvailable());
+          this.enqueue(attempt);
+          return;
+        }
+        attempt.error = undefined;
+      } else if (attempt.status !== EmailStatus.SCHEDULED) {
+        return;
       }
+
+      attempt.status = EmailStatus.QUEUED;
+      attempt.nextAttemptAt = undefined;
+      attempt.updatedAt = new Date();
+      this.recordHistory(attempt, HistoryEvent.QUEUED, { priority: attempt.priority });
+      this.saveAttempt(attempt);
+      this.emit('attemptUpdated', attempt);
+    });
+  }
+
+  /**
+   * Signal backpressure when the queue reaches maxQueueDepth and clear it
+   * once it has drained below BACKPRESSURE_RELEASE_RATIO of that depth
+   */
+  updateBackpressure() {
+    const { maxQueueDepth } = this.config;
+    if (maxQueueDepth === null) return;
+
+    const queueLength = this.queue.length;
+    const active = this.backpressure
+      ? queueLength >= maxQueueDepth * BACKPRESSURE_RELEASE_RATIO
+      : queueLength >= maxQueueDepth;
+
+    if (active !== this.backpressure) {
+      this.backpressure = active;
+      this.logger[active ? 'warn' : 'info'](active ? 'Backpressure on' : 'Backpressure off', { queueLength, maxQueueDepth });
+      this.emit('backpressure', { active, queueLength, maxQueueDepth });
+    }
+  }
+
+  /**
+   * Arm a single timer for the earliest delayed attempt so the queue wakes
+   * up when it becomes due
+   */
+  scheduleWakeUp() {
+    if (this.wakeUpTimer) {
+      clearTimeout(this.wakeUpTimer);
+      this.wakeUpTimer = null;
     }
 
-    this.processingQueue = false;
+    const earliest = this.queue.nextReadyAt();
+    if (earliest === null) return;
+
+    this.wakeUpTimer = setTimeout(() => {
+      this.wakeUpTimer = null;
+      this.processQueue();
+    }, Math.max(0, earliest - Date.now()));
+  }
+
+  /**
+   * Stop waking up for delayed attempts so a short-lived process can exit.
+   * They stay queued in storage for the next service that restores them.
+   */
+  stop() {
+    clearTimeout(this.wakeUpTimer);
+    this.wakeUpTimer = null;
   }
 
   /**
-   * Process a single email attempt with retry and fallback logic
+   * Run one delivery round inside an `email.process` span. The span records
+   * how long the attempt waited since it was queued, split into the planned
+   * delay (backoff, schedule or rate limit) and time spent waiting for a
+   * worker once ready.
    */
   async processEmailAttempt(attempt) {
+    const now = Date.now();
+    const waitingSince = attempt.waitingSince ? attempt.waitingSince.getTime() : now;
+    const readyAt = attempt.readyAt ? attempt.readyAt.getTime() : waitingSince;
+    attempt.waitingSince = undefined;
+    attempt.readyAt = undefined;
+
+    const span = this.tracer.startSpan('email.process', {
+      parent: attempt.trace,
+      attributes: {
+        'email.attempt_id': attempt.id,
+        'email.round': attempt.attempts + 1,
+        'email.wait_ms': now - waitingSince,
+        'email.delay_ms': Math.max(0, readyAt - waitingSince),
+        'email.queue_wait_ms': Math.max(0, now - Math.max(readyAt, waitingSince))
+      }
+    });
+    try {
+      await this.deliverRound(attempt, span);
+      span.setAttribute('email.status', attempt.status);
+    } catch (error) {
+      span.recordException(error);
+      throw error;
+    } finally {
+      span.end();
+    }
+  }
+
+  /**
+   * Try each provider once, with fallback. If every provider fails and
+   * retries remain, the attempt goes back on the queue with a nextAttemptAt
+   * instead of blocking the worker.
+   */
+  async deliverRound(attempt, span) {
+    // Retry bookkeeping survives re-queues (and restarts, via storage)
+    const retryState = attempt.retryState || {
+      excludedProviders: [],
+      previousDelay: this.config.initialDelayMs,
+      lastCategory: ErrorCategory.TRANSIENT
+    };
+    attempt.retryState = retryState;
+    attempt.tries = attempt.tries || [];
+    const log = this.logger.child({ attemptId: attempt.id });
+
+    // A dead-letter replay can pin the attempt to a single provider
+    const providers = attempt.routeTo
+      ? this.providers.filter(provider => provider.name === attempt.routeTo)
+      : this.router.order(this.providers, attempt.email);
+
+    const round = attempt.attempts;
     attempt.status = EmailStatus.SENDING;
-    this.attempts.set(attempt.id, attempt);
+    attempt.attempts = round + 1;
+    attempt.nextAttemptAt = undefined;
+    attempt.updatedAt = new Date();
+    this.saveAttempt(attempt);
     this.emit('attemptUpdated', attempt);
 
-    for (let i = 0; i < this.config.maxRetries; i++) {
-      attempt.attempts = i + 1;
-      attempt.updatedAt = new Date();
-      this.attempts.set(attempt.id, attempt);
-      this.emit('attemptUpdated', attempt);
+    let retryAfterMs;
+    let providersTried = 0;
+    let throttledWaitMs;
 
-      // Try each provider
-      for (const provider of this.providers) {
-        if (this.isCircuitBreakerOpen(provider.name)) {
-          this.logger.warn('Circuit breaker open, skipping provider', { 
-            provider: provider.name, 
-            attemptId: attempt.id 
-          });
-          continue;
-        }
+    // Try each provider
+    for (const provider of providers) {
+      if (retryState.excludedProviders.includes(provider.name)) continue;
+      const providerLog = log.child({ provider: provider.name });
 
-        try {
-          this.logger.info('Attempting to send email', { 
-            provider: provider.name, 
-            attempt: i + 1,
-            attemptId: attempt.id 
-          });
+      if (!this.acquireCircuit(provider.name)) {
+        providerLog.warn('Circuit breaker open, skipping provider');
+        span.addEvent('provider.skipped', { 'email.provider': provider.name, reason: 'circuit_open' });
+        this.recordHistory(attempt, HistoryEvent.BREAKER_SKIPPED, { provider: provider.name });
+        continue;
+      }
+
+      // Providers whose own quota is used up are skipped, not failed
+      const providerLimiter = this.providerRateLimiters.get(provider.name);
+      if (providerLimiter && !providerLimiter.tryTake()) {
+        this.releaseCircuit(provider.name);
+        const waitMs = providerLimiter.msUntilAvailable();
+        throttledWaitMs = Math.min(throttledWaitMs ?? waitMs, waitMs);
+        providerLog.warn('Provider rate limit reached, skipping provider', { waitMs });
+        span.addEvent('provider.skipped', { 'email.provider': provider.name, reason: 'rate_limited', waitMs });
+        this.recordHistory(attempt, HistoryEvent.PROVIDER_THROTTLED, { provider: provider.name, waitMs });
+        continue;
+      }
 
-          const result = await provider.sendEmail(attempt.email);
+      providersTried++;
+      const startedAt = Date.now();
+      const providerSpan = this.tracer.startSpan('provider.send', {
+        parent: span,
+        startTime: startedAt,
+        attributes: { 'email.attempt_id': attempt.id, 'email.provider': provider.name, 'email.try': round + 1 }
+      });
+      try {
+        providerLog.info('Attempting to send email', { attempt: round + 1 });
+        this.recordHistory(attempt, HistoryEvent.PROVIDER_TRIED, { provider: provider.name, attempt: round + 1 });
+
+        // Providers forward the headers so their requests join the trace
+        const result = await provider.sendEmail(attempt.email, {
+          headers: { [TRACEPARENT_HEADER]: formatTraceparent(providerSpan.context()) }
+        });
+        const latencyMs = Date.now() - startedAt;
+        this.recordSend(provider.name, latencyMs, result.success);
+        providerSpan.setStatus(result.success ? SpanStatus.OK : SpanStatus.ERROR);
+        providerSpan.end();
+        
+        if (result.success) {
+          attempt.tries.push({ provider: provider.name, timestamp: new Date() });
+
+          // Success!
+          attempt.status = EmailStatus.SENT;
+          attempt.sentAt = new Date();
+          attempt.messageId = result.messageId;
+          attempt.provider = provider.name;
+          this.recordHistory(attempt, HistoryEvent.SENT, { provider: provider.name, messageId: result.messageId });
+          this.settleRecipients(attempt, provider.name, result.rejected, providerLog);
+          this.saveAttempt(attempt);
           
-          if (result.success) {
-            // Success!
-            attempt.status = EmailStatus.SENT;
-            attempt.sentAt = new Date();
-            attempt.messageId = result.messageId;
-            attempt.provider = provider.name;
-            this.attempts.set(attempt.id, attempt);
-            
-            this.recordProviderSuccess(provider.name);
-            this.incrementRateLimit();
-            this.emit('attemptUpdated', attempt);
-            
-            this.logger.info('Email sent successfully', { 
-              attemptId: attempt.id,
-              provider: provider.name,
-              messageId: result.messageId 
-            });
-            
-            return;
-          }
-        } catch (error) {
-          this.logger.error('Provider failed to send email', { 
-            provider: provider.name,
-            attemptId: attempt.id,
-            error: error.message 
-          });
+          this.recordProviderSuccess(provider.name);
+          this.emit('attemptUpdated', attempt);
           
+          providerLog.info('Email sent successfully', { messageId: result.messageId });
+          
+          return;
+        }
+
+        this.releaseCircuit(provider.name);
+      } catch (error) {
+        const failure = classifyError(error);
+        this.recordSend(provider.name, Date.now() - startedAt, false, failure);
+        providerSpan.setAttribute('error.category', failure.category);
+        providerSpan.recordException(error);
+        providerSpan.end();
+        retryState.lastCategory = failure.category;
+        attempt.error = error.message;
+        attempt.tries.push({
+          provider: provider.name,
+          timestamp: new Date(),
+          error: error.message,
+          category: failure.category
+        });
+
+        if (failure.retryAfterMs !== undefined) {
+          retryAfterMs = Math.max(retryAfterMs || 0, failure.retryAfterMs);
+        }
+
+        providerLog.error('Provider failed to send email', { 
+          error: error.message,
+          category: failure.category
+        });
+        this.recordHistory(attempt, HistoryEvent.PROVIDER_FAILED, {
+          provider: provider.name,
+          error: error.message,
+          category: failure.category
+        });
+
+        // Caused by the email itself: no other provider or retry will fix it
+        if (failure.emailFailure) {
+          // The provider is healthy; the email itself was refused
+          this.releaseCircuit(provider.name);
+          this.failAttempt(attempt, failure.category);
+          return;
+        }
+
+        // Being throttled says nothing about provider health
+        if (failure.category === ErrorCategory.RATE_LIMITED) {
+          this.releaseCircuit(provider.name);
+        } else {
           this.recordProviderFailure(provider.name);
-          attempt.error = error.message;
+        }
+
+        if (!failure.transient) {
+          retryState.excludedProviders.push(provider.name);
         }
       }
+    }
 
-      // All providers failed, wait before retry (exponential backoff)
-      if (i < this.config.maxRetries - 1) {
-        const delay = Math.min(
-          this.config.initialDelayMs * Math.pow(this.config.backoffMultiplier, i),
-          this.config.maxDelayMs
-        );
-        
-        this.logger.info('All providers failed, retrying after delay', { 
-          attemptId: attempt.id,
-          delay,
-          attempt: i + 1 
-        });
-        
-        await new Promise(resolve => setTimeout(resolve, delay));
+    if (providersTried === 0 && throttledWaitMs !== undefined) {
+      // No provider had quota left; wait for the first bucket to refill
+      // without spending the retry budget
+      attempt.attempts = round;
+      log.info('All providers rate limited, waiting for quota', { delay: throttledWaitMs });
+      this.deferAttempt(attempt, throttledWaitMs, { reason: 'provider_rate_limit' });
+      return;
+    }
+
+    const providersLeft = providers.length === 0
+      || providers.some(provider => !retryState.excludedProviders.includes(provider.name));
+
+    if (attempt.attempts >= this.config.maxRetries || !providersLeft) {
+      // All retries exhausted, or every provider failed permanently
+      this.failAttempt(attempt, retryState.lastCategory);
+      return;
+    }
+
+    // All providers failed, schedule the retry (exponential backoff)
+    const delay = this.computeRetryDelay(round, retryState.previousDelay, retryAfterMs);
+    retryState.previousDelay = delay;
+
+    // The backoff belongs to the try that ended the round
+    const lastTry = attempt.tries[attempt.tries.length - 1];
+    if (lastTry && !lastTry.delayMs) {
+      lastTry.delayMs = delay;
+    }
+
+    log.info('All providers failed, retrying after delay', { 
+      delay,
+      retryAfterMs,
+      attempt: round + 1 
+    });
+
+    this.deferAttempt(attempt, delay);
+  }
+
+  /**
+   * Feed one provider send into routing latency, rolling metrics and the
+   * exported latency histogram. A refused email (`failure.emailFailure`)
+   * says nothing about the provider, so routing ignores it.
+   */
+  recordSend(providerName, latencyMs, success, failure) {
+    if (success) {
+      this.router.recordLatency(providerName, latencyMs);
+      this.metrics.recordSuccess(providerName, latencyMs);
+    } else {
+      if (!(failure && failure.emailFailure)) {
+        this.router.recordFailure(providerName, latencyMs);
       }
+      this.metrics.recordFailure(providerName, latencyMs);
     }
+    this.instruments.sendDuration.observe(
+      { provider: providerName, outcome: success ? 'success' : 'failure' },
+      latencyMs / 1000
+    );
+  }
 
-    // All retries exhausted
-    attempt.status = EmailStatus.FAILED;
+  /**
+   * Register the exported metrics. Counters the service updates directly are
+   * returned; everything else is read from existing state at render time.
+   */
+  registerMetrics() {
+    const emails = this.registry.counter({
+      name: 'emailservice_emails',
+      help: 'Emails that reached each status',
+      labelNames: ['status']
+    });
+
+    this.registry.counter({
+      name: 'emailservice_provider_attempts',
+      help: 'Sends handed to each provider, by outcome',
+      labelNames: ['provider', 'outcome'],
+      collect: () => this.providers.flatMap(provider => {
+        const { succeeded, failed } = this.metrics.totals(provider.name);
+        return [
+          { labels: { provider: provider.name, outcome: 'success' }, value: succeeded },
+          { labels: { provider: provider.name, outcome: 'failure' }, value: failed }
+        ];
+      })
+    });
+
+    const breakerTrips = this.registry.counter({
+      name: 'emailservice_circuit_breaker_trips',
+      help: 'Times each provider circuit breaker opened',
+      labelNames: ['provider']
+    });
+
+    this.registry.gauge({
+      name: 'emailservice_circuit_breaker_state',
+      help: 'Circuit breaker state per provider, 1 for the current state',
+      labelNames: ['provider', 'state'],
+      collect: () => this.providers.flatMap(provider => {
+        const current = this.circuitBreakers.get(provider.name).state;
+        return Object.values(CircuitState).map(state => ({
+          labels: { provider: provider.name, state },
+          value: state === current ? 1 : 0
+        }));
+      })
+    });
+
+    this.registry.gauge({
+      name: 'emailservice_queue_depth',
+      help: 'Attempts waiting on the queue, ready to send or delayed',
+      labelNames: ['lane'],
+      collect: () => {
+        const delayed = this.queue.delayedCount();
+        return [
+          { labels: { lane: 'ready' }, value: this.queue.length - delayed },
+          { labels: { lane: 'delayed' }, value: delayed }
+        ];
+      }
+    });
+
+    this.registry.gauge({
+      name: 'emailservice_active_workers',
+      help: 'Queue workers currently sending',
+      collect: () => [{ labels: {}, value: this.activeWorkers }]
+    });
+
+    const rateLimitSamples = (field) => () => [
+      ['global', this.rateLimiter],
+      ...[...this.providerRateLimiters.entries()]
+    ].flatMap(([scope, limiter]) => limiter.status().limits.map(limit => ({
+      labels: { scope, window: limit.window },
+      value: limit[field]
+    })));
+
+    this.registry.gauge({
+      name: 'emailservice_rate_limit_remaining',
+      help: 'Tokens left in each rate limit bucket, global or per provider',
+      labelNames: ['scope', 'window'],
+      collect: rateLimitSamples('remaining')
+    });
+
+    this.registry.gauge({
+      name: 'emailservice_rate_limit_capacity',
+      help: 'Size of each rate limit bucket, global or per provider',
+      labelNames: ['scope', 'window'],
+      collect: rateLimitSamples('limit')
+    });
+
+    const sendDuration = this.registry.histogram({
+      name: 'emailservice_send_duration_seconds',
+      help: 'Provider send latency',
+      unit: 'seconds',
+      labelNames: ['provider', 'outcome'],
+      buckets: LATENCY_BUCKETS_MS.map(ms => ms / 1000)
+    });
+
+    return { emails, breakerTrips, sendDuration };
+  }
+
+  /**
+   * Put the attempt back on the queue to run again after `delay` ms
+   */
+  deferAttempt(attempt, delay, details = {}) {
+    attempt.status = EmailStatus.QUEUED;
+    attempt.nextAttemptAt = new Date(Date.now() + delay);
     attempt.updatedAt = new Date();
-    this.attempts.set(attempt.id, attempt);
+    this.recordHistory(attempt, HistoryEvent.BACKOFF, { delayMs: delay, until: attempt.nextAttemptAt, ...details });
+    this.saveAttempt(attempt);
     this.emit('attemptUpdated', attempt);
-    
-    this.logger.error('Email failed after all retries', { attemptId: attempt.id });
+    this.enqueue(attempt);
   }
 
   /**
-   * Check rate limiting
+   * Mark recipients once a provider has accepted the email: those in
+   * `rejected` (`[{ address, error }]`) were refused, the rest were sent.
+   * Callers save the attempt afterwards.
    */
-  checkRateLimit() {
-    const now = new Date();
-    
-    // Reset if time window passed
-    if (now >= this.rateLimitState.resetTime) {
-      this.rateLimitState.count = 0;
-      this.rateLimitState.resetTime = new Date(now.getTime() + 60000);
+  settleRecipients(attempt, providerName, rejected = [], log = this.logger) {
+    const refusals = new Map(rejected.map(entry => [String(entry.address).toLowerCase(), entry.error]));
+    (attempt.recipients || []).forEach(recipient => {
+      const key = recipient.address.toLowerCase();
+      recipient.provider = providerName;
+      recipient.status = refusals.has(key) ? RecipientStatus.REJECTED : RecipientStatus.SENT;
+      recipient.error = refusals.has(key) ? refusals.get(key) || 'Rejected' : undefined;
+    });
+
+    if (rejected.length > 0) {
+      const addresses = rejected.map(entry => entry.address);
+      this.recordHistory(attempt, HistoryEvent.RECIPIENTS_REJECTED, { provider: providerName, recipients: addresses.join(', ') });
+      log.warn('Provider rejected some recipients', { rejected: addresses });
     }
+  }
+
+  failAttempt(attempt, failureReason) {
+    attempt.status = EmailStatus.FAILED;
+    attempt.failureReason = failureReason;
+    (attempt.recipients || [])
+      .filter(recipient => recipient.status === RecipientStatus.PENDING)
+      .forEach(recipient => {
+        recipient.status = RecipientStatus.FAILED;
+        recipient.error = attempt.error;
+      });
+    attempt.updatedAt = new Date();
+    this.recordHistory(attempt, HistoryEvent.FAILED, { failureReason });
+    this.saveAttempt(attempt);
+    this.emit('attemptUpdated', attempt);
+    
+    this.logger.error('Email failed', {
+      attemptId: attempt.id,
+      failureReason,
+      attempts: attempt.attempts
+    });
+
+    const entry = createDeadLetter(attempt);
+    this.deadLetters.add(entry);
+    this.persist(this.storage.saveDeadLetter(entry), 'saveDeadLetter', attempt.id);
+    this.emit('deadLettered', entry);
+  }
 
-    return this.rateLimitState.count < this.config.rateLimitPerMinute;
+  /**
+   * Append an entry to the attempt's delivery timeline. Callers save the
+   * attempt afterwards.
+   */
+  recordHistory(attempt, type, details = {}) {
+    attempt.history = attempt.history || [];
+    attempt.history.push({ type, timestamp: new Date(), ...details });
   }
 
   /**
-   * Increment rate limit counter
+   * Delay before the next retry round: exponential backoff with the
+   * configured jitter, raised to any Retry-After hint and capped at maxDelayMs
    */
-  incrementRateLimit() {
-    this.rateLimitState.count++;
+  computeRetryDelay(retryIndex, previousDelay, retryAfterMs) {
+    return computeBackoffDelay({
+      retryIndex,
+      previousDelay,
+      retryAfterMs,
+      initialDelayMs: this.config.initialDelayMs,
+      maxDelayMs: this.config.maxDelayMs,
+      backoffMultiplier: this.config.backoffMultiplier,
+      jitter: this.config.jitter
+    });
   }
 
   /**
    * Circuit breaker logic
    */
-  isCircuitBreakerOpen(providerName) {
-    const breaker = this.circuitBreakers.get(providerName);
-    if (!breaker) return false;
+  createCircuitBreaker(providerName) {
+    return new CircuitBreaker({
+      strategy: this.config.circuitBreakerStrategy,
+      failureThreshold: this.config.circuitBreakerThreshold,
+      resetTimeMs: this.config.circuitBreakerResetTime,
+      halfOpenProbes: this.config.circuitBreakerHalfOpenProbes,
+      successThreshold: this.config.circuitBreakerSuccessThreshold,
+      windowMs: this.config.circuitBreakerWindowMs,
+      failureRateThreshold: this.config.circuitBreakerFailureRate,
+      minimumRequests: this.config.circuitBreakerMinimumRequests
+    }, change => {
+      const event = { provider: providerName, ...change };
+      const level = change.to === CircuitState.OPEN ? 'warn' : 'info';
+      this.logger[level]('Circuit breaker state changed', event);
+      if (change.to === CircuitState.OPEN) {
+        this.instruments.breakerTrips.inc({ provider: providerName });
+      }
+      this.emit('circuitStateChanged', event);
+    });
+  }
 
-    const now = new Date();
+  /**
+   * Whether a request may go to the provider now. Granted requests must be
+   * followed by recordProviderSuccess, recordProviderFailure or releaseCircuit
+   * so half-open probe slots are returned.
+   */
+  acquireCircuit(providerName) {
+    const breaker = this.circuitBreakers.get(providerName);
+    return breaker ? breaker.allowRequest() : true;
+  }
 
-    // If circuit is open, check if we should attempt half-open
-    if (breaker.isOpen) {
-      if (breaker.halfOpenRetryTime && now >= breaker.halfOpenRetryTime) {
-        breaker.isOpen = false;
-        breaker.halfOpenRetryTime = undefined;
-        this.logger.info('Circuit breaker half-open', { provider: providerName });
-        return false;
-      }
-      return true;
-    }
+  isCircuitBreakerOpen(providerName) {
+    const breaker = this.circuitBreakers.get(providerName);
+    return breaker ? breaker.state === CircuitState.OPEN : false;
+  }
 
-    return false;
+  releaseCircuit(providerName) {
+    const breaker = this.circuitBreakers.get(providerName);
+    if (breaker) breaker.release();
   }
 
   recordProviderSuccess(providerName) {
     const breaker = this.circuitBreakers.get(providerName);
-    if (breaker) {
-      breaker.failureCount = 0;
-      breaker.isOpen = false;
-      breaker.lastFailureTime = undefined;
-      breaker.halfOpenRetryTime = undefined;
-    }
+    if (breaker) breaker.recordSuccess();
   }
 
   recordProviderFailure(providerName) {
     const breaker = this.circuitBreakers.get(providerName);
-    if (!breaker) return;
-
-    breaker.failureCount++;
-    breaker.lastFailureTime = new Date();
-
-    if (breaker.failureCount >= this.config.circuitBreakerThreshold) {
-      breaker.isOpen = true;
-      breaker.halfOpenRetryTime = new Date(Date.now() + this.config.circuitBreakerResetTime);
-      this.logger.warn('Circuit breaker opened', { 
-        provider: providerName,
-        failureCount: breaker.failureCount 
-      });
-    }
+    if (breaker) breaker.recordFailure();
   }
 
   /**
@@ -381,19 +1179,69 @@ export class EmailService {
     return `email_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
   }
 
-  findExistingAttempt(email) {
-    for (const attempt of this.attempts.values()) {
-      if (
-        attempt.email.to === email.to &&
-        attempt.email.subject === email.subject &&
-        attempt.email.body === email.body &&
-        attempt.status !== EmailStatus.FAILED &&
-        Date.now() - attempt.createdAt.getTime() < 300000 // 5 minutes
-      ) {
-        return attempt;
-      }
+  getIdempotencyKey(email, idempotencyKey) {
+    return dedupeKey(email, { mode: this.config.dedupeMode, idempotencyKey });
+  }
+
+  rememberIdempotencyKey(email, attemptId, idempotencyKey) {
+    const key = this.getIdempotencyKey(email, idempotencyKey);
+    if (key === null) return;
+
+    const entry = { key, attemptId, expiresAt: Date.now() + this.config.idempotencyTtlMs };
+    this.idempotencyIndex.set(entry.key, entry);
+    this.persist(this.storage.setIdempotencyKey(entry.key, attemptId, entry.expiresAt), 'setIdempotencyKey', attemptId);
+  }
+
+  findExistingAttempt(email, idempotencyKey) {
+    const key = this.getIdempotencyKey(email, idempotencyKey);
+    if (key === null) return null;
+
+    const entry = this.idempotencyIndex.get(key);
+    if (!entry) return null;
+
+    if (entry.expiresAt <= Date.now()) {
+      this.idempotencyIndex.delete(key);
+      return null;
     }
-    return null;
+
+    const attempt = this.attempts.get(entry.attemptId);
+    if (!attempt || attempt.status === EmailStatus.FAILED || attempt.status === EmailStatus.CANCELLED) return null;
+    return attempt;
+  }
+
+  /**
+   * Persistence helpers - the in-memory Map is the working set and every
+   * change is written through to the storage adapter
+   */
+  saveAttempt(attempt) {
+    // Every status change is saved, so this is where emails are counted by
+    // status: once per status, however often a retry passes through it again
+    const reached = this.countedStatuses.get(attempt) || new Set();
+    if (!reached.has(attempt.status)) {
+      reached.add(attempt.status);
+      this.countedStatuses.set(attempt, reached);
+      this.instruments.emails.inc({ status: attempt.status });
+    }
+    this.attempts.set(attempt.id, attempt);
+    this.persist(this.storage.saveAttempt(attempt), 'saveAttempt', attempt.id);
+  }
+
+  enqueue(attempt) {
+    // Tracing: when the wait began and when the attempt may run again
+    attempt.waitingSince = attempt.waitingSince || new Date();
+    attempt.readyAt = attempt.nextAttemptAt || attempt.waitingSince;
+    this.queue.push(attempt.id, {
+      priority: attempt.priority,
+      readyAt: attempt.nextAttemptAt ? attempt.nextAttemptAt.getTime() : 0
+    });
+    this.persist(this.storage.enqueue(attempt.id), 'enqueue', attempt.id);
+    this.updateBackpressure();
+  }
+
+  persist(operation, name, attemptId) {
+    Promise.resolve(operation).catch(error => {
+      this.logger.error('Storage operation failed', { operation: name, attemptId, error: error.message });
+    });
   }
 
   /**
@@ -403,6 +1251,315 @@ export class EmailService {
     return this.attempts.get(id) || null;
   }
 
+  /**
+   * Withdraw a SCHEDULED or QUEUED attempt before it is handed to a provider
+   * @returns {Object} The cancelled attempt
+   */
+  cancelAttempt(id) {
+    const attempt = this.requireAttempt(id);
+    if (!CANCELLABLE_STATUSES.includes(attempt.status)) {
+      throw new Error(`Cannot cancel attempt in status: ${attempt.status}`);
+    }
+
+    this.queue.remove(id);
+    this.persist(this.storage.dequeue(id), 'dequeue', id);
+    this.updateBackpressure();
+
+    attempt.status = EmailStatus.CANCELLED;
+    attempt.nextAttemptAt = undefined;
+    attempt.waitingSince = undefined;
+    attempt.readyAt = undefined;
+    attempt.cancelledAt = new Date();
+    attempt.updatedAt = new Date();
+    this.recordHistory(attempt, HistoryEvent.CANCELLED);
+    this.saveAttempt(attempt);
+    this.emit('attemptUpdated', attempt);
+    this.emit('attemptCancelled', attempt);
+
+    this.logger.info('Email cancelled', { attemptId: id });
+
+    // The cancelled attempt may have been the one the wake-up timer was armed for
+    this.scheduleWakeUp();
+    return attempt;
+  }
+
+  /**
+   * Put a FAILED, CANCELLED or RATE_LIMITED attempt back on the queue with a
+   * fresh retry budget
+   * @returns {Object} The requeued attempt
+   */
+  retryAttempt(id) {
+    const attempt = this.requireAttempt(id);
+    if (!REQUEUEABLE_STATUSES.includes(attempt.status)) {
+      throw new Error(`Cannot retry attempt in status: ${attempt.status}`);
+    }
+    if (this.queue.includes(id)) {
+      throw new Error(`Attempt is already waiting on the queue: ${id}`);
+    }
+
+    this.requeueAttempt(attempt);
+    this.emit('attemptRetried', attempt);
+    this.logger.info('Email requeued for retry', { attemptId: id });
+
+    this.processQueue();
+    return attempt;
+  }
+
+  /**
+   * Bulk recovery, e.g. after a provider outage: requeue every attempt in
+   * the given status with a fresh retry budget
+   * @param {Object} options
+   * @param {string} options.status - FAILED (default), CANCELLED or RATE_LIMITED
+   * @returns {string[]} IDs of the requeued attempts
+   */
+  requeueAll({ status = EmailStatus.FAILED } = {}) {
+    if (!REQUEUEABLE_STATUSES.includes(status)) {
+      throw new Error(`Cannot requeue attempts in status: ${status}`);
+    }
+
+    const attemptIds = [];
+    // Oldest first so they keep their original order within each priority lane
+    this.getAllAttempts().reverse().forEach(attempt => {
+      // Deferred attempts are already waiting for a rate limit token
+      if (attempt.status !== status || this.queue.includes(attempt.id)) return;
+      this.requeueAttempt(attempt);
+      attemptIds.push(attempt.id);
+    });
+
+    this.emit('attemptsRequeued', { status, attemptIds });
+    this.logger.info('Emails requeued', { status, count: attemptIds.length });
+
+    this.processQueue();
+    return attemptIds;
+  }
+
+  /**
+   * Replace `template`, `templateVersion` and `data` with the rendered
+   * content; any subject, html or body the caller passed is dropped
+   *
+   * @returns {Object} `{ email, template: { name, version } }`
+   */
+  renderEmailTemplate(email) {
+    const { template, templateVersion, data = {}, subject, html, body, ...rest } = email;
+    if (typeof template !== 'string' || template === '') {
+      throw new Error(`Invalid template: ${template}`);
+    }
+    if (data === null || typeof data !== 'object' || Array.isArray(data)) {
+      throw new Error('Template data must be an object');
+    }
+
+    const { name, version, ...content } = this.templates.render(template, data, { version: templateVersion });
+    return { email: { ...rest, ...content }, template: { name, version } };
+  }
+
+  /**
+   * Add a template, or a new version of one (see Templates.js)
+   *
+   * @param {Object} definition - `{ subject, html, text }`
+   * @returns {Object} `{ name, version }`
+   */
+  registerTemplate(name, definition) {
+    const registered = this.templates.registerTemplate(name, definition);
+    this.logger.info('Template registered', registered);
+    this.emit('templateRegistered', registered);
+    return registered;
+  }
+
+  registerPartial(name, source) {
+    this.templates.registerPartial(name, source);
+  }
+
+  getTemplate(name, version) {
+    return this.templates.getTemplate(name, version);
+  }
+
+  /**
+   * @returns {Object[]} `{ name, version, versions, createdAt }`, version being the latest
+   */
+  getTemplates() {
+    return this.templates.listTemplates();
+  }
+
+  /**
+   * Send one email per row, each rendered from the same template version
+   *
+   * @param {string} template - Template name
+   * @param {Object[]} rows - `{ to, data }` plus any other email fields
+   * @param {Object} options - sendEmail options and `templateVersion`
+   *   (default: the latest). An `idempotencyKey` gets the row index appended.
+   * @returns {Promise<Object[]>} Per row, `{ attemptId, status, duplicate }`
+   *   or `{ error }`; one bad row does not stop the others
+   */
+  async sendMailMerge(template, rows, { templateVersion, idempotencyKey, ...options } = {}) {
+    if (!Array.isArray(rows)) {
+      throw new Error('Mail merge rows must be an array');
+    }
+    // Pinned, so a registration during the batch does not split it across versions
+    const current = this.templates.getTemplate(template, templateVersion);
+    if (!current) {
+      throw new Error(templateVersion === undefined
+        ? `Unknown template: ${template}`
+        : `Unknown version ${templateVersion} of template ${template}`);
+    }
+
+    const results = [];
+    for (const [index, row] of rows.entries()) {
+      try {
+        results.push(await this.sendEmailWithResult(
+          { ...row, template, templateVersion: current.version },
+          { ...options, ...(idempotencyKey !== undefined ? { idempotencyKey: `${idempotencyKey}:${index}` } : {}) }
+        ));
+      } catch (error) {
+        results.push({ error: error.message });
+      }
+    }
+
+    this.logger.info('Mail merge submitted', {
+      template,
+      version: current.version,
+      rows: rows.length,
+      failed: results.filter(result => result.error).length
+    });
+    return results;
+  }
+
+  /**
+   * @param {Object} filter - `failureReason` and/or `provider`
+   * @returns {Object[]} Dead letters, most recent first
+   */
+  getDeadLetters(filter = {}) {
+    return this.deadLetters.list(filter);
+  }
+
+  getDeadLetterSummary() {
+    return this.deadLetters.summarize();
+  }
+
+  /**
+   * Requeue a dead-lettered attempt with a fresh retry budget
+   * @param {string} attemptId
+   * @param {Object} options
+   * @param {string} options.provider - Send only through this provider
+   *   instead of the normal fallback order
+   * @returns {Object} The requeued attempt
+   */
+  replayDeadLetter(attemptId, { provider } = {}) {
+    if (!this.deadLetters.has(attemptId)) {
+      throw new Error(`Dead letter not found: ${attemptId}`);
+    }
+    this.requireProvider(provider);
+
+    const attempt = this.requireAttempt(attemptId);
+    this.requeueAttempt(attempt, { provider });
+    this.emit('deadLetterReplayed', { attemptId, provider });
+    this.logger.info('Dead letter replayed', { attemptId, provider });
+
+    this.processQueue();
+    return attempt;
+  }
+
+  /**
+   * Replay every dead letter matching `filter` (see getDeadLetters)
+   * @returns {string[]} IDs of the requeued attempts
+   */
+  replayDeadLetters(filter = {}, { provider } = {}) {
+    this.requireProvider(provider);
+
+    const attemptIds = [];
+    this.deadLetters.list(filter).reverse().forEach(entry => {
+      const attempt = this.attempts.get(entry.attemptId);
+      if (!attempt) return;
+      this.requeueAttempt(attempt, { provider });
+      this.emit('deadLetterReplayed', { attemptId: attempt.id, provider });
+      attemptIds.push(attempt.id);
+    });
+
+    this.logger.info('Dead letters replayed', { ...filter, provider, count: attemptIds.length });
+
+    this.processQueue();
+    return attemptIds;
+  }
+
+  /**
+   * Switch the routing strategy at runtime. Weights and rules carry over
+   * from the current configuration unless given.
+   * @param {string} strategy - A RoutingStrategy value
+   * @param {Object} options - `weights` by provider name and `rules`
+   */
+  setRoutingStrategy(strategy, options = {}) {
+    const {
+      weights = this.config.providerWeights,
+      rules = this.config.routingRules
+    } = options;
+
+    this.configureRouting(strategy, { weights, rules });
+    this.emit('routingStrategyChanged', this.getRoutingStatus());
+    this.logger.info('Routing strategy changed', { strategy });
+  }
+
+  configureRouting(strategy, { weights, rules }) {
+    Object.keys(weights).forEach(name => this.requireProvider(name));
+    rules.forEach(rule => (rule.providers || []).forEach(name => this.requireProvider(name)));
+
+    this.router.configure({ strategy, weights, rules });
+    this.config = { ...this.config, routingStrategy: strategy, providerWeights: weights, routingRules: rules };
+  }
+
+  /**
+   * Current strategy and rules, with each provider's weight and observed
+   * average latency
+   */
+  getRoutingStatus() {
+    return {
+      strategy: this.router.strategy,
+      rules: this.router.rules,
+      providers: this.providers.map(provider => ({
+        name: provider.name,
+        weight: this.router.weightOf(provider.name),
+        averageLatencyMs: this.router.averageLatency(provider.name)
+      }))
+    };
+  }
+
+  requireProvider(name) {
+    if (name !== undefined && !this.providers.some(provider => provider.name === name)) {
+      throw new Error(`Unknown provider: ${name}`);
+    }
+  }
+
+  requireAttempt(id) {
+    const attempt = this.attempts.get(id);
+    if (!attempt) {
+      throw new Error(`Attempt not found: ${id}`);
+    }
+    return attempt;
+  }
+
+  requeueAttempt(attempt, { provider } = {}) {
+    if (this.deadLetters.remove(attempt.id)) {
+      this.persist(this.storage.deleteDeadLetter(attempt.id), 'deleteDeadLetter', attempt.id);
+    }
+
+    attempt.routeTo = provider;
+    attempt.status = EmailStatus.QUEUED;
+    attempt.attempts = 0;
+    attempt.retryState = undefined;
+    attempt.failureReason = undefined;
+    attempt.error = undefined;
+    attempt.nextAttemptAt = undefined;
+    attempt.cancelledAt = undefined;
+    (attempt.recipients || []).forEach(recipient => {
+      recipient.status = RecipientStatus.PENDING;
+      recipient.error = undefined;
+      recipient.provider = undefined;
+    });
+    attempt.updatedAt = new Date();
+    this.recordHistory(attempt, HistoryEvent.REQUEUED, provider ? { provider } : {});
+    this.saveAttempt(attempt);
+    this.enqueue(attempt);
+    this.emit('attemptUpdated', attempt);
+  }
+
   getAllAttempts() {
     return Array.from(this.attempts.values()).sort((a, b) => 
       b.createdAt.getTime() - a.createdAt.getTime()
@@ -411,12 +1568,12 @@ export class EmailService {
 
   getProviderStatus() {
     return this.providers.map(provider => {
-      const breaker = this.circuitBreakers.get(provider.name);
+      const breaker = this.circuitBreakers.get(provider.name).snapshot();
       let status = ProviderStatus.HEALTHY;
       
-      if (breaker.isOpen) {
+      if (breaker.state === CircuitState.OPEN) {
         status = ProviderStatus.FAILED;
-      } else if (breaker.failureCount > 0) {
+      } else if (breaker.state === CircuitState.HALF_OPEN || breaker.failureCount > 0) {
         status = ProviderStatus.DEGRADED;
       }
 
@@ -428,23 +1585,85 @@ export class EmailService {
     });
   }
 
+  /**
+   * Per-provider lifetime totals, success/error rates and p50/p95/p99
+   * latency for each rolling window, plus a per-slice series for charts
+   */
+  getMetrics() {
+    return {
+      windowsMs: this.metrics.options.windowsMs,
+      sliceMs: this.metrics.options.sliceMs,
+      providers: this.providers.map(provider => this.metrics.snapshot(provider.name))
+    };
+  }
+
+  /**
+   * Service metrics in the OpenMetrics text format, for Prometheus scraping
+   */
+  getOpenMetrics() {
+    return this.registry.render();
+  }
+
   getQueueStatus() {
+    const delayedItems = this.queue.delayedCount();
+    const scheduledItems = this.queue.delayedIds().filter(attemptId => {
+      const attempt = this.attempts.get(attemptId);
+      return attempt && attempt.status === EmailStatus.SCHEDULED;
+    }).length;
+    const deferredItems = this.queue.delayedIds().filter(attemptId => {
+      const attempt = this.attempts.get(attemptId);
+      return attempt && attempt.status === EmailStatus.RATE_LIMITED;
+    }).length;
+
     return {
       queueLength: this.queue.length,
-      processing: this.processingQueue
+      processing: this.activeWorkers > 0,
+      activeWorkers: this.activeWorkers,
+      concurrency: this.config.concurrency,
+      readyItems: this.queue.length - delayedItems,
+      delayedItems,
+      scheduledItems,
+      deferredItems,
+      maxQueueDepth: this.config.maxQueueDepth,
+      backpressure: this.backpressure
     };
   }
 
+  /**
+   * Per-recipient-domain counters: sends in flight, admitted and delayed,
+   * plus remaining quota for domains with a throttling rule
+   */
+  getDomainThrottleStatus() {
+    return this.domainThrottle.status();
+  }
+
+  /**
+   * Global limit (`current`, `limit` and `resetTime` describe its first
+   * window) plus a per-provider breakdown of remaining tokens per window
+   */
   getRateLimitStatus() {
+    const global = this.rateLimiter.status();
+    const primary = global.limits[0] || { window: null, limit: null, remaining: null, resetTime: null };
+
     return {
-      current: this.rateLimitState.count,
-      limit: this.config.rateLimitPerMinute,
-      resetTime: this.rateLimitState.resetTime
+      current: primary.limit === null ? 0 : primary.limit - primary.remaining,
+      limit: primary.limit,
+      resetTime: primary.resetTime,
+      window: primary.window,
+      limits: global.limits,
+      providers: this.providers.map(provider => ({
+        name: provider.name,
+        ...this.providerRateLimiters.get(provider.name).status()
+      }))
     };
   }
 
-  getLogs() {
-    return this.logger.getLogs();
+  /**
+   * @param {Object} filter - `level` (minimum), `attemptId`, `provider` and
+   *   `search` text
+   */
+  getLogs(filter) {
+    return this.logger.getLogs(filter);
   }
 
   clearLogs() {
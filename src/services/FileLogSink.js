@@ -0,0 +1,31 @@
+/**
+ * JSON-lines file log sink for Node
+ *
+ * Appends one JSON object per entry, creating the directory if needed.
+ * Appends are serialized so lines never interleave, and a failed append is
+ * dropped rather than thrown into the code that logged.
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+
+export class JsonLinesFileLogSink {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.writeChain = fs.mkdir(path.dirname(filePath), { recursive: true }).catch(() => {});
+  }
+
+  write(entry) {
+    const line = `${JSON.stringify(entry)}\n`;
+    this.writeChain = this.writeChain
+      .then(() => fs.appendFile(this.filePath, line, 'utf8'))
+      .catch(() => {});
+  }
+
+  /**
+   * Resolves once every entry written so far has reached the file
+   */
+  flush() {
+    return this.writeChain;
+  }
+}
@@ -0,0 +1,243 @@
+/**
+ * File-backed storage adapter for Node
+ *
+ * Keeps the whole state in a single JSON document. Each change is applied to
+ * the in-memory state at once, then merged into the file: under a lock file
+ * the document is read again, the change applied to what is there and the
+ * result written atomically (temp file, then rename). Several processes, such
+ * as the CLI and the API server, can therefore share one file without
+ * erasing each other's records. A process only reads the file when it starts,
+ * so records another process adds later show up after a restart.
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+
+const ATTEMPT_DATE_FIELDS = ['createdAt', 'updatedAt', 'sendAt', 'nextAttemptAt', 'sentAt', 'waitingSince', 'cancelledAt'];
+const DEAD_LETTER_DATE_FIELDS = ['createdAt', 'deadAt'];
+
+const LOCK_RETRY_MS = 10;
+const LOCK_TIMEOUT_MS = 5000;
+// A lock older than this was left behind by a process that died mid-write
+const LOCK_STALE_MS = 10000;
+
+function reviveDate(value) {
+  return typeof value === 'string' ? new Date(value) : value;
+}
+
+function reviveFields(record, fields) {
+  for (const field of fields) {
+    if (record[field] !== undefined) record[field] = reviveDate(record[field]);
+  }
+}
+
+function reviveTimestamps(entries) {
+  for (const entry of entries || []) {
+    entry.timestamp = reviveDate(entry.timestamp);
+  }
+}
+
+/**
+ * Turns the known date fields back into Dates. Only these are touched, so a
+ * date-like string in email content or metadata comes back as written.
+ */
+function reviveState(state) {
+  for (const attempt of Object.values(state.attempts)) {
+    reviveFields(attempt, ATTEMPT_DATE_FIELDS);
+    reviveTimestamps(attempt.tries);
+    reviveTimestamps(attempt.history);
+  }
+  for (const entry of Object.values(state.deadLetters)) {
+    reviveFields(entry, DEAD_LETTER_DATE_FIELDS);
+    reviveTimestamps(entry.tries);
+  }
+  for (const entry of Object.values(state.idempotencyKeys)) {
+    entry.expiresAt = reviveDate(entry.expiresAt);
+  }
+  return state;
+}
+
+function pruneIdempotencyKeys(state) {
+  const now = Date.now();
+  for (const [key, entry] of Object.entries(state.idempotencyKeys)) {
+    if (entry.expiresAt <= now) delete state.idempotencyKeys[key];
+  }
+  return state;
+}
+
+function emptyState() {
+  return { attempts: {}, queue: [], idempotencyKeys: {}, deadLetters: {} };
+}
+
+async function readState(filePath) {
+  try {
+    const contents = await fs.readFile(filePath, 'utf8');
+    return pruneIdempotencyKeys(reviveState({ ...emptyState(), ...JSON.parse(contents) }));
+  } catch (error) {
+    if (error.code === 'ENOENT') return emptyState();
+    throw error;
+  }
+}
+
+async function acquireLock(lockPath) {
+  const deadline = Date.now() + LOCK_TIMEOUT_MS;
+  for (;;) {
+    try {
+      await (await fs.open(lockPath, 'wx')).close();
+      return;
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+    }
+
+    const lock = await fs.stat(lockPath).catch(() => null);
+    if (lock && Date.now() - lock.mtimeMs > LOCK_STALE_MS) {
+      await fs.rm(lockPath, { force: true });
+      continue;
+    }
+    if (Date.now() >= deadline) {
+      throw new Error(`Timed out after ${LOCK_TIMEOUT_MS}ms waiting for the lock ${lockPath}`);
+    }
+    await new Promise(resolve => setTimeout(resolve, LOCK_RETRY_MS));
+  }
+}
+
+export class FileStorageAdapter {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.state = null;
+    this.loading = null;
+    this.writeChain = Promise.resolve();
+  }
+
+  async load() {
+    if (this.state) return this.state;
+    if (!this.loading) {
+      this.loading = readState(this.filePath).then(state => {
+        this.state = state;
+        return state;
+      });
+    }
+    return this.loading;
+  }
+
+  /**
+   * Applies `mutate` to the in-memory state, then to a fresh read of the file
+   * under the lock. `mutate` changes the state it is given or returns a
+   * replacement, and must give the same result when applied twice.
+   */
+  async update(mutate) {
+    const state = await this.load();
+    // Expired idempotency keys are dropped rather than carried forever
+    this.state = pruneIdempotencyKeys(mutate(state) || state);
+
+    const lockPath = `${this.filePath}.lock`;
+    const tempPath = `${this.filePath}.tmp`;
+    this.writeChain = this.writeChain
+      .catch(() => {})
+      .then(async () => {
+        await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+        await acquireLock(lockPath);
+        try {
+          const current = await readState(this.filePath);
+          const next = pruneIdempotencyKeys(mutate(current) || current);
+          await fs.writeFile(tempPath, JSON.stringify(next), 'utf8');
+          await fs.rename(tempPath, this.filePath);
+        } finally {
+          await fs.rm(lockPath, { force: true });
+        }
+      });
+
+    return this.writeChain;
+  }
+
+  /**
+   * Resolves once every change made so far is on disk, so a short-lived
+   * process can exit without losing writes
+   */
+  async flush() {
+    await this.load();
+    await this.writeChain;
+  }
+
+  async saveAttempt(attempt) {
+    await this.update(state => {
+      state.attempts[attempt.id] = attempt;
+    });
+  }
+
+  async getAttempt(id) {
+    const state = await this.load();
+    return state.attempts[id] || null;
+  }
+
+  async deleteAttempt(id) {
+    await this.update(state => {
+      delete state.attempts[id];
+      state.queue = state.queue.filter(queuedId => queuedId !== id);
+    });
+  }
+
+  async listAttempts() {
+    const state = await this.load();
+    return Object.values(state.attempts);
+  }
+
+  async enqueue(attemptId) {
+    const state = await this.load();
+    if (state.queue.includes(attemptId)) return;
+    await this.update(current => {
+      if (!current.queue.includes(attemptId)) current.queue.push(attemptId);
+    });
+  }
+
+  async dequeue(attemptId) {
+    await this.update(state => {
+      state.queue = state.queue.filter(queuedId => queuedId !== attemptId);
+    });
+  }
+
+  async listQueue() {
+    const state = await this.load();
+    return [...state.queue];
+  }
+
+  async setIdempotencyKey(key, attemptId, expiresAt) {
+    await this.update(state => {
+      state.idempotencyKeys[key] = { key, attemptId, expiresAt };
+    });
+  }
+
+  async findIdempotencyKey(key) {
+    const state = await this.load();
+    const entry = state.idempotencyKeys[key];
+    if (!entry || entry.expiresAt <= Date.now()) return null;
+    return entry.attemptId;
+  }
+
+  async listIdempotencyKeys() {
+    const state = await this.load();
+    const now = Date.now();
+    return Object.values(state.idempotencyKeys).filter(entry => entry.expiresAt > now);
+  }
+
+  async saveDeadLetter(entry) {
+    await this.update(state => {
+      state.deadLetters[entry.attemptId] = entry;
+    });
+  }
+
+  async deleteDeadLetter(attemptId) {
+    await this.update(state => {
+      delete state.deadLetters[attemptId];
+    });
+  }
+
+  async listDeadLetters() {
+    const state = await this.load();
+    return Object.values(state.deadLetters);
+  }
+
+  async clear() {
+    await this.update(() => emptyState());
+  }
+}
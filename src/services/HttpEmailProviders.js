@@ -0,0 +1,382 @@
+/**
+ * HTTP API email providers
+ *
+ * Concrete adapters for SendGrid v3, Mailgun and Amazon SES v2. Each one
+ * follows the MockEmailProvider contract (`sendEmail(email, context)` resolves
+ * to `{ success, messageId }`), translates our `{ to, cc, bcc, replyTo, from,
+ * subject, body, html, attachments }` email shape to the vendor payload and rethrows vendor errors as HttpError
+ * in the common ErrorCategory taxonomy. `context.headers` (such as the trace
+ * header) are sent with the API request.
+ *
+ * `html` and `attachments` (see MimeBuilder.js) map to each vendor's fields
+ * where it has them; Mailgun and SES take a raw MIME message for attachments.
+ * Without a `body`, the text part is derived from the HTML.
+ */
+
+import { HttpTransport, HttpError } from './HttpTransport.js';
+import { ErrorCategory } from './ProviderErrors.js';
+import { parseAddress, parseAddressList, formatAddress, listRecipients } from './Recipients.js';
+import { buildMimeMessage, encodeBase64, htmlToText, normalizeAttachment } from './MimeBuilder.js';
+
+// Formatted `Name <address>` strings for one recipient field
+function formattedList(value) {
+  return parseAddressList(value).map(formatAddress);
+}
+
+function textBody(email) {
+  return email.body || (email.html ? htmlToText(email.html) : '');
+}
+
+function hasAttachments(email) {
+  return Array.isArray(email.attachments) && email.attachments.length > 0;
+}
+
+/**
+ * Base class: owns the transport and funnels vendor errors through refineError
+ */
+class HttpEmailProvider {
+  constructor(name, options, transportOptions) {
+    this.name = name;
+    this.options = options;
+    this.transport = new HttpTransport({
+      provider: name,
+      timeoutMs: options.timeoutMs,
+      fetch: options.fetch,
+      ...transportOptions
+    });
+  }
+
+  async sendEmail(email, context = {}) {
+    try {
+      return await this.deliver(email, context.headers);
+    } catch (error) {
+      if (error instanceof HttpError && error.status) {
+        throw this.refineError(error);
+      }
+      throw error;
+    }
+  }
+
+  sender(email) {
+    return email.from || this.options.from;
+  }
+
+  /**
+   * Override to pull the vendor message out of the body and adjust the category
+   */
+  refineError(error) {
+    return error;
+  }
+
+  withDetails(error, detail, category = error.category, emailFailure = undefined) {
+    return new HttpError(`${this.name} responded with ${error.status}: ${detail}`, {
+      provider: this.name,
+      status: error.status,
+      body: error.body,
+      headers: error.headers,
+      category,
+      retryAfterMs: error.retryAfterMs,
+      cause: error,
+      emailFailure
+    });
+  }
+}
+
+export class SendGridEmailProvider extends HttpEmailProvider {
+  /**
+   * @param {string} name - Provider name
+   * @param {Object} options - `apiKey`, optional `from`, `baseUrl`, `timeoutMs`, `fetch`
+   */
+  constructor(name, options = {}) {
+    super(name, options, {
+      baseUrl: options.baseUrl || 'https://api.sendgrid.com',
+      auth: { type: 'bearer', token: options.apiKey }
+    });
+  }
+
+  async deliver(email, headers) {
+    const response = await this.transport.request('POST', '/v3/mail/send', {
+      headers,
+      json: {
+        personalizations: [this.personalization(email)],
+        from: this.contact(parseAddress(this.sender(email))),
+        ...(email.replyTo ? { reply_to: this.contact(parseAddress(email.replyTo)) } : {}),
+        subject: email.subject,
+        // SendGrid requires text/plain first
+        content: [
+          { type: 'text/plain', value: textBody(email) },
+          ...(email.html ? [{ type: 'text/html', value: email.html }] : [])
+        ],
+        ...(hasAttachments(email) ? { attachments: email.attachments.map(this.attachment) } : {})
+      }
+    });
+
+    return { success: true, messageId: response.headers['x-message-id'] };
+  }
+
+  attachment(value) {
+    const { filename, contentType, content, cid } = normalizeAttachment(value);
+    return {
+      content: encodeBase64(content),
+      filename,
+      type: contentType,
+      disposition: cid ? 'inline' : 'attachment',
+      ...(cid ? { content_id: cid } : {})
+    };
+  }
+
+  contact({ name, address }) {
+    return name ? { email: address, name } : { email: address };
+  }
+
+  personalization(email) {
+    const personalization = {};
+    ['to', 'cc', 'bcc'].forEach(field => {
+      const list = parseAddressList(email[field]);
+      if (list.length > 0) personalization[field] = list.map(entry => this.contact(entry));
+    });
+    return personalization;
+  }
+
+  refineError(error) {
+    const errors = (error.body && error.body.errors) || [];
+    const detail = errors.map(e => e.message).join('; ') || 'unknown error';
+
+    // An unverified sender is an account problem, not a credentials problem,
+    // and another provider may well be set up for that sender
+    if (error.status === 403 && /sender identity/i.test(detail)) {
+      return this.withDetails(error, detail, ErrorCategory.PERMANENT);
+    }
+    return this.withDetails(error, detail);
+  }
+}
+
+export class MailgunEmailProvider extends HttpEmailProvider {
+  /**
+   * @param {string} name - Provider name
+   * @param {Object} options - `apiKey`, `domain`, optional `from`, `baseUrl`
+   *   (use https://api.eu.mailgun.net for EU domains), `timeoutMs`, `fetch`
+   */
+  constructor(name, options = {}) {
+    super(name, options, {
+      baseUrl: options.baseUrl || 'https://api.mailgun.net',
+      auth: { type: 'basic', username: 'api', password: options.apiKey }
+    });
+  }
+
+  async deliver(email, headers) {
+    const response = hasAttachments(email)
+      ? await this.deliverMime(email, headers)
+      : await this.transport.request('POST', `/v3/${encodeURIComponent(this.options.domain)}/messages`, {
+        headers,
+        form: {
+          from: this.sender(email),
+          to: formattedList(email.to).join(', '),
+          ...this.copies(email),
+          ...(email.replyTo ? { 'h:Reply-To': formatAddress(parseAddress(email.replyTo)) } : {}),
+          subject: email.subject,
+          text: textBody(email),
+          ...(email.html ? { html: email.html } : {})
+        }
+      });
+
+    // Mailgun wraps the id in angle brackets: "<20240101.1234@domain>"
+    const messageId = String(response.data.id || '').replace(/^<|>$/g, '');
+    return { success: true, messageId };
+  }
+
+  // Mailgun takes an empty cc or bcc as an address, so empty lists are left out
+  copies(email) {
+    const copies = {};
+    ['cc', 'bcc'].forEach(field => {
+      const list = formattedList(email[field]);
+      if (list.length > 0) copies[field] = list.join(', ');
+    });
+    return copies;
+  }
+
+  /**
+   * Attachments go as a complete MIME message; `to` lists every recipient,
+   * Bcc included, since Mailgun delivers to that list only
+   */
+  deliverMime(email, headers) {
+    const form = new FormData();
+    form.append('to', listRecipients(email).map(recipient => recipient.address).join(', '));
+    form.append('message', new Blob([buildMimeMessage(email, { from: this.sender(email) })], { type: 'message/rfc822' }), 'message.mime');
+
+    return this.transport.request('POST', `/v3/${encodeURIComponent(this.options.domain)}/messages.mime`, {
+      headers,
+      multipart: form
+    });
+  }
+
+  refineError(error) {
+    const detail = (error.body && error.body.message) || String(error.body || 'unknown error');
+
+    // 402: the account is disabled or over its plan limits
+    if (error.status === 402) {
+      return this.withDetails(error, detail, ErrorCategory.PERMANENT);
+    }
+    // A bad address fails the email; other 4xx (unknown domain, bad key) fail this provider
+    if (error.status === 400 && /address/i.test(detail)) {
+      return this.withDetails(error, detail, ErrorCategory.INVALID_REQUEST, true);
+    }
+    return this.withDetails(error, detail);
+  }
+}
+
+const SES_ERROR_CATEGORIES = {
+  MessageRejected: ErrorCategory.REJECTED,
+  MailFromDomainNotVerifiedException: ErrorCategory.PERMANENT,
+  AccountSuspendedException: ErrorCategory.PERMANENT,
+  SendingPausedException: ErrorCategory.PERMANENT,
+  TooManyRequestsException: ErrorCategory.RATE_LIMITED,
+  LimitExceededException: ErrorCategory.RATE_LIMITED,
+  BadRequestException: ErrorCategory.INVALID_REQUEST,
+  NotFoundException: ErrorCategory.INVALID_REQUEST
+};
+
+export class SesEmailProvider extends HttpEmailProvider {
+  /**
+   * @param {string} name - Provider name
+   * @param {Object} options - `region`, `accessKeyId`, `secretAccessKey`, optional
+   *   `sessionToken`, `from`, `baseUrl`, `timeoutMs`, `fetch`
+   */
+  constructor(name, options = {}) {
+    super(name, options, {
+      baseUrl: options.baseUrl || `https://email.${options.region}.amazonaws.com`,
+      auth: {
+        type: 'custom',
+        sign: request => signAwsRequest(request, {
+          accessKeyId: options.accessKeyId,
+          secretAccessKey: options.secretAccessKey,
+          sessionToken: options.sessionToken,
+          region: options.region,
+          service: 'ses'
+        })
+      }
+    });
+  }
+
+  async deliver(email, headers) {
+    const response = await this.transport.request('POST', '/v2/email/outbound-emails', {
+      headers,
+      json: {
+        FromEmailAddress: this.sender(email),
+        Destination: this.destination(email),
+        ...(email.replyTo ? { ReplyToAddresses: formattedList(email.replyTo) } : {}),
+        Content: this.content(email)
+      }
+    });
+
+    return { success: true, messageId: response.data.MessageId };
+  }
+
+  content(email) {
+    // Simple content has no attachments
+    if (hasAttachments(email)) {
+      const message = buildMimeMessage(email, { from: this.sender(email) });
+      return { Raw: { Data: encodeBase64(encoder.encode(message)) } };
+    }
+
+    const body = { Text: { Data: textBody(email), Charset: 'UTF-8' } };
+    if (email.html) body.Html = { Data: email.html, Charset: 'UTF-8' };
+    return { Simple: { Subject: { Data: email.subject, Charset: 'UTF-8' }, Body: body } };
+  }
+
+  destination(email) {
+    const destination = {};
+    [['ToAddresses', email.to], ['CcAddresses', email.cc], ['BccAddresses', email.bcc]].forEach(([key, value]) => {
+      const list = formattedList(value);
+      if (list.length > 0) destination[key] = list;
+    });
+    return destination;
+  }
+
+  refineError(error) {
+    const body = error.body || {};
+    // "x-amzn-ErrorType: MessageRejected:http://internal.amazon.com/..." or a "__type" field
+    const type = String((error.headers && error.headers['x-amzn-errortype']) || body.__type || body.code || '')
+      .split(':')[0]
+      .split('#')
+      .pop();
+    const detail = `${type || 'UnknownError'}: ${body.message || body.Message || 'unknown error'}`;
+
+    return this.withDetails(error, detail, SES_ERROR_CATEGORIES[type] || error.category);
+  }
+}
+
+/**
+ * AWS Signature Version 4 using WebCrypto, so it runs in Node and the browser
+ */
+const encoder = new TextEncoder();
+
+function toHex(buffer) {
+  return Array.from(new Uint8Array(buffer))
+    .map(byte => byte.toString(16).padStart(2, '0'))
+    .join('');
+}
+
+async function sha256(data) {
+  return toHex(await globalThis.crypto.subtle.digest('SHA-256', encoder.encode(data)));
+}
+
+async function hmac(key, data) {
+  const keyData = typeof key === 'string' ? encoder.encode(key) : key;
+  const cryptoKey = await globalThis.crypto.subtle.importKey(
+    'raw', keyData, { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']
+  );
+  return globalThis.crypto.subtle.sign('HMAC', cryptoKey, encoder.encode(data));
+}
+
+export async function signAwsRequest(request, credentials, now = new Date()) {
+  const { accessKeyId, secretAccessKey, sessionToken, region, service } = credentials;
+  const url = new URL(request.url);
+  const amzDate = now.toISOString().replace(/[:-]|\.\d{3}/g, '');
+  const dateStamp = amzDate.slice(0, 8);
+
+  const headers = { host: url.host, 'x-amz-date': amzDate };
+  Object.entries(request.headers || {}).forEach(([name, value]) => {
+    if (name.toLowerCase() === 'content-type') {
+      headers['content-type'] = value;
+    }
+  });
+  if (sessionToken) {
+    headers['x-amz-security-token'] = sessionToken;
+  }
+
+  const headerNames = Object.keys(headers).sort();
+  const canonicalHeaders = headerNames.map(name => `${name}:${String(headers[name]).trim()}\n`).join('');
+  const signedHeaders = headerNames.join(';');
+  const canonicalQuery = Array.from(url.searchParams.entries())
+    .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+    .map(([key, value]) => `${encodeURIComponent(key)}=${encodeURIComponent(value)}`)
+    .join('&');
+
+  const canonicalRequest = [
+    request.method,
+    url.pathname,
+    canonicalQuery,
+    canonicalHeaders,
+    signedHeaders,
+    await sha256(request.body || '')
+  ].join('\n');
+
+  const scope = `${dateStamp}/${region}/${service}/aws4_request`;
+  const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, await sha256(canonicalRequest)].join('\n');
+
+  const dateKey = await hmac(`AWS4${secretAccessKey}`, dateStamp);
+  const regionKey = await hmac(dateKey, region);
+  const serviceKey = await hmac(regionKey, service);
+  const signingKey = await hmac(serviceKey, 'aws4_request');
+  const signature = toHex(await hmac(signingKey, stringToSign));
+
+  const signed = {
+    'X-Amz-Date': amzDate,
+    Authorization: `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`
+  };
+  if (sessionToken) {
+    signed['X-Amz-Security-Token'] = sessionToken;
+  }
+  return signed;
+}
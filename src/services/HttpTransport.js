@@ -0,0 +1,186 @@
+/**
+ * Shared REST transport for HTTP API email providers
+ *
+ * Wraps `fetch` with a base URL, per-request timeouts, authentication headers
+ * and response parsing. Non-2xx responses and network failures are thrown as
+ * HttpError, already classified into the common ErrorCategory taxonomy so
+ * that vendor adapters only need to refine the vendor-specific cases.
+ */
+
+import { ProviderError, ErrorCategory } from './ProviderErrors.js';
+
+export class HttpError extends ProviderError {
+  constructor(message, { provider, status, body, headers, category, retryAfterMs, cause, emailFailure } = {}) {
+    super(message, { provider, code: status, category, retryAfterMs, cause, emailFailure });
+    this.name = 'HttpError';
+    this.status = status;
+    this.body = body;
+    this.headers = headers;
+  }
+}
+
+/**
+ * Map an HTTP status code to the common error taxonomy
+ */
+export function categorizeStatus(status) {
+  if (status === 429) return ErrorCategory.RATE_LIMITED;
+  if (status === 401 || status === 403) return ErrorCategory.AUTHENTICATION;
+  if (status === 408 || status >= 500) return ErrorCategory.TRANSIENT;
+  if (status >= 400) return ErrorCategory.INVALID_REQUEST;
+  return ErrorCategory.PERMANENT;
+}
+
+/**
+ * Parse a Retry-After header (delta seconds or HTTP date) into milliseconds
+ */
+export function parseRetryAfter(value, now = Date.now()) {
+  if (!value) return undefined;
+
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? undefined : Math.max(0, date - now);
+}
+
+function encodeBasicAuth(username, password) {
+  return btoa(`${username}:${password}`);
+}
+
+export class HttpTransport {
+  /**
+   * @param {Object} options
+   * @param {string} options.baseUrl - Prepended to every request path
+   * @param {string} options.provider - Provider name stamped on errors
+   * @param {number} options.timeoutMs - Abort requests after this long (default: 10000)
+   * @param {Object} options.headers - Headers sent with every request
+   * @param {Object} options.auth - `{ type: 'bearer', token }`, `{ type: 'basic', username, password }`
+   *   or `{ type: 'custom', sign: async (request) => headers }`
+   * @param {Function} options.fetch - fetch implementation (default: globalThis.fetch)
+   */
+  constructor(options = {}) {
+    this.baseUrl = (options.baseUrl || '').replace(/\/+$/, '');
+    this.provider = options.provider;
+    this.timeoutMs = options.timeoutMs || 10000;
+    this.headers = options.headers || {};
+    this.auth = options.auth || null;
+    this.fetch = options.fetch || globalThis.fetch.bind(globalThis);
+  }
+
+  /**
+   * Perform a request and resolve to `{ status, headers, data }`
+   *
+   * @param {string} method - HTTP method
+   * @param {string} path - Path relative to the base URL
+   * @param {Object} options - `json`, `form` or `multipart` (a FormData) body
+   *   plus extra `headers`
+   */
+  async request(method, path, { json, form, multipart, headers = {} } = {}) {
+    const url = `${this.baseUrl}${path}`;
+    const request = { method, url, headers: { Accept: 'application/json', ...this.headers, ...headers } };
+
+    if (json !== undefined) {
+      request.body = JSON.stringify(json);
+      request.headers['Content-Type'] = 'application/json';
+    } else if (form !== undefined) {
+      request.body = new URLSearchParams(form).toString();
+      request.headers['Content-Type'] = 'application/x-www-form-urlencoded';
+    } else if (multipart !== undefined) {
+      // fetch sets the Content-Type with its boundary
+      request.body = multipart;
+    }
+
+    Object.assign(request.headers, await this.authHeaders(request));
+
+    // Armed until the body has been read: a server can send headers and stall
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), this.timeoutMs);
+    const transportError = (error, failure) => new HttpError(
+      controller.signal.aborted
+        ? `${this.provider} request timed out after ${this.timeoutMs}ms`
+        : `${this.provider} ${failure}: ${error.message}`,
+      { provider: this.provider, category: ErrorCategory.TRANSIENT, cause: error }
+    );
+
+    let response;
+    let data;
+    try {
+      try {
+        response = await this.fetch(url, {
+          method,
+          headers: request.headers,
+          body: request.body,
+          signal: controller.signal
+        });
+      } catch (error) {
+        throw transportError(error, 'request failed');
+      }
+
+      try {
+        data = await this.parseBody(response, controller.signal);
+      } catch (error) {
+        throw transportError(error, 'response could not be read');
+      }
+    } finally {
+      clearTimeout(timer);
+    }
+
+    const responseHeaders = Object.fromEntries(response.headers.entries());
+
+    if (!response.ok) {
+      throw new HttpError(`${this.provider} responded with ${response.status}`, {
+        provider: this.provider,
+        status: response.status,
+        body: data,
+        headers: responseHeaders,
+        category: categorizeStatus(response.status),
+        retryAfterMs: parseRetryAfter(response.headers.get('retry-after'))
+      });
+    }
+
+    return { status: response.status, headers: responseHeaders, data };
+  }
+
+  async authHeaders(request) {
+    if (!this.auth) return {};
+
+    switch (this.auth.type) {
+      case 'bearer':
+        return { Authorization: `Bearer ${this.auth.token}` };
+      case 'basic':
+        return { Authorization: `Basic ${encodeBasicAuth(this.auth.username, this.auth.password)}` };
+      case 'custom':
+        return this.auth.sign(request);
+      default:
+        throw new Error(`Unsupported auth type: ${this.auth.type}`);
+    }
+  }
+
+  /**
+   * @param {AbortSignal} signal - Rejects the read once aborted, for fetch
+   *   implementations that do not tie the body to the request's signal
+   */
+  async parseBody(response, signal) {
+    const text = await new Promise((resolve, reject) => {
+      const abort = () => reject(signal.reason);
+      if (signal.aborted) return abort();
+      signal.addEventListener('abort', abort, { once: true });
+      Promise.resolve(response.text())
+        .then(resolve, reject)
+        .finally(() => signal.removeEventListener('abort', abort));
+    });
+    if (!text) return null;
+
+    const contentType = response.headers.get('content-type') || '';
+    if (contentType.includes('json')) {
+      try {
+        return JSON.parse(text);
+      } catch {
+        return text;
+      }
+    }
+    return text;
+  }
+}
@@ -0,0 +1,106 @@
+/**
+ * Duplicate detection keys
+ *
+ * A caller-supplied idempotency key always identifies the send. Without one,
+ * the dedupe mode decides what counts as the same email:
+ *
+ * - exact:        the recipients' addresses, then `subject`, `body`, `html`
+ *                 and attachments exactly as given
+ * - content_hash: a hash of the normalized content. Addresses and the subject
+ *                 ignore case, all fields ignore runs of whitespace and
+ *                 recipients are compared in any order, without display names
+ * - off:          only idempotency keys deduplicate, so repeated alerts go out
+ */
+
+import { RecipientField, parseAddressList } from './Recipients.js';
+
+export const DedupeMode = {
+  EXACT: 'exact',
+  CONTENT_HASH: 'content_hash',
+  OFF: 'off'
+};
+
+function collapseWhitespace(value) {
+  return String(value ?? '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * @param {string|string[]|Object[]} value - Any form Recipients.parseAddressList takes
+ * @returns {string[]} Lower-cased addresses, sorted
+ */
+export function normalizeRecipients(value) {
+  return parseAddressList(value)
+    .map(entry => collapseWhitespace(entry.address).toLowerCase())
+    .sort();
+}
+
+/**
+ * The fields content_hash mode compares, in a stable shape
+ */
+export function normalizeContent(email) {
+  const normalized = {};
+  Object.values(RecipientField).forEach(field => {
+    if (email[field] !== undefined) normalized[field] = normalizeRecipients(email[field]);
+  });
+  normalized.subject = collapseWhitespace(email.subject).toLowerCase();
+  normalized.body = collapseWhitespace(email.body);
+  if (email.html !== undefined) normalized.html = collapseWhitespace(email.html);
+  if (email.attachments !== undefined) normalized.attachments = attachmentFingerprints(email.attachments);
+  return normalized;
+}
+
+const FNV_OFFSET = 0xcbf29ce484222325n;
+const FNV_PRIME = 0x100000001b3n;
+const MASK_64 = 0xffffffffffffffffn;
+
+/**
+ * 64-bit FNV-1a over UTF-16 code units. Synchronous and the same in the
+ * browser and Node; not for anything security-sensitive.
+ *
+ * @returns {string} 16 hex digits
+ */
+export function hashContent(text) {
+  let hash = FNV_OFFSET;
+  for (let index = 0; index < text.length; index++) {
+    hash ^= BigInt(text.charCodeAt(index));
+    hash = (hash * FNV_PRIME) & MASK_64;
+  }
+  return hash.toString(16).padStart(16, '0');
+}
+
+// Name plus content hash, so keys stay short however large the files are
+function attachmentFingerprints(attachments = []) {
+  return attachments.map(({ filename, cid, content }) => [
+    filename || cid || '',
+    hashContent(typeof content === 'string' ? content : Array.from(content || []).join(','))
+  ].join(':'));
+}
+
+/**
+ * @param {Object} email
+ * @param {Object} options
+ * @param {string} options.mode - DedupeMode
+ * @param {string} options.idempotencyKey - Caller-supplied key, if any
+ * @returns {string|null} Index key, or null when the email is not deduplicated
+ */
+export function dedupeKey(email, { mode = DedupeMode.EXACT, idempotencyKey } = {}) {
+  // Prefixes keep caller keys, hashes and exact content from colliding
+  if (idempotencyKey !== undefined) {
+    return ['key', idempotencyKey].join('\u0000');
+  }
+  if (mode === DedupeMode.OFF) return null;
+  if (mode === DedupeMode.CONTENT_HASH) {
+    return ['hash', hashContent(JSON.stringify(normalizeContent(email)))].join('\u0000');
+  }
+  // Unprefixed, as before dedupe modes existed, so stored keys still match;
+  // cc, bcc, html and attachments only count when present for the same reason.
+  // Addresses, not the raw values: `{ name, address }` entries must not all
+  // collapse into the same string
+  const recipients = value => normalizeRecipients(value).join(',');
+  const parts = [recipients(email.to), email.subject, email.body];
+  if (email.cc !== undefined || email.bcc !== undefined) parts.push(recipients(email.cc), recipients(email.bcc));
+  if (email.html !== undefined || email.attachments !== undefined) {
+    parts.push(email.html, attachmentFingerprints(email.attachments).join(','));
+  }
+  return parts.join('\u0000');
+}
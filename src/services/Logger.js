@@ -0,0 +1,192 @@
+/**
+ * Structured logger
+ *
+ * Entries below the minimum level are dropped. The rest go into a ring
+ * buffer of the last `bufferSize` entries (what getLogs() reads) and to
+ * every sink. A sink is any object with `write(entry)`; a plain function is
+ * accepted as a callback sink.
+ *
+ * Child loggers share the buffer, level and sinks of their parent and add
+ * their context to every entry. `attemptId` and `provider`, whether from
+ * context or from the entry's data, are copied onto the entry itself so
+ * logs can be filtered by them.
+ */
+
+export const LogLevel = {
+  DEBUG: 'DEBUG',
+  INFO: 'INFO',
+  WARN: 'WARN',
+  ERROR: 'ERROR'
+};
+
+const LEVEL_RANK = {
+  [LogLevel.DEBUG]: 10,
+  [LogLevel.INFO]: 20,
+  [LogLevel.WARN]: 30,
+  [LogLevel.ERROR]: 40
+};
+
+const CORRELATION_KEYS = ['attemptId', 'provider'];
+
+function requireLevel(level) {
+  if (!LEVEL_RANK[level]) {
+    throw new Error(`Unknown log level: ${level}`);
+  }
+}
+
+export class ConsoleLogSink {
+  write(entry) {
+    const method = entry.level === LogLevel.ERROR ? 'error' : entry.level === LogLevel.WARN ? 'warn' : 'log';
+    console[method](`[${entry.level}] ${entry.message}`, entry.data || '');
+  }
+}
+
+export class MemoryLogSink {
+  constructor() {
+    this.entries = [];
+  }
+
+  write(entry) {
+    this.entries.push(entry);
+  }
+
+  clear() {
+    this.entries = [];
+  }
+}
+
+export class CallbackLogSink {
+  constructor(callback) {
+    this.callback = callback;
+  }
+
+  write(entry) {
+    this.callback(entry);
+  }
+}
+
+export class Logger {
+  /**
+   * @param {Object} options - `level` (minimum LogLevel, default INFO),
+   *   `bufferSize` (default 100), `sinks` (default a console sink) and
+   *   `context` merged into every entry
+   * @param {Object} shared - Internal: buffer and sinks inherited by a child
+   */
+  constructor(options = {}, shared = null) {
+    this.context = options.context || {};
+    if (shared) {
+      this.shared = shared;
+      return;
+    }
+
+    const { level = LogLevel.INFO, bufferSize = 100, sinks = [new ConsoleLogSink()] } = options;
+    requireLevel(level);
+    if (!(Number.isInteger(bufferSize) && bufferSize > 0)) {
+      throw new Error(`Invalid log buffer size: ${bufferSize}`);
+    }
+
+    this.shared = { level, bufferSize, logs: [], sinks: [] };
+    sinks.forEach(sink => this.addSink(sink));
+  }
+
+  /**
+   * A logger that adds `context` to every entry and shares everything else
+   */
+  child(context) {
+    return new Logger({ context: { ...this.context, ...context } }, this.shared);
+  }
+
+  get level() {
+    return this.shared.level;
+  }
+
+  setLevel(level) {
+    requireLevel(level);
+    this.shared.level = level;
+  }
+
+  addSink(sink) {
+    const normalized = typeof sink === 'function' ? new CallbackLogSink(sink) : sink;
+    this.shared.sinks.push(normalized);
+    return normalized;
+  }
+
+  removeSink(sink) {
+    this.shared.sinks = this.shared.sinks.filter(candidate => candidate !== sink);
+  }
+
+  debug(message, data) {
+    this.log(LogLevel.DEBUG, message, data);
+  }
+
+  info(message, data) {
+    this.log(LogLevel.INFO, message, data);
+  }
+
+  warn(message, data) {
+    this.log(LogLevel.WARN, message, data);
+  }
+
+  error(message, data) {
+    this.log(LogLevel.ERROR, message, data);
+  }
+
+  log(level, message, data) {
+    if (LEVEL_RANK[level] < LEVEL_RANK[this.shared.level]) return;
+
+    const fields = { ...this.context, ...data };
+    const entry = { timestamp: new Date(), level, message };
+    CORRELATION_KEYS.forEach(key => {
+      if (fields[key] !== undefined) entry[key] = fields[key];
+    });
+    if (Object.keys(fields).length > 0) entry.data = fields;
+
+    const { logs, bufferSize, sinks } = this.shared;
+    logs.push(entry);
+    if (logs.length > bufferSize) {
+      logs.splice(0, logs.length - bufferSize);
+    }
+
+    // A broken sink must not break sending
+    sinks.forEach(sink => {
+      try {
+        sink.write(entry);
+      } catch {
+        // Ignored: there is nowhere left to report it
+      }
+    });
+  }
+
+  /**
+   * @param {Object} filter - `level` (minimum), `attemptId`, `provider` and
+   *   `search` (case-insensitive, over message and data)
+   * @returns {Object[]} Matching buffered entries, oldest first
+   */
+  getLogs(filter = {}) {
+    const { level, attemptId, provider, search } = filter;
+    const needle = search ? search.toLowerCase() : null;
+
+    return this.shared.logs.filter(entry => {
+      if (level && LEVEL_RANK[entry.level] < LEVEL_RANK[level]) return false;
+      if (attemptId && entry.attemptId !== attemptId) return false;
+      if (provider && entry.provider !== provider) return false;
+      if (needle) {
+        const text = `${entry.message} ${entry.data ? JSON.stringify(entry.data) : ''}`.toLowerCase();
+        if (!text.includes(needle)) return false;
+      }
+      return true;
+    });
+  }
+
+  clearLogs() {
+    this.shared.logs.length = 0;
+  }
+
+  /**
+   * Resolves once sinks that write asynchronously (those with a `flush()`)
+   * have written every entry so far
+   */
+  async flush() {
+    await Promise.all(this.shared.sinks.map(sink => (typeof sink.flush === 'function' ? sink.flush() : null)));
+  }
+}
@@ -0,0 +1,214 @@
+/**
+ * Metrics registry with OpenMetrics text exposition
+ *
+ * Counters, gauges and histograms are registered once by name and keep one
+ * series per label combination. Counters and gauges can instead take a
+ * `collect` callback that reads the current samples from elsewhere at
+ * render time, so values the service already tracks are not counted twice.
+ *
+ * render() produces the OpenMetrics 1.0 text format: counter samples carry
+ * a `_total` suffix, histogram buckets are cumulative and end at `+Inf`, and
+ * the exposition ends with `# EOF`.
+ */
+
+export const OPENMETRICS_CONTENT_TYPE = 'application/openmetrics-text; version=1.0.0; charset=utf-8';
+
+const METRIC_NAME_PATTERN = /^[a-zA-Z_:][a-zA-Z0-9_:]*$/;
+const LABEL_NAME_PATTERN = /^[a-zA-Z_][a-zA-Z0-9_]*$/;
+
+function formatNumber(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  if (Number.isNaN(value)) return 'NaN';
+  return String(value);
+}
+
+// Bucket bounds are floats in the exposition, so 1 is written as 1.0
+function formatBound(value) {
+  return Number.isInteger(value) ? value.toFixed(1) : formatNumber(value);
+}
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function escapeHelp(text) {
+  return text.replace(/\\/g, '\\\\').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+class Metric {
+  constructor(type, { name, help, labelNames = [], unit, collect }) {
+    if (!METRIC_NAME_PATTERN.test(name)) {
+      throw new Error(`Invalid metric name: ${name}`);
+    }
+    labelNames.forEach(labelName => {
+      if (!LABEL_NAME_PATTERN.test(labelName) || labelName === 'le') {
+        throw new Error(`Invalid label name for ${name}: ${labelName}`);
+      }
+    });
+    if (unit && !name.endsWith(`_${unit}`)) {
+      throw new Error(`Metric ${name} must end with its unit: ${unit}`);
+    }
+
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.unit = unit;
+    this.collect = collect;
+    this.series = new Map();
+  }
+
+  // Labels in declaration order, so the same combination always maps to one series
+  labelsFor(labels = {}) {
+    return Object.fromEntries(this.labelNames.map(labelName => [labelName, labels[labelName] ?? '']));
+  }
+
+  seriesFor(labels, create) {
+    const normalized = this.labelsFor(labels);
+    const key = JSON.stringify(normalized);
+    if (!this.series.has(key)) {
+      this.series.set(key, create(normalized));
+    }
+    return this.series.get(key);
+  }
+
+  samples() {
+    if (this.collect) {
+      return this.collect().map(({ labels, value }) => ({ labels: this.labelsFor(labels), value }));
+    }
+    return [...this.series.values()];
+  }
+
+  header() {
+    const lines = [`# TYPE ${this.name} ${this.type}`];
+    if (this.unit) lines.push(`# UNIT ${this.name} ${this.unit}`);
+    if (this.help) lines.push(`# HELP ${this.name} ${escapeHelp(this.help)}`);
+    return lines;
+  }
+}
+
+export class Counter extends Metric {
+  constructor(options) {
+    super('counter', options);
+  }
+
+  inc(labels = {}, amount = 1) {
+    if (amount < 0) {
+      throw new Error(`Counter ${this.name} cannot decrease`);
+    }
+    this.seriesFor(labels, normalized => ({ labels: normalized, value: 0 })).value += amount;
+  }
+
+  render() {
+    return [
+      ...this.header(),
+      ...this.samples().map(({ labels, value }) => `${this.name}_total${formatLabels(labels)} ${formatNumber(value)}`)
+    ];
+  }
+}
+
+export class Gauge extends Metric {
+  constructor(options) {
+    super('gauge', options);
+  }
+
+  set(labels = {}, value) {
+    this.seriesFor(labels, normalized => ({ labels: normalized, value: 0 })).value = value;
+  }
+
+  render() {
+    return [
+      ...this.header(),
+      ...this.samples().map(({ labels, value }) => `${this.name}${formatLabels(labels)} ${formatNumber(value)}`)
+    ];
+  }
+}
+
+export class Histogram extends Metric {
+  /**
+   * @param {Object} options - Metric options plus ascending `buckets` upper bounds
+   */
+  constructor({ buckets, ...options }) {
+    super('histogram', options);
+    if (!Array.isArray(buckets) || buckets.length === 0 || buckets.some((bound, i) => i > 0 && bound <= buckets[i - 1])) {
+      throw new Error(`Histogram ${this.name} needs ascending buckets`);
+    }
+    this.buckets = buckets;
+  }
+
+  observe(labels = {}, value) {
+    const series = this.seriesFor(labels, normalized => ({
+      labels: normalized,
+      counts: new Array(this.buckets.length).fill(0),
+      count: 0,
+      sum: 0
+    }));
+
+    const index = this.buckets.findIndex(bound => value <= bound);
+    if (index !== -1) series.counts[index]++;
+    series.count++;
+    series.sum += value;
+  }
+
+  render() {
+    const lines = this.header();
+    this.series.forEach(({ labels, counts, count, sum }) => {
+      let cumulative = 0;
+      this.buckets.forEach((bound, index) => {
+        cumulative += counts[index];
+        lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: formatBound(bound) })} ${cumulative}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+      lines.push(`${this.name}_count${formatLabels(labels)} ${count}`);
+      lines.push(`${this.name}_sum${formatLabels(labels)} ${formatNumber(sum)}`);
+    });
+    return lines;
+  }
+}
+
+export class MetricsRegistry {
+  constructor() {
+    this.metrics = new Map();
+  }
+
+  register(metric) {
+    if (this.metrics.has(metric.name)) {
+      throw new Error(`Metric already registered: ${metric.name}`);
+    }
+    this.metrics.set(metric.name, metric);
+    return metric;
+  }
+
+  counter(options) {
+    return this.register(new Counter(options));
+  }
+
+  gauge(options) {
+    return this.register(new Gauge(options));
+  }
+
+  histogram(options) {
+    return this.register(new Histogram(options));
+  }
+
+  get(name) {
+    return this.metrics.get(name);
+  }
+
+  /**
+   * @returns {string} Every metric in the OpenMetrics text format
+   */
+  render() {
+    const lines = [];
+    this.metrics.forEach(metric => lines.push(...metric.render()));
+    lines.push('# EOF');
+    return `${lines.join('\n')}\n`;
+  }
+}
@@ -0,0 +1,42 @@
+/**
+ * Prometheus scrape endpoint for Node
+ *
+ * A minimal HTTP server that answers GET (and HEAD) on one path with the
+ * service's OpenMetrics exposition; everything else is a 404 or 405.
+ *
+ *   const server = createMetricsServer(emailService);
+ *   server.listen(9464);
+ */
+
+import http from 'http';
+import { OPENMETRICS_CONTENT_TYPE } from './MetricsRegistry.js';
+
+/**
+ * @param {EmailService} emailService
+ * @param {Object} options - `path` to serve the metrics on (default /metrics)
+ * @returns {http.Server} Not yet listening
+ */
+export function createMetricsServer(emailService, { path = '/metrics' } = {}) {
+  return http.createServer((request, response) => {
+    const { pathname } = new URL(request.url, 'http://localhost');
+
+    if (pathname !== path) {
+      response.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+      response.end('Not found\n');
+      return;
+    }
+
+    if (request.method !== 'GET' && request.method !== 'HEAD') {
+      response.writeHead(405, { 'Content-Type': 'text/plain; charset=utf-8', Allow: 'GET, HEAD' });
+      response.end('Method not allowed\n');
+      return;
+    }
+
+    const body = emailService.getOpenMetrics();
+    response.writeHead(200, {
+      'Content-Type': OPENMETRICS_CONTENT_TYPE,
+      'Content-Length': Buffer.byteLength(body)
+    });
+    response.end(request.method === 'HEAD' ? undefined : body);
+  });
+}
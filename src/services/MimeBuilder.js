@@ -0,0 +1,376 @@
+/**
+ * RFC 5322 / MIME message builder
+ *
+ * Turns our email shape into a complete message for providers that send raw
+ * messages (SMTP, SES raw, Mailgun MIME). Besides the plain-text `body` an
+ * email may carry `html` and `attachments`:
+ *
+ *   { filename, content, encoding, contentType, cid }
+ *
+ * `content` is base64 unless `encoding` is 'utf8', or bytes (a Uint8Array or
+ * Buffer). Strings keep attempts JSON-friendly for storage adapters.
+ * `contentType` is detected from the file name or the leading bytes when
+ * missing. An attachment with a `cid` is an inline image that the HTML refers
+ * to as `<img src="cid:...">`.
+ *
+ * The structure depends on what is present:
+ *
+ *   multipart/mixed             only when there are regular attachments
+ *     multipart/alternative     only when there is HTML
+ *       text/plain              `body`, or text derived from the HTML
+ *       multipart/related       only when there are inline images
+ *         text/html
+ *         image/...             inline, with Content-ID
+ *     application/...           attachments, base64
+ *
+ * Non-ASCII header values are written as RFC 2047 encoded words and long
+ * headers are folded at 78 characters. Text parts are 7bit when they can be
+ * and quoted-printable otherwise.
+ */
+
+import { parseAddress, parseAddressList, formatAddress } from './Recipients.js';
+
+const MAX_LINE_LENGTH = 78;
+// Encoded words may be 75 characters; `=?UTF-8?B?` and `?=` take 12 of them
+const ENCODED_WORD_BYTES = 45;
+const BASE64_LINE_LENGTH = 76;
+
+// Created on use: not every environment that loads EmailService has TextEncoder
+function utf8(text) {
+  return new TextEncoder().encode(text);
+}
+
+const EXTENSION_TYPES = {
+  txt: 'text/plain',
+  csv: 'text/csv',
+  htm: 'text/html',
+  html: 'text/html',
+  ics: 'text/calendar',
+  md: 'text/markdown',
+  json: 'application/json',
+  xml: 'application/xml',
+  pdf: 'application/pdf',
+  zip: 'application/zip',
+  gz: 'application/gzip',
+  doc: 'application/msword',
+  docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  xls: 'application/vnd.ms-excel',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  ppt: 'application/vnd.ms-powerpoint',
+  pptx: 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+  eml: 'message/rfc822',
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  gif: 'image/gif',
+  webp: 'image/webp',
+  svg: 'image/svg+xml'
+};
+
+// Leading bytes of formats whose files often arrive without an extension
+const SIGNATURES = [
+  { bytes: [0x89, 0x50, 0x4e, 0x47], type: 'image/png' },
+  { bytes: [0xff, 0xd8, 0xff], type: 'image/jpeg' },
+  { bytes: [0x47, 0x49, 0x46, 0x38], type: 'image/gif' },
+  { bytes: [0x25, 0x50, 0x44, 0x46], type: 'application/pdf' },
+  { bytes: [0x50, 0x4b, 0x03, 0x04], type: 'application/zip' }
+];
+
+function isAscii(text) {
+  return /^[\x00-\x7f]*$/.test(text);
+}
+
+function stripLineBreaks(value) {
+  // Line breaks would let a header value inject further headers
+  return String(value ?? '').replace(/[\r\n]+/g, ' ');
+}
+
+export function encodeBase64(bytes) {
+  let binary = '';
+  // Chunked so large attachments do not overflow the argument list
+  for (let index = 0; index < bytes.length; index += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(index, index + 0x8000));
+  }
+  return btoa(binary);
+}
+
+export function decodeBase64(text) {
+  const binary = atob(String(text).replace(/\s+/g, ''));
+  const bytes = new Uint8Array(binary.length);
+  for (let index = 0; index < binary.length; index++) {
+    bytes[index] = binary.charCodeAt(index);
+  }
+  return bytes;
+}
+
+function wrapLines(text, length) {
+  const lines = [];
+  for (let index = 0; index < text.length; index += length) {
+    lines.push(text.slice(index, index + length));
+  }
+  return lines.join('\r\n');
+}
+
+/**
+ * RFC 2047 `B` encoding. ASCII values are returned unchanged; others become
+ * one or more encoded words, split between characters rather than bytes.
+ */
+export function encodeHeaderValue(value) {
+  const text = stripLineBreaks(value);
+  if (isAscii(text)) return text;
+
+  const words = [];
+  let chunk = '';
+  for (const char of text) {
+    if (utf8(chunk + char).length > ENCODED_WORD_BYTES) {
+      words.push(chunk);
+      chunk = '';
+    }
+    chunk += char;
+  }
+  words.push(chunk);
+
+  // Whitespace between adjacent encoded words is dropped when decoding
+  return words.map(word => `=?UTF-8?B?${encodeBase64(utf8(word))}?=`).join(' ');
+}
+
+/**
+ * @returns {string} The address for a header, with a non-ASCII display name encoded
+ */
+export function encodeAddress(value) {
+  const entry = parseAddress(value);
+  if (!entry.name || isAscii(entry.name)) return formatAddress(entry);
+  return `${encodeHeaderValue(entry.name)} <${entry.address}>`;
+}
+
+export function encodeAddressList(value) {
+  return parseAddressList(value).map(encodeAddress).join(', ');
+}
+
+/**
+ * `Name: value`, folded at whitespace so that lines stay within 78
+ * characters where the value allows it
+ */
+export function foldHeader(name, value) {
+  const words = `${name}: ${stripLineBreaks(value)}`.split(' ');
+  const lines = [];
+  let line = words.shift();
+
+  words.forEach(word => {
+    if (line.length + 1 + word.length > MAX_LINE_LENGTH && line.trim() !== '') {
+      lines.push(line);
+      line = ` ${word}`;
+    } else {
+      line += ` ${word}`;
+    }
+  });
+  lines.push(line);
+
+  return lines.join('\r\n');
+}
+
+/**
+ * Quoted-printable over UTF-8, with soft line breaks at 76 characters
+ */
+export function encodeQuotedPrintable(text) {
+  return String(text).replace(/\r?\n/g, '\n').split('\n').map(line => {
+    const bytes = utf8(line);
+    const tokens = Array.from(bytes, (byte, index) => {
+      const trailing = index === bytes.length - 1;
+      const literal = (byte >= 33 && byte <= 126 && byte !== 61) || ((byte === 32 || byte === 9) && !trailing);
+      return literal ? String.fromCharCode(byte) : `=${byte.toString(16).toUpperCase().padStart(2, '0')}`;
+    });
+
+    // Never split an `=XX` escape; 75 characters leave room for the soft break
+    const output = [];
+    let current = '';
+    tokens.forEach(token => {
+      if (current.length + token.length > 75) {
+        output.push(`${current}=`);
+        current = '';
+      }
+      current += token;
+    });
+    output.push(current);
+    return output.join('\r\n');
+  }).join('\r\n');
+}
+
+/**
+ * Plain-text alternative for an HTML body. Never throws: numeric entities
+ * that are not characters (surrogates, above U+10FFFF) are left as written.
+ */
+export function htmlToText(html) {
+  const entities = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+  return String(html ?? '')
+    .replace(/<(script|style|head)[\s\S]*?<\/\1>/gi, '')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/(p|div|h[1-6]|li|tr|table|blockquote)>/gi, '\n')
+    .replace(/<li[^>]*>/gi, '- ')
+    .replace(/<a\s[^>]*href="([^"]*)"[^>]*>([\s\S]*?)<\/a>/gi, (match, href, label) =>
+      (label.replace(/<[^>]+>/g, '').trim() === href ? href : `${label} (${href})`))
+    .replace(/<[^>]+>/g, '')
+    .replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+      if (entity[0] === '#') {
+        const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : Number(entity.slice(1));
+        const isCharacter = code <= 0x10ffff && !(code >= 0xd800 && code <= 0xdfff);
+        return isCharacter ? String.fromCodePoint(code) : match;
+      }
+      return entities[entity.toLowerCase()] ?? match;
+    })
+    .replace(/[ \t]+/g, ' ')
+    .replace(/ *\n */g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * @param {string} filename
+ * @param {Uint8Array} bytes - Checked when the extension is unknown
+ * @returns {string} MIME type, application/octet-stream when nothing matches
+ */
+export function detectContentType(filename, bytes) {
+  const extension = String(filename || '').split('.').pop().toLowerCase();
+  if (String(filename || '').includes('.') && EXTENSION_TYPES[extension]) {
+    return EXTENSION_TYPES[extension];
+  }
+  const signature = bytes && SIGNATURES.find(candidate =>
+    candidate.bytes.every((byte, index) => bytes[index] === byte));
+  return signature ? signature.type : 'application/octet-stream';
+}
+
+/**
+ * @returns {Object} `{ filename, contentType, content, cid, inline }` with
+ *   `content` as a Uint8Array
+ * @throws {Error} When there is no content or it is not valid base64
+ */
+export function normalizeAttachment(attachment) {
+  const { filename, content, encoding = 'base64', contentType, cid } = attachment || {};
+  const label = filename || cid || 'attachment';
+  if (content === undefined || content === null) {
+    throw new Error(`Attachment ${label} has no content`);
+  }
+
+  let bytes;
+  if (content instanceof Uint8Array) {
+    bytes = content;
+  } else if (encoding === 'utf8') {
+    bytes = utf8(String(content));
+  } else if (encoding === 'base64') {
+    try {
+      bytes = decodeBase64(content);
+    } catch {
+      throw new Error(`Attachment ${label} is not valid base64`);
+    }
+  } else {
+    throw new Error(`Unknown attachment encoding: ${encoding}`);
+  }
+
+  return {
+    filename: filename || label,
+    contentType: contentType || detectContentType(filename, bytes),
+    content: bytes,
+    cid: cid || undefined,
+    inline: Boolean(cid)
+  };
+}
+
+function parameter(name, value) {
+  if (isAscii(value)) return `${name}="${stripLineBreaks(value).replace(/(["\\])/g, '\\$1')}"`;
+  // RFC 2231; mail clients read the encoded word form for `name`
+  return `${name}*=UTF-8''${encodeURIComponent(value).replace(/['()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`)}`;
+}
+
+function textPart(subtype, text) {
+  const normalized = String(text ?? '').replace(/\r?\n/g, '\r\n');
+  const plain = isAscii(normalized) && normalized.split('\r\n').every(line => line.length <= 998);
+  return {
+    headers: [
+      ['Content-Type', `text/${subtype}; charset=utf-8`],
+      ['Content-Transfer-Encoding', plain ? '7bit' : 'quoted-printable']
+    ],
+    body: plain ? normalized : encodeQuotedPrintable(normalized)
+  };
+}
+
+function attachmentPart(attachment) {
+  const headers = [
+    ['Content-Type', `${attachment.contentType}; ${parameter('name', attachment.filename)}`],
+    ['Content-Transfer-Encoding', 'base64'],
+    ['Content-Disposition', `${attachment.inline ? 'inline' : 'attachment'}; ${parameter('filename', attachment.filename)}`]
+  ];
+  if (attachment.cid) headers.push(['Content-ID', `<${attachment.cid}>`]);
+  return { headers, body: wrapLines(encodeBase64(attachment.content), BASE64_LINE_LENGTH) };
+}
+
+function multipart(subtype, parts) {
+  return { subtype, parts };
+}
+
+function defaultBoundary(index) {
+  // `=_` can appear in neither base64 nor quoted-printable output
+  return `=_Part_${index}_${Math.random().toString(36).slice(2, 12)}`;
+}
+
+function renderPart(part, nextBoundary) {
+  if (!part.parts) {
+    return `${part.headers.map(([name, value]) => foldHeader(name, value)).join('\r\n')}\r\n\r\n${part.body}`;
+  }
+
+  const boundary = nextBoundary();
+  const children = part.parts.map(child => `--${boundary}\r\n${renderPart(child, nextBoundary)}`);
+  return `${foldHeader('Content-Type', `multipart/${part.subtype}; boundary="${boundary}"`)}\r\n\r\n`
+    + `${children.join('\r\n')}\r\n--${boundary}--`;
+}
+
+/**
+ * The body structure described at the top of this file
+ */
+function messageStructure(email) {
+  const attachments = (email.attachments || []).map(normalizeAttachment);
+  const text = email.body || (email.html ? htmlToText(email.html) : '');
+
+  let body = textPart('plain', text);
+  let regular = attachments;
+  if (email.html) {
+    const inline = attachments.filter(attachment => attachment.inline);
+    regular = attachments.filter(attachment => !attachment.inline);
+    const html = textPart('html', email.html);
+    body = multipart('alternative', [
+      body,
+      inline.length > 0 ? multipart('related', [html, ...inline.map(attachmentPart)]) : html
+    ]);
+  }
+
+  return regular.length > 0 ? multipart('mixed', [body, ...regular.map(attachmentPart)]) : body;
+}
+
+/**
+ * @param {Object} email - `{ to, cc, replyTo, subject, body, html, attachments }`;
+ *   `bcc` never appears in the message
+ * @param {Object} options
+ * @param {string} options.from - The From header
+ * @param {string} options.messageId - Without angle brackets
+ * @param {Date} options.date - Defaults to now
+ * @param {Object} options.headers - Extra headers, such as the trace header
+ * @param {Function} options.boundary - `index => string`, for predictable output
+ * @returns {string} The message with CRLF line endings, not dot-stuffed
+ */
+export function buildMimeMessage(email, { from, messageId, date = new Date(), headers = {}, boundary = defaultBoundary } = {}) {
+  const addressHeaders = [['To', email.to], ['Cc', email.cc], ['Reply-To', email.replyTo]]
+    .filter(([, value]) => parseAddressList(value).length > 0)
+    .map(([name, value]) => [name, encodeAddressList(value)]);
+  const envelope = [
+    ['From', from ? encodeAddressList(from) : ''],
+    ...addressHeaders,
+    ['Subject', encodeHeaderValue(email.subject || '')],
+    ['Date', date.toUTCString()],
+    ...(messageId ? [['Message-ID', `<${messageId}>`]] : []),
+    ['MIME-Version', '1.0'],
+    ...Object.entries(headers).map(([name, value]) => [name, encodeHeaderValue(value)])
+  ];
+
+  let index = 0;
+  const root = renderPart(messageStructure(email), () => boundary(index++));
+  return `${envelope.map(([name, value]) => foldHeader(name, value)).join('\r\n')}\r\n${root}\r\n`;
+}
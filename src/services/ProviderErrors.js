@@ -0,0 +1,98 @@
+/**
+ * Structured errors thrown by email providers
+ *
+ * Providers throw a ProviderError (or a subclass) instead of a bare Error so
+ * that callers can tell a transient failure, which is worth retrying, from a
+ * permanent one such as a rejected recipient. Every error carries a category
+ * from a common taxonomy regardless of which vendor produced it.
+ */
+
+export const ErrorCategory = {
+  TRANSIENT: 'transient',             // network problems, timeouts, 5xx
+  RATE_LIMITED: 'rate_limited',       // provider asked us to slow down
+  AUTHENTICATION: 'authentication',   // bad or missing credentials
+  INVALID_REQUEST: 'invalid_request', // malformed payload, unknown endpoint or unsupported option
+  REJECTED: 'rejected',               // recipient or content refused
+  PERMANENT: 'permanent'              // any other failure that will not heal itself
+};
+
+const TRANSIENT_CATEGORIES = [ErrorCategory.TRANSIENT, ErrorCategory.RATE_LIMITED];
+
+export class ProviderError extends Error {
+  /**
+   * @param {string} message
+   * @param {Object} options - `provider`, `code`, `category`, `transient`,
+   *   `retryAfterMs`, `cause` and `emailFailure`: the email itself was refused
+   *   (a recipient or its content), so no other provider or retry would help.
+   *   Defaults to true for REJECTED only; anything else fails the provider
+   *   and the email falls back.
+   */
+  constructor(message, { provider, code, category, transient, retryAfterMs, cause, emailFailure } = {}) {
+    super(message);
+    this.name = 'ProviderError';
+    this.provider = provider;
+    this.code = code;
+    this.category = category
+      || (transient === false ? ErrorCategory.PERMANENT : ErrorCategory.TRANSIENT);
+    this.transient = transient !== undefined
+      ? transient
+      : TRANSIENT_CATEGORIES.includes(this.category);
+    this.emailFailure = emailFailure ?? this.category === ErrorCategory.REJECTED;
+    if (retryAfterMs !== undefined) {
+      this.retryAfterMs = retryAfterMs;
+    }
+    if (cause) {
+      this.cause = cause;
+    }
+  }
+
+  get permanent() {
+    return !this.transient;
+  }
+}
+
+/**
+ * A failure that may succeed if tried again later (network, timeout, 5xx)
+ */
+export class TransientError extends ProviderError {
+  constructor(message, options = {}) {
+    super(message, { ...options, category: options.category || ErrorCategory.TRANSIENT, transient: true });
+    this.name = 'TransientError';
+  }
+}
+
+/**
+ * The provider asked us to slow down; `retryAfterMs` is its hint, if any
+ */
+export class RateLimitedError extends ProviderError {
+  constructor(message, options = {}) {
+    super(message, { ...options, category: ErrorCategory.RATE_LIMITED, transient: true });
+    this.name = 'RateLimitedError';
+  }
+}
+
+/**
+ * A failure that retrying will not fix (hard bounce, bad credentials)
+ */
+export class PermanentError extends ProviderError {
+  constructor(message, options = {}) {
+    super(message, { ...options, category: options.category || ErrorCategory.PERMANENT, transient: false });
+    this.name = 'PermanentError';
+  }
+}
+
+/**
+ * Normalize anything a provider throws into `{ category, transient, retryAfterMs, emailFailure }`.
+ * Untyped errors are assumed to be transient, as before typed errors existed.
+ */
+export function classifyError(error) {
+  if (error instanceof ProviderError) {
+    return {
+      category: error.category,
+      transient: error.transient,
+      retryAfterMs: error.retryAfterMs,
+      emailFailure: error.emailFailure
+    };
+  }
+  return { category: ErrorCategory.TRANSIENT, transient: true, retryAfterMs: undefined, emailFailure: false };
+}
@@ -0,0 +1,199 @@
+/**
+ * Per-provider send metrics over rolling windows
+ *
+ * Time is cut into slices of `sliceMs`. Each slice keeps send counts and a
+ * latency histogram with fixed bucket bounds, and slices older than the
+ * longest window are dropped, so memory per provider is bounded by slices x
+ * buckets however many emails are sent. Percentiles are interpolated within
+ * the bucket they fall in: estimates accurate to the bucket resolution.
+ */
+
+export const LATENCY_BUCKETS_MS = [5, 10, 25, 50, 100, 250, 500, 750, 1000, 1500, 2500, 5000, 10000, 30000];
+
+export const DEFAULT_METRICS_OPTIONS = {
+  windowsMs: [60000, 300000, 900000],
+  sliceMs: 15000
+};
+
+export class LatencyHistogram {
+  constructor() {
+    // One count per bucket bound, plus an overflow bucket
+    this.counts = new Array(LATENCY_BUCKETS_MS.length + 1).fill(0);
+    this.count = 0;
+    this.sum = 0;
+    this.max = 0;
+  }
+
+  record(ms) {
+    const index = LATENCY_BUCKETS_MS.findIndex(bound => ms <= bound);
+    this.counts[index === -1 ? LATENCY_BUCKETS_MS.length : index]++;
+    this.count++;
+    this.sum += ms;
+    this.max = Math.max(this.max, ms);
+  }
+
+  merge(other) {
+    other.counts.forEach((count, index) => {
+      this.counts[index] += count;
+    });
+    this.count += other.count;
+    this.sum += other.sum;
+    this.max = Math.max(this.max, other.max);
+    return this;
+  }
+
+  /**
+   * @param {number} p - Percentile, 0-100
+   * @returns {number|null} Estimated latency in ms, null without samples
+   */
+  percentile(p) {
+    if (this.count === 0) return null;
+
+    const rank = (p / 100) * this.count;
+    let seen = 0;
+    for (let index = 0; index < this.counts.length; index++) {
+      const count = this.counts[index];
+      if (count > 0 && seen + count >= rank) {
+        const lower = index === 0 ? 0 : LATENCY_BUCKETS_MS[index - 1];
+        const upper = index < LATENCY_BUCKETS_MS.length ? LATENCY_BUCKETS_MS[index] : this.max;
+        const estimate = lower + (upper - lower) * ((rank - seen) / count);
+        return Math.min(estimate, this.max);
+      }
+      seen += count;
+    }
+    return this.max;
+  }
+
+  mean() {
+    return this.count > 0 ? this.sum / this.count : null;
+  }
+}
+
+function summarize(slices) {
+  const histogram = new LatencyHistogram();
+  let sent = 0;
+  let succeeded = 0;
+  let failed = 0;
+
+  slices.forEach(slice => {
+    sent += slice.sent;
+    succeeded += slice.succeeded;
+    failed += slice.failed;
+    histogram.merge(slice.histogram);
+  });
+
+  return {
+    sent,
+    succeeded,
+    failed,
+    successRate: sent > 0 ? succeeded / sent : null,
+    errorRate: sent > 0 ? failed / sent : null,
+    latency: {
+      p50: histogram.percentile(50),
+      p95: histogram.percentile(95),
+      p99: histogram.percentile(99),
+      mean: histogram.mean(),
+      max: histogram.count > 0 ? histogram.max : null
+    }
+  };
+}
+
+export class ProviderMetrics {
+  /**
+   * @param {Object} options - Overrides for DEFAULT_METRICS_OPTIONS
+   */
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_METRICS_OPTIONS, ...options };
+    const { windowsMs, sliceMs } = this.options;
+
+    if (!(sliceMs > 0)) {
+      throw new Error(`Invalid metrics slice: ${sliceMs}`);
+    }
+    if (!Array.isArray(windowsMs) || windowsMs.length === 0 || windowsMs.some(windowMs => !(windowMs >= sliceMs))) {
+      throw new Error('Metrics windows must be at least one slice long');
+    }
+
+    this.retentionMs = Math.max(...windowsMs);
+    this.providers = new Map();
+  }
+
+  register(name) {
+    if (!this.providers.has(name)) {
+      this.providers.set(name, { totals: { sent: 0, succeeded: 0, failed: 0 }, slices: [] });
+    }
+    return this.providers.get(name);
+  }
+
+  recordSuccess(name, latencyMs) {
+    this.record(name, latencyMs, true);
+  }
+
+  recordFailure(name, latencyMs) {
+    this.record(name, latencyMs, false);
+  }
+
+  /**
+   * Latency is recorded for failed sends too: a provider that is slow to
+   * fail is still slow
+   */
+  record(name, latencyMs, success) {
+    const entry = this.register(name);
+    const slice = this.currentSlice(entry);
+    const outcome = success ? 'succeeded' : 'failed';
+
+    slice.sent++;
+    slice[outcome]++;
+    slice.histogram.record(latencyMs);
+    entry.totals.sent++;
+    entry.totals[outcome]++;
+  }
+
+  currentSlice(entry) {
+    const { sliceMs } = this.options;
+    const start = Math.floor(Date.now() / sliceMs) * sliceMs;
+    const last = entry.slices[entry.slices.length - 1];
+
+    if (last && last.start === start) return last;
+
+    const slice = { start, sent: 0, succeeded: 0, failed: 0, histogram: new LatencyHistogram() };
+    entry.slices.push(slice);
+    this.prune(entry);
+    return slice;
+  }
+
+  prune(entry) {
+    const cutoff = Date.now() - this.retentionMs;
+    while (entry.slices.length > 0 && entry.slices[0].start + this.options.sliceMs <= cutoff) {
+      entry.slices.shift();
+    }
+  }
+
+  totals(name) {
+    return { ...this.register(name).totals };
+  }
+
+  /**
+   * Lifetime totals, a summary per window and a per-slice series covering
+   * the longest window
+   */
+  snapshot(name) {
+    const entry = this.register(name);
+    this.prune(entry);
+
+    const now = Date.now();
+    const { windowsMs, sliceMs } = this.options;
+
+    return {
+      name,
+      totals: { ...entry.totals },
+      windows: windowsMs.map(windowMs => ({
+        windowMs,
+        ...summarize(entry.slices.filter(slice => slice.start + sliceMs > now - windowMs))
+      })),
+      series: entry.slices.map(slice => {
+        const { sent, failed, errorRate, latency } = summarize([slice]);
+        return { at: new Date(slice.start), sent, failed, errorRate, p50: latency.p50, p95: latency.p95, p99: latency.p99 };
+      })
+    };
+  }
+}
@@ -0,0 +1,175 @@
+/**
+ * Provider routing strategies
+ *
+ * The router decides the order in which providers are tried for an email.
+ * The first provider in the order takes the traffic; the rest remain
+ * fallbacks, so every strategy keeps failover.
+ *
+ * - priority: providers in configured order (the first takes all traffic)
+ * - weighted_round_robin: spread traffic by `weights` (smooth weighted
+ *   round-robin, so a 3:1 split interleaves rather than sending in bursts)
+ * - least_latency: fastest observed average latency first; providers not yet
+ *   measured go first so they get measured. Failed sends count too, as at
+ *   least FAILURE_LATENCY_MS, so a failing provider drops behind
+ * - rule_based: the first rule whose `match` fits the email puts its
+ *   `providers` first; emails that match no rule use priority order
+ */
+
+import { recipientDomains } from './DomainThrottle.js';
+
+export const RoutingStrategy = {
+  PRIORITY: 'priority',
+  WEIGHTED_ROUND_ROBIN: 'weighted_round_robin',
+  LEAST_LATENCY: 'least_latency',
+  RULE_BASED: 'rule_based'
+};
+
+// Weight of the newest sample in the moving average of provider latency
+const LATENCY_SMOOTHING = 0.3;
+
+// What a failed send costs the caller, however quickly it failed: they waited
+// and still have to try another provider
+export const FAILURE_LATENCY_MS = 10000;
+
+const RULE_CRITERIA = ['domain', 'from', 'tag'];
+
+// Bare lower-cased address from `user@example.com` or `Name <user@example.com>`
+function bareAddress(value) {
+  const match = /<([^>]+)>/.exec(String(value || ''));
+  return (match ? match[1] : String(value || '')).trim().toLowerCase();
+}
+
+function anyOf(expected, actual) {
+  const values = Array.isArray(expected) ? expected : [expected];
+  return values.some(value => actual.includes(String(value).toLowerCase()));
+}
+
+/**
+ * Whether every criterion in `match` fits the email. Each criterion takes a
+ * value or a list of values: `domain` (any recipient's domain), `from` (sender
+ * address) and `tag` (one of `email.tags`).
+ */
+export function matchesRule(match, email) {
+  const tags = (email.tags || []).map(tag => String(tag).toLowerCase());
+  const actual = {
+    domain: recipientDomains(email),
+    from: [bareAddress(email.from)],
+    tag: tags
+  };
+
+  return RULE_CRITERIA
+    .filter(criterion => match[criterion] !== undefined)
+    .every(criterion => anyOf(match[criterion], actual[criterion]));
+}
+
+export class ProviderRouter {
+  /**
+   * @param {Object} options - `strategy`, `weights` (by provider name,
+   *   default 1) and `rules` (`{ match, providers }` objects)
+   */
+  constructor(options = {}) {
+    this.latency = new Map();
+    this.configure(options);
+  }
+
+  configure({ strategy = RoutingStrategy.PRIORITY, weights = {}, rules = [] } = {}) {
+    if (!Object.values(RoutingStrategy).includes(strategy)) {
+      throw new Error(`Unknown routing strategy: ${strategy}`);
+    }
+
+    Object.entries(weights).forEach(([name, weight]) => {
+      if (!(typeof weight === 'number' && weight >= 0)) {
+        throw new Error(`Invalid routing weight for ${name}: ${weight}`);
+      }
+    });
+
+    rules.forEach((rule, index) => {
+      const criteria = Object.keys(rule.match || {});
+      if (criteria.length === 0 || criteria.some(criterion => !RULE_CRITERIA.includes(criterion))) {
+        throw new Error(`Routing rule ${index} must match on ${RULE_CRITERIA.join(', ')}`);
+      }
+      if (!Array.isArray(rule.providers) || rule.providers.length === 0) {
+        throw new Error(`Routing rule ${index} has no providers`);
+      }
+    });
+
+    this.strategy = strategy;
+    this.weights = { ...weights };
+    this.rules = rules;
+    this.currentWeights = new Map();
+  }
+
+  /**
+   * @param {Array} providers - Candidates in priority order
+   * @param {Object} email
+   * @returns {Array} The same providers in the order to try them
+   */
+  order(providers, email) {
+    switch (this.strategy) {
+      case RoutingStrategy.WEIGHTED_ROUND_ROBIN:
+        return this.orderByWeight(providers);
+      case RoutingStrategy.LEAST_LATENCY:
+        return this.orderByLatency(providers);
+      case RoutingStrategy.RULE_BASED:
+        return this.orderByRules(providers, email);
+      default:
+        return providers;
+    }
+  }
+
+  weightOf(name) {
+    return this.weights[name] ?? 1;
+  }
+
+  orderByWeight(providers) {
+    const weighted = providers.filter(provider => this.weightOf(provider.name) > 0);
+    const total = weighted.reduce((sum, provider) => sum + this.weightOf(provider.name), 0);
+
+    // Smooth weighted round-robin: every candidate gains its weight, the
+    // leader is picked and pays back the total
+    let chosen = null;
+    weighted.forEach(provider => {
+      const current = (this.currentWeights.get(provider.name) || 0) + this.weightOf(provider.name);
+      this.currentWeights.set(provider.name, current);
+      if (!chosen || current > this.currentWeights.get(chosen.name)) {
+        chosen = provider;
+      }
+    });
+
+    if (!chosen) return providers;
+    this.currentWeights.set(chosen.name, this.currentWeights.get(chosen.name) - total);
+
+    const fallbacks = providers
+      .filter(provider => provider !== chosen)
+      .sort((a, b) => this.weightOf(b.name) - this.weightOf(a.name));
+    return [chosen, ...fallbacks];
+  }
+
+  orderByLatency(providers) {
+    const latencyOf = provider => this.latency.get(provider.name) ?? -1;
+    return [...providers].sort((a, b) => latencyOf(a) - latencyOf(b));
+  }
+
+  orderByRules(providers, email) {
+    const rule = this.rules.find(candidate => matchesRule(candidate.match, email));
+    if (!rule) return providers;
+
+    const preferred = rule.providers
+      .map(name => providers.find(provider => provider.name === name))
+      .filter(Boolean);
+    return [...preferred, ...providers.filter(provider => !preferred.includes(provider))];
+  }
+
+  recordLatency(name, ms) {
+    const previous = this.latency.get(name);
+    this.latency.set(name, previous === undefined ? ms : previous + LATENCY_SMOOTHING * (ms - previous));
+  }
+
+  recordFailure(name, ms) {
+    this.recordLatency(name, Math.max(ms, FAILURE_LATENCY_MS));
+  }
+
+  averageLatency(name) {
+    return this.latency.get(name) ?? null;
+  }
+}
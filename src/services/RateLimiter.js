@@ -0,0 +1,109 @@
+/**
+ * Token-bucket rate limiting
+ *
+ * A limit such as `{ perSecond: 10, perDay: 50000 }` becomes one bucket per
+ * window. Each bucket holds up to `limit` tokens and refills continuously at
+ * `limit` tokens per window, so short bursts are allowed up to the bucket
+ * size while the long-run rate never exceeds the limit. A request needs a
+ * token from every bucket.
+ */
+
+export const RATE_LIMIT_WINDOWS = {
+  perSecond: 1000,
+  perMinute: 60000,
+  perHour: 3600000,
+  perDay: 86400000
+};
+
+export class TokenBucket {
+  constructor(capacity, intervalMs) {
+    this.capacity = capacity;
+    this.refillPerMs = capacity / intervalMs;
+    this.tokens = capacity;
+    this.lastRefill = Date.now();
+  }
+
+  refill() {
+    const now = Date.now();
+    const elapsed = now - this.lastRefill;
+    if (elapsed > 0) {
+      this.tokens = Math.min(this.capacity, this.tokens + elapsed * this.refillPerMs);
+    }
+    this.lastRefill = now;
+  }
+
+  available() {
+    this.refill();
+    return this.tokens;
+  }
+
+  take(count = 1) {
+    this.refill();
+    this.tokens -= count;
+  }
+
+  msUntilAvailable(count = 1) {
+    const missing = count - this.available();
+    return missing <= 0 ? 0 : Math.ceil(missing / this.refillPerMs);
+  }
+
+  msUntilFull() {
+    return Math.ceil((this.capacity - this.available()) / this.refillPerMs);
+  }
+}
+
+export class RateLimiter {
+  /**
+   * @param {Object} limits - Any of perSecond, perMinute, perHour, perDay
+   */
+  constructor(limits = {}) {
+    this.buckets = Object.entries(limits)
+      .filter(([, limit]) => limit !== undefined && limit !== null)
+      .map(([window, limit]) => {
+        if (!RATE_LIMIT_WINDOWS[window]) {
+          throw new Error(`Unknown rate limit window: ${window}`);
+        }
+        if (!(limit > 0)) {
+          throw new Error(`Invalid rate limit for ${window}: ${limit}`);
+        }
+        return { window, limit, bucket: new TokenBucket(limit, RATE_LIMIT_WINDOWS[window]) };
+      });
+  }
+
+  get isLimited() {
+    return this.buckets.length > 0;
+  }
+
+  /**
+   * Take a token from every bucket, or from none if any bucket is empty
+   * @returns {boolean} Whether the request may proceed
+   */
+  tryTake(count = 1) {
+    if (this.buckets.some(({ bucket }) => bucket.available() < count)) {
+      return false;
+    }
+    this.buckets.forEach(({ bucket }) => bucket.take(count));
+    return true;
+  }
+
+  /**
+   * Time until every bucket has a token again
+   */
+  msUntilAvailable(count = 1) {
+    return this.buckets.reduce((wait, { bucket }) => Math.max(wait, bucket.msUntilAvailable(count)), 0);
+  }
+
+  status() {
+    const limits = this.buckets.map(({ window, limit, bucket }) => ({
+      window,
+      limit,
+      remaining: Math.floor(bucket.available()),
+      resetTime: new Date(Date.now() + bucket.msUntilFull())
+    }));
+
+    return {
+      remaining: limits.length > 0 ? Math.min(...limits.map(entry => entry.remaining)) : null,
+      limits
+    };
+  }
+}
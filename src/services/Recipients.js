@@ -0,0 +1,144 @@
+/**
+ * Recipient addresses and per-recipient delivery status
+ *
+ * An address is written `jane@example.com` or `Jane Doe <jane@example.com>`;
+ * a display name containing a comma is quoted: `"Doe, Jane" <jane@example.com>`.
+ * `to`, `cc` and `bcc` each take one such string, a comma-separated list of
+ * them, or an array. `replyTo` takes a single address.
+ *
+ * Providers report recipients they refused in their result:
+ * `{ success, messageId, rejected: [{ address, error }] }`. A provider that
+ * refuses every recipient throws instead.
+ */
+
+export const RecipientField = {
+  TO: 'to',
+  CC: 'cc',
+  BCC: 'bcc'
+};
+
+export const RecipientStatus = {
+  PENDING: 'pending',
+  SENT: 'sent',
+  REJECTED: 'rejected',
+  FAILED: 'failed'
+};
+
+const ADDRESS_PATTERN = /^[^\s@<>,;"]+@[^\s@<>,;"]+$/;
+
+export function isValidAddress(address) {
+  return typeof address === 'string' && ADDRESS_PATTERN.test(address);
+}
+
+/**
+ * Split a list on commas and semicolons outside quotes and angle brackets
+ *
+ * @returns {string[]} Trimmed, non-empty entries
+ */
+export function splitAddressList(text) {
+  const entries = [];
+  let current = '';
+  let quoted = false;
+  let bracketed = false;
+
+  for (const char of String(text ?? '')) {
+    if (char === '"' && !bracketed) quoted = !quoted;
+    else if (char === '<' && !quoted) bracketed = true;
+    else if (char === '>' && !quoted) bracketed = false;
+
+    if ((char === ',' || char === ';') && !quoted && !bracketed) {
+      entries.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  entries.push(current);
+
+  return entries.map(entry => entry.trim()).filter(Boolean);
+}
+
+/**
+ * @param {string|Object} value - `Name <address>`, a bare address, or
+ *   `{ name, address }`
+ * @returns {Object} `{ name, address }`; name is '' when there is none. The
+ *   address is not validated, see isValidAddress.
+ */
+export function parseAddress(value) {
+  if (value && typeof value === 'object') {
+    return { name: String(value.name || '').trim(), address: String(value.address || value.email || '').trim() };
+  }
+
+  const text = String(value ?? '').trim();
+  const match = /^(.*?)\s*<([^<>]*)>$/.exec(text);
+  if (!match) return { name: '', address: text };
+
+  const name = match[1].trim().replace(/^"(.*)"$/, '$1').replace(/\\(.)/g, '$1');
+  return { name, address: match[2].trim() };
+}
+
+/**
+ * @param {string|string[]|Object[]} value
+ * @returns {Object[]} `{ name, address }` for each entry
+ */
+export function parseAddressList(value) {
+  if (value === undefined || value === null) return [];
+  const entries = Array.isArray(value) ? value : [value];
+  return entries
+    .flatMap(entry => (typeof entry === 'object' && entry !== null ? [entry] : splitAddressList(entry)))
+    .map(parseAddress)
+    .filter(entry => entry.address !== '');
+}
+
+/**
+ * @returns {string} `Name <address>`, quoting names that need it, or the bare address
+ */
+export function formatAddress({ name, address }) {
+  if (!name) return address;
+  const quoted = /[",;<>@()[\]:\\]/.test(name) ? `"${name.replace(/(["\\])/g, '\\$1')}"` : name;
+  return `${quoted} <${address}>`;
+}
+
+export function formatAddressList(value) {
+  return parseAddressList(value).map(formatAddress).join(', ');
+}
+
+/**
+ * Every recipient of an email, in to, cc, bcc order
+ *
+ * @returns {Object[]} `{ field, name, address }`
+ */
+export function listRecipients(email) {
+  return Object.values(RecipientField).flatMap(field =>
+    parseAddressList(email[field]).map(entry => ({ field, ...entry })));
+}
+
+/**
+ * Entries of `to`, `cc`, `bcc` and `replyTo` that are not valid addresses
+ *
+ * @returns {Object[]} `{ field, value }`
+ */
+export function findInvalidAddresses(email) {
+  return [...Object.values(RecipientField), 'replyTo'].flatMap(field => {
+    const raw = email[field];
+    if (raw === undefined || raw === null) return [];
+    const entries = (Array.isArray(raw) ? raw : [raw])
+      .flatMap(entry => (typeof entry === 'object' && entry !== null ? [entry] : splitAddressList(entry)));
+    return entries
+      .filter(entry => !isValidAddress(parseAddress(entry).address))
+      .map(entry => ({ field, value: typeof entry === 'object' ? JSON.stringify(entry) : entry }));
+  });
+}
+
+/**
+ * Tally an attempt's recipients by status
+ *
+ * @returns {Object} Count per RecipientStatus, plus `total`
+ */
+export function summarizeRecipients(recipients = []) {
+  const summary = { total: recipients.length };
+  Object.values(RecipientStatus).forEach(status => {
+    summary[status] = recipients.filter(recipient => recipient.status === status).length;
+  });
+  return summary;
+}
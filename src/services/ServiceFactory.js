@@ -0,0 +1,123 @@
+/**
+ * Build providers and an EmailService from plain configuration, for Node
+ * entry points such as the API server:
+ *
+ *   {
+ *     "providers": [
+ *       { "type": "sendgrid", "name": "SendGrid", "apiKey": "..." },
+ *       { "type": "smtp", "name": "Relay", "host": "smtp.example.com", "port": 587 }
+ *     ],
+ *     "service": { "maxRetries": 5, "routingStrategy": "least_latency" },
+ *     "storageFile": "./data/email-state.json",
+ *     "logFile": "./logs/email-service.jsonl",
+ *     "templates": {
+ *       "welcome": { "subject": "Welcome, {{ name }}", "html": "<p>Hi {{ name }}</p>{{> footer }}", "version": 2 }
+ *     },
+ *     "partials": { "footer": "<p>The Example team</p>" }
+ *   }
+ *
+ * Everything in a provider spec other than `type` and `name` is passed to
+ * the provider's constructor as its options. Templates are registered on
+ * every start; give them a `version` so that version numbers mean the same
+ * thing across restarts and processes.
+ */
+
+import { promises as fs } from 'fs';
+import { EmailService, MockEmailProvider } from './EmailService.js';
+import { SendGridEmailProvider, MailgunEmailProvider, SesEmailProvider } from './HttpEmailProviders.js';
+import { SmtpEmailProvider } from './SmtpEmailProvider.js';
+import { FileStorageAdapter } from './FileStorageAdapter.js';
+import { JsonLinesFileLogSink } from './FileLogSink.js';
+import { ConsoleLogSink } from './Logger.js';
+
+export const ProviderType = {
+  MOCK: 'mock',
+  SMTP: 'smtp',
+  SENDGRID: 'sendgrid',
+  MAILGUN: 'mailgun',
+  SES: 'ses'
+};
+
+const PROVIDER_CLASSES = {
+  [ProviderType.SMTP]: SmtpEmailProvider,
+  [ProviderType.SENDGRID]: SendGridEmailProvider,
+  [ProviderType.MAILGUN]: MailgunEmailProvider,
+  [ProviderType.SES]: SesEmailProvider
+};
+
+// Used when a configuration names no providers, so the server runs out of the box
+export const DEFAULT_PROVIDERS = [
+  { type: ProviderType.MOCK, name: 'MockPrimary', failureRate: 0.1, latencyMs: 200 },
+  { type: ProviderType.MOCK, name: 'MockSecondary', failureRate: 0.1, latencyMs: 400 }
+];
+
+/**
+ * @param {Object} spec - `{ type, name, ...options }`; mock providers take
+ *   `failureRate` and `latencyMs`
+ */
+export function createProvider(spec) {
+  const { type, name, ...options } = spec || {};
+  if (typeof name !== 'string' || name === '') {
+    throw new Error(`Provider of type ${type} needs a name`);
+  }
+
+  if (type === ProviderType.MOCK) {
+    return new MockEmailProvider(name, options.failureRate ?? 0, options.latencyMs ?? 100);
+  }
+  if (!PROVIDER_CLASSES[type]) {
+    throw new Error(`Unknown provider type: ${type}`);
+  }
+  return new PROVIDER_CLASSES[type](name, options);
+}
+
+/**
+ * @returns {Object[]} Providers in the same (priority) order as the specs
+ */
+export function createProviders(specs) {
+  if (!Array.isArray(specs) || specs.length === 0) {
+    throw new Error('At least one provider is required');
+  }
+
+  const names = specs.map(spec => spec && spec.name);
+  const duplicate = names.find((name, index) => names.indexOf(name) !== index);
+  if (duplicate) {
+    throw new Error(`Duplicate provider name: ${duplicate}`);
+  }
+
+  return specs.map(createProvider);
+}
+
+/**
+ * @param {Object} config - `providers` (default: DEFAULT_PROVIDERS),
+ *   `service` (EmailService config), `storageFile` (persist state there) and
+ *   `logFile` (also write logs there as JSON lines), `templates` (name to
+ *   `{ subject, html, text, version }`) and `partials` (name to source)
+ * @param {Object} options - Extra EmailService collaborators; `logSinks`
+ *   replaces the console sink
+ * @returns {EmailService}
+ */
+export function createEmailService(config = {}, options = {}) {
+  const providers = createProviders(config.providers || DEFAULT_PROVIDERS);
+  const storage = config.storageFile ? new FileStorageAdapter(config.storageFile) : undefined;
+  const logSinks = [...(options.logSinks || [new ConsoleLogSink()])];
+  if (config.logFile) {
+    logSinks.push(new JsonLinesFileLogSink(config.logFile));
+  }
+  const emailService = new EmailService(providers, config.service || {}, { storage, ...options, logSinks });
+
+  Object.entries(config.partials || {}).forEach(([name, source]) => emailService.registerPartial(name, source));
+  Object.entries(config.templates || {}).forEach(([name, definition]) => emailService.registerTemplate(name, definition));
+  return emailService;
+}
+
+/**
+ * Read a JSON configuration file
+ */
+export async function loadConfig(filePath) {
+  const contents = await fs.readFile(filePath, 'utf8');
+  try {
+    return JSON.parse(contents);
+  } catch (error) {
+    throw new Error(`Invalid JSON in ${filePath}: ${error.message}`);
+  }
+}
@@ -0,0 +1,474 @@
+/**
+ * SMTP email provider for Node
+ *
+ * Speaks SMTP directly over a socket and follows the same contract as
+ * MockEmailProvider: `sendEmail(email, context)` resolves to
+ * `{ success, messageId }`, plus `rejected` when the server refused some
+ * recipients (RCPT TO) but accepted others. `context.headers` (such as the
+ * trace header) are added to the message headers.
+ *
+ * The message itself comes from MimeBuilder, so HTML, attachments and
+ * non-ASCII headers are sent as MIME.
+ *
+ * Supports:
+ * - EHLO capability discovery
+ * - STARTTLS upgrade (or implicit TLS with `secure: true`)
+ * - AUTH PLAIN and AUTH LOGIN
+ * - PIPELINING of the MAIL/RCPT/DATA envelope when the server advertises it
+ *
+ * Failures are thrown as SmtpError: 4xx replies and network problems are
+ * transient, 5xx replies are permanent. Only 550-553 mailbox refusals are
+ * REJECTED and fail the email; bad credentials are AUTHENTICATION and other
+ * 5xx replies (such as 500-504 syntax errors) are PERMANENT, so the email
+ * falls back to another provider.
+ */
+
+import net from 'net';
+import tls from 'tls';
+import os from 'os';
+import { ProviderError, ErrorCategory } from './ProviderErrors.js';
+import { listRecipients, parseAddress } from './Recipients.js';
+import { buildMimeMessage } from './MimeBuilder.js';
+
+// Mailbox-level refusals (unavailable, not local, over quota, bad name) are
+// about the email; any other 5xx says the server cannot be used
+const REJECTED_REPLIES = [550, 551, 552, 553];
+
+function categorizeReply(replyCode) {
+  if (!replyCode || replyCode < 500) return ErrorCategory.TRANSIENT;
+  if ([530, 534, 535, 538].includes(replyCode)) return ErrorCategory.AUTHENTICATION;
+  if (REJECTED_REPLIES.includes(replyCode)) return ErrorCategory.REJECTED;
+  return ErrorCategory.PERMANENT;
+}
+
+export class SmtpError extends ProviderError {
+  constructor(message, { provider, replyCode, enhancedStatus, command, response, transient, cause } = {}) {
+    super(message, {
+      provider,
+      code: replyCode,
+      category: transient === false && !replyCode ? ErrorCategory.PERMANENT : categorizeReply(replyCode),
+      cause
+    });
+    this.name = 'SmtpError';
+    this.replyCode = replyCode;
+    this.enhancedStatus = enhancedStatus;
+    this.command = command;
+    this.response = response;
+  }
+}
+
+const ENHANCED_STATUS_PATTERN = /^([245]\.\d{1,3}\.\d{1,3})\s/;
+
+/**
+ * Line-oriented reader/writer over a (possibly upgraded) socket
+ */
+class SmtpConnection {
+  constructor(socket, timeoutMs) {
+    this.timeoutMs = timeoutMs;
+    this.buffer = '';
+    this.replyLines = [];
+    this.replies = [];
+    this.waiters = [];
+    this.error = null;
+
+    this.handleData = this.handleData.bind(this);
+    this.handleError = this.handleError.bind(this);
+    this.handleClose = this.handleClose.bind(this);
+    this.handleTimeout = this.handleTimeout.bind(this);
+
+    this.attach(socket);
+  }
+
+  attach(socket) {
+    this.socket = socket;
+    socket.setEncoding('utf8');
+    socket.setTimeout(this.timeoutMs);
+    socket.on('data', this.handleData);
+    socket.on('error', this.handleError);
+    socket.on('close', this.handleClose);
+    socket.on('timeout', this.handleTimeout);
+  }
+
+  detach() {
+    this.socket.removeListener('data', this.handleData);
+    this.socket.removeListener('error', this.handleError);
+    this.socket.removeListener('close', this.handleClose);
+    this.socket.removeListener('timeout', this.handleTimeout);
+    this.socket.setTimeout(0);
+  }
+
+  handleData(chunk) {
+    this.buffer += chunk;
+
+    let index;
+    while ((index = this.buffer.indexOf('\r\n')) !== -1) {
+      const line = this.buffer.slice(0, index);
+      this.buffer = this.buffer.slice(index + 2);
+      this.handleLine(line);
+    }
+  }
+
+  handleLine(line) {
+    const match = /^(\d{3})([ -]?)(.*)$/.exec(line);
+    if (!match) {
+      this.fail(new SmtpError(`Malformed SMTP reply: ${line}`));
+      return;
+    }
+
+    this.replyLines.push(match[3]);
+    if (match[2] === '-') return;
+
+    const reply = { code: Number(match[1]), lines: this.replyLines };
+    this.replyLines = [];
+
+    const waiter = this.waiters.shift();
+    if (waiter) {
+      waiter.resolve(reply);
+    } else {
+      this.replies.push(reply);
+    }
+  }
+
+  handleError(error) {
+    this.fail(new SmtpError(`SMTP connection error: ${error.message}`, { cause: error }));
+  }
+
+  handleClose() {
+    this.fail(new SmtpError('SMTP connection closed unexpectedly'));
+  }
+
+  handleTimeout() {
+    this.fail(new SmtpError(`SMTP connection timed out after ${this.timeoutMs}ms`));
+  }
+
+  fail(error) {
+    if (!this.error) {
+      this.error = error;
+    }
+    this.waiters.forEach(waiter => waiter.reject(this.error));
+    this.waiters = [];
+    this.socket.destroy();
+  }
+
+  readReply() {
+    if (this.replies.length > 0) {
+      return Promise.resolve(this.replies.shift());
+    }
+    if (this.error) {
+      return Promise.reject(this.error);
+    }
+    return new Promise((resolve, reject) => {
+      this.waiters.push({ resolve, reject });
+    });
+  }
+
+  write(data) {
+    this.socket.write(data);
+  }
+
+  async upgrade(tlsOptions) {
+    this.detach();
+    const plainSocket = this.socket;
+
+    // detach() turned the socket timeout off, so the handshake is timed here
+    const secureSocket = await new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        socket.destroy();
+        plainSocket.destroy();
+        reject(new SmtpError(`SMTP TLS handshake timed out after ${this.timeoutMs}ms`, { command: 'STARTTLS' }));
+      }, this.timeoutMs);
+      const socket = tls.connect({ ...tlsOptions, socket: plainSocket }, () => {
+        clearTimeout(timer);
+        resolve(socket);
+      });
+      socket.once('error', error => {
+        clearTimeout(timer);
+        reject(error);
+      });
+    });
+
+    this.attach(secureSocket);
+  }
+
+  close() {
+    this.detach();
+    this.socket.end();
+    this.socket.destroy();
+  }
+}
+
+export class SmtpEmailProvider {
+  /**
+   * @param {string} name - Provider name used for routing and circuit breakers
+   * @param {Object} options
+   * @param {string} options.host - SMTP server host (default: localhost)
+   * @param {number} options.port - SMTP server port (default: 587)
+   * @param {boolean} options.secure - Connect with implicit TLS (port 465 style)
+   * @param {boolean} options.requireTLS - Fail instead of sending in clear text
+   * @param {boolean} options.ignoreTLS - Never issue STARTTLS
+   * @param {Object} options.auth - `{ user, pass }` credentials
+   * @param {string} options.authMethod - Force 'PLAIN' or 'LOGIN'
+   * @param {string} options.from - Envelope sender when the email has no `from`
+   * @param {string} options.clientName - Name announced in EHLO
+   * @param {number} options.timeoutMs - Connect and socket inactivity timeout
+   * @param {Object} options.tls - Extra options passed to `tls.connect`
+   */
+  constructor(name, options = {}) {
+    this.name = name;
+    this.options = {
+      host: 'localhost',
+      port: 587,
+      secure: false,
+      requireTLS: false,
+      ignoreTLS: false,
+      clientName: os.hostname(),
+      timeoutMs: 30000,
+      tls: {},
+      ...options
+    };
+  }
+
+  async sendEmail(email, context = {}) {
+    const connection = await this.connect();
+
+    try {
+      await this.expectReply(connection, 'greeting', [220]);
+
+      let capabilities = await this.ehlo(connection);
+
+      if (!this.options.secure && !this.options.ignoreTLS && capabilities.has('STARTTLS')) {
+        await this.command(connection, 'STARTTLS', [220]);
+        await connection.upgrade(this.tlsOptions()).catch(error => {
+          error.provider = this.name;
+          throw error;
+        });
+        capabilities = await this.ehlo(connection);
+      } else if (!this.options.secure && this.options.requireTLS) {
+        throw new SmtpError('SMTP server does not support STARTTLS', {
+          provider: this.name,
+          transient: false
+        });
+      }
+
+      if (this.options.auth) {
+        await this.authenticate(connection, capabilities);
+      }
+
+      const messageId = this.generateMessageId(email);
+      const rejected = await this.transmit(connection, capabilities, email, messageId, context.headers);
+
+      try {
+        await this.command(connection, 'QUIT', [221]);
+      } catch {
+        // The message is already accepted; a sloppy QUIT is not a failure
+      }
+
+      return rejected.length > 0 ? { success: true, messageId, rejected } : { success: true, messageId };
+    } finally {
+      connection.close();
+    }
+  }
+
+  connect() {
+    const { host, port, secure, timeoutMs } = this.options;
+
+    return new Promise((resolve, reject) => {
+      // The socket timeout only starts once connected, so a server that never
+      // completes the handshake needs a timer of its own
+      const timer = setTimeout(() => {
+        socket.removeListener('error', onError);
+        socket.destroy();
+        reject(new SmtpError(`Timed out connecting to ${host}:${port} after ${timeoutMs}ms`, {
+          provider: this.name
+        }));
+      }, timeoutMs);
+      const onConnect = () => {
+        clearTimeout(timer);
+        socket.removeListener('error', onError);
+        resolve(new SmtpConnection(socket, timeoutMs));
+      };
+      const onError = (error) => {
+        clearTimeout(timer);
+        reject(new SmtpError(`Failed to connect to ${host}:${port}: ${error.message}`, {
+          provider: this.name,
+          cause: error
+        }));
+      };
+
+      const socket = secure
+        ? tls.connect({ ...this.tlsOptions(), port }, onConnect)
+        : net.connect({ host, port }, onConnect);
+      socket.once('error', onError);
+    });
+  }
+
+  tlsOptions() {
+    return { host: this.options.host, servername: this.options.host, ...this.options.tls };
+  }
+
+  async ehlo(connection) {
+    const reply = await this.command(connection, `EHLO ${this.options.clientName}`, [250]);
+    const capabilities = new Map();
+
+    // The first line is the server greeting, every following line is a keyword
+    reply.lines.slice(1).forEach(line => {
+      const [keyword, ...params] = line.trim().split(/\s+/);
+      capabilities.set(keyword.toUpperCase(), params.join(' '));
+    });
+
+    return capabilities;
+  }
+
+  async authenticate(connection, capabilities) {
+    const { user, pass } = this.options.auth;
+    const advertised = (capabilities.get('AUTH') || '').toUpperCase().split(/\s+/);
+    const method = this.options.authMethod
+      || ['PLAIN', 'LOGIN'].find(candidate => advertised.includes(candidate));
+
+    if (!method) {
+      throw new SmtpError('SMTP server offers no supported AUTH mechanism', {
+        provider: this.name,
+        transient: false
+      });
+    }
+
+    if (method === 'PLAIN') {
+      const token = Buffer.from(`\u0000${user}\u0000${pass}`, 'utf8').toString('base64');
+      await this.command(connection, `AUTH PLAIN ${token}`, [235], 'AUTH PLAIN');
+      return;
+    }
+
+    await this.command(connection, 'AUTH LOGIN', [334]);
+    await this.command(connection, Buffer.from(user, 'utf8').toString('base64'), [334], 'AUTH LOGIN username');
+    await this.command(connection, Buffer.from(pass, 'utf8').toString('base64'), [235], 'AUTH LOGIN password');
+  }
+
+  /**
+   * Run the MAIL/RCPT/DATA envelope and send the message. Refused
+   * recipients do not stop the others; the transaction only fails when the
+   * sender, every recipient or the data is refused.
+   *
+   * @returns {Promise<Object[]>} Refused recipients, `{ address, error }`
+   */
+  async transmit(connection, capabilities, email, messageId, extraHeaders) {
+    const from = this.sender(email);
+    const recipients = listRecipients(email);
+    if (recipients.length === 0) {
+      throw new SmtpError('Email has no recipients', { provider: this.name, transient: false });
+    }
+    const envelope = [
+      { line: `MAIL FROM:<${parseAddress(from).address}>`, label: 'MAIL FROM', expected: [250] },
+      ...recipients.map(recipient => ({
+        line: `RCPT TO:<${recipient.address}>`,
+        label: 'RCPT TO',
+        expected: [250, 251],
+        recipient
+      })),
+      { line: 'DATA', label: 'DATA', expected: [354] }
+    ];
+    const accepted = (step, reply) => reply && step.expected.includes(reply.code);
+
+    let replies;
+    if (capabilities.has('PIPELINING')) {
+      // Send the whole envelope at once, then read the replies in order
+      connection.write(envelope.map(step => `${step.line}\r\n`).join(''));
+      replies = [];
+      for (let i = 0; i < envelope.length; i++) {
+        replies.push(await connection.readReply());
+      }
+    } else {
+      replies = [];
+      for (const step of envelope) {
+        // Without an accepted recipient DATA can only fail
+        if (step.label === 'DATA' && !replies.some((reply, i) => envelope[i].recipient && accepted(envelope[i], reply))) break;
+        connection.write(`${step.line}\r\n`);
+        const reply = await connection.readReply();
+        replies.push(reply);
+        if (!step.recipient && !accepted(step, reply)) break;
+      }
+    }
+
+    const results = envelope.map((step, index) => ({ step, reply: replies[index] }));
+    const refusedRecipients = results.filter(({ step, reply }) => step.recipient && reply && !accepted(step, reply));
+    const anyRecipientAccepted = results.some(({ step, reply }) => step.recipient && accepted(step, reply));
+    const failures = results.filter(({ step, reply }) => !step.recipient && reply && !accepted(step, reply));
+    const dataAccepted = replies[envelope.length - 1]?.code === 354;
+
+    if (failures.length > 0 || !anyRecipientAccepted) {
+      if (dataAccepted) {
+        // The server is waiting for content; end the transaction cleanly
+        connection.write('.\r\n');
+        await connection.readReply().catch(() => {});
+      }
+      // A refused sender explains everything after it; with no recipient
+      // left, DATA fails too, but the recipients are the real cause
+      const senderFailure = failures.find(({ step }) => step.label === 'MAIL FROM');
+      const { step, reply } = senderFailure || (anyRecipientAccepted ? failures[0] : refusedRecipients[0]);
+      throw this.replyError(step.label, reply);
+    }
+
+    connection.write(this.buildMessage(email, from, messageId, extraHeaders));
+    await this.expectReply(connection, 'message data', [250]);
+
+    return refusedRecipients.map(({ step, reply }) => ({
+      address: step.recipient.address,
+      error: this.replyError(step.label, reply).message
+    }));
+  }
+
+  sender(email) {
+    return email.from || this.options.from || '';
+  }
+
+  buildMessage(email, from, messageId, extraHeaders = {}) {
+    const message = buildMimeMessage(email, { from, messageId, headers: extraHeaders });
+
+    const data = message
+      .replace(/\r\n$/, '')
+      .split('\r\n')
+      .map(line => (line.startsWith('.') ? `.${line}` : line)) // dot-stuffing
+      .join('\r\n');
+
+    return `${data}\r\n.\r\n`;
+  }
+
+  generateMessageId(email) {
+    const sender = parseAddress(this.sender(email)).address;
+    const domain = sender.includes('@') ? sender.split('@').pop() : this.options.clientName;
+    return `${Date.now()}.${Math.random().toString(36).substr(2, 9)}@${domain}`;
+  }
+
+  async command(connection, line, expected, label = line.split(' ')[0]) {
+    connection.write(`${line}\r\n`);
+    return this.expectReply(connection, label, expected);
+  }
+
+  async expectReply(connection, label, expected) {
+    let reply;
+    try {
+      reply = await connection.readReply();
+    } catch (error) {
+      error.provider = this.name;
+      error.command = error.command || label;
+      throw error;
+    }
+
+    if (!expected.includes(reply.code)) {
+      throw this.replyError(label, reply);
+    }
+    return reply;
+  }
+
+  replyError(label, reply) {
+    const response = reply.lines.join(' ');
+    const enhanced = ENHANCED_STATUS_PATTERN.exec(response);
+
+    return new SmtpError(`${this.name} SMTP ${label} failed: ${reply.code} ${response}`, {
+      provider: this.name,
+      replyCode: reply.code,
+      enhancedStatus: enhanced ? enhanced[1] : undefined,
+      command: label,
+      response
+    });
+  }
+}
@@ -0,0 +1,237 @@
+/**
+ * Storage adapters for EmailService persistence
+ *
+ * An adapter persists attempt records, the pending queue and idempotency
+ * keys so that a service can rehydrate its state after a page reload or a
+ * process restart. Every adapter implements the same asynchronous interface:
+ *
+ * - saveAttempt(attempt) / getAttempt(id) / deleteAttempt(id) / listAttempts()
+ * - enqueue(attemptId) / dequeue(attemptId) / listQueue()
+ * - setIdempotencyKey(key, attemptId, expiresAt) / findIdempotencyKey(key)
+ * - listIdempotencyKeys()
+ * - saveDeadLetter(entry) / deleteDeadLetter(attemptId) / listDeadLetters()
+ * - clear()
+ *
+ * The Node file-backed adapter lives in FileStorageAdapter.js so that the
+ * browser bundle never pulls in `fs`.
+ */
+
+export class InMemoryStorageAdapter {
+  constructor() {
+    this.attempts = new Map();
+    this.queue = [];
+    this.idempotencyKeys = new Map();
+    this.deadLetters = new Map();
+  }
+
+  async saveAttempt(attempt) {
+    this.attempts.set(attempt.id, attempt);
+  }
+
+  async getAttempt(id) {
+    return this.attempts.get(id) || null;
+  }
+
+  async deleteAttempt(id) {
+    this.attempts.delete(id);
+    this.queue = this.queue.filter(queuedId => queuedId !== id);
+  }
+
+  async listAttempts() {
+    return Array.from(this.attempts.values());
+  }
+
+  async enqueue(attemptId) {
+    if (!this.queue.includes(attemptId)) {
+      this.queue.push(attemptId);
+    }
+  }
+
+  async dequeue(attemptId) {
+    this.queue = this.queue.filter(queuedId => queuedId !== attemptId);
+  }
+
+  async listQueue() {
+    return [...this.queue];
+  }
+
+  async setIdempotencyKey(key, attemptId, expiresAt) {
+    this.idempotencyKeys.set(key, { key, attemptId, expiresAt });
+  }
+
+  async findIdempotencyKey(key) {
+    const entry = this.idempotencyKeys.get(key);
+    if (!entry) return null;
+
+    if (entry.expiresAt <= Date.now()) {
+      this.idempotencyKeys.delete(key);
+      return null;
+    }
+
+    return entry.attemptId;
+  }
+
+  async listIdempotencyKeys() {
+    const now = Date.now();
+    return Array.from(this.idempotencyKeys.values()).filter(entry => entry.expiresAt > now);
+  }
+
+  async saveDeadLetter(entry) {
+    this.deadLetters.set(entry.attemptId, entry);
+  }
+
+  async deleteDeadLetter(attemptId) {
+    this.deadLetters.delete(attemptId);
+  }
+
+  async listDeadLetters() {
+    return Array.from(this.deadLetters.values());
+  }
+
+  async clear() {
+    this.attempts.clear();
+    this.queue = [];
+    this.idempotencyKeys.clear();
+    this.deadLetters.clear();
+  }
+}
+
+const DB_VERSION = 2;
+const ATTEMPTS_STORE = 'attempts';
+const QUEUE_STORE = 'queue';
+const IDEMPOTENCY_STORE = 'idempotency';
+const DEAD_LETTER_STORE = 'deadLetters';
+
+function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * IndexedDB-backed adapter for the browser dashboard
+ */
+export class IndexedDBStorageAdapter {
+  constructor(dbName = 'email-service', indexedDB = globalThis.indexedDB) {
+    this.dbName = dbName;
+    this.indexedDB = indexedDB;
+    this.dbPromise = null;
+    this.queueSequence = 0;
+  }
+
+  static isSupported() {
+    return typeof globalThis.indexedDB !== 'undefined';
+  }
+
+  open() {
+    if (!this.dbPromise) {
+      const request = this.indexedDB.open(this.dbName, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(ATTEMPTS_STORE)) {
+          db.createObjectStore(ATTEMPTS_STORE, { keyPath: 'id' });
+        }
+        if (!db.objectStoreNames.contains(QUEUE_STORE)) {
+          db.createObjectStore(QUEUE_STORE, { keyPath: 'attemptId' });
+        }
+        if (!db.objectStoreNames.contains(IDEMPOTENCY_STORE)) {
+          db.createObjectStore(IDEMPOTENCY_STORE, { keyPath: 'key' });
+        }
+        if (!db.objectStoreNames.contains(DEAD_LETTER_STORE)) {
+          db.createObjectStore(DEAD_LETTER_STORE, { keyPath: 'attemptId' });
+        }
+      };
+      this.dbPromise = promisifyRequest(request);
+    }
+    return this.dbPromise;
+  }
+
+  async withStore(storeName, mode, callback) {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(storeName, mode);
+      const request = callback(transaction.objectStore(storeName));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+
+  async saveAttempt(attempt) {
+    await this.withStore(ATTEMPTS_STORE, 'readwrite', store => store.put(attempt));
+  }
+
+  async getAttempt(id) {
+    const attempt = await this.withStore(ATTEMPTS_STORE, 'readonly', store => store.get(id));
+    return attempt || null;
+  }
+
+  async deleteAttempt(id) {
+    await this.withStore(ATTEMPTS_STORE, 'readwrite', store => store.delete(id));
+    await this.dequeue(id);
+  }
+
+  async listAttempts() {
+    return this.withStore(ATTEMPTS_STORE, 'readonly', store => store.getAll());
+  }
+
+  async enqueue(attemptId) {
+    // Queue entries carry a position so insertion order survives a reload
+    const position = Date.now() * 1000 + (this.queueSequence++ % 1000);
+    await this.withStore(QUEUE_STORE, 'readwrite', store => {
+      // A queued attempt keeps its original position, like the other adapters
+      const existing = store.get(attemptId);
+      existing.onsuccess = () => {
+        if (!existing.result) store.put({ attemptId, position });
+      };
+      return existing;
+    });
+  }
+
+  async dequeue(attemptId) {
+    await this.withStore(QUEUE_STORE, 'readwrite', store => store.delete(attemptId));
+  }
+
+  async listQueue() {
+    const entries = await this.withStore(QUEUE_STORE, 'readonly', store => store.getAll());
+    return entries
+      .sort((a, b) => a.position - b.position)
+      .map(entry => entry.attemptId);
+  }
+
+  async setIdempotencyKey(key, attemptId, expiresAt) {
+    await this.withStore(IDEMPOTENCY_STORE, 'readwrite', store => store.put({ key, attemptId, expiresAt }));
+  }
+
+  async findIdempotencyKey(key) {
+    const entry = await this.withStore(IDEMPOTENCY_STORE, 'readonly', store => store.get(key));
+    if (!entry || entry.expiresAt <= Date.now()) return null;
+    return entry.attemptId;
+  }
+
+  async listIdempotencyKeys() {
+    const entries = await this.withStore(IDEMPOTENCY_STORE, 'readonly', store => store.getAll());
+    const now = Date.now();
+    return entries.filter(entry => entry.expiresAt > now);
+  }
+
+  async saveDeadLetter(entry) {
+    await this.withStore(DEAD_LETTER_STORE, 'readwrite', store => store.put(entry));
+  }
+
+  async deleteDeadLetter(attemptId) {
+    await this.withStore(DEAD_LETTER_STORE, 'readwrite', store => store.delete(attemptId));
+  }
+
+  async listDeadLetters() {
+    return this.withStore(DEAD_LETTER_STORE, 'readonly', store => store.getAll());
+  }
+
+  async clear() {
+    await this.withStore(ATTEMPTS_STORE, 'readwrite', store => store.clear());
+    await this.withStore(QUEUE_STORE, 'readwrite', store => store.clear());
+    await this.withStore(IDEMPOTENCY_STORE, 'readwrite', store => store.clear());
+    await this.withStore(DEAD_LETTER_STORE, 'readwrite', store => store.clear());
+  }
+}
@@ -0,0 +1,310 @@
+/**
+ * Email templates
+ *
+ * A template has a `subject` and an `html` and/or `text` body, written in a
+ * small Handlebars-like language:
+ *
+ *   {{ user.name }}                  value, HTML-escaped in the html body
+ *   {{{ signature }}}                value, never escaped
+ *   {{#if paid}} ... {{else}} ... {{/if}}
+ *   {{#unless paid}} ... {{/unless}}
+ *   {{#each items}} {{ name }} {{ @index }} {{/each}}   also `this`, `@first`, `@last`, `@key`
+ *   {{> footer }}                    partial, rendered with the current data
+ *   {{! comment }}
+ *
+ * A name is looked up in the innermost `each` item first, then outwards to
+ * the data. Missing values render as '' unless the registry is strict.
+ *
+ * Registering a template again adds a version; sends use the latest unless
+ * they ask for one. Partials are not versioned: a render uses the partials
+ * registered at that moment.
+ */
+
+const MAX_PARTIAL_DEPTH = 10;
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;', '`': '&#96;' };
+
+export function escapeHtml(value) {
+  return String(value).replace(/[&<>"'`]/g, char => HTML_ESCAPES[char]);
+}
+
+const TAG_PATTERN = /\{\{\{\s*([\s\S]*?)\s*\}\}\}|\{\{\s*([\s\S]*?)\s*\}\}/g;
+const BLOCKS = ['if', 'unless', 'each'];
+
+/**
+ * Parse a template into a tree of nodes
+ *
+ * @throws {Error} On unbalanced or unknown blocks
+ */
+export function compileTemplate(source, label = 'template') {
+  const root = { type: 'root', children: [] };
+  const stack = [root];
+  const current = () => stack[stack.length - 1];
+  const append = node => {
+    const parent = current();
+    (parent.inverse || parent.children).push(node);
+  };
+
+  let last = 0;
+  for (const match of String(source ?? '').matchAll(TAG_PATTERN)) {
+    if (match.index > last) append({ type: 'text', value: source.slice(last, match.index) });
+    last = match.index + match[0].length;
+
+    if (match[1] !== undefined) {
+      append({ type: 'value', path: match[1], escape: false });
+      continue;
+    }
+
+    const tag = match[2];
+    if (tag.startsWith('!')) continue;
+
+    if (tag.startsWith('>')) {
+      append({ type: 'partial', name: tag.slice(1).trim() });
+    } else if (tag.startsWith('#')) {
+      const [block, ...args] = tag.slice(1).trim().split(/\s+/);
+      if (!BLOCKS.includes(block)) {
+        throw new Error(`Unknown block {{#${block}}} in ${label}`);
+      }
+      if (args.length !== 1) {
+        throw new Error(`{{#${block}}} needs one argument in ${label}`);
+      }
+      const node = { type: block, path: args[0], children: [] };
+      append(node);
+      stack.push(node);
+    } else if (tag === 'else') {
+      const node = current();
+      if (node.type === 'root' || node.inverse) {
+        throw new Error(`Unexpected {{else}} in ${label}`);
+      }
+      node.inverse = [];
+    } else if (tag.startsWith('/')) {
+      const block = tag.slice(1).trim();
+      if (current().type !== block) {
+        throw new Error(`Unexpected {{/${block}}} in ${label}`);
+      }
+      stack.pop();
+    } else {
+      append({ type: 'value', path: tag, escape: true });
+    }
+  }
+  if (last < String(source ?? '').length) append({ type: 'text', value: source.slice(last) });
+
+  if (stack.length > 1) {
+    throw new Error(`Unclosed {{#${current().type}}} in ${label}`);
+  }
+  return root;
+}
+
+function isTruthy(value) {
+  return Array.isArray(value) ? value.length > 0 : Boolean(value);
+}
+
+/**
+ * @param {Object[]} frames - Innermost last; each `{ value, locals }`
+ */
+function lookup(frames, path) {
+  const top = frames[frames.length - 1];
+  if (path === 'this' || path === '.') return { found: true, value: top.value };
+  if (path.startsWith('@')) {
+    const found = Object.prototype.hasOwnProperty.call(top.locals, path);
+    return { found, value: top.locals[path] };
+  }
+
+  // Own properties only, so templates cannot reach prototype members
+  const has = (object, key) => object !== null && typeof object === 'object'
+    && Object.prototype.hasOwnProperty.call(object, key);
+
+  const [head, ...rest] = path.replace(/^this\./, '').split('.');
+  const frame = [...frames].reverse().find(candidate => has(candidate.value, head));
+  if (!frame) return { found: false };
+
+  let value = frame.value[head];
+  for (const key of rest) {
+    if (!has(value, key)) return { found: false };
+    value = value[key];
+  }
+  return { found: value !== undefined, value };
+}
+
+function renderNodes(nodes, frames, context) {
+  return nodes.map(node => renderNode(node, frames, context)).join('');
+}
+
+function renderNode(node, frames, context) {
+  switch (node.type) {
+    case 'text':
+      return node.value;
+    case 'value': {
+      const { found, value } = lookup(frames, node.path);
+      if (!found || value === null) {
+        if (context.strict) throw new Error(`Missing template variable: ${node.path}`);
+        return '';
+      }
+      return node.escape && context.escape ? context.escape(value) : String(value);
+    }
+    case 'if':
+    case 'unless': {
+      const truthy = isTruthy(lookup(frames, node.path).value);
+      const branch = truthy === (node.type === 'if') ? node.children : node.inverse || [];
+      return renderNodes(branch, frames, context);
+    }
+    case 'each': {
+      const { value } = lookup(frames, node.path);
+      const entries = Array.isArray(value)
+        ? value.map((item, index) => [index, item])
+        : value && typeof value === 'object' ? Object.entries(value) : [];
+      if (entries.length === 0) return renderNodes(node.inverse || [], frames, context);
+
+      return entries.map(([key, item], index) => renderNodes(node.children, [...frames, {
+        value: item,
+        locals: { '@index': index, '@key': key, '@first': index === 0, '@last': index === entries.length - 1 }
+      }], context)).join('');
+    }
+    case 'partial': {
+      const partial = context.partials.get(node.name);
+      if (!partial) throw new Error(`Unknown partial: ${node.name}`);
+      if (context.depth >= MAX_PARTIAL_DEPTH) {
+        throw new Error(`Partials nested deeper than ${MAX_PARTIAL_DEPTH}: ${node.name}`);
+      }
+      return renderNodes(partial.children, frames, { ...context, depth: context.depth + 1 });
+    }
+    default:
+      return '';
+  }
+}
+
+/**
+ * @param {Object|string} template - A compiled tree or source
+ * @param {Object} data
+ * @param {Object} options - `escape` (function applied to `{{ }}` values),
+ *   `partials` (Map of name to compiled tree), `strict`
+ */
+export function renderTemplate(template, data = {}, { escape, partials = new Map(), strict = false } = {}) {
+  const tree = typeof template === 'string' ? compileTemplate(template) : template;
+  return renderNodes(tree.children, [{ value: data, locals: {} }], { escape, partials, strict, depth: 0 });
+}
+
+export class TemplateRegistry {
+  /**
+   * @param {Object} options
+   * @param {boolean} options.strict - Throw on missing variables instead of rendering ''
+   */
+  constructor({ strict = false } = {}) {
+    this.strict = strict;
+    this.templates = new Map();
+    this.partials = new Map();
+  }
+
+  /**
+   * Add a template, or a new version of one. Registering the latest
+   * version's content again changes nothing, so startup code can register
+   * unconditionally.
+   *
+   * @param {string} name
+   * @param {Object} definition - `{ subject, html, text }`, at least one of
+   *   `html` and `text`; `version` pins the version number
+   * @returns {Object} `{ name, version }`
+   * @throws {Error} On a missing body, a version that does not increase or a syntax error
+   */
+  registerTemplate(name, { subject, html, text, version } = {}) {
+    if (typeof name !== 'string' || name.trim() === '') {
+      throw new Error('Template name is required');
+    }
+    if (typeof subject !== 'string' || subject.trim() === '') {
+      throw new Error(`Template ${name} needs a subject`);
+    }
+    if (typeof html !== 'string' && typeof text !== 'string') {
+      throw new Error(`Template ${name} needs html or text`);
+    }
+
+    const versions = this.templates.get(name) || [];
+    const latest = versions[versions.length - 1];
+    if (latest && latest.subject === subject && latest.html === html && latest.text === text
+      && (version === undefined || version === latest.version)) {
+      return { name, version: latest.version };
+    }
+
+    const nextVersion = version ?? (latest ? latest.version + 1 : 1);
+    if (!Number.isInteger(nextVersion) || nextVersion < 1 || (latest && nextVersion <= latest.version)) {
+      throw new Error(`Template ${name} version must be a whole number above ${latest ? latest.version : 0}`);
+    }
+
+    const entry = {
+      name,
+      version: nextVersion,
+      subject,
+      html,
+      text,
+      compiled: {
+        subject: compileTemplate(subject, `${name} subject`),
+        html: typeof html === 'string' ? compileTemplate(html, `${name} html`) : null,
+        text: typeof text === 'string' ? compileTemplate(text, `${name} text`) : null
+      },
+      createdAt: new Date()
+    };
+    this.templates.set(name, [...versions, entry]);
+    return { name, version: nextVersion };
+  }
+
+  registerPartial(name, source) {
+    if (typeof name !== 'string' || name.trim() === '') {
+      throw new Error('Partial name is required');
+    }
+    this.partials.set(name, compileTemplate(source, `partial ${name}`));
+  }
+
+  /**
+   * @returns {Object|null} The template version, the latest by default
+   */
+  getTemplate(name, version) {
+    const versions = this.templates.get(name) || [];
+    const entry = version === undefined
+      ? versions[versions.length - 1]
+      : versions.find(candidate => candidate.version === version);
+    if (!entry) return null;
+    const { compiled, ...template } = entry;
+    return template;
+  }
+
+  /**
+   * @returns {Object[]} `{ name, version, versions, createdAt }` per template, version being the latest
+   */
+  listTemplates() {
+    return Array.from(this.templates.entries()).map(([name, versions]) => {
+      const latest = versions[versions.length - 1];
+      return { name, version: latest.version, versions: versions.map(entry => entry.version), createdAt: latest.createdAt };
+    });
+  }
+
+  /**
+   * @param {string} name
+   * @param {Object} data
+   * @param {Object} options - `version`, the latest by default
+   * @returns {Object} `{ name, version, subject, html, body }`; html and body
+   *   only when the template has them
+   * @throws {Error} For an unknown template or version, or a render error
+   */
+  render(name, data = {}, { version } = {}) {
+    const versions = this.templates.get(name);
+    if (!versions) {
+      throw new Error(`Unknown template: ${name}`);
+    }
+    const entry = version === undefined
+      ? versions[versions.length - 1]
+      : versions.find(candidate => candidate.version === version);
+    if (!entry) {
+      throw new Error(`Unknown version ${version} of template ${name}`);
+    }
+
+    const options = { partials: this.partials, strict: this.strict };
+    const rendered = {
+      name,
+      version: entry.version,
+      // One line, whatever the data contained
+      subject: renderTemplate(entry.compiled.subject, data, options).replace(/\s+/g, ' ').trim()
+    };
+    if (entry.compiled.html) rendered.html = renderTemplate(entry.compiled.html, data, { ...options, escape: escapeHtml });
+    if (entry.compiled.text) rendered.body = renderTemplate(entry.compiled.text, data, options);
+    return rendered;
+  }
+}
@@ -0,0 +1,195 @@
+/**
+ * Tracing spans
+ *
+ * A small OpenTelemetry-shaped tracer: spans carry a trace ID, their own span
+ * ID, an optional parent, start/end times, attributes and events. Ended spans
+ * go to the tracer's exporters.
+ *
+ * NoopTracer is the default. Its spans record nothing and are never
+ * exported, but they still carry IDs so the trace header reaches providers
+ * either way.
+ *
+ * Span contexts travel between processes as a W3C `traceparent` header:
+ * `00-<32 hex trace ID>-<16 hex span ID>-01`.
+ */
+
+export const TRACEPARENT_HEADER = 'traceparent';
+
+export const SpanStatus = {
+  UNSET: 'unset',
+  OK: 'ok',
+  ERROR: 'error'
+};
+
+function randomHex(length) {
+  let hex = '';
+  while (hex.length < length) {
+    hex += Math.floor(Math.random() * 0x100000000).toString(16).padStart(8, '0');
+  }
+  return hex.slice(0, length);
+}
+
+export function generateTraceId() {
+  return randomHex(32);
+}
+
+export function generateSpanId() {
+  return randomHex(16);
+}
+
+/**
+ * @param {Object} context - `{ traceId, spanId }`
+ * @returns {string} W3C traceparent header value (sampled)
+ */
+export function formatTraceparent({ traceId, spanId }) {
+  return `00-${traceId}-${spanId}-01`;
+}
+
+/**
+ * @returns {Object|null} `{ traceId, spanId }`, or null for a malformed header
+ */
+export function parseTraceparent(header) {
+  const match = /^([0-9a-f]{2})-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})$/.exec(String(header || '').trim());
+  if (!match || match[1] === 'ff' || /^0+$/.test(match[2]) || /^0+$/.test(match[3])) {
+    return null;
+  }
+  return { traceId: match[2], spanId: match[3] };
+}
+
+function toTime(value) {
+  return value instanceof Date ? value.getTime() : value;
+}
+
+export class Span {
+  /**
+   * @param {Tracer} tracer - Receives the span when it ends; null for a
+   *   non-recording span
+   * @param {string} name
+   * @param {Object} options - `parent` (a span or `{ traceId, spanId }`),
+   *   `attributes` and `startTime`
+   */
+  constructor(tracer, name, { parent, attributes = {}, startTime = Date.now() } = {}) {
+    const parentContext = parent && typeof parent.context === 'function' ? parent.context() : parent;
+    this.tracer = tracer;
+    this.name = name;
+    this.traceId = parentContext ? parentContext.traceId : generateTraceId();
+    this.spanId = generateSpanId();
+    this.parentSpanId = parentContext ? parentContext.spanId : null;
+    this.startTime = toTime(startTime);
+    this.endTime = null;
+    this.attributes = tracer ? { ...attributes } : {};
+    this.events = [];
+    this.status = { code: SpanStatus.UNSET };
+  }
+
+  get isRecording() {
+    return this.tracer !== null && this.endTime === null;
+  }
+
+  get durationMs() {
+    return this.endTime === null ? null : this.endTime - this.startTime;
+  }
+
+  context() {
+    return { traceId: this.traceId, spanId: this.spanId };
+  }
+
+  setAttribute(key, value) {
+    if (this.isRecording && value !== undefined) {
+      this.attributes[key] = value;
+    }
+    return this;
+  }
+
+  setAttributes(attributes) {
+    Object.entries(attributes).forEach(([key, value]) => this.setAttribute(key, value));
+    return this;
+  }
+
+  addEvent(name, attributes = {}) {
+    if (this.isRecording) {
+      this.events.push({ name, time: Date.now(), attributes });
+    }
+    return this;
+  }
+
+  setStatus(code, message) {
+    if (this.isRecording) {
+      this.status = message === undefined ? { code } : { code, message };
+    }
+    return this;
+  }
+
+  recordException(error) {
+    this.addEvent('exception', {
+      'exception.type': error.name,
+      'exception.message': error.message
+    });
+    return this.setStatus(SpanStatus.ERROR, error.message);
+  }
+
+  /**
+   * Ending twice is a no-op, so cleanup paths can end unconditionally
+   */
+  end(endTime = Date.now()) {
+    if (!this.isRecording) return;
+    this.endTime = toTime(endTime);
+    this.tracer.onEnd(this);
+  }
+}
+
+export class NoopTracer {
+  startSpan(name, options = {}) {
+    return new Span(null, name, options);
+  }
+}
+
+export class Tracer {
+  /**
+   * @param {Object} options - `exporters`: objects with `export(span)`,
+   *   called with every span as it ends
+   */
+  constructor({ exporters = [] } = {}) {
+    this.exporters = exporters;
+  }
+
+  startSpan(name, options = {}) {
+    return new Span(this, name, options);
+  }
+
+  onEnd(span) {
+    // A broken exporter must not break sending
+    this.exporters.forEach(exporter => {
+      try {
+        exporter.export(span);
+      } catch {
+        // Ignored: the span is lost, the send is not
+      }
+    });
+  }
+}
+
+/**
+ * Keeps finished spans in memory, for tests and the dashboard
+ */
+export class InMemorySpanExporter {
+  constructor() {
+    this.spans = [];
+  }
+
+  export(span) {
+    this.spans.push(span);
+  }
+
+  /**
+   * @param {Object} filter - `traceId` and/or `name`
+   */
+  getFinishedSpans({ traceId, name } = {}) {
+    return this.spans.filter(span =>
+      (!traceId || span.traceId === traceId) && (!name || span.name === name));
+  }
+
+  reset() {
+    this.spans = [];
+  }
+}
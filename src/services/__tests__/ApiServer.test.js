@@ -0,0 +1,246 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Test suite for the JSON HTTP API
+ */
+
+import { createApiServer } from '../ApiServer';
+import { EmailService, EmailStatus, InvalidEmailError } from '../EmailService';
+
+describe('createApiServer', () => {
+  let emailService;
+  let server;
+  let baseUrl;
+
+  const emailData = {
+    to: 'test@example.com',
+    subject: 'Test Subject',
+    body: 'Test Body'
+  };
+
+  // Never resolves, so attempts stay where the test put them
+  const stalledProvider = { name: 'Primary', sendEmail: () => new Promise(() => {}) };
+
+  async function start(config = {}, providers = [stalledProvider]) {
+    emailService = new EmailService(providers, config, { logSinks: [] });
+    server = createApiServer(emailService);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  }
+
+  function post(path, body, headers = {}) {
+    return fetch(`${baseUrl}${path}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: typeof body === 'string' ? body : JSON.stringify(body)
+    });
+  }
+
+  afterEach(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  test('should accept an email and serve it back', async () => {
+    await start();
+
+    const response = await post('/emails', { ...emailData, priority: 'high' });
+    const created = await response.json();
+
+    expect(response.status).toBe(202);
+    expect(response.headers.get('location')).toBe(`/emails/${created.id}`);
+    expect(created).toMatchObject({ email: emailData, priority: 'high' });
+    expect(created.retryState).toBeUndefined();
+
+    const fetched = await (await fetch(`${baseUrl}/emails/${created.id}`)).json();
+    expect(fetched.id).toBe(created.id);
+    expect(fetched.traceId).toMatch(/^[0-9a-f]{32}$/);
+  });
+
+  test('should validate the request body', async () => {
+    await start();
+
+    const missing = await post('/emails', { to: 'test@example.com', subject: 'Hi' });
+    expect(missing.status).toBe(400);
+    expect(await missing.json()).toEqual({ error: { message: 'body is required' } });
+
+    expect((await post('/emails', { ...emailData, to: 'not-an-address' })).status).toBe(400);
+    expect((await post('/emails', { ...emailData, priority: 'urgent' })).status).toBe(400);
+    expect((await post('/emails', { ...emailData, sendAt: 'tomorrow-ish' })).status).toBe(400);
+    expect((await post('/emails', '{"to":')).status).toBe(400);
+    expect((await post('/emails', [emailData])).status).toBe(400);
+    expect((await post('/emails', emailData, { 'Content-Type': 'text/plain' })).status).toBe(415);
+  });
+
+  test('should accept recipient lists with display names', async () => {
+    await start();
+
+    const response = await post('/emails', {
+      ...emailData,
+      to: ['Jane Doe <jane@example.com>', 'test@example.com'],
+      cc: '"Doe, John" <john@example.com>',
+      replyTo: 'support@example.com'
+    });
+    const created = await response.json();
+
+    expect(response.status).toBe(202);
+    expect(created.recipients.map(recipient => [recipient.field, recipient.address, recipient.status])).toEqual([
+      ['to', 'jane@example.com', 'pending'],
+      ['to', 'test@example.com', 'pending'],
+      ['cc', 'john@example.com', 'pending']
+    ]);
+
+    const invalid = await post('/emails', { ...emailData, bcc: ['ok@example.com', 'Nobody <nowhere>'] });
+    expect(invalid.status).toBe(400);
+    expect((await invalid.json()).error.message).toBe('Invalid recipient address in bcc: Nobody <nowhere>');
+    expect((await post('/emails', { ...emailData, to: [] })).status).toBe(400);
+    expect((await post('/emails', { ...emailData, replyTo: 'a@example.com, b@example.com' })).status).toBe(400);
+  });
+
+  test('should accept HTML emails with attachments and list the files', async () => {
+    await start();
+
+    const response = await post('/emails', {
+      to: 'test@example.com',
+      subject: 'Report',
+      html: '<p>Attached</p>',
+      attachments: [{ filename: 'report.pdf', content: Buffer.from('%PDF-1.7').toString('base64') }]
+    });
+    const created = await response.json();
+
+    expect(response.status).toBe(202);
+    expect(created.email.attachments).toEqual([{ filename: 'report.pdf', contentType: 'application/pdf', size: 8 }]);
+    expect(emailService.getAttempt(created.id).email.attachments[0].content).toBe('JVBERi0xLjc=');
+
+    const broken = await post('/emails', { ...emailData, attachments: [{ filename: 'a.txt', content: '%%%' }] });
+    expect(broken.status).toBe(400);
+    expect((await broken.json()).error.message).toBe('Attachment a.txt is not valid base64');
+    expect((await post('/emails', { ...emailData, attachments: 'a.txt' })).status).toBe(400);
+    expect((await post('/emails', { ...emailData, html: 42 })).status).toBe(400);
+  });
+
+  test('should render templates and send mail merges', async () => {
+    await start();
+    emailService.registerTemplate('welcome', { subject: 'Hi {{ name }}', html: '<p>Hello {{ name }}</p>' });
+
+    const response = await post('/emails', { to: 'test@example.com', template: 'welcome', data: { name: '<Jane>' } });
+    const created = await response.json();
+
+    expect(response.status).toBe(202);
+    expect(created.template).toEqual({ name: 'welcome', version: 1 });
+    expect(created.email).toMatchObject({ subject: 'Hi <Jane>', html: '<p>Hello &lt;Jane&gt;</p>' });
+
+    const unknown = await post('/emails', { to: 'test@example.com', template: 'farewell' });
+    expect(unknown.status).toBe(400);
+    expect((await unknown.json()).error.message).toBe('Unknown template: farewell');
+    expect((await post('/emails', { to: 'test@example.com', template: 'welcome', data: [] })).status).toBe(400);
+
+    const merge = await post('/mail-merge', {
+      template: 'welcome',
+      rows: [{ to: 'a@example.com', data: { name: 'A' } }, { to: 'b@example.com', data: { name: 'B' } }]
+    });
+    const { results, total } = await merge.json();
+    expect(merge.status).toBe(202);
+    expect(total).toBe(2);
+    expect(results.map(result => emailService.getAttempt(result.attemptId).email.subject)).toEqual(['Hi A', 'Hi B']);
+
+    const badRow = await post('/mail-merge', { template: 'welcome', rows: [{ to: 'a@example.com' }, { to: 'nope' }] });
+    expect(badRow.status).toBe(400);
+    expect((await badRow.json()).error.message).toBe('Row 1: Invalid recipient address in to: nope');
+
+    const templates = await (await fetch(`${baseUrl}/templates`)).json();
+    expect(templates.templates).toMatchObject([{ name: 'welcome', version: 1, versions: [1] }]);
+  });
+
+  test('should deduplicate on the Idempotency-Key header', async () => {
+    await start();
+
+    const first = await (await post('/emails', emailData, { 'Idempotency-Key': 'order-42' })).json();
+    const replayed = await post('/emails', { ...emailData, body: 'Edited' }, { 'Idempotency-Key': 'order-42' });
+    const replay = await replayed.json();
+    const other = await (await post('/emails', emailData, { 'Idempotency-Key': 'order-43' })).json();
+
+    expect(replayed.status).toBe(200);
+    expect(replayed.headers.get('idempotent-replayed')).toBe('true');
+    expect(replay).toMatchObject({ id: first.id, status: first.status });
+    expect(other.id).not.toBe(first.id);
+    expect((await post('/emails', emailData, { 'Idempotency-Key': ' ' })).status).toBe(400);
+  });
+
+  test('should answer 400 for emails the service refuses as invalid', async () => {
+    await start();
+    jest.spyOn(emailService, 'sendEmailWithResult')
+      .mockRejectedValueOnce(new InvalidEmailError('Email cannot be encoded: bad header'))
+      .mockRejectedValueOnce(new Error('Disk full'));
+
+    const invalid = await post('/emails', emailData);
+    expect(invalid.status).toBe(400);
+    expect(await invalid.json()).toEqual({ error: { message: 'Email cannot be encoded: bad header' } });
+
+    expect((await post('/emails', emailData)).status).toBe(500);
+  });
+
+  test('should answer 429 with Retry-After when rate limited', async () => {
+    await start({ rateLimit: { perMinute: 1 } });
+
+    expect((await post('/emails', emailData)).status).toBe(202);
+    const limited = await post('/emails', { ...emailData, to: 'other@example.com' });
+
+    expect(limited.status).toBe(429);
+    expect(Number(limited.headers.get('retry-after'))).toBeGreaterThan(0);
+  });
+
+  test('should answer 503 while the queue is full', async () => {
+    await start({ maxQueueDepth: 0 });
+
+    expect((await post('/emails', emailData)).status).toBe(503);
+  });
+
+  test('should list, cancel and retry attempts', async () => {
+    await start();
+    const sendAt = new Date(Date.now() + 60000).toISOString();
+    const { id } = await (await post('/emails', { ...emailData, sendAt })).json();
+
+    const scheduled = await (await fetch(`${baseUrl}/emails?status=scheduled`)).json();
+    expect(scheduled.emails.map(email => email.id)).toEqual([id]);
+    expect((await fetch(`${baseUrl}/emails?status=lost`)).status).toBe(400);
+
+    const cancelled = await fetch(`${baseUrl}/emails/${id}`, { method: 'DELETE' });
+    expect(cancelled.status).toBe(200);
+    expect((await cancelled.json()).status).toBe(EmailStatus.CANCELLED);
+
+    // Cancelling twice is a conflict, not a missing resource
+    expect((await fetch(`${baseUrl}/emails/${id}`, { method: 'DELETE' })).status).toBe(409);
+
+    const retried = await post(`/emails/${id}/retry`, {});
+    expect(retried.status).toBe(200);
+    expect([EmailStatus.QUEUED, EmailStatus.SENDING]).toContain((await retried.json()).status);
+  });
+
+  test('should report providers, queue and health', async () => {
+    await start();
+
+    const providers = await (await fetch(`${baseUrl}/providers`)).json();
+    expect(providers.providers.map(provider => provider.name)).toEqual(['Primary']);
+
+    const queue = await (await fetch(`${baseUrl}/queue`)).json();
+    expect(queue).toMatchObject({ queueLength: 0, backpressure: false });
+
+    const health = await fetch(`${baseUrl}/health`);
+    expect(health.status).toBe(200);
+    expect(await health.json()).toMatchObject({ status: 'ok', providers: { available: 1, total: 1 } });
+  });
+
+  test('should answer unknown routes and methods', async () => {
+    await start();
+
+    expect((await fetch(`${baseUrl}/emails/missing`)).status).toBe(404);
+    expect((await post('/emails/missing/retry', {})).status).toBe(404);
+    expect((await fetch(`${baseUrl}/nowhere`)).status).toBe(404);
+
+    const response = await fetch(`${baseUrl}/health`, { method: 'POST' });
+    expect(response.status).toBe(405);
+    expect(response.headers.get('allow')).toBe('GET');
+  });
+});
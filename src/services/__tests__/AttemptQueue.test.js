@@ -0,0 +1,53 @@
+/**
+ * Test suite for the priority and time ordered attempt queue
+ */
+
+import { AttemptQueue, EmailPriority } from '../AttemptQueue';
+
+describe('AttemptQueue', () => {
+  let queue;
+
+  beforeEach(() => {
+    queue = new AttemptQueue();
+  });
+
+  test('should serve higher priorities first and keep FIFO within a lane', () => {
+    queue.push('bulk-1', { priority: EmailPriority.LOW });
+    queue.push('normal-1');
+    queue.push('reset-1', { priority: EmailPriority.HIGH });
+    queue.push('bulk-2', { priority: EmailPriority.LOW });
+    queue.push('reset-2', { priority: EmailPriority.HIGH });
+
+    const order = [];
+    let attemptId;
+    while ((attemptId = queue.shift()) !== null) {
+      order.push(attemptId);
+    }
+
+    expect(order).toEqual(['reset-1', 'reset-2', 'normal-1', 'bulk-1', 'bulk-2']);
+  });
+
+  test('should hold delayed entries until they are due', () => {
+    const now = Date.now();
+    queue.push('later', { readyAt: now + 2000 });
+    queue.push('sooner', { readyAt: now + 1000, priority: EmailPriority.LOW });
+
+    expect(queue.shift()).toBeNull();
+    expect(queue.nextReadyAt()).toBe(now + 1000);
+    expect(queue.delayedCount(now)).toBe(2);
+
+    expect(queue.promoteDue(now + 1500)).toEqual(['sooner']);
+    expect(queue.shift()).toBe('sooner');
+    expect(queue.delayedCount(now + 1500)).toBe(1);
+  });
+
+  test('should replace an existing entry when an attempt is pushed again', () => {
+    queue.push('a1');
+    queue.push('a1', { priority: EmailPriority.HIGH });
+
+    expect(queue.length).toBe(1);
+    expect(queue.includes('a1')).toBe(true);
+    expect(queue.remove('a1')).toBe(true);
+    expect(queue.length).toBe(0);
+  });
+});
@@ -0,0 +1,71 @@
+/**
+ * Test suite for backoff delay computation and jitter strategies
+ */
+
+import { computeBackoffDelay, JitterStrategy } from '../Backoff';
+
+const base = {
+  initialDelayMs: 100,
+  maxDelayMs: 10000,
+  backoffMultiplier: 2
+};
+
+function sample(options, count = 1000) {
+  const delays = [];
+  for (let i = 0; i < count; i++) {
+    delays.push(computeBackoffDelay({ ...base, ...options }));
+  }
+  return delays;
+}
+
+describe('computeBackoffDelay', () => {
+  test('should grow exponentially without jitter', () => {
+    expect(computeBackoffDelay({ ...base, retryIndex: 0 })).toBe(100);
+    expect(computeBackoffDelay({ ...base, retryIndex: 1 })).toBe(200);
+    expect(computeBackoffDelay({ ...base, retryIndex: 3 })).toBe(800);
+    expect(computeBackoffDelay({ ...base, retryIndex: 10 })).toBe(10000); // capped
+  });
+
+  test('should spread full jitter across [0, exponential]', () => {
+    const delays = sample({ retryIndex: 3, jitter: JitterStrategy.FULL });
+
+    expect(Math.min(...delays)).toBeGreaterThanOrEqual(0);
+    expect(Math.max(...delays)).toBeLessThanOrEqual(800);
+    expect(new Set(delays).size).toBeGreaterThan(100);
+
+    const mean = delays.reduce((sum, d) => sum + d, 0) / delays.length;
+    expect(mean).toBeGreaterThan(300);
+    expect(mean).toBeLessThan(500);
+  });
+
+  test('should keep equal jitter in the upper half', () => {
+    const delays = sample({ retryIndex: 3, jitter: JitterStrategy.EQUAL });
+
+    expect(Math.min(...delays)).toBeGreaterThanOrEqual(400);
+    expect(Math.max(...delays)).toBeLessThanOrEqual(800);
+  });
+
+  test('should bound decorrelated jitter by three times the previous delay', () => {
+    const delays = sample({ retryIndex: 2, previousDelay: 500, jitter: JitterStrategy.DECORRELATED });
+
+    expect(Math.min(...delays)).toBeGreaterThanOrEqual(100);
+    expect(Math.max(...delays)).toBeLessThanOrEqual(1500);
+  });
+
+  test('should use the injected random source', () => {
+    const options = { ...base, retryIndex: 1, jitter: JitterStrategy.FULL };
+
+    expect(computeBackoffDelay(options, () => 0)).toBe(0);
+    expect(computeBackoffDelay(options, () => 0.5)).toBe(100);
+  });
+
+  test('should honor Retry-After but never exceed maxDelayMs', () => {
+    expect(computeBackoffDelay({ ...base, retryIndex: 0, retryAfterMs: 3000 })).toBe(3000);
+    expect(computeBackoffDelay({ ...base, retryIndex: 0, retryAfterMs: 60000 })).toBe(10000);
+    expect(computeBackoffDelay({ ...base, retryIndex: 0, retryAfterMs: 3000, jitter: JitterStrategy.FULL }, () => 0)).toBe(3000);
+  });
+
+  test('should reject unknown strategies', () => {
+    expect(() => computeBackoffDelay({ ...base, retryIndex: 0, jitter: 'sometimes' })).toThrow('Unknown jitter strategy');
+  });
+});
@@ -0,0 +1,125 @@
+/**
+ * Test suite for the circuit breaker state machine
+ */
+
+import { CircuitBreaker, CircuitState, CircuitTripStrategy } from '../CircuitBreaker';
+
+describe('CircuitBreaker', () => {
+  let changes;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    changes = [];
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  function createBreaker(options) {
+    return new CircuitBreaker({ failureThreshold: 3, resetTimeMs: 1000, ...options }, change => changes.push(change));
+  }
+
+  test('should open after consecutive failures and reset the count on success', () => {
+    const breaker = createBreaker();
+
+    breaker.recordFailure();
+    breaker.recordFailure();
+    breaker.recordSuccess();
+    breaker.recordFailure();
+    breaker.recordFailure();
+    expect(breaker.state).toBe(CircuitState.CLOSED);
+
+    breaker.recordFailure();
+    expect(breaker.state).toBe(CircuitState.OPEN);
+    expect(breaker.allowRequest()).toBe(false);
+    expect(changes).toEqual([
+      expect.objectContaining({ from: CircuitState.CLOSED, to: CircuitState.OPEN, reason: '3 consecutive failures' })
+    ]);
+  });
+
+  test('should admit only the configured number of probes when half-open', () => {
+    const breaker = createBreaker({ failureThreshold: 1, halfOpenProbes: 2 });
+    breaker.recordFailure();
+
+    jest.advanceTimersByTime(1000);
+
+    expect(breaker.allowRequest()).toBe(true);
+    expect(breaker.state).toBe(CircuitState.HALF_OPEN);
+    expect(breaker.allowRequest()).toBe(true);
+    expect(breaker.allowRequest()).toBe(false);
+
+    breaker.release();
+    expect(breaker.allowRequest()).toBe(true);
+  });
+
+  test('should close after the success threshold of probes', () => {
+    const breaker = createBreaker({ failureThreshold: 1, successThreshold: 2 });
+    breaker.recordFailure();
+    jest.advanceTimersByTime(1000);
+
+    breaker.allowRequest();
+    breaker.recordSuccess();
+    expect(breaker.state).toBe(CircuitState.HALF_OPEN);
+
+    breaker.allowRequest();
+    breaker.recordSuccess();
+    expect(breaker.state).toBe(CircuitState.CLOSED);
+    expect(breaker.snapshot().failureCount).toBe(0);
+    expect(changes.map(change => change.to)).toEqual([CircuitState.OPEN, CircuitState.HALF_OPEN, CircuitState.CLOSED]);
+  });
+
+  test('should reopen when a probe fails', () => {
+    const breaker = createBreaker({ failureThreshold: 1 });
+    breaker.recordFailure();
+    jest.advanceTimersByTime(1000);
+
+    breaker.allowRequest();
+    breaker.recordFailure();
+
+    expect(breaker.state).toBe(CircuitState.OPEN);
+    expect(breaker.allowRequest()).toBe(false);
+    expect(changes[changes.length - 1].reason).toBe('probe failed');
+  });
+
+  test('should trip on failure rate over the sliding window', () => {
+    const breaker = createBreaker({
+      strategy: CircuitTripStrategy.FAILURE_RATE,
+      windowMs: 10000,
+      failureRateThreshold: 0.5,
+      minimumRequests: 4
+    });
+
+    // Alternating outcomes never reach three consecutive failures
+    breaker.recordFailure();
+    breaker.recordSuccess();
+    breaker.recordFailure();
+    expect(breaker.state).toBe(CircuitState.CLOSED);
+
+    breaker.recordSuccess();
+    breaker.recordFailure();
+    expect(breaker.state).toBe(CircuitState.OPEN);
+    expect(changes[0].reason).toBe('failure rate 60% over 5 requests');
+  });
+
+  test('should forget outcomes that fall out of the window', () => {
+    const breaker = createBreaker({
+      strategy: CircuitTripStrategy.FAILURE_RATE,
+      windowMs: 10000,
+      minimumRequests: 4
+    });
+
+    breaker.recordFailure();
+    breaker.recordFailure();
+    breaker.recordFailure();
+    jest.advanceTimersByTime(10000);
+    breaker.recordFailure();
+
+    expect(breaker.state).toBe(CircuitState.CLOSED);
+    expect(breaker.snapshot().windowRequests).toBe(1);
+  });
+
+  test('should reject unknown strategies', () => {
+    expect(() => createBreaker({ strategy: 'vibes' })).toThrow('Unknown circuit breaker strategy');
+  });
+});
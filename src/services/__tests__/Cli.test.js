@@ -0,0 +1,310 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Test suite for the command-line interface
+ */
+
+import os from 'os';
+import path from 'path';
+import { promises as fs } from 'fs';
+import { runCli, formatTable, parseEml, DEFAULT_CONFIG_FILE } from '../Cli';
+import { EmailStatus } from '../EmailService';
+
+describe('runCli', () => {
+  let dir;
+
+  const config = {
+    providers: [{ type: 'mock', name: 'Primary', failureRate: 0, latencyMs: 1 }],
+    service: { maxRetries: 1 },
+    storageFile: './state.json',
+    logFile: './logs/service.jsonl'
+  };
+
+  async function run(...argv) {
+    const output = { stdout: '', stderr: '' };
+    const stream = key => ({ write: text => { output[key] += text; } });
+    const last = argv[argv.length - 1];
+    const extra = typeof last === 'object' ? argv.pop() : {};
+    const code = await runCli(argv, {
+      cwd: dir,
+      env: {},
+      stdout: stream('stdout'),
+      stderr: stream('stderr'),
+      ...extra
+    });
+    return { code, ...output };
+  }
+
+  async function sendOne(subject = 'Hi') {
+    const { stdout } = await run('send', '--to', 'user@example.com', '--subject', subject, '--body', 'Hello', '--json');
+    return JSON.parse(stdout);
+  }
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'email-service-cli-'));
+    await fs.writeFile(path.join(dir, DEFAULT_CONFIG_FILE), JSON.stringify(config));
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  test('should send from flags and print the outcome', async () => {
+    const { code, stdout } = await run('send', '--to', 'user@example.com', '--subject', 'Hi', '--body', 'Hello');
+
+    expect(code).toBe(0);
+    expect(stdout).toMatch(/^Status\s+sent$/m);
+    expect(stdout).toMatch(/^Provider\s+Primary$/m);
+  });
+
+  test('should send JSON and EML files', async () => {
+    await fs.writeFile(path.join(dir, 'email.json'), JSON.stringify({
+      to: 'user@example.com', subject: 'From JSON', body: 'Hello', priority: 'high'
+    }));
+    await fs.writeFile(path.join(dir, 'email.eml'), [
+      'From: Sender <sender@example.com>',
+      'To: user@example.com, "Doe, Jane" <jane@example.com>',
+      'Cc: ops@example.com',
+      'Subject: From',
+      ' EML',
+      '',
+      'Hello'
+    ].join('\r\n'));
+
+    const json = JSON.parse((await run('send', '--file', 'email.json', '--json')).stdout);
+    const eml = JSON.parse((await run('send', '--file', 'email.eml', '--json')).stdout);
+
+    expect(json).toMatchObject({ status: EmailStatus.SENT, priority: 'high', email: { subject: 'From JSON' } });
+    expect(eml).toMatchObject({
+      status: EmailStatus.SENT,
+      email: {
+        to: ['user@example.com', '"Doe, Jane" <jane@example.com>'],
+        cc: ['ops@example.com'],
+        from: 'sender@example.com',
+        subject: 'From EML',
+        body: 'Hello'
+      }
+    });
+  });
+
+  test('should send to repeated and listed recipients', async () => {
+    const { code, stdout } = await run(
+      'send', '--to', 'Jane Doe <jane@example.com>', '--to', 'a@example.com, b@example.com',
+      '--cc', 'ops@example.com', '--reply-to', 'support@example.com', '--subject', 'Hi', '--body', 'Hello'
+    );
+
+    expect(code).toBe(0);
+    expect(stdout).toMatch(/^To\s+Jane Doe <jane@example\.com>, a@example\.com, b@example\.com$/m);
+    expect(stdout).toMatch(/^Reply-To\s+support@example\.com$/m);
+    expect(stdout).toMatch(/^RECIPIENT\s+FIELD\s+STATUS/m);
+    expect(stdout).toMatch(/^ops@example\.com\s+cc\s+sent$/m);
+  });
+
+  test('should send an HTML file with attachments', async () => {
+    await fs.writeFile(path.join(dir, 'welcome.html'), '<h1>Welcome</h1>');
+    await fs.writeFile(path.join(dir, 'terms.pdf'), '%PDF-1.7');
+
+    const { code, stdout } = await run(
+      'send', '--to', 'user@example.com', '--subject', 'Hi', '--html', 'welcome.html', '--attach', 'terms.pdf', '--json'
+    );
+    const sent = JSON.parse(stdout);
+
+    expect(code).toBe(0);
+    expect(sent.status).toBe(EmailStatus.SENT);
+    expect(sent.email.html).toBe('<h1>Welcome</h1>');
+    expect(sent.email.attachments).toEqual([{ filename: 'terms.pdf', contentType: 'application/pdf', size: 8 }]);
+
+    const missing = await run('send', '--to', 'user@example.com', '--subject', 'Hi', '--body', 'x', '--attach', 'nope.pdf');
+    expect(missing.code).toBe(2);
+    expect(missing.stderr).toContain('Cannot read nope.pdf');
+  });
+
+  test('should send configured templates and list them', async () => {
+    await fs.writeFile(path.join(dir, DEFAULT_CONFIG_FILE), JSON.stringify({
+      ...config,
+      templates: { welcome: { subject: 'Hi {{ name }}', text: 'Hello {{ name }}', version: 2 } }
+    }));
+
+    const { code, stdout } = await run('send', '--to', 'user@example.com', '--template', 'welcome', '--data', '{"name":"Jane"}');
+    expect(code).toBe(0);
+    expect(stdout).toMatch(/^Subject\s+Hi Jane$/m);
+    expect(stdout).toMatch(/^Template\s+welcome v2$/m);
+
+    const listed = await run('templates');
+    expect(listed.stdout).toMatch(/^welcome\s+2\s+2$/m);
+
+    const invalid = await run('send', '--to', 'user@example.com', '--template', 'welcome', '--data', '{name}');
+    expect(invalid.code).toBe(2);
+    expect(invalid.stderr).toContain('Invalid JSON in --data');
+    expect((await run('send', '--to', 'user@example.com', '--template', 'farewell')).stderr)
+      .toContain('Unknown template: farewell');
+  });
+
+  test('should report a duplicate without sending it again', async () => {
+    const first = await sendOne();
+    const { code, stdout, stderr } = await run('send', '--to', 'user@example.com', '--subject', 'Hi', '--body', 'Hello', '--json');
+
+    expect(code).toBe(0);
+    expect(stderr).toBe(`Duplicate of ${first.id} (sent)\n`);
+    expect(JSON.parse(stdout).id).toBe(first.id);
+  });
+
+  test('should show, list and filter stored emails', async () => {
+    const sent = await sendOne();
+    const failed = await sendOne('Other');
+
+    // Fail one through the storage file, as another process would
+    const statePath = path.join(dir, 'state.json');
+    const state = JSON.parse(await fs.readFile(statePath, 'utf8'));
+    state.attempts[failed.id].status = EmailStatus.FAILED;
+    await fs.writeFile(statePath, JSON.stringify(state));
+
+    const status = await run('status', sent.id);
+    expect(status.code).toBe(0);
+    expect(status.stdout).toMatch(/^TIME\s+EVENT\s+DETAIL$/m);
+    expect(status.stdout).toMatch(/sent\s+provider=Primary/);
+
+    const listed = JSON.parse((await run('list', '--json')).stdout);
+    expect(listed.map(attempt => attempt.id).sort()).toEqual([sent.id, failed.id].sort());
+
+    const { stdout } = await run('list', '--status', 'failed');
+    expect(stdout).toContain(failed.id);
+    expect(stdout).not.toContain(sent.id);
+    expect((await run('list', '--status', 'scheduled')).stdout).toBe('No emails found\n');
+  });
+
+  test('should retry a cancelled email', async () => {
+    const sent = await sendOne();
+
+    // Cancel through the storage file, as another process would
+    const statePath = path.join(dir, 'state.json');
+    const state = JSON.parse(await fs.readFile(statePath, 'utf8'));
+    state.attempts[sent.id].status = EmailStatus.CANCELLED;
+    await fs.writeFile(statePath, JSON.stringify(state));
+
+    const retried = await run('retry', sent.id, '--json');
+    expect(retried.code).toBe(0);
+    expect(JSON.parse(retried.stdout).status).toBe(EmailStatus.SENT);
+
+    const missing = await run('retry', 'nope');
+    expect(missing.code).toBe(1);
+    expect(missing.stderr).toContain('Attempt not found: nope');
+  });
+
+  test('should refuse to schedule emails it would not be around to send', async () => {
+    const flag = await run(
+      'send', '--to', 'user@example.com', '--subject', 'Later', '--body', 'Hello',
+      '--send-at', new Date(Date.now() + 3600000).toISOString()
+    );
+    expect(flag.code).toBe(2);
+    expect(flag.stderr).toContain('--send-at is not supported');
+
+    await fs.writeFile(path.join(dir, 'later.json'), JSON.stringify({
+      to: 'user@example.com', subject: 'Later', body: 'Hello', sendAt: new Date(Date.now() + 3600000).toISOString()
+    }));
+    expect((await run('send', '--file', 'later.json')).code).toBe(2);
+    expect((await run('list')).stdout).toBe('No emails found\n');
+  });
+
+  test('should cancel an email still waiting when the timeout runs out', async () => {
+    await fs.writeFile(path.join(dir, 'broken.json'), JSON.stringify({
+      ...config,
+      providers: [{ type: 'mock', name: 'Broken', failureRate: 1, latencyMs: 1 }],
+      service: { maxRetries: 3, initialDelayMs: 60000 }
+    }));
+
+    const { code, stdout, stderr } = await run(
+      'send', '--to', 'user@example.com', '--subject', 'Hi', '--body', 'Hello',
+      '--config', 'broken.json', '--timeout', '200', '--json'
+    );
+
+    expect(code).toBe(1);
+    expect(stderr).toContain('Not sent within 200ms, so it was cancelled');
+    const attempt = JSON.parse(stdout);
+    expect(attempt.status).toBe(EmailStatus.CANCELLED);
+    expect(JSON.parse((await run('status', attempt.id, '--json')).stdout).status).toBe(EmailStatus.CANCELLED);
+  });
+
+  test('should report providers with counts from storage', async () => {
+    await sendOne();
+
+    const providers = JSON.parse((await run('providers', '--json')).stdout);
+    expect(providers).toEqual([{ name: 'Primary', status: 'healthy', circuit: 'closed', sent: 1, failedTries: 0 }]);
+
+    const { stdout } = await run('providers');
+    expect(stdout.split('\n')[0]).toMatch(/^NAME\s+STATUS\s+CIRCUIT\s+SENT\s+FAILED TRIES$/);
+  });
+
+  test('should filter and follow the log file', async () => {
+    const sent = await sendOne();
+
+    const info = await run('logs', '--attempt', sent.id, '--json');
+    const entries = info.stdout.trim().split('\n').map(line => JSON.parse(line));
+    expect(entries.length).toBeGreaterThan(0);
+    expect(entries.every(entry => entry.attemptId === sent.id)).toBe(true);
+
+    expect((await run('logs', '--level', 'error')).stdout).toBe('');
+
+    const controller = new AbortController();
+    const following = run('logs', '--level', 'error', '--follow', { signal: controller.signal });
+    await fs.appendFile(path.join(dir, 'logs', 'service.jsonl'), `${JSON.stringify({
+      timestamp: new Date().toISOString(), level: 'ERROR', message: 'Provider down', data: {}
+    })}\n`);
+    await new Promise(resolve => setTimeout(resolve, 700));
+    controller.abort();
+
+    const followed = await following;
+    expect(followed.code).toBe(0);
+    expect(followed.stdout).toMatch(/ERROR Provider down\n$/);
+  });
+
+  test('should report usage errors with exit code 2', async () => {
+    const missing = await run('send', '--to', 'user@example.com');
+    expect(missing.code).toBe(2);
+    expect(missing.stderr).toContain('Missing subject, body');
+    expect(missing.stderr).toContain('Usage: email-service send');
+
+    expect((await run('bogus')).code).toBe(2);
+    expect((await run('list', '--status', 'lost')).code).toBe(2);
+    expect((await run('list', '--unknown')).code).toBe(2);
+    expect((await run('status')).code).toBe(2);
+    expect((await run('send', '--to', 'a@example.com', '--subject', 'Hi', '--body', 'x', '--priority', 'urgent')).code).toBe(2);
+
+    const help = await run('--help');
+    expect(help.code).toBe(0);
+    expect(help.stdout).toContain('Commands:');
+  });
+
+  test('should fail when an explicit config file is missing', async () => {
+    const { code, stderr } = await run('list', '--config', 'missing.json');
+
+    expect(code).toBe(1);
+    expect(stderr).toContain('missing.json');
+  });
+});
+
+describe('formatTable', () => {
+  test('should pad columns to the widest cell', () => {
+    const table = formatTable([{ name: 'Primary', sent: 12 }, { name: 'B', sent: 3 }], [
+      { header: 'NAME', value: row => row.name },
+      { header: 'SENT', value: row => row.sent }
+    ]);
+
+    expect(table).toBe('NAME     SENT\nPrimary  12\nB        3');
+  });
+});
+
+describe('parseEml', () => {
+  test('should read headers, folded lines and the body', () => {
+    const email = parseEml('To: "User" <user@example.com>\nReply-To: help@example.com\nSubject: Long\n\tsubject\nX-Other: 1\n\nLine 1\n\nLine 2\n');
+
+    expect(email).toEqual({
+      to: ['User <user@example.com>'],
+      replyTo: 'help@example.com',
+      subject: 'Long subject',
+      body: 'Line 1\n\nLine 2'
+    });
+  });
+});
@@ -0,0 +1,64 @@
+/**
+ * Test suite for the dead-letter store
+ */
+
+import { DeadLetterQueue, createDeadLetter } from '../DeadLetterQueue';
+import { ErrorCategory } from '../ProviderErrors';
+
+function failedAttempt(id, failureReason, providers) {
+  return {
+    id,
+    email: { to: `${id}@example.com`, subject: 'Subject', body: 'Body' },
+    failureReason,
+    error: 'last error',
+    attempts: providers.length,
+    tries: providers.map(provider => ({ provider, timestamp: new Date(), error: 'boom' })),
+    createdAt: new Date()
+  };
+}
+
+describe('DeadLetterQueue', () => {
+  let deadLetters;
+
+  beforeEach(() => {
+    deadLetters = new DeadLetterQueue();
+    deadLetters.add(createDeadLetter(failedAttempt('a1', ErrorCategory.TRANSIENT, ['SendGrid', 'Mailgun'])));
+    deadLetters.add(createDeadLetter(failedAttempt('a2', ErrorCategory.REJECTED, ['SendGrid'])));
+    deadLetters.add(createDeadLetter(failedAttempt('a3', ErrorCategory.AUTHENTICATION, ['Mailgun', 'Mailgun'])));
+  });
+
+  test('should snapshot the attempt with a copy of its tries', () => {
+    const attempt = failedAttempt('a4', ErrorCategory.TRANSIENT, ['SendGrid']);
+    const entry = createDeadLetter(attempt);
+    attempt.tries.push({ provider: 'Mailgun', timestamp: new Date() });
+
+    expect(entry.attemptId).toBe('a4');
+    expect(entry.tries).toHaveLength(1);
+    expect(entry.deadAt).toBeInstanceOf(Date);
+  });
+
+  test('should filter by failure reason and provider', () => {
+    expect(deadLetters.list()).toHaveLength(3);
+    expect(deadLetters.list({ failureReason: ErrorCategory.REJECTED }).map(entry => entry.attemptId)).toEqual(['a2']);
+    expect(deadLetters.list({ provider: 'Mailgun' }).map(entry => entry.attemptId).sort()).toEqual(['a1', 'a3']);
+    expect(deadLetters.list({ failureReason: ErrorCategory.TRANSIENT, provider: 'SendGrid' })).toHaveLength(1);
+  });
+
+  test('should count each provider once per dead letter', () => {
+    expect(deadLetters.summarize()).toEqual({
+      total: 3,
+      byReason: {
+        [ErrorCategory.TRANSIENT]: 1,
+        [ErrorCategory.REJECTED]: 1,
+        [ErrorCategory.AUTHENTICATION]: 1
+      },
+      byProvider: { SendGrid: 2, Mailgun: 2 }
+    });
+  });
+
+  test('should remove replayed entries', () => {
+    expect(deadLetters.remove('a1')).toBe(true);
+    expect(deadLetters.has('a1')).toBe(false);
+    expect(deadLetters.size).toBe(2);
+  });
+});
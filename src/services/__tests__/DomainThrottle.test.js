@@ -0,0 +1,123 @@
+/**
+ * Test suite for per-recipient-domain throttling
+ */
+
+import {
+  DomainThrottle,
+  DomainHoldReason,
+  DOMAIN_CONCURRENCY_RETRY_MS,
+  recipientDomain,
+  recipientDomains
+} from '../DomainThrottle';
+
+describe('recipientDomain', () => {
+  test('should parse plain and named addresses', () => {
+    expect(recipientDomain('user@Gmail.com')).toBe('gmail.com');
+    expect(recipientDomain('Jane Doe <jane@outlook.com>')).toBe('outlook.com');
+    expect(recipientDomain([{ name: 'Jane', address: 'jane@Yahoo.com' }])).toBe('yahoo.com');
+  });
+
+  test('should return null without an address', () => {
+    expect(recipientDomain('not an address')).toBeNull();
+    expect(recipientDomain(undefined)).toBeNull();
+  });
+});
+
+describe('recipientDomains', () => {
+  test('should list each domain across to, cc and bcc once', () => {
+    expect(recipientDomains({
+      to: [{ name: 'Jane', address: 'jane@gmail.com' }, 'Bob <bob@GMAIL.com>'],
+      cc: 'ops@example.com',
+      bcc: [{ address: 'audit@outlook.com' }]
+    })).toEqual(['gmail.com', 'example.com', 'outlook.com']);
+  });
+});
+
+describe('DomainThrottle', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('should hold sends over the rate limit until a token refills', () => {
+    const throttle = new DomainThrottle({ 'gmail.com': { perSecond: 2 } });
+
+    expect(throttle.acquire('gmail.com')).toBeNull();
+    expect(throttle.acquire('gmail.com')).toBeNull();
+    expect(throttle.acquire('gmail.com')).toEqual({ reason: DomainHoldReason.RATE_LIMIT, waitMs: 500, domain: 'gmail.com' });
+
+    jest.advanceTimersByTime(500);
+    expect(throttle.acquire('gmail.com')).toBeNull();
+  });
+
+  test('should cap sends in flight per domain', () => {
+    const throttle = new DomainThrottle({ 'outlook.com': { maxConcurrent: 1 } });
+
+    expect(throttle.acquire('outlook.com')).toBeNull();
+    expect(throttle.acquire('outlook.com')).toEqual({
+      reason: DomainHoldReason.CONCURRENCY,
+      waitMs: DOMAIN_CONCURRENCY_RETRY_MS,
+      domain: 'outlook.com'
+    });
+
+    throttle.release('outlook.com');
+    expect(throttle.acquire('outlook.com')).toBeNull();
+  });
+
+  test('should take a slot on every domain or on none', () => {
+    const throttle = new DomainThrottle({ 'gmail.com': { perMinute: 1 }, 'outlook.com': { maxConcurrent: 1 } });
+
+    expect(throttle.acquire(['example.com', 'outlook.com'])).toBeNull();
+    expect(throttle.acquire(['gmail.com', 'outlook.com'])).toMatchObject({ reason: DomainHoldReason.CONCURRENCY, domain: 'outlook.com' });
+    // The held send took nothing from gmail.com
+    expect(throttle.status().find(entry => entry.domain === 'gmail.com')).toMatchObject({ admitted: 0, remaining: 1 });
+
+    throttle.release(['example.com', 'outlook.com']);
+    expect(throttle.acquire(['gmail.com', 'outlook.com'])).toBeNull();
+    expect(throttle.status().map(entry => [entry.domain, entry.inFlight])).toEqual([
+      ['example.com', 0], ['gmail.com', 1], ['outlook.com', 1]
+    ]);
+  });
+
+  test('should count every domain but only throttle configured ones', () => {
+    const throttle = new DomainThrottle({ 'Gmail.com': { perMinute: 1, maxConcurrent: 2 } });
+
+    throttle.acquire('gmail.com');
+    throttle.acquire('gmail.com');
+    throttle.acquire('example.com');
+    throttle.acquire('example.com');
+    throttle.release('example.com');
+
+    expect(throttle.status()).toEqual([
+      {
+        domain: 'example.com',
+        throttled: false,
+        inFlight: 1,
+        maxConcurrent: null,
+        admitted: 2,
+        delayed: 0,
+        remaining: null,
+        limits: []
+      },
+      expect.objectContaining({
+        domain: 'gmail.com',
+        throttled: true,
+        inFlight: 1,
+        maxConcurrent: 2,
+        admitted: 1,
+        delayed: 1,
+        remaining: 0
+      })
+    ]);
+  });
+
+  test('should reject invalid rules', () => {
+    expect(() => new DomainThrottle({ 'gmail.com': { maxConcurrent: 0 } }))
+      .toThrow('Invalid maxConcurrent for gmail.com: 0');
+    expect(() => new DomainThrottle({ 'gmail.com': { perWeek: 10 } }))
+      .toThrow('Unknown rate limit window: perWeek');
+  });
+});
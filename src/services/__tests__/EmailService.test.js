@@ -3,7 +3,32 @@
  * Tests all major features including resilience patterns
  */
 
-import { EmailService, MockEmailProvider, EmailStatus, ProviderStatus } from '../EmailService';
+import {
+  EmailService,
+  MockEmailProvider,
+  EmailStatus,
+  ProviderStatus,
+  ErrorCategory,
+  PermanentError,
+  RateLimitedError,
+  JitterStrategy,
+  EmailPriority,
+  HistoryEvent,
+  CircuitState,
+  RateLimitPolicy,
+  RoutingStrategy,
+  RateLimitExceededError,
+  QueueFullError,
+  InvalidEmailError,
+  LogLevel,
+  Tracer,
+  InMemorySpanExporter,
+  SpanStatus,
+  DedupeMode,
+  RecipientField,
+  RecipientStatus
+} from '../EmailService';
+import { HttpError, categorizeStatus } from '../HttpTransport';
 
 describe('EmailService', () => {
   let emailService;
@@ -75,6 +100,22 @@ describe('EmailService', () => {
       expect(attempts.length).toBe(1);
     });
 
+    test('should deduplicate on an explicit idempotency key instead of the content', async () => {
+      const emailData = {
+        to: 'test@example.com',
+        subject: 'Test Subject',
+        body: 'Test Body'
+      };
+
+      const id1 = await emailService.sendEmail(emailData, { idempotencyKey: 'order-42' });
+      const id2 = await emailService.sendEmail({ ...emailData, body: 'Edited' }, { idempotencyKey: 'order-42' });
+      const id3 = await emailService.sendEmail(emailData, { idempotencyKey: 'order-43' });
+
+      expect(id2).toBe(id1);
+      expect(id3).not.toBe(id1);
+      await expect(emailService.sendEmail(emailData, { idempotencyKey: '' })).rejects.toThrow('Invalid idempotencyKey: ');
+    });
+
     test('should allow duplicate sends after time window', async () => {
       const originalDate = Date.now;
       Date.now = jest.fn(() => 1000);
@@ -96,6 +137,63 @@ describe('EmailService', () => {
       
       Date.now = originalDate;
     });
+
+    test('should keep idempotency keys for idempotencyTtlMs', async () => {
+      const originalDate = Date.now;
+      Date.now = jest.fn(() => 1000);
+      const service = new EmailService([provider1], { idempotencyTtlMs: 1000 }, { logSinks: [] });
+      const emailData = { to: 'test@example.com', subject: 'Test Subject', body: 'Test Body' };
+
+      const id1 = await service.sendEmail(emailData, { idempotencyKey: 'order-42' });
+      Date.now = jest.fn(() => 1999);
+      const id2 = await service.sendEmail(emailData, { idempotencyKey: 'order-42' });
+      Date.now = jest.fn(() => 2000);
+      const id3 = await service.sendEmail(emailData, { idempotencyKey: 'order-42' });
+
+      Date.now = originalDate;
+      expect(id2).toBe(id1);
+      expect(id3).not.toBe(id1);
+    });
+
+    test('should match normalized content in content_hash mode', async () => {
+      const service = new EmailService([provider1], { dedupeMode: DedupeMode.CONTENT_HASH }, { logSinks: [] });
+
+      const id1 = await service.sendEmail({ to: 'a@example.com, B@example.com', subject: 'Weekly  Report', body: 'Hello\nthere ' });
+      const id2 = await service.sendEmail({ to: 'b@example.com;a@example.com', subject: 'weekly report', body: 'Hello there' });
+      const id3 = await service.sendEmail({ to: 'a@example.com, b@example.com', subject: 'Weekly Report', body: 'Hello, there' });
+
+      expect(id2).toBe(id1);
+      expect(id3).not.toBe(id1);
+    });
+
+    test('should only honour explicit keys when dedupe is off', async () => {
+      const service = new EmailService([provider1], { dedupeMode: DedupeMode.OFF }, { logSinks: [] });
+      const emailData = { to: 'oncall@example.com', subject: 'Disk full', body: 'Disk full on db-1' };
+
+      const id1 = await service.sendEmail(emailData);
+      const id2 = await service.sendEmail(emailData);
+      const keyed1 = await service.sendEmail(emailData, { idempotencyKey: 'alert-7' });
+      const keyed2 = await service.sendEmail(emailData, { idempotencyKey: 'alert-7' });
+
+      expect(id2).not.toBe(id1);
+      expect(keyed2).toBe(keyed1);
+      expect(() => new EmailService([provider1], { dedupeMode: 'fuzzy' })).toThrow('Unknown dedupe mode: fuzzy');
+    });
+
+    test('should report the original status for duplicates', async () => {
+      const emailData = { to: 'test@example.com', subject: 'Test Subject', body: 'Test Body' };
+      const sendAt = new Date(Date.now() + 60000);
+      const duplicates = [];
+      emailService.on('duplicateDetected', event => duplicates.push(event));
+
+      const first = await emailService.sendEmailWithResult(emailData, { sendAt });
+      const second = await emailService.sendEmailWithResult(emailData);
+
+      expect(first).toEqual({ attemptId: expect.any(String), status: EmailStatus.SCHEDULED, duplicate: false });
+      expect(second).toEqual({ attemptId: first.attemptId, status: EmailStatus.SCHEDULED, duplicate: true });
+      expect(duplicates).toEqual([{ attemptId: first.attemptId, status: EmailStatus.SCHEDULED, idempotencyKey: undefined }]);
+      emailService.cancelAttempt(first.attemptId);
+    });
   });
 
   describe('Retry Logic', () => {
@@ -144,6 +242,497 @@ describe('EmailService', () => {
     });
   });
 
+  describe('Backoff Jitter', () => {
+    const emailData = {
+      to: 'test@example.com',
+      subject: 'Test Subject',
+      body: 'Test Body'
+    };
+
+    afterEach(() => {
+      jest.useRealTimers();
+      jest.restoreAllMocks();
+    });
+
+    function flakyProvider(error) {
+      return {
+        name: 'Flaky',
+        calls: 0,
+        async sendEmail() {
+          this.calls++;
+          if (this.calls === 1) throw error;
+          return { success: true, messageId: 'flaky-1' };
+        }
+      };
+    }
+
+    test('should wait the jittered delay before retrying', async () => {
+      jest.useFakeTimers();
+      jest.spyOn(Math, 'random').mockReturnValue(0.25);
+
+      const flaky = flakyProvider(new Error('timeout'));
+      emailService = new EmailService([flaky], {
+        maxRetries: 2,
+        initialDelayMs: 1000,
+        maxDelayMs: 10000,
+        jitter: JitterStrategy.FULL
+      });
+
+      await emailService.sendEmail(emailData);
+      await jest.advanceTimersByTimeAsync(249);
+      expect(flaky.calls).toBe(1);
+
+      await jest.advanceTimersByTimeAsync(1);
+      expect(flaky.calls).toBe(2);
+    });
+
+    test('should honor a provider Retry-After hint', async () => {
+      jest.useFakeTimers();
+
+      const flaky = flakyProvider(new RateLimitedError('429 Too Many Requests', { retryAfterMs: 5000 }));
+      emailService = new EmailService([flaky], {
+        maxRetries: 2,
+        initialDelayMs: 10,
+        maxDelayMs: 10000
+      });
+
+      const attemptId = await emailService.sendEmail(emailData);
+      await jest.advanceTimersByTimeAsync(4999);
+      expect(flaky.calls).toBe(1);
+
+      await jest.advanceTimersByTimeAsync(1);
+      expect(flaky.calls).toBe(2);
+      expect(emailService.getAttempt(attemptId).status).toBe(EmailStatus.SENT);
+    });
+
+    test('should cap Retry-After at maxDelayMs', async () => {
+      jest.useFakeTimers();
+
+      const flaky = flakyProvider(new RateLimitedError('429 Too Many Requests', { retryAfterMs: 60000 }));
+      emailService = new EmailService([flaky], {
+        maxRetries: 2,
+        initialDelayMs: 10,
+        maxDelayMs: 2000
+      });
+
+      await emailService.sendEmail(emailData);
+      await jest.advanceTimersByTimeAsync(2000);
+      expect(flaky.calls).toBe(2);
+    });
+  });
+
+  describe('Worker Pool', () => {
+    const emailData = {
+      to: 'test@example.com',
+      subject: 'Test Subject',
+      body: 'Test Body'
+    };
+
+    test('should process several attempts concurrently', async () => {
+      const slow = new MockEmailProvider('Slow', 0, 200);
+      emailService = new EmailService([slow], { concurrency: 3 });
+
+      for (let i = 0; i < 4; i++) {
+        await emailService.sendEmail({ ...emailData, to: `test${i}@example.com` });
+      }
+
+      const status = emailService.getQueueStatus();
+      expect(status.activeWorkers).toBe(3);
+      expect(status.concurrency).toBe(3);
+      expect(status.readyItems).toBe(1);
+      expect(status.processing).toBe(true);
+    });
+
+    test('should not block the queue while an attempt waits out its backoff', async () => {
+      const picky = {
+        name: 'Picky',
+        async sendEmail(email) {
+          if (email.to === 'flaky@example.com') throw new Error('Temporary failure');
+          return { success: true, messageId: `picky-${email.to}` };
+        }
+      };
+      emailService = new EmailService([picky], {
+        concurrency: 1,
+        maxRetries: 3,
+        initialDelayMs: 5000
+      });
+
+      const flakyId = await emailService.sendEmail({ ...emailData, to: 'flaky@example.com' });
+      const healthyId = await emailService.sendEmail(emailData);
+      await new Promise(resolve => setTimeout(resolve, 50));
+
+      expect(emailService.getAttempt(healthyId).status).toBe(EmailStatus.SENT);
+
+      const flaky = emailService.getAttempt(flakyId);
+      expect(flaky.status).toBe(EmailStatus.QUEUED);
+      expect(flaky.attempts).toBe(1);
+      expect(flaky.nextAttemptAt.getTime()).toBeGreaterThan(Date.now());
+
+      const status = emailService.getQueueStatus();
+      expect(status.activeWorkers).toBe(0);
+      expect(status.delayedItems).toBe(1);
+      expect(status.readyItems).toBe(0);
+    });
+  });
+
+  describe('Priority and Scheduling', () => {
+    const emailData = {
+      to: 'test@example.com',
+      subject: 'Test Subject',
+      body: 'Test Body'
+    };
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    function recordingProvider() {
+      return {
+        name: 'Recorder',
+        sent: [],
+        async sendEmail(email) {
+          this.sent.push(email.to);
+          return { success: true, messageId: `rec-${email.to}` };
+        }
+      };
+    }
+
+    test('should send high priority mail ahead of queued bulk mail', async () => {
+      const recorder = recordingProvider();
+      const blocker = {
+        name: 'Blocker',
+        async sendEmail() {
+          await new Promise(resolve => setTimeout(resolve, 50));
+          throw new Error('busy');
+        }
+      };
+      emailService = new EmailService([blocker, recorder], { concurrency: 1 });
+
+      // The first email occupies the only worker while the others queue up
+      await emailService.sendEmail({ ...emailData, to: 'first@example.com' });
+      await emailService.sendEmail({ ...emailData, to: 'newsletter@example.com' }, { priority: EmailPriority.LOW });
+      await emailService.sendEmail({ ...emailData, to: 'reset@example.com' }, { priority: EmailPriority.HIGH });
+
+      await new Promise(resolve => setTimeout(resolve, 300));
+
+      expect(recorder.sent).toEqual(['first@example.com', 'reset@example.com', 'newsletter@example.com']);
+    });
+
+    test('should keep scheduled emails SCHEDULED until due', async () => {
+      jest.useFakeTimers();
+      const recorder = recordingProvider();
+      emailService = new EmailService([recorder]);
+
+      const attemptId = await emailService.sendEmail(emailData, { sendAt: Date.now() + 60000 });
+
+      expect(emailService.getAttempt(attemptId).status).toBe(EmailStatus.SCHEDULED);
+      expect(emailService.getQueueStatus().scheduledItems).toBe(1);
+
+      await jest.advanceTimersByTimeAsync(59999);
+      expect(emailService.getAttempt(attemptId).status).toBe(EmailStatus.SCHEDULED);
+      expect(recorder.sent).toEqual([]);
+
+      await jest.advanceTimersByTimeAsync(1);
+      expect(emailService.getAttempt(attemptId).status).toBe(EmailStatus.SENT);
+    });
+
+    test('should send immediately when sendAt is in the past', async () => {
+      const recorder = recordingProvider();
+      emailService = new EmailService([recorder]);
+
+      const attemptId = await emailService.sendEmail(emailData, { sendAt: new Date(Date.now() - 1000) });
+      await new Promise(resolve => setTimeout(resolve, 20));
+
+      expect(emailService.getAttempt(attemptId).status).toBe(EmailStatus.SENT);
+    });
+
+    test('should reject unknown priorities and invalid send times', async () => {
+      await expect(emailService.sendEmail(emailData, { priority: 'urgent' })).rejects.toThrow('Unknown priority');
+      await expect(emailService.sendEmail(emailData, { sendAt: 'not a date' })).rejects.toThrow('Invalid sendAt');
+    });
+  });
+
+  describe('Cancel, Retry and Requeue', () => {
+    const emailData = {
+      to: 'test@example.com',
+      subject: 'Test Subject',
+      body: 'Test Body'
+    };
+
+    function rejectingProvider() {
+      return {
+        name: 'Rejecting',
+        healthy: false,
+        sent: 0,
+        async sendEmail() {
+          if (!this.healthy) {
+            throw new PermanentError('mailbox unavailable', { category: ErrorCategory.REJECTED });
+          }
+          this.sent++;
+          return { success: true, messageId: `ok-${this.sent}` };
+        }
+      };
+    }
+
+    test('should cancel a scheduled attempt and take it off the queue', async () => {
+      const cancelled = jest.fn();
+      emailService.on('attemptCancelled', cancelled);
+
+      const attemptId = await emailService.sendEmail(emailData, { sendAt: Date.now() + 60000 });
+      const attempt = emailService.cancelAttempt(attemptId);
+
+      expect(attempt.status).toBe(EmailStatus.CANCELLED);
+      expect(attempt.cancelledAt).toBeInstanceOf(Date);
+      expect(emailService.getQueueStatus().queueLength).toBe(0);
+      expect(cancelled).toHaveBeenCalledWith(attempt);
+    });
+
+    test('should refuse to cancel attempts that already left the queue', async () => {
+      const provider = rejectingProvider();
+      provider.healthy = true;
+      emailService = new EmailService([provider]);
+
+      const attemptId = await emailService.sendEmail(emailData);
+      await new Promise(resolve => setTimeout(resolve, 20));
+
+      expect(() => emailService.cancelAttempt(attemptId)).toThrow('Cannot cancel attempt in status: sent');
+      expect(() => emailService.cancelAttempt('missing')).toThrow('Attempt not found');
+    });
+
+    test('should allow the same email again once the original was cancelled', async () => {
+      const firstId = await emailService.sendEmail(emailData, { sendAt: Date.now() + 60000 });
+      emailService.cancelAttempt(firstId);
+
+      const secondId = await emailService.sendEmail(emailData, { sendAt: Date.now() + 60000 });
+      expect(secondId).not.toBe(firstId);
+    });
+
+    test('should retry a failed attempt with a fresh retry budget', async () => {
+      const provider = rejectingProvider();
+      emailService = new EmailService([provider]);
+      const retried = jest.fn();
+      emailService.on('attemptRetried', retried);
+
+      const attemptId = await emailService.sendEmail(emailData);
+      await new Promise(resolve => setTimeout(resolve, 20));
+      expect(emailService.getAttempt(attemptId).status).toBe(EmailStatus.FAILED);
+
+      provider.healthy = true;
+      emailService.retryAttempt(attemptId);
+      expect(retried).toHaveBeenCalledTimes(1);
+      await new Promise(resolve => setTimeout(resolve, 20));
+
+      const attempt = emailService.getAttempt(attemptId);
+      expect(attempt.status).toBe(EmailStatus.SENT);
+      expect(attempt.attempts).toBe(1);
+      expect(attempt.failureReason).toBeUndefined();
+    });
+
+    test('should refuse to retry attempts that have not ended', async () => {
+      const attemptId = await emailService.sendEmail(emailData, { sendAt: Date.now() + 60000 });
+
+      expect(() => emailService.retryAttempt(attemptId)).toThrow('Cannot retry attempt in status: scheduled');
+    });
+
+    test('should requeue every failed attempt after an outage', async () => {
+      const provider = rejectingProvider();
+      emailService = new EmailService([provider]);
+      const requeued = jest.fn();
+      emailService.on('attemptsRequeued', requeued);
+
+      const firstId = await emailService.sendEmail(emailData);
+      const secondId = await emailService.sendEmail({ ...emailData, to: 'other@example.com' });
+      await new Promise(resolve => setTimeout(resolve, 20));
+
+      provider.healthy = true;
+      const attemptIds = emailService.requeueAll({ status: EmailStatus.FAILED });
+      expect(attemptIds.sort()).toEqual([firstId, secondId].sort());
+      expect(requeued).toHaveBeenCalledWith({ status: EmailStatus.FAILED, attemptIds });
+
+      await new Promise(resolve => setTimeout(resolve, 20));
+      expect(emailService.getAttempt(firstId).status).toBe(EmailStatus.SENT);
+      expect(emailService.getAttempt(secondId).status).toBe(EmailStatus.SENT);
+      expect(() => emailService.requeueAll({ status: EmailStatus.SENT })).toThrow('Cannot requeue');
+    });
+  });
+
+  describe('Dead Letter Queue', () => {
+    const emailData = {
+      to: 'test@example.com',
+      subject: 'Test Subject',
+      body: 'Test Body'
+    };
+
+    function scriptedProvider(name, fail) {
+      return {
+        name,
+        fail,
+        calls: 0,
+        async sendEmail() {
+          this.calls++;
+          if (this.fail) throw new Error(`${name} unavailable`);
+          return { success: true, messageId: `${name}-${this.calls}` };
+        }
+      };
+    }
+
+    test('should dead-letter exhausted attempts with the full try history', async () => {
+      const primary = scriptedProvider('Primary', true);
+      const backup = scriptedProvider('Backup', true);
+      emailService = new EmailService([primary, backup], { maxRetries: 2, initialDelayMs: 5, maxDelayMs: 10 });
+      const deadLettered = jest.fn();
+      emailService.on('deadLettered', deadLettered);
+
+      const attemptId = await emailService.sendEmail(emailData);
+      await new Promise(resolve => setTimeout(resolve, 100));
+
+      const [entry] = emailService.getDeadLetters();
+      expect(entry.attemptId).toBe(attemptId);
+      expect(entry.failureReason).toBe(ErrorCategory.TRANSIENT);
+      expect(entry.tries.map(record => record.provider)).toEqual(['Primary', 'Backup', 'Primary', 'Backup']);
+      expect(entry.tries[0].error).toBe('Primary unavailable');
+      expect(entry.tries[0].timestamp).toBeInstanceOf(Date);
+      expect(entry.tries[1].delayMs).toBe(5);
+      expect(deadLettered).toHaveBeenCalledWith(entry);
+    });
+
+    test('should filter dead letters by failure reason and provider', async () => {
+      const rejecting = {
+        name: 'Strict',
+        async sendEmail() {
+          throw new PermanentError('550 mailbox unavailable', { category: ErrorCategory.REJECTED });
+        }
+      };
+      emailService = new EmailService([rejecting]);
+
+      await emailService.sendEmail(emailData);
+      await new Promise(resolve => setTimeout(resolve, 20));
+
+      expect(emailService.getDeadLetters({ failureReason: ErrorCategory.REJECTED })).toHaveLength(1);
+      expect(emailService.getDeadLetters({ failureReason: ErrorCategory.TRANSIENT })).toHaveLength(0);
+      expect(emailService.getDeadLetters({ provider: 'Strict' })).toHaveLength(1);
+      expect(emailService.getDeadLetters({ provider: 'Other' })).toHaveLength(0);
+    });
+
+    test('should replay a dead letter through a specific provider', async () => {
+      const primary = scriptedProvider('Primary', true);
+      const backup = scriptedProvider('Backup', true);
+      emailService = new EmailService([primary, backup], { maxRetries: 1 });
+
+      const attemptId = await emailService.sendEmail(emailData);
+      await new Promise(resolve => setTimeout(resolve, 20));
+      expect(emailService.getDeadLetters()).toHaveLength(1);
+
+      primary.fail = false;
+      backup.fail = false;
+      emailService.replayDeadLetter(attemptId, { provider: 'Backup' });
+      await new Promise(resolve => setTimeout(resolve, 20));
+
+      const attempt = emailService.getAttempt(attemptId);
+      expect(attempt.status).toBe(EmailStatus.SENT);
+      expect(attempt.provider).toBe('Backup');
+      expect(primary.calls).toBe(1);
+      expect(emailService.getDeadLetters()).toHaveLength(0);
+    });
+
+    test('should replay matching dead letters in bulk', async () => {
+      const primary = scriptedProvider('Primary', true);
+      emailService = new EmailService([primary], { maxRetries: 1 });
+
+      await emailService.sendEmail(emailData);
+      await emailService.sendEmail({ ...emailData, to: 'other@example.com' });
+      await new Promise(resolve => setTimeout(resolve, 20));
+
+      primary.fail = false;
+      const attemptIds = emailService.replayDeadLetters({ provider: 'Primary' });
+      await new Promise(resolve => setTimeout(resolve, 20));
+
+      expect(attemptIds).toHaveLength(2);
+      attemptIds.forEach(attemptId => {
+        expect(emailService.getAttempt(attemptId).status).toBe(EmailStatus.SENT);
+      });
+    });
+
+    test('should reject replays of unknown dead letters and providers', async () => {
+      expect(() => emailService.replayDeadLetter('missing')).toThrow('Dead letter not found');
+      expect(() => emailService.replayDeadLetters({}, { provider: 'Nope' })).toThrow('Unknown provider: Nope');
+    });
+  });
+
+  describe('Attempt History', () => {
+    const emailData = {
+      to: 'test@example.com',
+      subject: 'Test Subject',
+      body: 'Test Body'
+    };
+
+    function failingProvider(name, failures) {
+      return {
+        name,
+        calls: 0,
+        async sendEmail() {
+          this.calls++;
+          if (this.calls <= failures) throw new Error(`${name} timeout`);
+          return { success: true, messageId: `${name}-${this.calls}` };
+        }
+      };
+    }
+
+    test('should record every step up to a send on a later try', async () => {
+      const sendGrid = failingProvider('SendGrid', Infinity);
+      const mailgun = failingProvider('Mailgun', 1);
+      emailService = new EmailService([sendGrid, mailgun], { maxRetries: 3, initialDelayMs: 5 });
+
+      const attemptId = await emailService.sendEmail(emailData);
+      await new Promise(resolve => setTimeout(resolve, 50));
+
+      const { history } = emailService.getAttempt(attemptId);
+      expect(history.map(entry => entry.type)).toEqual([
+        HistoryEvent.QUEUED,
+        HistoryEvent.PROVIDER_TRIED,
+        HistoryEvent.PROVIDER_FAILED,
+        HistoryEvent.PROVIDER_TRIED,
+        HistoryEvent.PROVIDER_FAILED,
+        HistoryEvent.BACKOFF,
+        HistoryEvent.PROVIDER_TRIED,
+        HistoryEvent.PROVIDER_FAILED,
+        HistoryEvent.PROVIDER_TRIED,
+        HistoryEvent.SENT
+      ]);
+      expect(history[2]).toMatchObject({ provider: 'SendGrid', error: 'SendGrid timeout', category: ErrorCategory.TRANSIENT });
+      expect(history[5].delayMs).toBe(5);
+      expect(history[9]).toMatchObject({ provider: 'Mailgun', messageId: 'Mailgun-2' });
+      history.forEach(entry => expect(entry.timestamp).toBeInstanceOf(Date));
+    });
+
+    test('should record circuit breaker skips', async () => {
+      const sendGrid = failingProvider('SendGrid', Infinity);
+      const mailgun = failingProvider('Mailgun', 0);
+      emailService = new EmailService([sendGrid, mailgun], { circuitBreakerThreshold: 1 });
+
+      await emailService.sendEmail(emailData);
+      const attemptId = await emailService.sendEmail({ ...emailData, to: 'other@example.com' });
+      await new Promise(resolve => setTimeout(resolve, 20));
+
+      const types = emailService.getAttempt(attemptId).history.map(entry => entry.type);
+      expect(types).toEqual([
+        HistoryEvent.QUEUED,
+        HistoryEvent.BREAKER_SKIPPED,
+        HistoryEvent.PROVIDER_TRIED,
+        HistoryEvent.SENT
+      ]);
+    });
+
+    test('should record scheduling, cancellation and requeues', async () => {
+      const attemptId = await emailService.sendEmail(emailData, { sendAt: Date.now() + 60000 });
+      emailService.cancelAttempt(attemptId);
+      emailService.retryAttempt(attemptId);
+
+      const types = emailService.getAttempt(attemptId).history.map(entry => entry.type);
+      expect(types.slice(0, 3)).toEqual([HistoryEvent.SCHEDULED, HistoryEvent.CANCELLED, HistoryEvent.REQUEUED]);
+    });
+  });
+
   describe('Fallback Mechanism', () => {
     test('should fallback to second provider when first fails', async () => {
       provider1.setFailureRate(1); // First provider always fails
@@ -215,6 +804,175 @@ describe('EmailService', () => {
       const attempt = emailService.getAttempt(attemptId);
       expect(attempt.status).toBe(EmailStatus.SENT);
     });
+
+    test('should send a single probe to a half-open provider', async () => {
+      jest.useFakeTimers();
+      try {
+        const recovering = {
+          name: 'Recovering',
+          healthy: false,
+          calls: 0,
+          async sendEmail() {
+            this.calls++;
+            await new Promise(resolve => setTimeout(resolve, 100));
+            if (!this.healthy) throw new Error('connection refused');
+            return { success: true, messageId: `rec-${this.calls}` };
+          }
+        };
+        emailService = new EmailService([recovering], {
+          concurrency: 3,
+          maxRetries: 5,
+          initialDelayMs: 2000,
+          maxDelayMs: 2000,
+          circuitBreakerThreshold: 1,
+          circuitBreakerResetTime: 1000
+        });
+
+        await emailService.sendEmail({ to: 'first@example.com', subject: 'S', body: 'B' });
+        await jest.advanceTimersByTimeAsync(100);
+        expect(emailService.getProviderStatus()[0].circuitBreaker.state).toBe(CircuitState.OPEN);
+
+        // Three emails arrive while the breaker is open and back off together
+        for (let i = 0; i < 3; i++) {
+          await emailService.sendEmail({ to: `queued${i}@example.com`, subject: 'S', body: 'B' });
+        }
+        recovering.healthy = true;
+        const callsBeforeReset = recovering.calls;
+
+        await jest.advanceTimersByTimeAsync(2000);
+        expect(emailService.getProviderStatus()[0].circuitBreaker.state).toBe(CircuitState.HALF_OPEN);
+        expect(recovering.calls - callsBeforeReset).toBe(1);
+
+        await jest.advanceTimersByTimeAsync(100);
+        expect(emailService.getProviderStatus()[0].circuitBreaker.state).toBe(CircuitState.CLOSED);
+      } finally {
+        jest.useRealTimers();
+      }
+    });
+
+    test('should emit circuitStateChanged on every transition', async () => {
+      const changes = [];
+      emailService.on('circuitStateChanged', change => changes.push(change));
+      provider1.setFailureRate(1);
+      provider1.setLatency(0);
+      provider2.setLatency(0);
+
+      await emailService.sendEmail({ to: 'a@example.com', subject: 'S', body: 'B' });
+      await emailService.sendEmail({ to: 'b@example.com', subject: 'S', body: 'B' });
+      await new Promise(resolve => setTimeout(resolve, 1200));
+
+      expect(changes[0]).toMatchObject({ provider: 'Provider1', from: CircuitState.CLOSED, to: CircuitState.OPEN });
+      expect(changes[0].at).toBeInstanceOf(Date);
+    });
+  });
+
+  describe('Error Classification', () => {
+    const emailData = {
+      to: 'test@example.com',
+      subject: 'Test Subject',
+      body: 'Test Body'
+    };
+
+    function failingProvider(name, error) {
+      return {
+        name,
+        calls: 0,
+        async sendEmail() {
+          this.calls++;
+          throw error;
+        }
+      };
+    }
+
+    test('should fail immediately on a rejected recipient without tripping breakers', async () => {
+      const bouncing = failingProvider('Bouncing', new PermanentError('550 5.1.1 User unknown', {
+        category: ErrorCategory.REJECTED
+      }));
+      emailService = new EmailService([bouncing, provider2], {
+        maxRetries: 3,
+        initialDelayMs: 10,
+        circuitBreakerThreshold: 1
+      });
+
+      const attemptId = await emailService.sendEmail(emailData);
+      await new Promise(resolve => setTimeout(resolve, 50));
+
+      const attempt = emailService.getAttempt(attemptId);
+      expect(attempt.status).toBe(EmailStatus.FAILED);
+      expect(attempt.failureReason).toBe(ErrorCategory.REJECTED);
+      expect(attempt.attempts).toBe(1);
+      expect(bouncing.calls).toBe(1);
+      expect(emailService.getProviderStatus()[0].circuitBreaker.isOpen).toBe(false);
+    });
+
+    test('should fall back when a provider answers 4xx about itself', async () => {
+      const misconfigured = failingProvider('Misconfigured', new HttpError('Misconfigured responded with 404', {
+        status: 404,
+        category: categorizeStatus(404)
+      }));
+      const healthy = { name: 'Healthy', sendEmail: async () => ({ success: true, messageId: 'm1' }) };
+      emailService = new EmailService([misconfigured, healthy], { maxRetries: 3, initialDelayMs: 10 }, { logSinks: [] });
+
+      const attemptId = await emailService.sendEmail(emailData);
+      await new Promise(resolve => setTimeout(resolve, 50));
+
+      const attempt = emailService.getAttempt(attemptId);
+      expect(attempt.status).toBe(EmailStatus.SENT);
+      expect(attempt.provider).toBe('Healthy');
+      expect(attempt.tries[0]).toMatchObject({ provider: 'Misconfigured', category: ErrorCategory.INVALID_REQUEST });
+      expect(misconfigured.calls).toBe(1);
+    });
+
+    test('should stop retrying a provider that failed permanently and fall back', async () => {
+      const misconfigured = failingProvider('Misconfigured', new PermanentError('535 Authentication failed', {
+        category: ErrorCategory.AUTHENTICATION
+      }));
+      provider2.setFailureRate(1);
+      emailService = new EmailService([misconfigured, provider2], {
+        maxRetries: 3,
+        initialDelayMs: 10,
+        circuitBreakerThreshold: 10
+      });
+
+      const attemptId = await emailService.sendEmail(emailData);
+      setTimeout(() => provider2.setFailureRate(0), 20);
+      await new Promise(resolve => setTimeout(resolve, 700));
+
+      const attempt = emailService.getAttempt(attemptId);
+      expect(attempt.status).toBe(EmailStatus.SENT);
+      expect(attempt.provider).toBe('Provider2');
+      expect(misconfigured.calls).toBe(1);
+    });
+
+    test('should retry rate limited providers without counting breaker failures', async () => {
+      const throttled = failingProvider('Throttled', new RateLimitedError('429 Too Many Requests'));
+      emailService = new EmailService([throttled], {
+        maxRetries: 3,
+        initialDelayMs: 10,
+        circuitBreakerThreshold: 1
+      });
+
+      const attemptId = await emailService.sendEmail(emailData);
+      await new Promise(resolve => setTimeout(resolve, 100));
+
+      const attempt = emailService.getAttempt(attemptId);
+      expect(attempt.status).toBe(EmailStatus.FAILED);
+      expect(attempt.failureReason).toBe(ErrorCategory.RATE_LIMITED);
+      expect(throttled.calls).toBe(3);
+      expect(emailService.getProviderStatus()[0].circuitBreaker.failureCount).toBe(0);
+    });
+
+    test('should treat untyped errors as transient', async () => {
+      const legacy = failingProvider('Legacy', new Error('socket hang up'));
+      emailService = new EmailService([legacy], { maxRetries: 2, initialDelayMs: 10 });
+
+      const attemptId = await emailService.sendEmail(emailData);
+      await new Promise(resolve => setTimeout(resolve, 100));
+
+      const attempt = emailService.getAttempt(attemptId);
+      expect(attempt.failureReason).toBe(ErrorCategory.TRANSIENT);
+      expect(legacy.calls).toBe(2);
+    });
   });
 
   describe('Rate Limiting', () => {
@@ -265,6 +1023,747 @@ describe('EmailService', () => {
       
       Date.now = originalDate;
     });
+
+    test('should count failed sends against the global limit', async () => {
+      provider1.setFailureRate(1);
+      provider2.setFailureRate(1);
+      emailService = new EmailService([provider1, provider2], { rateLimitPerMinute: 2, maxRetries: 1 });
+
+      await emailService.sendEmail({ to: 'a@example.com', subject: 'S', body: 'B' });
+      await emailService.sendEmail({ to: 'b@example.com', subject: 'S', body: 'B' });
+
+      await expect(emailService.sendEmail({ to: 'c@example.com', subject: 'S', body: 'B' }))
+        .rejects.toThrow('Rate limit exceeded');
+    });
+
+    test('should skip a provider whose bucket is empty', async () => {
+      const sent = [];
+      const recorder = (name) => ({
+        name,
+        async sendEmail(email) {
+          sent.push(`${name}:${email.to}`);
+          return { success: true, messageId: `${name}-${email.to}` };
+        }
+      });
+      emailService = new EmailService([recorder('Primary'), recorder('Backup')], {
+        providerRateLimits: { Primary: { perMinute: 1 } }
+      });
+
+      await emailService.sendEmail({ to: 'a@example.com', subject: 'S', body: 'B' });
+      await emailService.sendEmail({ to: 'b@example.com', subject: 'S', body: 'B' });
+      await new Promise(resolve => setTimeout(resolve, 20));
+
+      expect(sent).toEqual(['Primary:a@example.com', 'Backup:b@example.com']);
+      const skipped = emailService.getAllAttempts()
+        .flatMap(attempt => attempt.history)
+        .filter(entry => entry.type === HistoryEvent.PROVIDER_THROTTLED);
+      expect(skipped).toHaveLength(1);
+      expect(skipped[0].provider).toBe('Primary');
+    });
+
+    test('should wait for provider quota without spending retries', async () => {
+      jest.useFakeTimers();
+      try {
+        const calls = [];
+        const only = {
+          name: 'Only',
+          async sendEmail(email) {
+            calls.push(email.to);
+            return { success: true, messageId: email.to };
+          }
+        };
+        emailService = new EmailService([only], {
+          maxRetries: 1,
+          providerRateLimits: { Only: { perSecond: 1 } }
+        });
+
+        await emailService.sendEmail({ to: 'a@example.com', subject: 'S', body: 'B' });
+        const attemptId = await emailService.sendEmail({ to: 'b@example.com', subject: 'S', body: 'B' });
+        await jest.advanceTimersByTimeAsync(0);
+
+        const attempt = emailService.getAttempt(attemptId);
+        expect(attempt.status).toBe(EmailStatus.QUEUED);
+        expect(attempt.attempts).toBe(0);
+
+        await jest.advanceTimersByTimeAsync(1000);
+        expect(emailService.getAttempt(attemptId).status).toBe(EmailStatus.SENT);
+        expect(calls).toEqual(['a@example.com', 'b@example.com']);
+      } finally {
+        jest.useRealTimers();
+      }
+    });
+
+    test('should report a per-provider breakdown', () => {
+      emailService = new EmailService([provider1, provider2], {
+        rateLimit: { perSecond: 5, perDay: 1000 },
+        providerRateLimits: { Provider1: { perMinute: 60 } }
+      });
+
+      const status = emailService.getRateLimitStatus();
+      expect(status.limit).toBe(5);
+      expect(status.window).toBe('perSecond');
+      expect(status.limits).toHaveLength(2);
+      expect(status.providers).toEqual([
+        { name: 'Provider1', remaining: 60, limits: [expect.objectContaining({ window: 'perMinute', limit: 60 })] },
+        { name: 'Provider2', remaining: null, limits: [] }
+      ]);
+    });
+  });
+
+  describe('Rate Limit Policy', () => {
+    const instant = (calls = []) => ({
+      name: 'Instant',
+      async sendEmail(email) {
+        calls.push(email.to);
+        return { success: true, messageId: email.to };
+      }
+    });
+
+    beforeEach(() => {
+      jest.useFakeTimers();
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    test('should reject with a retry hint by default', async () => {
+      emailService = new EmailService([instant()], { rateLimit: { perSecond: 1 } });
+      await emailService.sendEmail({ to: 'a@example.com', subject: 'S', body: 'B' });
+
+      const error = await emailService.sendEmail({ to: 'b@example.com', subject: 'S', body: 'B' })
+        .catch(err => err);
+      expect(error).toBeInstanceOf(RateLimitExceededError);
+      expect(error.retryAfterMs).toBe(1000);
+    });
+
+    test('should defer and send once the window has capacity', async () => {
+      const calls = [];
+      emailService = new EmailService([instant(calls)], {
+        rateLimit: { perSecond: 1 },
+        rateLimitPolicy: RateLimitPolicy.DEFER
+      });
+
+      await emailService.sendEmail({ to: 'a@example.com', subject: 'S', body: 'B' });
+      const attemptId = await emailService.sendEmail({ to: 'b@example.com', subject: 'S', body: 'B' });
+      await jest.advanceTimersByTimeAsync(0);
+
+      const deferred = emailService.getAttempt(attemptId);
+      expect(deferred.status).toBe(EmailStatus.RATE_LIMITED);
+      expect(emailService.getQueueStatus().deferredItems).toBe(1);
+
+      await jest.advanceTimersByTimeAsync(1000);
+      const attempt = emailService.getAttempt(attemptId);
+      expect(attempt.status).toBe(EmailStatus.SENT);
+      expect(attempt.history.map(entry => entry.type)).toEqual([
+        HistoryEvent.RATE_LIMITED,
+        HistoryEvent.QUEUED,
+        HistoryEvent.PROVIDER_TRIED,
+        HistoryEvent.SENT
+      ]);
+      expect(calls).toEqual(['a@example.com', 'b@example.com']);
+    });
+
+    test('should let deferred emails be cancelled but not retried', async () => {
+      emailService = new EmailService([instant()], {
+        rateLimit: { perSecond: 1 },
+        rateLimitPolicy: RateLimitPolicy.DEFER
+      });
+
+      await emailService.sendEmail({ to: 'a@example.com', subject: 'S', body: 'B' });
+      const attemptId = await emailService.sendEmail({ to: 'b@example.com', subject: 'S', body: 'B' });
+
+      expect(() => emailService.retryAttempt(attemptId)).toThrow('already waiting on the queue');
+      emailService.cancelAttempt(attemptId);
+      expect(emailService.getAttempt(attemptId).status).toBe(EmailStatus.CANCELLED);
+      expect(emailService.getQueueStatus().queueLength).toBe(0);
+    });
+
+    test('should refuse new emails and signal backpressure at max queue depth', async () => {
+      const signals = [];
+      emailService = new EmailService([instant()], {
+        rateLimit: { perMinute: 1 },
+        rateLimitPolicy: RateLimitPolicy.DEFER,
+        maxQueueDepth: 2
+      });
+      emailService.on('backpressure', signal => signals.push(signal));
+
+      await emailService.sendEmail({ to: 'a@example.com', subject: 'S', body: 'B' });
+      const first = await emailService.sendEmail({ to: 'b@example.com', subject: 'S', body: 'B' });
+      await emailService.sendEmail({ to: 'c@example.com', subject: 'S', body: 'B' });
+
+      await expect(emailService.sendEmail({ to: 'd@example.com', subject: 'S', body: 'B' }))
+        .rejects.toBeInstanceOf(QueueFullError);
+      expect(emailService.getQueueStatus().backpressure).toBe(true);
+
+      // Backpressure stays on until the queue drains below 80% of the depth
+      emailService.cancelAttempt(first);
+      expect(signals).toEqual([
+        { active: true, queueLength: 2, maxQueueDepth: 2 },
+        { active: false, queueLength: 1, maxQueueDepth: 2 }
+      ]);
+    });
+
+    test('should reject unknown policies', () => {
+      expect(() => new EmailService([instant()], { rateLimitPolicy: 'drop' }))
+        .toThrow('Unknown rate limit policy: drop');
+    });
+  });
+
+  describe('Domain Throttling', () => {
+    beforeEach(() => {
+      jest.useFakeTimers();
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    test('should delay emails over a domain rate limit without failing them', async () => {
+      const calls = [];
+      const instant = {
+        name: 'Instant',
+        async sendEmail(email) {
+          calls.push(email.to);
+          return { success: true, messageId: email.to };
+        }
+      };
+      emailService = new EmailService([instant], {
+        maxRetries: 1,
+        domainThrottles: { 'gmail.com': { perSecond: 1 } }
+      });
+
+      await emailService.sendEmail({ to: 'a@gmail.com', subject: 'S', body: 'B' });
+      const heldId = await emailService.sendEmail({ to: 'b@gmail.com', subject: 'S', body: 'B' });
+      await emailService.sendEmail({ to: 'c@example.com', subject: 'S', body: 'B' });
+      await jest.advanceTimersByTimeAsync(0);
+
+      expect(calls).toEqual(['a@gmail.com', 'c@example.com']);
+      const held = emailService.getAttempt(heldId);
+      expect(held.status).toBe(EmailStatus.QUEUED);
+      expect(held.attempts).toBe(0);
+      expect(held.history[held.history.length - 1]).toEqual(expect.objectContaining({
+        type: HistoryEvent.BACKOFF,
+        reason: 'domain_rate_limit',
+        domain: 'gmail.com'
+      }));
+
+      await jest.advanceTimersByTimeAsync(1000);
+      expect(emailService.getAttempt(heldId).status).toBe(EmailStatus.SENT);
+      expect(emailService.getDomainThrottleStatus()).toEqual([
+        expect.objectContaining({ domain: 'example.com', admitted: 1, delayed: 0, inFlight: 0 }),
+        expect.objectContaining({ domain: 'gmail.com', admitted: 2, delayed: 1, inFlight: 0 })
+      ]);
+    });
+
+    test('should limit concurrent sends per domain', async () => {
+      let inFlight = 0;
+      let peak = 0;
+      const slow = {
+        name: 'Slow',
+        async sendEmail(email) {
+          inFlight++;
+          peak = Math.max(peak, inFlight);
+          await new Promise(resolve => setTimeout(resolve, 100));
+          inFlight--;
+          return { success: true, messageId: email.to };
+        }
+      };
+      emailService = new EmailService([slow], {
+        concurrency: 4,
+        domainThrottles: { 'outlook.com': { maxConcurrent: 1 } }
+      });
+
+      const ids = [];
+      for (let i = 0; i < 3; i++) {
+        ids.push(await emailService.sendEmail({ to: `user${i}@outlook.com`, subject: 'S', body: 'B' }));
+      }
+      await jest.advanceTimersByTimeAsync(2000);
+
+      expect(peak).toBe(1);
+      ids.forEach(id => expect(emailService.getAttempt(id).status).toBe(EmailStatus.SENT));
+    });
+
+    test('should throttle object recipients and every cc and bcc domain', async () => {
+      const calls = [];
+      const instant = {
+        name: 'Instant',
+        async sendEmail(email) {
+          calls.push(email.subject);
+          return { success: true, messageId: email.subject };
+        }
+      };
+      emailService = new EmailService([instant], {
+        maxRetries: 1,
+        domainThrottles: { 'gmail.com': { perSecond: 1 } }
+      });
+
+      await emailService.sendEmail({ to: [{ name: 'A', address: 'a@gmail.com' }], subject: 'first', body: 'B' });
+      const viaCc = await emailService.sendEmail({ to: 'x@example.com', cc: 'b@Gmail.com', subject: 'second', body: 'B' });
+      await jest.advanceTimersByTimeAsync(0);
+
+      expect(calls).toEqual(['first']);
+      expect(emailService.getAttempt(viaCc).history.at(-1)).toMatchObject({ reason: 'domain_rate_limit', domain: 'gmail.com' });
+
+      await jest.advanceTimersByTimeAsync(1000);
+      expect(calls).toEqual(['first', 'second']);
+      expect(emailService.getDomainThrottleStatus()).toEqual([
+        expect.objectContaining({ domain: 'example.com', admitted: 1, inFlight: 0 }),
+        expect.objectContaining({ domain: 'gmail.com', admitted: 2, delayed: 1, inFlight: 0 })
+      ]);
+    });
+  });
+
+  describe('Provider Routing', () => {
+    const recorder = (name, sent) => ({
+      name,
+      async sendEmail(email) {
+        sent.push(name);
+        return { success: true, messageId: `${name}-${email.to}` };
+      }
+    });
+
+    const sendAll = async (count, emailData = {}) => {
+      for (let i = 0; i < count; i++) {
+        await emailService.sendEmail({ to: `user${i}@example.com`, subject: 'S', body: 'B', ...emailData });
+      }
+      await new Promise(resolve => setTimeout(resolve, 20));
+    };
+
+    test('should spread traffic by weight', async () => {
+      const sent = [];
+      emailService = new EmailService([recorder('Primary', sent), recorder('Secondary', sent)], {
+        routingStrategy: RoutingStrategy.WEIGHTED_ROUND_ROBIN,
+        providerWeights: { Primary: 1, Secondary: 1 }
+      });
+
+      await sendAll(4);
+      expect(sent).toEqual(['Primary', 'Secondary', 'Primary', 'Secondary']);
+    });
+
+    test('should route by rule and keep other providers as fallbacks', async () => {
+      const sent = [];
+      const failing = {
+        name: 'Marketing',
+        async sendEmail() {
+          sent.push('Marketing');
+          throw new Error('Service unavailable');
+        }
+      };
+      emailService = new EmailService([recorder('Primary', sent), failing], {
+        maxRetries: 1,
+        routingStrategy: RoutingStrategy.RULE_BASED,
+        routingRules: [{ match: { tag: 'newsletter' }, providers: ['Marketing'] }]
+      });
+
+      await sendAll(1, { tags: ['newsletter'] });
+      expect(sent).toEqual(['Marketing', 'Primary']);
+    });
+
+    test('should move a failing provider behind a healthy one by latency', async () => {
+      const sent = [];
+      const failing = {
+        name: 'Failing',
+        async sendEmail() {
+          sent.push('Failing');
+          throw new Error('Service unavailable');
+        }
+      };
+      emailService = new EmailService([failing, recorder('Healthy', sent)], {
+        maxRetries: 1,
+        routingStrategy: RoutingStrategy.LEAST_LATENCY
+      }, { logSinks: [] });
+
+      await sendAll(3);
+      // Failing was only tried while it was unmeasured
+      expect(sent).toEqual(['Failing', 'Healthy', 'Healthy', 'Healthy']);
+    });
+
+    test('should switch strategy at runtime', async () => {
+      const sent = [];
+      const changes = [];
+      emailService = new EmailService([recorder('Primary', sent), recorder('Secondary', sent)]);
+      emailService.on('routingStrategyChanged', change => changes.push(change.strategy));
+
+      await sendAll(2);
+      emailService.setRoutingStrategy(RoutingStrategy.WEIGHTED_ROUND_ROBIN, { weights: { Primary: 0 } });
+      await sendAll(2, { subject: 'After switch' });
+
+      expect(sent).toEqual(['Primary', 'Primary', 'Secondary', 'Secondary']);
+      expect(changes).toEqual([RoutingStrategy.WEIGHTED_ROUND_ROBIN]);
+      expect(emailService.getRoutingStatus()).toEqual({
+        strategy: RoutingStrategy.WEIGHTED_ROUND_ROBIN,
+        rules: [],
+        providers: [
+          { name: 'Primary', weight: 0, averageLatencyMs: expect.any(Number) },
+          { name: 'Secondary', weight: 1, averageLatencyMs: expect.any(Number) }
+        ]
+      });
+    });
+
+    test('should reject unknown strategies and providers', () => {
+      expect(() => emailService.setRoutingStrategy('random')).toThrow('Unknown routing strategy: random');
+      expect(() => emailService.setRoutingStrategy(RoutingStrategy.RULE_BASED, {
+        rules: [{ match: { tag: 'x' }, providers: ['Nope'] }]
+      })).toThrow('Unknown provider: Nope');
+      expect(emailService.getRoutingStatus().strategy).toBe(RoutingStrategy.PRIORITY);
+    });
+  });
+
+  describe('Provider Metrics', () => {
+    test('should record sends, failures and latency per provider', async () => {
+      jest.useFakeTimers();
+      try {
+        let calls = 0;
+        const flaky = {
+          name: 'Flaky',
+          async sendEmail(email) {
+            calls++;
+            await new Promise(resolve => setTimeout(resolve, 200));
+            if (calls === 1) throw new Error('Service unavailable');
+            return { success: true, messageId: email.to };
+          }
+        };
+        const steady = {
+          name: 'Steady',
+          async sendEmail(email) {
+            await new Promise(resolve => setTimeout(resolve, 40));
+            return { success: true, messageId: email.to };
+          }
+        };
+        emailService = new EmailService([flaky, steady]);
+
+        await emailService.sendEmail({ to: 'a@example.com', subject: 'S', body: 'B' });
+        await emailService.sendEmail({ to: 'b@example.com', subject: 'S', body: 'B' });
+        await jest.advanceTimersByTimeAsync(1000);
+
+        const metrics = emailService.getMetrics();
+        expect(metrics.windowsMs).toEqual([60000, 300000, 900000]);
+
+        const [flakyMetrics, steadyMetrics] = metrics.providers;
+        expect(flakyMetrics.totals).toEqual({ sent: 2, succeeded: 1, failed: 1 });
+        expect(flakyMetrics.windows[0].errorRate).toBe(0.5);
+        expect(flakyMetrics.windows[0].latency.p99).toBe(200);
+        expect(steadyMetrics.totals).toEqual({ sent: 1, succeeded: 1, failed: 0 });
+        expect(steadyMetrics.windows[0].latency.mean).toBe(40);
+        expect(steadyMetrics.series).toHaveLength(1);
+      } finally {
+        jest.useRealTimers();
+      }
+    });
+  });
+
+  describe('OpenMetrics Export', () => {
+    test('should export status counts, provider attempts, breaker trips and latency', async () => {
+      const failing = {
+        name: 'Failing',
+        async sendEmail() {
+          throw new Error('Service unavailable');
+        }
+      };
+      const working = {
+        name: 'Working',
+        async sendEmail(email) {
+          return { success: true, messageId: email.to };
+        }
+      };
+      emailService = new EmailService([failing, working], {
+        circuitBreakerThreshold: 1,
+        rateLimit: { perMinute: 10 }
+      });
+
+      await emailService.sendEmail({ to: 'a@example.com', subject: 'S', body: 'B' });
+      await new Promise(resolve => setTimeout(resolve, 20));
+
+      const text = emailService.getOpenMetrics();
+      expect(text).toContain('emailservice_emails_total{status="queued"} 1');
+      expect(text).toContain('emailservice_emails_total{status="sent"} 1');
+      expect(text).toContain('emailservice_provider_attempts_total{provider="Failing",outcome="failure"} 1');
+      expect(text).toContain('emailservice_provider_attempts_total{provider="Working",outcome="success"} 1');
+      expect(text).toContain('emailservice_circuit_breaker_trips_total{provider="Failing"} 1');
+      expect(text).toContain('emailservice_circuit_breaker_state{provider="Failing",state="open"} 1');
+      expect(text).toContain('emailservice_rate_limit_remaining{scope="global",window="perMinute"} 9');
+      expect(text).toContain('emailservice_rate_limit_capacity{scope="global",window="perMinute"} 10');
+      expect(text).toContain('emailservice_send_duration_seconds_count{provider="Working",outcome="success"} 1');
+      expect(text.endsWith('# EOF\n')).toBe(true);
+    });
+
+    test('should count each status once per email, however many retries it takes', async () => {
+      let calls = 0;
+      const flaky = {
+        name: 'Flaky',
+        async sendEmail(email) {
+          if (++calls === 1) throw new Error('Service unavailable');
+          return { success: true, messageId: email.to };
+        }
+      };
+      emailService = new EmailService([flaky], { initialDelayMs: 1, maxDelayMs: 1 }, { logSinks: [] });
+
+      const attemptId = await emailService.sendEmail({ to: 'a@example.com', subject: 'S', body: 'B' });
+      for (let i = 0; i < 50 && emailService.getAttempt(attemptId).status !== EmailStatus.SENT; i++) {
+        await new Promise(resolve => setTimeout(resolve, 10));
+      }
+
+      const text = emailService.getOpenMetrics();
+      expect(calls).toBe(2);
+      expect(text).toContain('emailservice_emails_total{status="queued"} 1');
+      expect(text).toContain('emailservice_emails_total{status="sending"} 1');
+      expect(text).toContain('emailservice_emails_total{status="sent"} 1');
+    });
+  });
+
+  describe('Tracing', () => {
+    const emailData = {
+      to: 'test@example.com',
+      subject: 'Test Subject',
+      body: 'Test Body'
+    };
+    let exporter;
+
+    beforeEach(() => {
+      exporter = new InMemorySpanExporter();
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    function recordingProvider(name, outcomes) {
+      return {
+        name,
+        contexts: [],
+        async sendEmail(email, context) {
+          this.contexts.push(context);
+          const outcome = outcomes.shift();
+          if (outcome instanceof Error) throw outcome;
+          return { success: true, messageId: `${name}-1` };
+        }
+      };
+    }
+
+    test('should nest provider spans under the send and propagate the trace header', async () => {
+      const primary = recordingProvider('Primary', [new Error('timeout')]);
+      const backup = recordingProvider('Backup', []);
+      emailService = new EmailService([primary, backup], {}, {
+        tracer: new Tracer({ exporters: [exporter] })
+      });
+
+      const attemptId = await emailService.sendEmail(emailData);
+      await new Promise(resolve => setTimeout(resolve, 20));
+
+      const [send] = exporter.getFinishedSpans({ name: 'email.send' });
+      expect(send.attributes).toMatchObject({ 'email.attempt_id': attemptId, 'email.status': EmailStatus.QUEUED });
+      expect(emailService.getAttempt(attemptId).trace).toEqual(send.context());
+
+      const [process] = exporter.getFinishedSpans({ name: 'email.process' });
+      expect(process.traceId).toBe(send.traceId);
+      expect(process.parentSpanId).toBe(send.spanId);
+      expect(process.attributes).toMatchObject({ 'email.round': 1, 'email.status': EmailStatus.SENT });
+
+      const providerSpans = exporter.getFinishedSpans({ name: 'provider.send' });
+      expect(providerSpans.map(span => span.attributes['email.provider'])).toEqual(['Primary', 'Backup']);
+      expect(providerSpans.every(span => span.parentSpanId === process.spanId)).toBe(true);
+      expect(providerSpans[0].status).toEqual({ code: SpanStatus.ERROR, message: 'timeout' });
+      expect(providerSpans[1].attributes['email.try']).toBe(1);
+
+      expect(backup.contexts[0].headers.traceparent).toBe(`00-${send.traceId}-${providerSpans[1].spanId}-01`);
+    });
+
+    test('should separate backoff from queue wait across retries', async () => {
+      jest.useFakeTimers();
+      const flaky = recordingProvider('Flaky', [new Error('timeout')]);
+      emailService = new EmailService([flaky], { initialDelayMs: 1000, maxRetries: 2 }, {
+        tracer: new Tracer({ exporters: [exporter] })
+      });
+
+      await emailService.sendEmail(emailData);
+      await jest.advanceTimersByTimeAsync(1000);
+
+      const rounds = exporter.getFinishedSpans({ name: 'email.process' });
+      expect(rounds.map(span => span.attributes['email.round'])).toEqual([1, 2]);
+      expect(rounds[1].traceId).toBe(rounds[0].traceId);
+      expect(rounds[1].attributes).toMatchObject({ 'email.delay_ms': 1000, 'email.queue_wait_ms': 0 });
+    });
+
+    test('should still send trace headers with the default no-op tracer', async () => {
+      const provider = recordingProvider('Primary', []);
+      emailService = new EmailService([provider]);
+
+      await emailService.sendEmail(emailData);
+      await new Promise(resolve => setTimeout(resolve, 20));
+
+      expect(provider.contexts[0].headers.traceparent).toMatch(/^00-[0-9a-f]{32}-[0-9a-f]{16}-01$/);
+    });
+
+    test('should record rejected sends as errors', async () => {
+      emailService = new EmailService([recordingProvider('Primary', [])], { maxQueueDepth: 0 }, {
+        tracer: new Tracer({ exporters: [exporter] })
+      });
+
+      await expect(emailService.sendEmail(emailData)).rejects.toThrow(QueueFullError);
+      expect(exporter.getFinishedSpans({ name: 'email.send' })[0].status.code).toBe(SpanStatus.ERROR);
+    });
+  });
+
+  describe('Recipients', () => {
+    const emailData = {
+      to: ['Jane Doe <jane@example.com>', 'gone@example.com'],
+      cc: 'ops@example.com',
+      subject: 'Test Subject',
+      body: 'Test Body'
+    };
+
+    const settled = (service, attemptId) => new Promise(resolve => {
+      const check = attempt => {
+        if (attempt.id === attemptId && [EmailStatus.SENT, EmailStatus.FAILED].includes(attempt.status)) resolve(attempt);
+      };
+      service.on('attemptUpdated', check);
+    });
+
+    test('should track each recipient when a provider refuses some of them', async () => {
+      const provider = new MockEmailProvider('Provider1', 0, 1);
+      provider.setRejectedRecipients(['GONE@example.com']);
+      const service = new EmailService([provider], {}, { logSinks: [] });
+
+      const attemptId = await service.sendEmail(emailData);
+      expect(service.getAttempt(attemptId).recipients.map(recipient => recipient.status)).toEqual(['pending', 'pending', 'pending']);
+      const attempt = await settled(service, attemptId);
+
+      expect(attempt.status).toBe(EmailStatus.SENT);
+      expect(attempt.recipients).toEqual([
+        { field: RecipientField.TO, name: 'Jane Doe', address: 'jane@example.com', status: RecipientStatus.SENT, provider: 'Provider1', error: undefined },
+        { field: RecipientField.TO, name: '', address: 'gone@example.com', status: RecipientStatus.REJECTED, provider: 'Provider1', error: 'Mailbox unavailable' },
+        { field: RecipientField.CC, name: '', address: 'ops@example.com', status: RecipientStatus.SENT, provider: 'Provider1', error: undefined }
+      ]);
+      expect(attempt.history.find(entry => entry.type === HistoryEvent.RECIPIENTS_REJECTED))
+        .toMatchObject({ provider: 'Provider1', recipients: 'gone@example.com' });
+    });
+
+    test('should fail every recipient when all are refused', async () => {
+      const provider = new MockEmailProvider('Provider1', 0, 1);
+      provider.setRejectedRecipients(['jane@example.com', 'gone@example.com', 'ops@example.com']);
+      const service = new EmailService([provider], {}, { logSinks: [] });
+
+      const attemptId = await service.sendEmail(emailData);
+      const attempt = await settled(service, attemptId);
+
+      expect(attempt.status).toBe(EmailStatus.FAILED);
+      expect(attempt.failureReason).toBe(ErrorCategory.REJECTED);
+      expect(attempt.recipients.every(recipient => recipient.status === RecipientStatus.FAILED)).toBe(true);
+
+      service.retryAttempt(attemptId);
+      expect(service.getAttempt(attemptId).recipients.every(recipient => recipient.status === RecipientStatus.PENDING)).toBe(true);
+    });
+
+
+    test('should not treat object recipients with different addresses as duplicates', async () => {
+      const service = new EmailService([new MockEmailProvider('Provider1', 0, 1)], {}, { logSinks: [] });
+
+      const jane = await service.sendEmail({ ...emailData, to: [{ name: 'Jane', address: 'jane@example.com' }], cc: undefined });
+      const john = await service.sendEmail({ ...emailData, to: [{ name: 'John', address: 'john@example.com' }], cc: undefined });
+
+      expect(john).not.toBe(jane);
+    });
+  });
+
+  describe('Attachments', () => {
+    const emailData = {
+      to: 'test@example.com',
+      subject: 'Report',
+      html: '<p>Attached</p>',
+      attachments: [{ filename: 'report.txt', content: 'Q1', encoding: 'utf8' }]
+    };
+
+    test('should refuse attachments it cannot encode before queuing', async () => {
+      const service = new EmailService([new MockEmailProvider('Provider1', 0, 1)], {}, { logSinks: [] });
+
+      await expect(service.sendEmail({ ...emailData, attachments: [{ filename: 'report.txt' }] }))
+        .rejects.toThrow('Attachment report.txt has no content');
+      await expect(service.sendEmail({ ...emailData, attachments: {} })).rejects.toThrow('attachments must be an array');
+      expect(service.getAllAttempts()).toHaveLength(0);
+    });
+
+    test('should not treat a different attachment as a duplicate', async () => {
+      const service = new EmailService([new MockEmailProvider('Provider1', 0, 1)], {}, { logSinks: [] });
+
+      const first = await service.sendEmail(emailData);
+      const repeat = await service.sendEmail(emailData);
+      const other = await service.sendEmail({ ...emailData, attachments: [{ filename: 'report.txt', content: 'Q2', encoding: 'utf8' }] });
+
+      expect(repeat).toBe(first);
+      expect(other).not.toBe(first);
+    });
+
+
+    test('should check the HTML once at submit and send odd entities as written', async () => {
+      const sendEmail = jest.fn(async () => ({ success: true, messageId: 'm1' }));
+      const service = new EmailService([{ name: 'Provider1', sendEmail }], {}, { logSinks: [] });
+
+      await expect(service.sendEmail({ ...emailData, html: 42 })).rejects.toThrow('html must be a string');
+      await expect(service.sendEmail(emailData, { sendAt: 'soon' })).rejects.toBeInstanceOf(InvalidEmailError);
+      const attemptId = await service.sendEmail({ to: 'test@example.com', subject: 'Odd', html: '<p>&#99999999;</p>' });
+      await new Promise(resolve => setTimeout(resolve, 50));
+
+      expect(service.getAttempt(attemptId).status).toBe(EmailStatus.SENT);
+      expect(sendEmail).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('Templates', () => {
+    let service;
+
+    beforeEach(() => {
+      // Stalled, so attempts stay queued where the test can read them
+      service = new EmailService([{ name: 'Stalled', sendEmail: () => new Promise(() => {}) }], {}, { logSinks: [] });
+      service.registerTemplate('welcome', { subject: 'Welcome, {{ name }}', html: '<p>Hi {{ name }}</p>', text: 'Hi {{ name }}' });
+    });
+
+    test('should render the template before queuing and record its version', async () => {
+      const registered = jest.fn();
+      service.on('templateRegistered', registered);
+      service.registerTemplate('welcome', { subject: 'Hello, {{ name }}', text: 'Hi {{ name }}' });
+
+      const attemptId = await service.sendEmail({
+        to: 'test@example.com', subject: 'Ignored', template: 'welcome', templateVersion: 1, data: { name: 'Jo & Co' }
+      });
+      const attempt = service.getAttempt(attemptId);
+
+      expect(registered).toHaveBeenCalledWith({ name: 'welcome', version: 2 });
+      expect(attempt.template).toEqual({ name: 'welcome', version: 1 });
+      expect(attempt.email).toEqual({
+        to: 'test@example.com',
+        subject: 'Welcome, Jo & Co',
+        html: '<p>Hi Jo &amp; Co</p>',
+        body: 'Hi Jo & Co'
+      });
+    });
+
+    test('should refuse unknown templates and bad data before queuing', async () => {
+      await expect(service.sendEmail({ to: 'test@example.com', template: 'farewell' })).rejects.toThrow('Unknown template: farewell');
+      await expect(service.sendEmail({ to: 'test@example.com', template: 'welcome', templateVersion: 9 }))
+        .rejects.toThrow('Unknown version 9 of template welcome');
+      await expect(service.sendEmail({ to: 'test@example.com', template: 'welcome', data: 'Jane' }))
+        .rejects.toThrow('Template data must be an object');
+      expect(service.getAllAttempts()).toHaveLength(0);
+    });
+
+    test('should send a mail merge row by row on one version', async () => {
+      const results = await service.sendMailMerge('welcome', [
+        { to: 'a@example.com', data: { name: 'A' } },
+        { to: 'b@example.com', data: { name: 'B' } },
+        { to: 'c@example.com', data: 'C' }
+      ], { idempotencyKey: 'launch' });
+
+      expect(results[2]).toEqual({ error: 'Template data must be an object' });
+      expect(results.slice(0, 2).map(result => service.getAttempt(result.attemptId).email.subject))
+        .toEqual(['Welcome, A', 'Welcome, B']);
+
+      // Resending the batch with the same key replays every row
+      const again = await service.sendMailMerge('welcome', [{ to: 'a@example.com', data: { name: 'A' } }], { idempotencyKey: 'launch' });
+      expect(again[0]).toMatchObject({ attemptId: results[0].attemptId, duplicate: true });
+
+      await expect(service.sendMailMerge('farewell', [])).rejects.toThrow('Unknown template: farewell');
+    });
   });
 
   describe('Status Tracking', () => {
@@ -307,6 +1806,9 @@ describe('EmailService', () => {
       
       expect(status).toHaveProperty('queueLength');
       expect(status).toHaveProperty('processing');
+      expect(status).toHaveProperty('activeWorkers');
+      expect(status).toHaveProperty('readyItems');
+      expect(status).toHaveProperty('delayedItems');
       expect(typeof status.queueLength).toBe('number');
       expect(typeof status.processing).toBe('boolean');
     });
@@ -357,6 +1859,39 @@ describe('EmailService', () => {
       emailService.clearLogs();
       expect(emailService.getLogs().length).toBe(0);
     });
+
+    test('should correlate provider logs with their attempt', async () => {
+      const attemptId = await emailService.sendEmail({
+        to: 'test@example.com',
+        subject: 'Test Subject',
+        body: 'Test Body'
+      });
+      await new Promise(resolve => setTimeout(resolve, 100));
+
+      const logs = emailService.getLogs({ attemptId });
+      expect(logs.length).toBeGreaterThan(1);
+      expect(logs.every(log => log.attemptId === attemptId)).toBe(true);
+
+      const sendLog = logs.find(log => log.message === 'Attempting to send email');
+      expect(sendLog.provider).toBe('Provider1');
+      expect(emailService.getLogs({ provider: 'Provider1' })).toContain(sendLog);
+    });
+
+    test('should honour the configured level and sinks', async () => {
+      const entries = [];
+      const service = new EmailService([provider1], { logLevel: LogLevel.WARN }, {
+        logSinks: [entry => entries.push(entry)]
+      });
+
+      const attemptId = await service.sendEmail({ to: 'test@example.com', subject: 'Test', body: 'Test' });
+      await service.sendEmail({ to: 'test@example.com', subject: 'Test', body: 'Test' });
+
+      expect(service.getLogs().map(log => log.message)).toEqual(['Duplicate email detected']);
+      expect(entries).toEqual([
+        expect.objectContaining({ level: LogLevel.WARN, data: expect.objectContaining({ existingId: attemptId }) })
+      ]);
+      expect(() => new EmailService([provider1], { logLevel: 'LOUD' })).toThrow('Unknown log level: LOUD');
+    });
   });
 
   describe('Event System', () => {
@@ -0,0 +1,58 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Test suite for the JSON-lines file log sink
+ */
+
+import os from 'os';
+import path from 'path';
+import { promises as fs } from 'fs';
+import { JsonLinesFileLogSink } from '../FileLogSink';
+import { Logger } from '../Logger';
+
+describe('JsonLinesFileLogSink', () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'email-service-logs-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  test('should append one JSON object per entry', async () => {
+    const sink = new JsonLinesFileLogSink(path.join(dir, 'service.log'));
+    const logger = new Logger({ sinks: [sink] });
+
+    logger.info('Queued', { attemptId: 'a1' });
+    logger.child({ provider: 'Primary' }).error('Send failed');
+    await sink.flush();
+
+    const lines = (await fs.readFile(sink.filePath, 'utf8')).trim().split('\n').map(line => JSON.parse(line));
+    expect(lines).toEqual([
+      expect.objectContaining({ level: 'INFO', message: 'Queued', attemptId: 'a1' }),
+      expect.objectContaining({ level: 'ERROR', message: 'Send failed', provider: 'Primary' })
+    ]);
+  });
+
+  test('should create the directory it writes to', async () => {
+    const sink = new JsonLinesFileLogSink(path.join(dir, 'nested', 'service.log'));
+    const logger = new Logger({ sinks: [sink] });
+
+    logger.info('Queued');
+    await logger.flush();
+
+    expect(await fs.readFile(sink.filePath, 'utf8')).toContain('"message":"Queued"');
+  });
+
+  test('should swallow write failures', async () => {
+    // The path is a directory, so every append fails
+    const sink = new JsonLinesFileLogSink(dir);
+
+    sink.write({ level: 'INFO', message: 'lost' });
+    await expect(sink.flush()).resolves.toBeUndefined();
+  });
+});
@@ -0,0 +1,461 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Test suite for the HTTP transport and the SendGrid, Mailgun and SES adapters
+ */
+
+import { HttpTransport, HttpError, parseRetryAfter } from '../HttpTransport';
+import {
+  SendGridEmailProvider,
+  MailgunEmailProvider,
+  SesEmailProvider,
+  signAwsRequest
+} from '../HttpEmailProviders';
+import { ErrorCategory } from '../ProviderErrors';
+import { EmailService, EmailStatus } from '../EmailService';
+import { HttpStubServer } from '../testing/HttpStubServer';
+
+const emailData = {
+  to: 'test@example.com',
+  from: 'sender@example.com',
+  subject: 'Test Subject',
+  body: 'Test Body'
+};
+
+const htmlEmail = {
+  ...emailData,
+  body: undefined,
+  html: '<p>Hello <img src="cid:logo"></p>',
+  attachments: [
+    { filename: 'logo.png', content: 'iVBORw0KGgo=', cid: 'logo' },
+    { filename: 'terms.pdf', content: 'JVBERi0xLjc=' }
+  ]
+};
+
+describe('HttpTransport', () => {
+  let stub;
+  let baseUrl;
+
+  beforeEach(async () => {
+    stub = new HttpStubServer();
+    baseUrl = await stub.start();
+  });
+
+  afterEach(async () => {
+    await stub.stop();
+  });
+
+  test('should send auth headers and parse JSON responses', async () => {
+    stub.route('POST', '/things', { status: 201, body: { id: 42 } });
+    const transport = new HttpTransport({ baseUrl, provider: 'Test', auth: { type: 'bearer', token: 'abc' } });
+
+    const response = await transport.request('POST', '/things', { json: { name: 'thing' } });
+
+    expect(response.status).toBe(201);
+    expect(response.data).toEqual({ id: 42 });
+    expect(stub.requests[0].headers.authorization).toBe('Bearer abc');
+    expect(stub.requests[0].json).toEqual({ name: 'thing' });
+  });
+
+  test('should classify error statuses and honor Retry-After', async () => {
+    stub.route('GET', '/limited', { status: 429, headers: { 'retry-after': '3' }, body: {} });
+    stub.route('GET', '/denied', { status: 401, body: {} });
+    stub.route('GET', '/broken', { status: 503, body: {} });
+    const transport = new HttpTransport({ baseUrl, provider: 'Test' });
+
+    const limited = await transport.request('GET', '/limited').catch(e => e);
+    const denied = await transport.request('GET', '/denied').catch(e => e);
+    const broken = await transport.request('GET', '/broken').catch(e => e);
+
+    expect(limited).toBeInstanceOf(HttpError);
+    expect(limited.category).toBe(ErrorCategory.RATE_LIMITED);
+    expect(limited.retryAfterMs).toBe(3000);
+    expect(limited.transient).toBe(true);
+    expect(denied.category).toBe(ErrorCategory.AUTHENTICATION);
+    expect(denied.transient).toBe(false);
+    expect(broken.category).toBe(ErrorCategory.TRANSIENT);
+  });
+
+  test('should time out slow requests as transient errors', async () => {
+    stub.route('GET', '/slow', { status: 200, body: {}, delayMs: 500 });
+    const transport = new HttpTransport({ baseUrl, provider: 'Test', timeoutMs: 50 });
+
+    const error = await transport.request('GET', '/slow').catch(e => e);
+
+    expect(error.message).toContain('timed out');
+    expect(error.category).toBe(ErrorCategory.TRANSIENT);
+  });
+
+  test('should time out a response whose body stalls', async () => {
+    stub.route('GET', '/stalled', { status: 200, body: { id: 1 }, bodyDelayMs: 2000 });
+    const transport = new HttpTransport({ baseUrl, provider: 'Test', timeoutMs: 100 });
+
+    const started = Date.now();
+    const error = await transport.request('GET', '/stalled').catch(e => e);
+
+    expect(Date.now() - started).toBeLessThan(1000);
+    expect(error).toBeInstanceOf(HttpError);
+    expect(error.message).toBe('Test request timed out after 100ms');
+    expect(error.category).toBe(ErrorCategory.TRANSIENT);
+  });
+
+  test('should turn body read errors into transient errors', async () => {
+    const fetch = async () => ({
+      ok: true,
+      status: 200,
+      headers: new Headers(),
+      text: async () => { throw new TypeError('terminated'); }
+    });
+    const transport = new HttpTransport({ baseUrl, provider: 'Test', fetch });
+
+    const error = await transport.request('GET', '/things').catch(e => e);
+
+    expect(error).toBeInstanceOf(HttpError);
+    expect(error.message).toBe('Test response could not be read: terminated');
+    expect(error.category).toBe(ErrorCategory.TRANSIENT);
+  });
+
+  test('should parse Retry-After dates', () => {
+    const now = Date.parse('2024-01-01T00:00:00Z');
+    expect(parseRetryAfter('Mon, 01 Jan 2024 00:00:10 GMT', now)).toBe(10000);
+    expect(parseRetryAfter(undefined)).toBeUndefined();
+  });
+});
+
+describe('SendGridEmailProvider', () => {
+  let stub;
+  let provider;
+
+  beforeEach(async () => {
+    stub = new HttpStubServer();
+    const baseUrl = await stub.start();
+    provider = new SendGridEmailProvider('SendGrid', { apiKey: 'SG.key', baseUrl });
+  });
+
+  afterEach(async () => {
+    await stub.stop();
+  });
+
+  test('should translate the email to a v3 mail/send payload', async () => {
+    stub.route('POST', '/v3/mail/send', { status: 202, headers: { 'x-message-id': 'sg-123' } });
+
+    const result = await provider.sendEmail(emailData);
+
+    expect(result).toEqual({ success: true, messageId: 'sg-123' });
+    expect(stub.requests[0].headers.authorization).toBe('Bearer SG.key');
+    expect(stub.requests[0].json).toEqual({
+      personalizations: [{ to: [{ email: 'test@example.com' }] }],
+      from: { email: 'sender@example.com' },
+      subject: 'Test Subject',
+      content: [{ type: 'text/plain', value: 'Test Body' }]
+    });
+  });
+
+  test('should put cc, bcc and reply-to in the payload', async () => {
+    stub.route('POST', '/v3/mail/send', { status: 202, headers: { 'x-message-id': 'sg-123' } });
+
+    await provider.sendEmail({
+      ...emailData,
+      to: ['Jane Doe <jane@example.com>', 'test@example.com'],
+      cc: 'ops@example.com',
+      bcc: ['audit@example.com'],
+      replyTo: 'Support <support@example.com>'
+    });
+
+    expect(stub.requests[0].json.personalizations).toEqual([{
+      to: [{ email: 'jane@example.com', name: 'Jane Doe' }, { email: 'test@example.com' }],
+      cc: [{ email: 'ops@example.com' }],
+      bcc: [{ email: 'audit@example.com' }]
+    }]);
+    expect(stub.requests[0].json.reply_to).toEqual({ email: 'support@example.com', name: 'Support' });
+  });
+
+  test('should split a named sender into email and name', async () => {
+    stub.route('POST', '/v3/mail/send', { status: 202, headers: { 'x-message-id': 'sg-123' } });
+
+    await provider.sendEmail({ ...emailData, from: '"Acme, Inc." <sender@example.com>' });
+
+    expect(stub.requests[0].json.from).toEqual({ email: 'sender@example.com', name: 'Acme, Inc.' });
+  });
+
+  test('should send HTML and attachments', async () => {
+    stub.route('POST', '/v3/mail/send', { status: 202, headers: { 'x-message-id': 'sg-123' } });
+
+    await provider.sendEmail(htmlEmail);
+
+    expect(stub.requests[0].json.content).toEqual([
+      { type: 'text/plain', value: 'Hello' },
+      { type: 'text/html', value: htmlEmail.html }
+    ]);
+    expect(stub.requests[0].json.attachments).toEqual([
+      { content: 'iVBORw0KGgo=', filename: 'logo.png', type: 'image/png', disposition: 'inline', content_id: 'logo' },
+      { content: 'JVBERi0xLjc=', filename: 'terms.pdf', type: 'application/pdf', disposition: 'attachment' }
+    ]);
+  });
+
+  test('should forward context headers such as the trace header', async () => {
+    stub.route('POST', '/v3/mail/send', { status: 202, headers: { 'x-message-id': 'sg-123' } });
+    const traceparent = '00-0af7651916cd43dd8448eb211c80319c-b7ad6b7169203331-01';
+
+    await provider.sendEmail(emailData, { headers: { traceparent } });
+
+    expect(stub.requests[0].headers.traceparent).toBe(traceparent);
+  });
+
+  test('should surface vendor error messages', async () => {
+    stub.route('POST', '/v3/mail/send', {
+      status: 403,
+      body: { errors: [{ message: 'The from address does not match a verified Sender Identity.' }] }
+    });
+
+    const error = await provider.sendEmail(emailData).catch(e => e);
+
+    expect(error.message).toContain('verified Sender Identity');
+    expect(error.category).toBe(ErrorCategory.PERMANENT);
+    expect(error.emailFailure).toBe(false);
+  });
+
+  test('should fall back to the next provider when the sender is not verified', async () => {
+    stub.route('POST', '/v3/mail/send', {
+      status: 403,
+      body: { errors: [{ message: 'The from address does not match a verified Sender Identity.' }] }
+    });
+    const healthy = { name: 'Healthy', sendEmail: async () => ({ success: true, messageId: 'm1' }) };
+    const emailService = new EmailService([provider, healthy], { initialDelayMs: 10 }, { logSinks: [] });
+
+    const attemptId = await emailService.sendEmail(emailData);
+    for (let i = 0; i < 50 && emailService.getAttempt(attemptId).status !== EmailStatus.SENT; i++) {
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+
+    const attempt = emailService.getAttempt(attemptId);
+    expect(attempt.status).toBe(EmailStatus.SENT);
+    expect(attempt.provider).toBe('Healthy');
+    expect(attempt.tries[0]).toMatchObject({ provider: 'SendGrid', category: ErrorCategory.PERMANENT });
+  });
+});
+
+describe('MailgunEmailProvider', () => {
+  let stub;
+  let provider;
+
+  beforeEach(async () => {
+    stub = new HttpStubServer();
+    const baseUrl = await stub.start();
+    provider = new MailgunEmailProvider('Mailgun', { apiKey: 'key-1', domain: 'mg.example.com', baseUrl });
+  });
+
+  afterEach(async () => {
+    await stub.stop();
+  });
+
+  test('should post a form with basic auth', async () => {
+    stub.route('POST', '/v3/mg.example.com/messages', {
+      status: 200,
+      body: { id: '<20240101.abc@mg.example.com>', message: 'Queued. Thank you.' }
+    });
+
+    const result = await provider.sendEmail(emailData);
+
+    expect(result.messageId).toBe('20240101.abc@mg.example.com');
+    expect(stub.requests[0].headers.authorization).toBe(`Basic ${btoa('api:key-1')}`);
+    expect(stub.requests[0].form).toEqual({
+      from: 'sender@example.com',
+      to: 'test@example.com',
+      subject: 'Test Subject',
+      text: 'Test Body'
+    });
+  });
+
+  test('should leave out empty cc and bcc lists', async () => {
+    stub.route('POST', '/v3/mg.example.com/messages', {
+      status: 200,
+      body: { id: '<20240101.abc@mg.example.com>', message: 'Queued. Thank you.' }
+    });
+
+    await provider.sendEmail({ ...emailData, cc: [], bcc: [] });
+
+    expect(stub.requests[0].form).not.toHaveProperty('cc');
+    expect(stub.requests[0].form).not.toHaveProperty('bcc');
+  });
+
+  test('should send recipient lists as comma-separated fields', async () => {
+    stub.route('POST', '/v3/mg.example.com/messages', { status: 200, body: { id: '<1@mg.example.com>' } });
+
+    await provider.sendEmail({
+      ...emailData,
+      to: ['Jane Doe <jane@example.com>', 'test@example.com'],
+      cc: 'ops@example.com',
+      bcc: ['audit@example.com'],
+      replyTo: 'Support <support@example.com>'
+    });
+
+    expect(stub.requests[0].form).toMatchObject({
+      to: 'Jane Doe <jane@example.com>, test@example.com',
+      cc: 'ops@example.com',
+      bcc: 'audit@example.com',
+      'h:Reply-To': 'Support <support@example.com>'
+    });
+  });
+
+  test('should send HTML as a form field', async () => {
+    stub.route('POST', '/v3/mg.example.com/messages', { status: 200, body: { id: '<1@mg.example.com>' } });
+
+    await provider.sendEmail({ ...emailData, html: '<b>Test</b> Body' });
+
+    expect(stub.requests[0].form).toMatchObject({ text: 'Test Body', html: '<b>Test</b> Body' });
+  });
+
+  test('should post a MIME message when there are attachments', async () => {
+    stub.route('POST', '/v3/mg.example.com/messages.mime', { status: 200, body: { id: '<2@mg.example.com>' } });
+
+    const result = await provider.sendEmail({ ...htmlEmail, bcc: 'audit@example.com' });
+
+    expect(result.messageId).toBe('2@mg.example.com');
+    const [request] = stub.requests;
+    expect(request.headers['content-type']).toMatch(/^multipart\/form-data; boundary=/);
+    expect(request.body).toMatch(/name="to"\r\n\r\ntest@example\.com, audit@example\.com\r\n/);
+    expect(request.body).toContain('filename="message.mime"');
+    expect(request.body).toContain('Content-Type: multipart/mixed; boundary=');
+    expect(request.body).toContain('Content-Disposition: attachment; filename="terms.pdf"');
+    expect(request.body).not.toContain('Bcc:');
+  });
+
+  test('should map invalid recipients to invalid_request', async () => {
+    stub.route('POST', '/v3/mg.example.com/messages', {
+      status: 400,
+      body: { message: "'to' parameter is not a valid address. please check documentation" }
+    });
+
+    const error = await provider.sendEmail(emailData).catch(e => e);
+
+    expect(error.category).toBe(ErrorCategory.INVALID_REQUEST);
+    expect(error.emailFailure).toBe(true);
+    expect(error.message).toContain('not a valid address');
+  });
+
+  test('should fail the provider, not the email, on an unknown domain', async () => {
+    stub.route('POST', '/v3/mg.example.com/messages', { status: 404, body: { message: 'Domain not found: mg.example.com' } });
+
+    const error = await provider.sendEmail(emailData).catch(e => e);
+
+    expect(error.category).toBe(ErrorCategory.INVALID_REQUEST);
+    expect(error.emailFailure).toBe(false);
+  });
+});
+
+describe('SesEmailProvider', () => {
+  let stub;
+  let provider;
+
+  beforeEach(async () => {
+    stub = new HttpStubServer();
+    const baseUrl = await stub.start();
+    provider = new SesEmailProvider('SES', {
+      region: 'us-east-1',
+      accessKeyId: 'AKIDEXAMPLE',
+      secretAccessKey: 'secret',
+      baseUrl
+    });
+  });
+
+  afterEach(async () => {
+    await stub.stop();
+  });
+
+  test('should send a signed v2 outbound-emails request', async () => {
+    stub.route('POST', '/v2/email/outbound-emails', { status: 200, body: { MessageId: 'ses-1' } });
+
+    const result = await provider.sendEmail(emailData);
+
+    expect(result.messageId).toBe('ses-1');
+    expect(stub.requests[0].headers.authorization).toMatch(
+      /^AWS4-HMAC-SHA256 Credential=AKIDEXAMPLE\/\d{8}\/us-east-1\/ses\/aws4_request, SignedHeaders=content-type;host;x-amz-date, Signature=[0-9a-f]{64}$/
+    );
+    expect(stub.requests[0].json.Destination).toEqual({ ToAddresses: ['test@example.com'] });
+    expect(stub.requests[0].json.Content.Simple.Subject.Data).toBe('Test Subject');
+  });
+
+  test('should fill every destination list', async () => {
+    stub.route('POST', '/v2/email/outbound-emails', { status: 200, body: { MessageId: 'ses-1' } });
+
+    await provider.sendEmail({
+      ...emailData,
+      to: ['Jane Doe <jane@example.com>', 'test@example.com'],
+      cc: 'ops@example.com',
+      bcc: ['audit@example.com'],
+      replyTo: 'Support <support@example.com>'
+    });
+
+    expect(stub.requests[0].json.Destination).toEqual({
+      ToAddresses: ['Jane Doe <jane@example.com>', 'test@example.com'],
+      CcAddresses: ['ops@example.com'],
+      BccAddresses: ['audit@example.com']
+    });
+    expect(stub.requests[0].json.ReplyToAddresses).toEqual(['Support <support@example.com>']);
+  });
+
+  test('should send HTML as simple content and attachments as a raw message', async () => {
+    stub.route('POST', '/v2/email/outbound-emails', { status: 200, body: { MessageId: 'ses-1' } });
+
+    await provider.sendEmail({ ...emailData, html: '<p>Test Body</p>' });
+    await provider.sendEmail(htmlEmail);
+
+    expect(stub.requests[0].json.Content.Simple.Body).toEqual({
+      Text: { Data: 'Test Body', Charset: 'UTF-8' },
+      Html: { Data: '<p>Test Body</p>', Charset: 'UTF-8' }
+    });
+    const raw = Buffer.from(stub.requests[1].json.Content.Raw.Data, 'base64').toString('utf8');
+    expect(raw).toContain('\r\nSubject: Test Subject\r\n');
+    expect(raw).toContain('Content-ID: <logo>');
+    expect(stub.requests[1].json.Destination).toEqual({ ToAddresses: ['test@example.com'] });
+  });
+
+  test('should map SES error types to categories', async () => {
+    stub.route('POST', '/v2/email/outbound-emails', {
+      status: 400,
+      headers: { 'x-amzn-errortype': 'MessageRejected:http://internal.amazon.com/coral/' },
+      body: { message: 'Email address is not verified.' }
+    });
+
+    const error = await provider.sendEmail(emailData).catch(e => e);
+
+    expect(error.category).toBe(ErrorCategory.REJECTED);
+    expect(error.message).toContain('MessageRejected: Email address is not verified.');
+  });
+
+  test('should fail the provider, not the email, on an unverified MAIL FROM domain', async () => {
+    stub.route('POST', '/v2/email/outbound-emails', {
+      status: 400,
+      headers: { 'x-amzn-errortype': 'MailFromDomainNotVerifiedException' },
+      body: { message: 'The MAIL FROM domain is not verified.' }
+    });
+
+    const error = await provider.sendEmail(emailData).catch(e => e);
+
+    expect(error.category).toBe(ErrorCategory.PERMANENT);
+    expect(error.emailFailure).toBe(false);
+  });
+
+  test('should produce the AWS SigV4 reference signature', async () => {
+    // "get-vanilla" from the AWS Signature Version 4 test suite
+    const headers = await signAwsRequest(
+      { method: 'GET', url: 'https://example.amazonaws.com/', headers: {} },
+      {
+        accessKeyId: 'AKIDEXAMPLE',
+        secretAccessKey: 'wJalrXUtnFEMI/K7MDENG+bPxRfiCYEXAMPLEKEY',
+        region: 'us-east-1',
+        service: 'service'
+      },
+      new Date('2015-08-30T12:36:00Z')
+    );
+
+    expect(headers.Authorization).toBe(
+      'AWS4-HMAC-SHA256 Credential=AKIDEXAMPLE/20150830/us-east-1/service/aws4_request, ' +
+      'SignedHeaders=host;x-amz-date, ' +
+      'Signature=5fa00fa31553b73ebf1942676e86291e8372ff2a2260956d9b8aae1d763fbf31'
+    );
+  });
+});
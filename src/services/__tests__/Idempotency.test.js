@@ -0,0 +1,47 @@
+/**
+ * Test suite for duplicate detection keys
+ */
+
+import { DedupeMode, dedupeKey, hashContent, normalizeContent, normalizeRecipients } from '../Idempotency';
+
+describe('Idempotency', () => {
+  const email = { to: 'user@example.com', subject: 'Hello', body: 'Body' };
+
+  test('should normalize recipients from strings and arrays', () => {
+    expect(normalizeRecipients(' B@Example.com ; a@example.com,')).toEqual(['a@example.com', 'b@example.com']);
+    expect(normalizeRecipients(['b@example.com', 'A@example.com, c@example.com'])).toEqual([
+      'a@example.com', 'b@example.com', 'c@example.com'
+    ]);
+  });
+
+  test('should fold case in the subject but not the body', () => {
+    expect(normalizeContent({ to: 'x@example.com', subject: ' Big\tNews ', body: 'Line  ONE\n\nline two' })).toEqual({
+      to: ['x@example.com'],
+      subject: 'big news',
+      body: 'Line ONE line two'
+    });
+  });
+
+  test('should hash to 16 stable hex digits', () => {
+    expect(hashContent('')).toBe('cbf29ce484222325');
+    expect(hashContent('a')).toBe('af63dc4c8601ec8c');
+    expect(hashContent('a')).not.toBe(hashContent('b'));
+  });
+
+  test('should build keys per mode', () => {
+    expect(dedupeKey(email)).toBe('user@example.com\u0000Hello\u0000Body');
+    expect(dedupeKey(email, { mode: DedupeMode.CONTENT_HASH })).toMatch(/^hash\u0000[0-9a-f]{16}$/);
+    expect(dedupeKey(email, { mode: DedupeMode.OFF })).toBeNull();
+    expect(dedupeKey(email, { mode: DedupeMode.OFF, idempotencyKey: 'order-42' })).toBe('key\u0000order-42');
+  });
+
+  test('should key exact content on the addresses of object recipients', () => {
+    const jane = dedupeKey({ ...email, to: [{ name: 'Jane', address: 'jane@example.com' }] });
+    const john = dedupeKey({ ...email, to: [{ name: 'John', address: 'john@example.com' }] });
+
+    expect(jane).not.toBe(john);
+    expect(jane).toBe(dedupeKey({ ...email, to: 'Jane <jane@example.com>' }));
+    expect(dedupeKey({ ...email, cc: [{ address: 'a@example.com' }] }))
+      .not.toBe(dedupeKey({ ...email, cc: [{ address: 'b@example.com' }] }));
+  });
+});
@@ -0,0 +1,79 @@
+/**
+ * Test suite for the structured logger and its sinks
+ */
+
+import { Logger, LogLevel, MemoryLogSink } from '../Logger';
+
+describe('Logger', () => {
+  let sink;
+  let logger;
+
+  beforeEach(() => {
+    sink = new MemoryLogSink();
+    logger = new Logger({ level: LogLevel.INFO, sinks: [sink] });
+  });
+
+  test('should drop entries below the minimum level', () => {
+    logger.debug('hidden');
+    logger.info('shown');
+    logger.error('failed');
+
+    expect(sink.entries.map(entry => entry.message)).toEqual(['shown', 'failed']);
+
+    logger.setLevel(LogLevel.DEBUG);
+    logger.debug('now visible');
+    expect(logger.getLogs()).toHaveLength(3);
+  });
+
+  test('should keep only the last bufferSize entries', () => {
+    logger = new Logger({ bufferSize: 2, sinks: [] });
+    ['one', 'two', 'three'].forEach(message => logger.info(message));
+
+    expect(logger.getLogs().map(entry => entry.message)).toEqual(['two', 'three']);
+  });
+
+  test('should copy context from child loggers onto every entry', () => {
+    const attemptLog = logger.child({ attemptId: 'a1' });
+    attemptLog.child({ provider: 'Primary' }).warn('Provider failed', { error: 'timeout' });
+
+    const [entry] = sink.entries;
+    expect(entry).toMatchObject({
+      level: LogLevel.WARN,
+      message: 'Provider failed',
+      attemptId: 'a1',
+      provider: 'Primary',
+      data: { attemptId: 'a1', provider: 'Primary', error: 'timeout' }
+    });
+    expect(logger.getLogs()).toEqual([entry]);
+  });
+
+  test('should filter logs by level, correlation IDs and text', () => {
+    logger.info('Queued', { attemptId: 'a1' });
+    logger.child({ attemptId: 'a1', provider: 'Primary' }).error('Send failed', { error: 'Timeout' });
+    logger.child({ attemptId: 'a2', provider: 'Backup' }).info('Sent');
+
+    expect(logger.getLogs({ level: LogLevel.WARN }).map(entry => entry.message)).toEqual(['Send failed']);
+    expect(logger.getLogs({ attemptId: 'a1' })).toHaveLength(2);
+    expect(logger.getLogs({ provider: 'Backup' }).map(entry => entry.message)).toEqual(['Sent']);
+    expect(logger.getLogs({ search: 'timeout' }).map(entry => entry.message)).toEqual(['Send failed']);
+  });
+
+  test('should accept callback sinks and survive broken ones', () => {
+    const received = [];
+    logger.addSink(entry => received.push(entry.message));
+    logger.addSink({ write: () => { throw new Error('disk full'); } });
+
+    expect(() => logger.info('hello')).not.toThrow();
+    expect(received).toEqual(['hello']);
+
+    logger.removeSink(sink);
+    logger.info('again');
+    expect(sink.entries).toHaveLength(1);
+  });
+
+  test('should reject invalid options', () => {
+    expect(() => new Logger({ level: 'LOUD' })).toThrow('Unknown log level: LOUD');
+    expect(() => new Logger({ bufferSize: 0 })).toThrow('Invalid log buffer size: 0');
+    expect(() => logger.setLevel('QUIET')).toThrow('Unknown log level: QUIET');
+  });
+});
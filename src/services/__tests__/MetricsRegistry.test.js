@@ -0,0 +1,84 @@
+/**
+ * Test suite for the metrics registry and its OpenMetrics rendering
+ */
+
+import { MetricsRegistry } from '../MetricsRegistry';
+
+describe('MetricsRegistry', () => {
+  let registry;
+
+  beforeEach(() => {
+    registry = new MetricsRegistry();
+  });
+
+  test('should render counters with a _total suffix', () => {
+    const counter = registry.counter({ name: 'jobs', help: 'Jobs run', labelNames: ['queue'] });
+    counter.inc({ queue: 'mail' });
+    counter.inc({ queue: 'mail' }, 2);
+
+    expect(registry.render()).toBe([
+      '# TYPE jobs counter',
+      '# HELP jobs Jobs run',
+      'jobs_total{queue="mail"} 3',
+      '# EOF',
+      ''
+    ].join('\n'));
+  });
+
+  test('should read collected samples at render time', () => {
+    let depth = 1;
+    registry.gauge({
+      name: 'depth',
+      help: 'Queue depth',
+      collect: () => [{ labels: {}, value: depth }]
+    });
+
+    depth = 7;
+    expect(registry.render()).toContain('\ndepth 7\n');
+  });
+
+  test('should render cumulative histogram buckets with unit metadata', () => {
+    const histogram = registry.histogram({
+      name: 'latency_seconds',
+      help: 'Latency',
+      unit: 'seconds',
+      labelNames: ['provider'],
+      buckets: [0.1, 1]
+    });
+    histogram.observe({ provider: 'A' }, 0.05);
+    histogram.observe({ provider: 'A' }, 0.5);
+    histogram.observe({ provider: 'A' }, 3);
+
+    expect(registry.render()).toBe([
+      '# TYPE latency_seconds histogram',
+      '# UNIT latency_seconds seconds',
+      '# HELP latency_seconds Latency',
+      'latency_seconds_bucket{provider="A",le="0.1"} 1',
+      'latency_seconds_bucket{provider="A",le="1.0"} 2',
+      'latency_seconds_bucket{provider="A",le="+Inf"} 3',
+      'latency_seconds_count{provider="A"} 3',
+      'latency_seconds_sum{provider="A"} 3.55',
+      '# EOF',
+      ''
+    ].join('\n'));
+  });
+
+  test('should escape label values', () => {
+    const counter = registry.counter({ name: 'errors', labelNames: ['message'] });
+    counter.inc({ message: 'said "no"\\\nagain' });
+
+    expect(registry.render()).toContain('errors_total{message="said \\"no\\"\\\\\\nagain"} 1');
+  });
+
+  test('should reject invalid and duplicate metrics', () => {
+    registry.counter({ name: 'jobs' });
+
+    expect(() => registry.counter({ name: 'jobs' })).toThrow('Metric already registered: jobs');
+    expect(() => registry.gauge({ name: 'bad-name' })).toThrow('Invalid metric name: bad-name');
+    expect(() => registry.gauge({ name: 'ok', labelNames: ['le'] })).toThrow('Invalid label name for ok: le');
+    expect(() => registry.histogram({ name: 'latency', unit: 'seconds', buckets: [1] }))
+      .toThrow('Metric latency must end with its unit: seconds');
+    expect(() => registry.histogram({ name: 'sizes', buckets: [2, 1] })).toThrow('Histogram sizes needs ascending buckets');
+    expect(() => registry.get('jobs').inc({}, -1)).toThrow('Counter jobs cannot decrease');
+  });
+});
@@ -0,0 +1,44 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Test suite for the Prometheus scrape endpoint
+ */
+
+import { createMetricsServer } from '../MetricsServer';
+import { EmailService } from '../EmailService';
+
+describe('createMetricsServer', () => {
+  let server;
+  let baseUrl;
+
+  beforeEach(async () => {
+    const emailService = new EmailService([{ name: 'Primary', sendEmail: async () => ({ success: true }) }]);
+    server = createMetricsServer(emailService);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterEach(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  test('should serve the OpenMetrics exposition', async () => {
+    const response = await fetch(`${baseUrl}/metrics`);
+    const body = await response.text();
+
+    expect(response.status).toBe(200);
+    expect(response.headers.get('content-type')).toBe('application/openmetrics-text; version=1.0.0; charset=utf-8');
+    expect(body).toContain('emailservice_queue_depth{lane="ready"} 0');
+    expect(body.endsWith('# EOF\n')).toBe(true);
+  });
+
+  test('should answer other paths and methods with errors', async () => {
+    expect((await fetch(`${baseUrl}/other`)).status).toBe(404);
+
+    const response = await fetch(`${baseUrl}/metrics`, { method: 'POST' });
+    expect(response.status).toBe(405);
+    expect(response.headers.get('allow')).toBe('GET, HEAD');
+  });
+});
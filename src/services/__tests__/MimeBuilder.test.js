@@ -0,0 +1,183 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Test suite for the MIME message builder
+ */
+
+import {
+  buildMimeMessage,
+  detectContentType,
+  encodeHeaderValue,
+  encodeQuotedPrintable,
+  foldHeader,
+  htmlToText,
+  normalizeAttachment
+} from '../MimeBuilder';
+
+const PNG = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]).toString('base64');
+
+// Every boundary is predictable, so parts can be found by name
+const boundary = index => `b${index}`;
+
+function decodeEncodedWords(value) {
+  return value.replace(/=\?UTF-8\?B\?([^?]*)\?=\s*/g, (match, data) => Buffer.from(data, 'base64').toString('utf8'));
+}
+
+describe('MimeBuilder', () => {
+  test('should write a plain-text email as a single 7bit part', () => {
+    const message = buildMimeMessage(
+      { to: 'Jane Doe <jane@example.com>', bcc: 'audit@example.com', subject: 'Hi', body: 'Hello\nthere' },
+      { from: 'sender@example.com', messageId: 'id@example.com', date: new Date(0), boundary }
+    );
+
+    expect(message).toBe([
+      'From: sender@example.com',
+      'To: Jane Doe <jane@example.com>',
+      'Subject: Hi',
+      'Date: Thu, 01 Jan 1970 00:00:00 GMT',
+      'Message-ID: <id@example.com>',
+      'MIME-Version: 1.0',
+      'Content-Type: text/plain; charset=utf-8',
+      'Content-Transfer-Encoding: 7bit',
+      '',
+      'Hello',
+      'there',
+      ''
+    ].join('\r\n'));
+  });
+
+  test('should nest alternative, related and mixed parts', () => {
+    const message = buildMimeMessage({
+      to: 'jane@example.com',
+      subject: 'Report',
+      html: '<p>See <img src="cid:logo"></p>',
+      attachments: [
+        { filename: 'logo.png', content: PNG, cid: 'logo' },
+        { filename: 'notes.txt', content: 'a,b', encoding: 'utf8' }
+      ]
+    }, { from: 'sender@example.com', boundary });
+
+    expect(message).toContain('Content-Type: multipart/mixed; boundary="b0"');
+    expect(message).toContain('--b0\r\nContent-Type: multipart/alternative; boundary="b1"');
+    expect(message).toContain('--b1\r\nContent-Type: text/plain; charset=utf-8\r\nContent-Transfer-Encoding: 7bit\r\n\r\nSee\r\n--b1');
+    expect(message).toContain('--b1\r\nContent-Type: multipart/related; boundary="b2"');
+    expect(message).toContain('--b2\r\nContent-Type: text/html; charset=utf-8');
+    expect(message).toContain([
+      '--b2',
+      'Content-Type: image/png; name="logo.png"',
+      'Content-Transfer-Encoding: base64',
+      'Content-Disposition: inline; filename="logo.png"',
+      'Content-ID: <logo>',
+      '',
+      PNG
+    ].join('\r\n'));
+    expect(message).toContain('Content-Disposition: attachment; filename="notes.txt"\r\n\r\nYSxi\r\n--b0--');
+    // Closing delimiters come innermost first
+    expect(message.indexOf('--b2--')).toBeLessThan(message.indexOf('--b1--'));
+    expect(message.indexOf('--b1--')).toBeLessThan(message.indexOf('--b0--'));
+  });
+
+  test('should treat inline images as attachments when there is no HTML', () => {
+    const message = buildMimeMessage(
+      { to: 'jane@example.com', subject: 'Logo', body: 'Attached', attachments: [{ filename: 'logo.png', content: PNG, cid: 'logo' }] },
+      { from: 'sender@example.com', boundary }
+    );
+
+    expect(message).toContain('multipart/mixed');
+    expect(message).not.toContain('multipart/related');
+  });
+
+  test('should encode non-ASCII headers and fold long ones', () => {
+    const subject = 'Grüße aus Köln — your order has shipped and is on its way to you';
+    const message = buildMimeMessage(
+      { to: ['Zoë Smith <zoe@example.com>', ...Array.from({ length: 5 }, (_, i) => `user${i}@example.com`)], subject, body: 'x' },
+      { from: 'sender@example.com', boundary }
+    );
+    const head = message.slice(0, message.indexOf('\r\n\r\n'));
+
+    head.split('\r\n').forEach(line => expect(line.length).toBeLessThanOrEqual(78));
+    expect(message).toMatch(/\r\nTo: =\?UTF-8\?B\?[^?]+\?= <zoe@example\.com>, user0@example\.com,\r\n /);
+
+    const unfolded = head.replace(/\r\n /g, ' ');
+    const subjectLine = /^Subject: (.*)$/m.exec(unfolded)[1];
+    expect(decodeEncodedWords(subjectLine)).toBe(subject);
+    subjectLine.split(' ').forEach(word => expect(word.length).toBeLessThanOrEqual(75));
+  });
+
+  test('should split encoded words between characters', () => {
+    const value = '日本語'.repeat(10);
+    expect(decodeEncodedWords(encodeHeaderValue(value))).toBe(value);
+    expect(encodeHeaderValue('plain ASCII')).toBe('plain ASCII');
+    expect(encodeHeaderValue('line\r\nBcc: injected')).toBe('line Bcc: injected');
+  });
+
+  test('should fold at whitespace only', () => {
+    const folded = foldHeader('X-Long', `${'word '.repeat(30)}${'x'.repeat(90)}`);
+    const lines = folded.split('\r\n');
+
+    expect(lines.length).toBeGreaterThan(1);
+    lines.slice(1).forEach(line => expect(line.startsWith(' ')).toBe(true));
+    expect(lines[lines.length - 1]).toBe(` ${'x'.repeat(90)}`);
+    expect(folded.replace(/\r\n/g, '')).toBe(`X-Long: ${'word '.repeat(30)}${'x'.repeat(90)}`);
+  });
+
+  test('should quote-print non-ASCII and long text', () => {
+    expect(encodeQuotedPrintable('Café = 5€ ')).toBe('Caf=C3=A9 =3D 5=E2=82=AC=20');
+
+    const long = encodeQuotedPrintable('é'.repeat(40)).split('\r\n');
+    long.forEach(line => expect(line.length).toBeLessThanOrEqual(76));
+    expect(long[0]).toMatch(/=$/);
+
+    const message = buildMimeMessage({ to: 'jane@example.com', subject: 'Hi', body: 'Café' }, { from: 'sender@example.com' });
+    expect(message).toContain('Content-Transfer-Encoding: quoted-printable\r\n\r\nCaf=C3=A9\r\n');
+  });
+
+  test('should derive text from HTML', () => {
+    expect(htmlToText(
+      '<style>p{color:red}</style><h1>Welcome</h1><p>Hello&nbsp;<b>Jane</b> &amp; co.<br>Visit '
+      + '<a href="https://example.com">our site</a></p><ul><li>One</li><li>Two</li></ul>'
+    )).toBe('Welcome\nHello Jane & co.\nVisit our site (https://example.com)\n- One\n- Two');
+  });
+
+  test('should leave numeric entities that are not characters as written', () => {
+    expect(htmlToText('<p>&#99999999; &#x110000; &#xD800; &#233; &#x1F600;</p>')).toBe('&#99999999; &#x110000; &#xD800; é 😀');
+    expect(buildMimeMessage({ to: 'jane@example.com', subject: 'Hi', html: '<p>&#x110000;</p>' }, { from: 'sender@example.com' }))
+      .toContain('&#x110000;');
+  });
+
+  test('should detect content types from the name, then the bytes', () => {
+    expect(detectContentType('report.PDF')).toBe('application/pdf');
+    expect(detectContentType('photo', Buffer.from(PNG, 'base64'))).toBe('image/png');
+    expect(detectContentType('data.bin', Buffer.from('hello'))).toBe('application/octet-stream');
+    expect(detectContentType(undefined, Buffer.from('%PDF-1.7'))).toBe('application/pdf');
+  });
+
+  test('should normalize and validate attachments', () => {
+    expect(normalizeAttachment({ filename: 'a.txt', content: 'hi', encoding: 'utf8' })).toEqual({
+      filename: 'a.txt',
+      contentType: 'text/plain',
+      content: new TextEncoder().encode('hi'),
+      cid: undefined,
+      inline: false
+    });
+    expect(normalizeAttachment({ cid: 'logo', content: Buffer.from(PNG, 'base64') })).toMatchObject({
+      filename: 'logo',
+      contentType: 'image/png',
+      inline: true
+    });
+    expect(() => normalizeAttachment({ filename: 'a.txt' })).toThrow('Attachment a.txt has no content');
+    expect(() => normalizeAttachment({ filename: 'a.txt', content: '%%%' })).toThrow('Attachment a.txt is not valid base64');
+    expect(() => normalizeAttachment({ filename: 'a.txt', content: 'x', encoding: 'hex' })).toThrow('Unknown attachment encoding: hex');
+  });
+
+  test('should write non-ASCII file names with RFC 2231 parameters', () => {
+    const message = buildMimeMessage(
+      { to: 'jane@example.com', subject: 'Hi', body: 'x', attachments: [{ filename: 'résumé.pdf', content: 'JVBERg==' }] },
+      { from: 'sender@example.com' }
+    );
+
+    expect(message).toContain("Content-Disposition: attachment; filename*=UTF-8''r%C3%A9sum%C3%A9.pdf");
+  });
+});
@@ -0,0 +1,96 @@
+/**
+ * Test suite for per-provider metrics and the latency histogram
+ */
+
+import { LatencyHistogram, ProviderMetrics } from '../ProviderMetrics';
+
+describe('LatencyHistogram', () => {
+  test('should estimate percentiles within bucket bounds', () => {
+    const histogram = new LatencyHistogram();
+    for (let i = 0; i < 90; i++) histogram.record(40);
+    for (let i = 0; i < 10; i++) histogram.record(900);
+
+    // 90 samples fall in (25, 50], 10 in (750, 1000]
+    expect(histogram.percentile(50)).toBeCloseTo(38.89, 1);
+    expect(histogram.percentile(95)).toBe(875);
+    expect(histogram.percentile(99)).toBe(900);
+    expect(histogram.mean()).toBe(126);
+  });
+
+  test('should use the observed maximum for the overflow bucket', () => {
+    const histogram = new LatencyHistogram();
+    histogram.record(45000);
+
+    expect(histogram.percentile(50)).toBe(37500);
+    expect(histogram.percentile(99)).toBe(44850);
+  });
+
+  test('should report nothing without samples', () => {
+    expect(new LatencyHistogram().percentile(50)).toBeNull();
+  });
+});
+
+describe('ProviderMetrics', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.setSystemTime(0);
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('should summarize each rolling window', () => {
+    const metrics = new ProviderMetrics({ windowsMs: [1000, 3000], sliceMs: 1000 });
+
+    metrics.recordFailure('A', 500);
+    jest.advanceTimersByTime(2000);
+    metrics.recordSuccess('A', 100);
+    metrics.recordSuccess('A', 100);
+    metrics.recordFailure('A', 100);
+
+    const { totals, windows } = metrics.snapshot('A');
+    expect(totals).toEqual({ sent: 4, succeeded: 2, failed: 2 });
+    expect(windows[0]).toEqual(expect.objectContaining({ windowMs: 1000, sent: 3, failed: 1 }));
+    expect(windows[0].errorRate).toBeCloseTo(1 / 3);
+    expect(windows[1]).toEqual(expect.objectContaining({ windowMs: 3000, sent: 4, errorRate: 0.5 }));
+    expect(windows[1].latency.max).toBe(500);
+  });
+
+  test('should drop slices older than the longest window', () => {
+    const metrics = new ProviderMetrics({ windowsMs: [2000], sliceMs: 1000 });
+
+    for (let second = 0; second < 10; second++) {
+      metrics.recordSuccess('A', 10);
+      jest.advanceTimersByTime(1000);
+    }
+    metrics.recordSuccess('A', 10);
+
+    // The slice starting at 8000 still overlaps the window back to 8000
+    const snapshot = metrics.snapshot('A');
+    expect(metrics.providers.get('A').slices).toHaveLength(3);
+    expect(snapshot.series.map(point => point.at.getTime())).toEqual([8000, 9000, 10000]);
+    expect(snapshot.totals.sent).toBe(11);
+  });
+
+  test('should report empty windows for registered providers', () => {
+    const metrics = new ProviderMetrics();
+    metrics.register('A');
+
+    expect(metrics.snapshot('A').windows[0]).toEqual({
+      windowMs: 60000,
+      sent: 0,
+      succeeded: 0,
+      failed: 0,
+      successRate: null,
+      errorRate: null,
+      latency: { p50: null, p95: null, p99: null, mean: null, max: null }
+    });
+  });
+
+  test('should reject invalid windows', () => {
+    expect(() => new ProviderMetrics({ sliceMs: 0 })).toThrow('Invalid metrics slice: 0');
+    expect(() => new ProviderMetrics({ windowsMs: [500], sliceMs: 1000 }))
+      .toThrow('Metrics windows must be at least one slice long');
+  });
+});
@@ -0,0 +1,104 @@
+/**
+ * Test suite for provider routing strategies
+ */
+
+import { ProviderRouter, RoutingStrategy, matchesRule, FAILURE_LATENCY_MS } from '../ProviderRouter';
+
+const providers = [{ name: 'A' }, { name: 'B' }, { name: 'C' }];
+const names = list => list.map(provider => provider.name);
+
+describe('ProviderRouter', () => {
+  test('should keep configured order for priority failover', () => {
+    const router = new ProviderRouter();
+
+    expect(names(router.order(providers, {}))).toEqual(['A', 'B', 'C']);
+    expect(names(router.order(providers, {}))).toEqual(['A', 'B', 'C']);
+  });
+
+  test('should interleave traffic by weight', () => {
+    const router = new ProviderRouter({
+      strategy: RoutingStrategy.WEIGHTED_ROUND_ROBIN,
+      weights: { A: 3, B: 1, C: 0 }
+    });
+
+    const firsts = Array.from({ length: 8 }, () => router.order(providers, {})[0].name);
+    expect(firsts).toEqual(['A', 'A', 'B', 'A', 'A', 'A', 'B', 'A']);
+  });
+
+  test('should keep zero-weight providers as fallbacks only', () => {
+    const router = new ProviderRouter({
+      strategy: RoutingStrategy.WEIGHTED_ROUND_ROBIN,
+      weights: { A: 0 }
+    });
+
+    expect(names(router.order(providers, {}))).toEqual(['B', 'C', 'A']);
+  });
+
+  test('should prefer unmeasured providers, then the fastest', () => {
+    const router = new ProviderRouter({ strategy: RoutingStrategy.LEAST_LATENCY });
+    router.recordLatency('A', 300);
+    router.recordLatency('B', 100);
+
+    expect(names(router.order(providers, {}))).toEqual(['C', 'B', 'A']);
+
+    router.recordLatency('C', 500);
+    router.recordLatency('B', 1000);
+    expect(router.averageLatency('B')).toBe(370);
+    expect(names(router.order(providers, {}))).toEqual(['A', 'B', 'C']);
+  });
+
+  test('should count failures as slow, however fast they were', () => {
+    const router = new ProviderRouter({ strategy: RoutingStrategy.LEAST_LATENCY });
+    router.recordFailure('A', 5);
+    router.recordLatency('B', 200);
+    router.recordLatency('C', 400);
+
+    expect(router.averageLatency('A')).toBe(FAILURE_LATENCY_MS);
+    expect(names(router.order(providers, {}))).toEqual(['B', 'C', 'A']);
+
+    // A provider that starts failing loses its fast average
+    for (let i = 0; i < 5; i++) router.recordFailure('B', 50);
+    expect(names(router.order(providers, {}))).toEqual(['C', 'B', 'A']);
+  });
+
+  test('should route by the first matching rule and fall back to the rest', () => {
+    const router = new ProviderRouter({
+      strategy: RoutingStrategy.RULE_BASED,
+      rules: [
+        { match: { tag: 'marketing' }, providers: ['C'] },
+        { match: { domain: ['gmail.com', 'googlemail.com'] }, providers: ['B', 'C'] }
+      ]
+    });
+
+    expect(names(router.order(providers, { to: 'x@gmail.com' }))).toEqual(['B', 'C', 'A']);
+    expect(names(router.order(providers, { to: 'x@gmail.com', tags: ['marketing'] }))).toEqual(['C', 'A', 'B']);
+    expect(names(router.order(providers, { to: 'x@example.com' }))).toEqual(['A', 'B', 'C']);
+  });
+
+  test('should reject invalid configuration', () => {
+    expect(() => new ProviderRouter({ strategy: 'random' })).toThrow('Unknown routing strategy: random');
+    expect(() => new ProviderRouter({ weights: { A: -1 } })).toThrow('Invalid routing weight for A: -1');
+    expect(() => new ProviderRouter({ rules: [{ match: { subject: 'x' }, providers: ['A'] }] }))
+      .toThrow('Routing rule 0 must match on domain, from, tag');
+    expect(() => new ProviderRouter({ rules: [{ match: { tag: 'x' }, providers: [] }] }))
+      .toThrow('Routing rule 0 has no providers');
+  });
+});
+
+describe('matchesRule', () => {
+  test('should require every criterion to match', () => {
+    const email = { to: 'jane@Outlook.com', from: 'Billing <billing@shop.example>', tags: ['Receipt'] };
+
+    expect(matchesRule({ from: 'billing@shop.example' }, email)).toBe(true);
+    expect(matchesRule({ domain: 'outlook.com', tag: 'receipt' }, email)).toBe(true);
+    expect(matchesRule({ domain: 'outlook.com', tag: 'marketing' }, email)).toBe(false);
+  });
+
+  test('should match the domain of any recipient, in any form', () => {
+    const email = { to: [{ name: 'Jane', address: 'jane@example.com' }], cc: 'ops@Gmail.com' };
+
+    expect(matchesRule({ domain: 'example.com' }, email)).toBe(true);
+    expect(matchesRule({ domain: 'gmail.com' }, email)).toBe(true);
+    expect(matchesRule({ domain: 'outlook.com' }, email)).toBe(false);
+  });
+});
@@ -0,0 +1,104 @@
+/**
+ * Test suite for the token-bucket rate limiter
+ */
+
+import { RateLimiter, TokenBucket } from '../RateLimiter';
+
+describe('TokenBucket', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('should refill continuously up to capacity', () => {
+    const bucket = new TokenBucket(10, 1000);
+    bucket.take(10);
+    expect(bucket.available()).toBe(0);
+
+    jest.advanceTimersByTime(300);
+    expect(bucket.available()).toBeCloseTo(3);
+
+    jest.advanceTimersByTime(5000);
+    expect(bucket.available()).toBe(10);
+  });
+
+  test('should report how long until tokens are available', () => {
+    const bucket = new TokenBucket(10, 1000);
+    bucket.take(10);
+
+    expect(bucket.msUntilAvailable()).toBe(100);
+    expect(bucket.msUntilFull()).toBe(1000);
+  });
+});
+
+describe('RateLimiter', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('should allow a burst up to the limit and then refuse', () => {
+    const limiter = new RateLimiter({ perMinute: 3 });
+
+    expect(limiter.tryTake()).toBe(true);
+    expect(limiter.tryTake()).toBe(true);
+    expect(limiter.tryTake()).toBe(true);
+    expect(limiter.tryTake()).toBe(false);
+
+    jest.advanceTimersByTime(20000);
+    expect(limiter.tryTake()).toBe(true);
+  });
+
+  test('should require a token from every window', () => {
+    const limiter = new RateLimiter({ perSecond: 5, perMinute: 6 });
+
+    for (let i = 0; i < 5; i++) {
+      expect(limiter.tryTake()).toBe(true);
+    }
+    expect(limiter.tryTake()).toBe(false);
+
+    // The per-second bucket refills, but only 1.1 per-minute tokens are left
+    jest.advanceTimersByTime(1000);
+    expect(limiter.tryTake()).toBe(true);
+    expect(limiter.tryTake()).toBe(false);
+    expect(limiter.msUntilAvailable()).toBe(9000);
+  });
+
+  test('should not take tokens when any window is empty', () => {
+    const limiter = new RateLimiter({ perSecond: 1, perDay: 100 });
+    limiter.tryTake();
+    limiter.tryTake();
+
+    expect(limiter.status().limits.find(entry => entry.window === 'perDay').remaining).toBe(99);
+  });
+
+  test('should describe remaining tokens per window', () => {
+    const limiter = new RateLimiter({ perMinute: 10 });
+    limiter.tryTake();
+
+    const status = limiter.status();
+    expect(status.remaining).toBe(9);
+    expect(status.limits).toEqual([
+      { window: 'perMinute', limit: 10, remaining: 9, resetTime: new Date(Date.now() + 6000) }
+    ]);
+  });
+
+  test('should treat an empty configuration as unlimited', () => {
+    const limiter = new RateLimiter();
+
+    expect(limiter.isLimited).toBe(false);
+    expect(limiter.tryTake()).toBe(true);
+    expect(limiter.status()).toEqual({ remaining: null, limits: [] });
+  });
+
+  test('should reject unknown windows and invalid limits', () => {
+    expect(() => new RateLimiter({ perWeek: 10 })).toThrow('Unknown rate limit window: perWeek');
+    expect(() => new RateLimiter({ perMinute: 0 })).toThrow('Invalid rate limit');
+  });
+});
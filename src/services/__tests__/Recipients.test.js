@@ -0,0 +1,52 @@
+/**
+ * Test suite for recipient address parsing and formatting
+ */
+
+import {
+  findInvalidAddresses,
+  formatAddress,
+  formatAddressList,
+  listRecipients,
+  parseAddress,
+  parseAddressList,
+  splitAddressList,
+  summarizeRecipients
+} from '../Recipients';
+
+describe('Recipients', () => {
+  test('should parse bare, named and quoted addresses', () => {
+    expect(parseAddress(' jane@example.com ')).toEqual({ name: '', address: 'jane@example.com' });
+    expect(parseAddress('Jane Doe <jane@example.com>')).toEqual({ name: 'Jane Doe', address: 'jane@example.com' });
+    expect(parseAddress('"Doe, \\"JD\\" Jane" <jane@example.com>')).toEqual({ name: 'Doe, "JD" Jane', address: 'jane@example.com' });
+    expect(parseAddress({ name: 'Jane', email: 'jane@example.com' })).toEqual({ name: 'Jane', address: 'jane@example.com' });
+  });
+
+  test('should split lists outside quotes and angle brackets', () => {
+    expect(splitAddressList('"Doe, Jane" <jane@example.com>; a@example.com,, <b,c@example.com>')).toEqual([
+      '"Doe, Jane" <jane@example.com>', 'a@example.com', '<b,c@example.com>'
+    ]);
+    expect(parseAddressList(['a@example.com, b@example.com', { address: 'c@example.com' }, ''])
+      .map(entry => entry.address)).toEqual(['a@example.com', 'b@example.com', 'c@example.com']);
+    expect(parseAddressList(undefined)).toEqual([]);
+  });
+
+  test('should format names that need quoting', () => {
+    expect(formatAddress({ name: '', address: 'a@example.com' })).toBe('a@example.com');
+    expect(formatAddress({ name: 'Jane Doe', address: 'a@example.com' })).toBe('Jane Doe <a@example.com>');
+    expect(formatAddress({ name: 'Doe, "JD"', address: 'a@example.com' })).toBe('"Doe, \\"JD\\"" <a@example.com>');
+    expect(formatAddressList(['"Doe, Jane" <jane@example.com>', 'a@example.com'])).toBe('"Doe, Jane" <jane@example.com>, a@example.com');
+  });
+
+  test('should list recipients by field and find invalid entries', () => {
+    const email = { to: 'a@example.com', cc: ['B <b@example.com>'], bcc: 'c@example.com', replyTo: 'not an address' };
+
+    expect(listRecipients(email).map(recipient => `${recipient.field}:${recipient.address}`))
+      .toEqual(['to:a@example.com', 'cc:b@example.com', 'bcc:c@example.com']);
+    expect(findInvalidAddresses(email)).toEqual([{ field: 'replyTo', value: 'not an address' }]);
+  });
+
+  test('should count recipients by status', () => {
+    expect(summarizeRecipients([{ status: 'sent' }, { status: 'rejected' }, { status: 'sent' }]))
+      .toEqual({ total: 3, pending: 0, sent: 2, rejected: 1, failed: 0 });
+  });
+});
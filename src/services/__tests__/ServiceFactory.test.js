@@ -0,0 +1,59 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Test suite for building providers and services from configuration
+ */
+
+import { createProvider, createProviders, createEmailService, DEFAULT_PROVIDERS } from '../ServiceFactory';
+import { MockEmailProvider } from '../EmailService';
+import { SendGridEmailProvider } from '../HttpEmailProviders';
+import { SmtpEmailProvider } from '../SmtpEmailProvider';
+import { FileStorageAdapter } from '../FileStorageAdapter';
+
+describe('ServiceFactory', () => {
+  test('should build each provider type with its options', () => {
+    const sendGrid = createProvider({ type: 'sendgrid', name: 'SendGrid', apiKey: 'SG.key' });
+    const smtp = createProvider({ type: 'smtp', name: 'Relay', host: 'smtp.example.com', port: 2525 });
+    const mock = createProvider({ type: 'mock', name: 'Mock', failureRate: 0.5 });
+
+    expect(sendGrid).toBeInstanceOf(SendGridEmailProvider);
+    expect(smtp).toBeInstanceOf(SmtpEmailProvider);
+    expect(smtp.options.port).toBe(2525);
+    expect(mock).toBeInstanceOf(MockEmailProvider);
+    expect(mock.failureRate).toBe(0.5);
+  });
+
+  test('should reject invalid provider specs', () => {
+    expect(() => createProvider({ type: 'pigeon', name: 'Coo' })).toThrow('Unknown provider type: pigeon');
+    expect(() => createProvider({ type: 'mock' })).toThrow('Provider of type mock needs a name');
+    expect(() => createProviders([])).toThrow('At least one provider is required');
+    expect(() => createProviders([{ type: 'mock', name: 'A' }, { type: 'mock', name: 'A' }]))
+      .toThrow('Duplicate provider name: A');
+  });
+
+  test('should create a service with defaults and optional file storage', () => {
+    const defaults = createEmailService({}, { logSinks: [] });
+    expect(defaults.providers.map(provider => provider.name)).toEqual(DEFAULT_PROVIDERS.map(spec => spec.name));
+
+    const configured = createEmailService({
+      providers: [{ type: 'mock', name: 'Only' }],
+      service: { maxRetries: 5 },
+      storageFile: '/tmp/email-state.json'
+    }, { logSinks: [] });
+    expect(configured.config.maxRetries).toBe(5);
+    expect(configured.storage).toBeInstanceOf(FileStorageAdapter);
+  });
+
+  test('should register configured templates and partials', () => {
+    const emailService = createEmailService({
+      providers: [{ type: 'mock', name: 'Only' }],
+      templates: { welcome: { subject: 'Hi {{ name }}', text: 'Hello {{ name }}{{> footer }}', version: 3 } },
+      partials: { footer: '\n-- The team' }
+    }, { logSinks: [] });
+
+    expect(emailService.getTemplates()).toMatchObject([{ name: 'welcome', version: 3 }]);
+    expect(emailService.templates.render('welcome', { name: 'Jane' }).body).toBe('Hello Jane\n-- The team');
+  });
+});
@@ -0,0 +1,269 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Test suite for SmtpEmailProvider against the local SMTP sink server
+ */
+
+import net from 'net';
+import { SmtpEmailProvider, SmtpError } from '../SmtpEmailProvider';
+import { SmtpSinkServer, cert } from '../testing/SmtpSinkServer';
+
+describe('SmtpEmailProvider', () => {
+  let sink;
+
+  const emailData = {
+    to: 'test@example.com',
+    from: 'sender@example.com',
+    subject: 'Test Subject',
+    body: 'Line one\n.leading dot\nLine three'
+  };
+
+  async function startSink(options) {
+    sink = new SmtpSinkServer(options);
+    return sink.start();
+  }
+
+  afterEach(async () => {
+    if (sink) {
+      await sink.stop();
+      sink = null;
+    }
+  });
+
+  test('should deliver a message with pipelining', async () => {
+    const port = await startSink();
+    const provider = new SmtpEmailProvider('SMTP', { host: '127.0.0.1', port, clientName: 'test.local' });
+
+    const result = await provider.sendEmail(emailData);
+
+    expect(result.success).toBe(true);
+    expect(result.messageId).toMatch(/@example\.com$/);
+    expect(sink.messages).toHaveLength(1);
+
+    const [message] = sink.messages;
+    expect(message.from).toBe('sender@example.com');
+    expect(message.recipients).toEqual(['test@example.com']);
+    expect(message.pipelined).toBe(true);
+    expect(message.data).toContain('Subject: Test Subject');
+    expect(message.data).toContain(`Message-ID: <${result.messageId}>`);
+    expect(message.data).toContain('\r\n.leading dot\r\n');
+  });
+
+  test('should send HTML, attachments and non-ASCII subjects as MIME', async () => {
+    const port = await startSink();
+    const provider = new SmtpEmailProvider('SMTP', { host: '127.0.0.1', port });
+
+    await provider.sendEmail({
+      ...emailData,
+      subject: 'Grüße',
+      html: '<p>Hello</p>\n.<p>dot</p>',
+      attachments: [{ filename: 'notes.txt', content: 'hi', encoding: 'utf8' }]
+    });
+
+    const { data } = sink.messages[0];
+    expect(data).toContain(`\r\nSubject: =?UTF-8?B?${Buffer.from('Grüße').toString('base64')}?=\r\n`);
+    expect(data).toContain('Content-Type: multipart/mixed; boundary=');
+    expect(data).toContain('Content-Type: text/html; charset=utf-8');
+    expect(data).toContain('\r\n.<p>dot</p>\r\n');
+    expect(data).toContain('Content-Disposition: attachment; filename="notes.txt"\r\n\r\naGk=\r\n');
+  });
+
+  test('should add context headers to the message', async () => {
+    const port = await startSink();
+    const provider = new SmtpEmailProvider('SMTP', { host: '127.0.0.1', port });
+    const traceparent = '00-0af7651916cd43dd8448eb211c80319c-b7ad6b7169203331-01';
+
+    await provider.sendEmail(emailData, { headers: { traceparent, 'X-Injected': 'a\r\nBcc: victim@example.com' } });
+
+    expect(sink.messages[0].data).toContain(`\r\ntraceparent: ${traceparent}\r\n`);
+    expect(sink.messages[0].data).not.toContain('\r\nBcc:');
+  });
+
+  test('should send the envelope step by step without pipelining', async () => {
+    const port = await startSink({ pipelining: false });
+    const provider = new SmtpEmailProvider('SMTP', { host: '127.0.0.1', port });
+
+    await provider.sendEmail(emailData);
+
+    expect(sink.messages[0].pipelined).toBe(false);
+  });
+
+  test('should upgrade with STARTTLS before authenticating', async () => {
+    const port = await startSink({ starttls: true, auth: { user: 'alice', pass: 'secret' } });
+    const provider = new SmtpEmailProvider('SMTP', {
+      host: 'localhost',
+      port,
+      auth: { user: 'alice', pass: 'secret' },
+      tls: { ca: cert }
+    });
+
+    await provider.sendEmail(emailData);
+
+    expect(sink.messages[0].secure).toBe(true);
+    expect(sink.messages[0].user).toBe('alice');
+    expect(sink.sessions[0].commands).toEqual(
+      expect.arrayContaining(['EHLO', 'STARTTLS', 'AUTH', 'MAIL', 'RCPT', 'DATA'])
+    );
+  });
+
+  test('should authenticate with AUTH LOGIN when PLAIN is not offered', async () => {
+    const port = await startSink({ auth: { user: 'bob', pass: 'hunter2' }, authMethods: ['LOGIN'] });
+    const provider = new SmtpEmailProvider('SMTP', {
+      host: '127.0.0.1',
+      port,
+      auth: { user: 'bob', pass: 'hunter2' }
+    });
+
+    await provider.sendEmail(emailData);
+
+    expect(sink.messages[0].user).toBe('bob');
+  });
+
+  test('should refuse to send in clear text when TLS is required', async () => {
+    const port = await startSink();
+    const provider = new SmtpEmailProvider('SMTP', { host: '127.0.0.1', port, requireTLS: true });
+
+    await expect(provider.sendEmail(emailData)).rejects.toMatchObject({
+      name: 'SmtpError',
+      transient: false
+    });
+    expect(sink.messages).toHaveLength(0);
+  });
+
+  test('should map bad credentials to a permanent error', async () => {
+    const port = await startSink({ auth: { user: 'alice', pass: 'secret' } });
+    const provider = new SmtpEmailProvider('SMTP', {
+      host: '127.0.0.1',
+      port,
+      auth: { user: 'alice', pass: 'wrong' }
+    });
+
+    const error = await provider.sendEmail(emailData).catch(e => e);
+
+    expect(error).toBeInstanceOf(SmtpError);
+    expect(error.replyCode).toBe(535);
+    expect(error.permanent).toBe(true);
+  });
+
+  test('should map a rejected recipient to a permanent error', async () => {
+    const port = await startSink({ rejectRecipients: { 'test@example.com': '550 5.1.1 User unknown' } });
+    const provider = new SmtpEmailProvider('SMTP', { host: '127.0.0.1', port });
+
+    const error = await provider.sendEmail(emailData).catch(e => e);
+
+    expect(error.replyCode).toBe(550);
+    expect(error.enhancedStatus).toBe('5.1.1');
+    expect(error.command).toBe('RCPT TO');
+    expect(error.transient).toBe(false);
+    expect(error.category).toBe('rejected');
+    expect(error.emailFailure).toBe(true);
+  });
+
+  test('should map command errors to a permanent provider error', async () => {
+    const port = await startSink({ replies: { MAIL: '502 5.5.1 Command not implemented' } });
+    const provider = new SmtpEmailProvider('SMTP', { host: '127.0.0.1', port });
+
+    const error = await provider.sendEmail(emailData).catch(e => e);
+
+    expect(error.replyCode).toBe(502);
+    expect(error.transient).toBe(false);
+    expect(error.category).toBe('permanent');
+    expect(error.emailFailure).toBe(false);
+  });
+
+  test('should address every recipient and keep Bcc out of the headers', async () => {
+    const port = await startSink();
+    const provider = new SmtpEmailProvider('SMTP', { host: '127.0.0.1', port });
+
+    await provider.sendEmail({
+      ...emailData,
+      from: 'Sender <sender@example.com>',
+      to: ['Jane Doe <jane@example.com>', 'test@example.com'],
+      cc: '"Doe, John" <john@example.com>',
+      bcc: ['audit@example.com'],
+      replyTo: 'Support <support@example.com>'
+    });
+
+    const [message] = sink.messages;
+    expect(message.from).toBe('sender@example.com');
+    expect(message.recipients).toEqual(['jane@example.com', 'test@example.com', 'john@example.com', 'audit@example.com']);
+    expect(message.data).toContain('\r\nTo: Jane Doe <jane@example.com>, test@example.com\r\n');
+    expect(message.data).toContain('\r\nCc: "Doe, John" <john@example.com>\r\n');
+    expect(message.data).toContain('\r\nReply-To: Support <support@example.com>\r\n');
+    expect(message.data).not.toContain('audit@example.com');
+  });
+
+  test.each([true, false])('should report recipients refused alongside accepted ones (pipelining: %s)', async pipelining => {
+    const port = await startSink({ pipelining, rejectRecipients: { 'gone@example.com': '550 5.1.1 User unknown' } });
+    const provider = new SmtpEmailProvider('SMTP', { host: '127.0.0.1', port });
+
+    const result = await provider.sendEmail({ ...emailData, to: ['test@example.com', 'gone@example.com'] });
+
+    expect(result.rejected).toEqual([{ address: 'gone@example.com', error: expect.stringContaining('550 5.1.1 User unknown') }]);
+    expect(sink.messages[0].recipients).toEqual(['test@example.com']);
+  });
+
+  test('should map 4xx replies to transient errors', async () => {
+    const port = await startSink({ replies: { MAIL: '451 4.3.0 Try again later' } });
+    const provider = new SmtpEmailProvider('SMTP', { host: '127.0.0.1', port });
+
+    const error = await provider.sendEmail(emailData).catch(e => e);
+
+    expect(error.replyCode).toBe(451);
+    expect(error.transient).toBe(true);
+  });
+
+  test('should treat connection failures as transient', async () => {
+    const port = await startSink();
+    await sink.stop();
+    sink = null;
+
+    const provider = new SmtpEmailProvider('SMTP', { host: '127.0.0.1', port });
+    const error = await provider.sendEmail(emailData).catch(e => e);
+
+    expect(error).toBeInstanceOf(SmtpError);
+    expect(error.transient).toBe(true);
+  });
+
+  test('should time out a TLS handshake that never completes after STARTTLS', async () => {
+    const port = await startSink({ starttls: true, stallAfterStartTls: true });
+    const provider = new SmtpEmailProvider('SMTP', { host: '127.0.0.1', port, tls: { ca: cert }, timeoutMs: 100 });
+
+    const error = await provider.sendEmail(emailData).catch(e => e);
+
+    expect(error).toBeInstanceOf(SmtpError);
+    expect(error.message).toMatch(/TLS handshake timed out/);
+    expect(error.provider).toBe('SMTP');
+    expect(error.transient).toBe(true);
+    expect(sink.messages).toHaveLength(0);
+  });
+
+  test('should time out a connection that is never established', async () => {
+    // Takes the TCP connection but never answers the TLS handshake
+    const sockets = [];
+    const listener = net.createServer(socket => sockets.push(socket.resume()));
+    await new Promise(resolve => listener.listen(0, '127.0.0.1', resolve));
+    const closed = new Promise(resolve => listener.on('connection', socket => socket.on('close', resolve)));
+
+    try {
+      const provider = new SmtpEmailProvider('SMTP', {
+        host: '127.0.0.1',
+        port: listener.address().port,
+        secure: true,
+        tls: { ca: cert },
+        timeoutMs: 100
+      });
+      const error = await provider.sendEmail(emailData).catch(e => e);
+
+      expect(error).toBeInstanceOf(SmtpError);
+      expect(error.message).toMatch(/Timed out connecting/);
+      expect(error.transient).toBe(true);
+      await closed;
+    } finally {
+      sockets.forEach(socket => socket.destroy());
+      await new Promise(resolve => listener.close(resolve));
+    }
+  });
+});
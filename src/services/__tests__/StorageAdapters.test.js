@@ -0,0 +1,343 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Test suite for the storage adapters and EmailService rehydration
+ */
+
+import os from 'os';
+import path from 'path';
+import { promises as fs } from 'fs';
+import { EmailService, MockEmailProvider, EmailStatus } from '../EmailService';
+import { InMemoryStorageAdapter, IndexedDBStorageAdapter } from '../StorageAdapters';
+import { FileStorageAdapter } from '../FileStorageAdapter';
+import { createFakeIndexedDB } from '../testing/FakeIndexedDB';
+
+const config = {
+  maxRetries: 3,
+  initialDelayMs: 10,
+  maxDelayMs: 100,
+  backoffMultiplier: 2,
+  circuitBreakerThreshold: 2,
+  circuitBreakerResetTime: 1000,
+  rateLimitPerMinute: 10
+};
+
+function makeAttempt(id, status) {
+  return {
+    id,
+    email: { to: `${id}@example.com`, subject: 'Subject', body: 'Body' },
+    status,
+    attempts: 0,
+    maxAttempts: 3,
+    createdAt: new Date(),
+    updatedAt: new Date()
+  };
+}
+
+const waitFor = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('InMemoryStorageAdapter', () => {
+  let storage;
+
+  beforeEach(() => {
+    storage = new InMemoryStorageAdapter();
+  });
+
+  test('should save, read and delete attempts', async () => {
+    await storage.saveAttempt(makeAttempt('a1', EmailStatus.QUEUED));
+
+    expect((await storage.getAttempt('a1')).status).toBe(EmailStatus.QUEUED);
+    expect(await storage.listAttempts()).toHaveLength(1);
+
+    await storage.deleteAttempt('a1');
+    expect(await storage.getAttempt('a1')).toBeNull();
+  });
+
+  test('should keep queue order and ignore duplicate enqueues', async () => {
+    await storage.enqueue('a1');
+    await storage.enqueue('a2');
+    await storage.enqueue('a1');
+
+    expect(await storage.listQueue()).toEqual(['a1', 'a2']);
+
+    await storage.dequeue('a1');
+    expect(await storage.listQueue()).toEqual(['a2']);
+  });
+
+  test('should expire idempotency keys', async () => {
+    await storage.setIdempotencyKey('live', 'a1', Date.now() + 1000);
+    await storage.setIdempotencyKey('stale', 'a2', Date.now() - 1);
+
+    expect(await storage.findIdempotencyKey('live')).toBe('a1');
+    expect(await storage.findIdempotencyKey('stale')).toBeNull();
+    expect(await storage.listIdempotencyKeys()).toHaveLength(1);
+  });
+
+  test('should save and delete dead letters', async () => {
+    await storage.saveDeadLetter({ attemptId: 'a1', failureReason: 'transient', tries: [] });
+
+    expect(await storage.listDeadLetters()).toHaveLength(1);
+
+    await storage.deleteDeadLetter('a1');
+    expect(await storage.listDeadLetters()).toEqual([]);
+  });
+});
+
+describe('IndexedDBStorageAdapter', () => {
+  let indexedDB;
+  let storage;
+
+  beforeEach(() => {
+    indexedDB = createFakeIndexedDB();
+    storage = new IndexedDBStorageAdapter('email-service', indexedDB);
+  });
+
+  test('should save, read and delete attempts', async () => {
+    await storage.saveAttempt(makeAttempt('a1', EmailStatus.QUEUED));
+    await storage.enqueue('a1');
+
+    expect((await storage.getAttempt('a1')).status).toBe(EmailStatus.QUEUED);
+    expect(await storage.listAttempts()).toHaveLength(1);
+
+    await storage.deleteAttempt('a1');
+    expect(await storage.getAttempt('a1')).toBeNull();
+    expect(await storage.listQueue()).toEqual([]);
+  });
+
+  test('should keep queue order and ignore duplicate enqueues', async () => {
+    await storage.enqueue('a1');
+    await storage.enqueue('a2');
+    await storage.enqueue('a1');
+
+    expect(await storage.listQueue()).toEqual(['a1', 'a2']);
+
+    await storage.dequeue('a1');
+    expect(await storage.listQueue()).toEqual(['a2']);
+  });
+
+  test('should expire idempotency keys', async () => {
+    await storage.setIdempotencyKey('live', 'a1', Date.now() + 1000);
+    await storage.setIdempotencyKey('stale', 'a2', Date.now() - 1);
+
+    expect(await storage.findIdempotencyKey('live')).toBe('a1');
+    expect(await storage.findIdempotencyKey('stale')).toBeNull();
+    expect(await storage.listIdempotencyKeys()).toHaveLength(1);
+  });
+
+  test('should save and delete dead letters', async () => {
+    await storage.saveDeadLetter({ attemptId: 'a1', failureReason: 'transient', tries: [] });
+
+    expect(await storage.listDeadLetters()).toHaveLength(1);
+
+    await storage.deleteDeadLetter('a1');
+    expect(await storage.listDeadLetters()).toEqual([]);
+  });
+
+  test('should persist state across adapter instances', async () => {
+    const attempt = makeAttempt('a1', EmailStatus.QUEUED);
+    await storage.saveAttempt(attempt);
+    await storage.enqueue('a2');
+    await storage.enqueue('a1');
+
+    const second = new IndexedDBStorageAdapter('email-service', indexedDB);
+    await second.enqueue('a2');
+
+    expect((await second.getAttempt('a1')).createdAt.getTime()).toBe(attempt.createdAt.getTime());
+    expect(await second.listQueue()).toEqual(['a2', 'a1']);
+  });
+
+  test('should clear every store', async () => {
+    await storage.saveAttempt(makeAttempt('a1', EmailStatus.QUEUED));
+    await storage.enqueue('a1');
+    await storage.setIdempotencyKey('key', 'a1', Date.now() + 1000);
+    await storage.saveDeadLetter({ attemptId: 'a0', tries: [] });
+
+    await storage.clear();
+
+    expect(await storage.listAttempts()).toEqual([]);
+    expect(await storage.listQueue()).toEqual([]);
+    expect(await storage.listIdempotencyKeys()).toEqual([]);
+    expect(await storage.listDeadLetters()).toEqual([]);
+  });
+});
+
+describe('FileStorageAdapter', () => {
+  let filePath;
+
+  beforeEach(async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'email-service-'));
+    filePath = path.join(dir, 'state.json');
+  });
+
+  test('should persist state across adapter instances', async () => {
+    const first = new FileStorageAdapter(filePath);
+    await first.saveAttempt(makeAttempt('a1', EmailStatus.QUEUED));
+    await first.enqueue('a1');
+    await first.setIdempotencyKey('key', 'a1', Date.now() + 1000);
+    await first.saveDeadLetter({ attemptId: 'a0', tries: [], deadAt: new Date() });
+
+    const second = new FileStorageAdapter(filePath);
+    const attempt = await second.getAttempt('a1');
+
+    expect(attempt.status).toBe(EmailStatus.QUEUED);
+    expect(attempt.createdAt).toBeInstanceOf(Date);
+    expect(await second.listQueue()).toEqual(['a1']);
+    expect(await second.findIdempotencyKey('key')).toBe('a1');
+    expect((await second.listDeadLetters())[0].deadAt).toBeInstanceOf(Date);
+  });
+
+  test('should revive only the known date fields', async () => {
+    const first = new FileStorageAdapter(filePath);
+    const attempt = makeAttempt('a1', EmailStatus.QUEUED);
+    attempt.email.body = '2024-01-01T00:00:00.000Z';
+    attempt.email.metadata = { createdAt: '2024-01-01T00:00:00Z' };
+    attempt.history = [{ type: 'queued', timestamp: new Date() }];
+    await first.saveAttempt(attempt);
+
+    const revived = await new FileStorageAdapter(filePath).getAttempt('a1');
+
+    expect(revived.updatedAt).toBeInstanceOf(Date);
+    expect(revived.history[0].timestamp).toBeInstanceOf(Date);
+    expect(revived.email.body).toBe('2024-01-01T00:00:00.000Z');
+    expect(revived.email.metadata.createdAt).toBe('2024-01-01T00:00:00Z');
+  });
+
+  test('should drop expired idempotency keys on load and write', async () => {
+    await fs.writeFile(filePath, JSON.stringify({
+      idempotencyKeys: {
+        live: { key: 'live', attemptId: 'a1', expiresAt: Date.now() + 60000 },
+        stale: { key: 'stale', attemptId: 'a2', expiresAt: Date.now() - 1 }
+      }
+    }));
+
+    const storage = new FileStorageAdapter(filePath);
+    await storage.setIdempotencyKey('short', 'a3', Date.now() + 20);
+    await waitFor(40);
+    await storage.enqueue('a1');
+    await storage.flush();
+
+    const saved = JSON.parse(await fs.readFile(filePath, 'utf8'));
+    expect(Object.keys(saved.idempotencyKeys)).toEqual(['live']);
+  });
+
+  test('should start empty when the file does not exist', async () => {
+    const storage = new FileStorageAdapter(filePath);
+
+    expect(await storage.listAttempts()).toEqual([]);
+    expect(await storage.listQueue()).toEqual([]);
+  });
+
+  test('should keep the changes of two adapters sharing the file', async () => {
+    const first = new FileStorageAdapter(filePath);
+    const second = new FileStorageAdapter(filePath);
+    await first.load();
+    await second.load();
+
+    // Neither write is awaited before the other starts
+    await Promise.all([
+      first.saveAttempt(makeAttempt('a1', EmailStatus.QUEUED)),
+      second.saveAttempt(makeAttempt('a2', EmailStatus.QUEUED)),
+      first.enqueue('a1'),
+      second.enqueue('a2'),
+      first.setIdempotencyKey('one', 'a1', Date.now() + 60000),
+      second.setIdempotencyKey('two', 'a2', Date.now() + 60000)
+    ]);
+    await second.dequeue('a2');
+
+    const third = new FileStorageAdapter(filePath);
+    const ids = (await third.listAttempts()).map(attempt => attempt.id);
+    expect(ids.sort()).toEqual(['a1', 'a2']);
+    expect(await third.listQueue()).toEqual(['a1']);
+    expect(await third.findIdempotencyKey('one')).toBe('a1');
+    expect(await third.findIdempotencyKey('two')).toBe('a2');
+    await expect(fs.access(`${filePath}.lock`)).rejects.toThrow();
+  });
+
+  test('should take over a lock left behind by a process that died', async () => {
+    const lockPath = `${filePath}.lock`;
+    await fs.writeFile(lockPath, '');
+    const longAgo = new Date(Date.now() - 60000);
+    await fs.utimes(lockPath, longAgo, longAgo);
+
+    const storage = new FileStorageAdapter(filePath);
+    await storage.saveAttempt(makeAttempt('a1', EmailStatus.QUEUED));
+
+    expect(await new FileStorageAdapter(filePath).getAttempt('a1')).not.toBeNull();
+  });
+});
+
+describe('EmailService persistence', () => {
+  test('should write attempts and idempotency keys through to storage', async () => {
+    const storage = new InMemoryStorageAdapter();
+    const emailService = new EmailService([new MockEmailProvider('Provider1', 0, 10)], config, { storage });
+    await emailService.ready;
+
+    const attemptId = await emailService.sendEmail({ to: 'test@example.com', subject: 'Hi', body: 'Body' });
+
+    expect(await storage.getAttempt(attemptId)).toBeTruthy();
+    expect(await storage.listIdempotencyKeys()).toHaveLength(1);
+  });
+
+  test('should rehydrate and resume queued and sending attempts on startup', async () => {
+    const storage = new InMemoryStorageAdapter();
+    await storage.saveAttempt(makeAttempt('queued', EmailStatus.QUEUED));
+    await storage.saveAttempt(makeAttempt('sending', EmailStatus.SENDING));
+    await storage.saveAttempt(makeAttempt('sent', EmailStatus.SENT));
+    await storage.enqueue('queued');
+
+    const emailService = new EmailService([new MockEmailProvider('Provider1', 0, 1)], config, { storage });
+    await emailService.ready;
+
+    expect(emailService.getAllAttempts()).toHaveLength(3);
+
+    await waitFor(1500);
+
+    expect(emailService.getAttempt('queued').status).toBe(EmailStatus.SENT);
+    expect(emailService.getAttempt('sending').status).toBe(EmailStatus.SENT);
+    expect(await storage.listQueue()).toEqual([]);
+  });
+
+  test('should leave unfinished attempts alone when resume is off', async () => {
+    const storage = new InMemoryStorageAdapter();
+    await storage.saveAttempt(makeAttempt('queued', EmailStatus.QUEUED));
+    await storage.enqueue('queued');
+    const provider = new MockEmailProvider('Provider1', 0, 1);
+    jest.spyOn(provider, 'sendEmail');
+
+    const emailService = new EmailService([provider], config, { storage, resume: false });
+    await emailService.ready;
+    await waitFor(100);
+
+    expect(emailService.getAttempt('queued').status).toBe(EmailStatus.QUEUED);
+    expect(provider.sendEmail).not.toHaveBeenCalled();
+    expect(await storage.listQueue()).toEqual(['queued']);
+  });
+
+  test('should detect duplicates from restored idempotency keys', async () => {
+    const storage = new InMemoryStorageAdapter();
+    const emailData = { to: 'test@example.com', subject: 'Hi', body: 'Body' };
+
+    const first = new EmailService([new MockEmailProvider('Provider1', 0, 1)], config, { storage });
+    await first.ready;
+    const id1 = await first.sendEmail(emailData);
+
+    const second = new EmailService([new MockEmailProvider('Provider1', 0, 1)], config, { storage });
+    await second.ready;
+    const id2 = await second.sendEmail(emailData);
+
+    expect(id2).toBe(id1);
+  });
+
+  test('should restore dead letters for failed attempts', async () => {
+    const storage = new InMemoryStorageAdapter();
+    await storage.saveAttempt({ ...makeAttempt('dead', EmailStatus.FAILED), failureReason: 'transient' });
+    await storage.saveDeadLetter({ attemptId: 'dead', failureReason: 'transient', tries: [], deadAt: new Date() });
+
+    const emailService = new EmailService([new MockEmailProvider('Provider1', 0, 1)], config, { storage });
+    await emailService.ready;
+
+    expect(emailService.getDeadLetters().map(entry => entry.attemptId)).toEqual(['dead']);
+  });
+});
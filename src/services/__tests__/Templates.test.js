@@ -0,0 +1,114 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Test suite for the template engine and registry
+ */
+
+import { compileTemplate, escapeHtml, renderTemplate, TemplateRegistry } from '../Templates';
+
+describe('renderTemplate', () => {
+  test('should interpolate nested values and escape only when asked', () => {
+    const data = { user: { name: '<Jane>' }, note: '<b>hi</b>' };
+
+    expect(renderTemplate('Hi {{ user.name }}, {{{note}}}', data, { escape: escapeHtml }))
+      .toBe('Hi &lt;Jane&gt;, <b>hi</b>');
+    expect(renderTemplate('Hi {{ user.name }}', data)).toBe('Hi <Jane>');
+    expect(renderTemplate('[{{ missing }}][{{ user.missing.deeper }}]{{! a comment }}', data)).toBe('[][]');
+  });
+
+  test('should render if, unless and else branches', () => {
+    const source = '{{#if paid}}Paid{{else}}Due{{/if}} {{#unless items}}empty{{/unless}}';
+
+    expect(renderTemplate(source, { paid: true, items: [1] })).toBe('Paid ');
+    expect(renderTemplate(source, { paid: 0, items: [] })).toBe('Due empty');
+  });
+
+  test('should loop over arrays and objects', () => {
+    const items = [{ name: 'Tea' }, { name: 'Cake' }];
+    expect(renderTemplate('{{#each items}}{{ @index }}:{{ name }}{{#unless @last}}, {{/unless}}{{/each}}', { items }))
+      .toBe('0:Tea, 1:Cake');
+    expect(renderTemplate('{{#each totals}}{{ @key }}={{ this }} {{/each}}', { totals: { a: 1, b: 2 } })).toBe('a=1 b=2 ');
+    expect(renderTemplate('{{#each items}}{{ name }} for {{ customer }}{{else}}nothing{{/each}}', { items, customer: 'Jo' }))
+      .toBe('Tea for JoCake for Jo');
+    expect(renderTemplate('{{#each items}}x{{else}}nothing{{/each}}', { items: [] })).toBe('nothing');
+  });
+
+  test('should not reach prototype members', () => {
+    expect(renderTemplate('{{ constructor }}{{ name.length }}{{ toString }}', { name: 'Jane' })).toBe('');
+  });
+
+  test('should report syntax errors with the template label', () => {
+    expect(() => compileTemplate('{{#if a}}x', 'welcome html')).toThrow('Unclosed {{#if}} in welcome html');
+    expect(() => compileTemplate('{{#with a}}{{/with}}')).toThrow('Unknown block {{#with}} in template');
+    expect(() => compileTemplate('{{#if}}{{/if}}')).toThrow('{{#if}} needs one argument in template');
+    expect(() => compileTemplate('{{#if a}}{{/each}}')).toThrow('Unexpected {{/each}} in template');
+    expect(() => compileTemplate('x{{else}}')).toThrow('Unexpected {{else}} in template');
+  });
+});
+
+describe('TemplateRegistry', () => {
+  let registry;
+
+  beforeEach(() => {
+    registry = new TemplateRegistry();
+    registry.registerPartial('footer', '<p>Thanks, {{ team }}</p>');
+  });
+
+  test('should render subject, html and text with partials', () => {
+    registry.registerTemplate('receipt', {
+      subject: 'Receipt\nfor {{ name }}',
+      html: '<p>{{ name }}</p>{{> footer }}',
+      text: 'For {{ name }}'
+    });
+
+    expect(registry.render('receipt', { name: 'A & B', team: 'Shop' })).toEqual({
+      name: 'receipt',
+      version: 1,
+      subject: 'Receipt for A & B',
+      html: '<p>A &amp; B</p><p>Thanks, Shop</p>',
+      body: 'For A & B'
+    });
+  });
+
+  test('should add versions and keep old ones renderable', () => {
+    expect(registry.registerTemplate('welcome', { subject: 'Hi', text: 'One' })).toEqual({ name: 'welcome', version: 1 });
+    expect(registry.registerTemplate('welcome', { subject: 'Hi', text: 'One' })).toEqual({ name: 'welcome', version: 1 });
+    expect(registry.registerTemplate('welcome', { subject: 'Hi', text: 'Two' })).toEqual({ name: 'welcome', version: 2 });
+    expect(registry.registerTemplate('welcome', { subject: 'Hi', text: 'Ten', version: 10 })).toEqual({ name: 'welcome', version: 10 });
+
+    expect(registry.render('welcome').body).toBe('Ten');
+    expect(registry.render('welcome', {}, { version: 2 }).body).toBe('Two');
+    expect(registry.listTemplates()).toMatchObject([{ name: 'welcome', version: 10, versions: [1, 2, 10] }]);
+    expect(registry.getTemplate('welcome', 1)).toMatchObject({ version: 1, text: 'One' });
+    expect(registry.getTemplate('welcome', 3)).toBeNull();
+    expect(() => registry.registerTemplate('welcome', { subject: 'Hi', text: 'Old', version: 4 }))
+      .toThrow('Template welcome version must be a whole number above 10');
+  });
+
+  test('should validate definitions and lookups', () => {
+    expect(() => registry.registerTemplate('', { subject: 'Hi', text: 'x' })).toThrow('Template name is required');
+    expect(() => registry.registerTemplate('a', { text: 'x' })).toThrow('Template a needs a subject');
+    expect(() => registry.registerTemplate('a', { subject: 'Hi' })).toThrow('Template a needs html or text');
+    expect(() => registry.registerTemplate('a', { subject: 'Hi', html: '{{#each x}}' })).toThrow('Unclosed {{#each}} in a html');
+    expect(registry.listTemplates()).toEqual([]);
+
+    registry.registerTemplate('a', { subject: 'Hi', text: '{{> header }}' });
+    expect(() => registry.render('b')).toThrow('Unknown template: b');
+    expect(() => registry.render('a', {}, { version: 2 })).toThrow('Unknown version 2 of template a');
+    expect(() => registry.render('a')).toThrow('Unknown partial: header');
+
+    registry.registerPartial('loop', '{{> loop }}');
+    registry.registerTemplate('c', { subject: 'Hi', text: '{{> loop }}' });
+    expect(() => registry.render('c')).toThrow('Partials nested deeper than 10: loop');
+  });
+
+  test('should throw on missing variables when strict', () => {
+    const strict = new TemplateRegistry({ strict: true });
+    strict.registerTemplate('a', { subject: 'Hi {{ name }}', text: '{{#if vip}}VIP{{/if}}' });
+
+    expect(strict.render('a', { name: 'Jo' }).subject).toBe('Hi Jo');
+    expect(() => strict.render('a', {})).toThrow('Missing template variable: name');
+  });
+});
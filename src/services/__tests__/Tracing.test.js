@@ -0,0 +1,112 @@
+/**
+ * Test suite for tracing spans, tracers and the in-memory exporter
+ */
+
+import {
+  Tracer,
+  NoopTracer,
+  InMemorySpanExporter,
+  SpanStatus,
+  formatTraceparent,
+  parseTraceparent
+} from '../Tracing';
+
+describe('Tracer', () => {
+  let exporter;
+  let tracer;
+
+  beforeEach(() => {
+    exporter = new InMemorySpanExporter();
+    tracer = new Tracer({ exporters: [exporter] });
+  });
+
+  test('should export spans with timing and attributes when they end', () => {
+    const span = tracer.startSpan('email.send', { attributes: { 'email.priority': 'high' }, startTime: 1000 });
+    span.setAttribute('email.attempt_id', 'a1').setStatus(SpanStatus.OK);
+
+    expect(exporter.getFinishedSpans()).toEqual([]);
+    span.end(1250);
+    span.end(2000);
+
+    const [finished] = exporter.getFinishedSpans();
+    expect(finished).toBe(span);
+    expect(finished.traceId).toMatch(/^[0-9a-f]{32}$/);
+    expect(finished.spanId).toMatch(/^[0-9a-f]{16}$/);
+    expect(finished.parentSpanId).toBeNull();
+    expect(finished.durationMs).toBe(250);
+    expect(finished.attributes).toEqual({ 'email.priority': 'high', 'email.attempt_id': 'a1' });
+    expect(finished.status).toEqual({ code: SpanStatus.OK });
+
+    span.setAttribute('late', true);
+    expect(finished.attributes.late).toBeUndefined();
+  });
+
+  test('should link children to their parent span or span context', () => {
+    const root = tracer.startSpan('email.send');
+    const child = tracer.startSpan('email.process', { parent: root });
+    const grandchild = tracer.startSpan('provider.send', { parent: child.context() });
+
+    expect(child.traceId).toBe(root.traceId);
+    expect(child.parentSpanId).toBe(root.spanId);
+    expect(grandchild.traceId).toBe(root.traceId);
+    expect(grandchild.parentSpanId).toBe(child.spanId);
+
+    [grandchild, child, root].forEach(span => span.end());
+    expect(exporter.getFinishedSpans({ traceId: root.traceId })).toHaveLength(3);
+    expect(exporter.getFinishedSpans({ name: 'provider.send' })).toEqual([grandchild]);
+  });
+
+  test('should record exceptions as error status', () => {
+    const span = tracer.startSpan('provider.send');
+    span.recordException(new TypeError('socket hang up'));
+    span.end();
+
+    expect(span.status).toEqual({ code: SpanStatus.ERROR, message: 'socket hang up' });
+    expect(span.events).toEqual([expect.objectContaining({
+      name: 'exception',
+      attributes: { 'exception.type': 'TypeError', 'exception.message': 'socket hang up' }
+    })]);
+  });
+
+  test('should survive a broken exporter', () => {
+    tracer.exporters.unshift({ export: () => { throw new Error('collector down'); } });
+
+    expect(() => tracer.startSpan('email.send').end()).not.toThrow();
+    expect(exporter.getFinishedSpans()).toHaveLength(1);
+
+    exporter.reset();
+    expect(exporter.getFinishedSpans()).toEqual([]);
+  });
+});
+
+describe('NoopTracer', () => {
+  test('should hand out IDs without recording anything', () => {
+    const tracer = new NoopTracer();
+    const root = tracer.startSpan('email.send', { attributes: { ignored: true } });
+    const child = tracer.startSpan('email.process', { parent: root });
+    child.setAttribute('ignored', true).addEvent('ignored');
+    child.end();
+
+    expect(root.isRecording).toBe(false);
+    expect(child.traceId).toBe(root.traceId);
+    expect(child.attributes).toEqual({});
+    expect(child.events).toEqual([]);
+    expect(child.endTime).toBeNull();
+  });
+});
+
+describe('traceparent', () => {
+  test('should round-trip a span context', () => {
+    const context = { traceId: '0af7651916cd43dd8448eb211c80319c', spanId: 'b7ad6b7169203331' };
+
+    expect(formatTraceparent(context)).toBe('00-0af7651916cd43dd8448eb211c80319c-b7ad6b7169203331-01');
+    expect(parseTraceparent(formatTraceparent(context))).toEqual(context);
+  });
+
+  test('should reject malformed headers', () => {
+    expect(parseTraceparent('garbage')).toBeNull();
+    expect(parseTraceparent(undefined)).toBeNull();
+    expect(parseTraceparent('00-00000000000000000000000000000000-b7ad6b7169203331-01')).toBeNull();
+    expect(parseTraceparent('ff-0af7651916cd43dd8448eb211c80319c-b7ad6b7169203331-01')).toBeNull();
+  });
+});
@@ -0,0 +1,136 @@
+/**
+ * In-memory IndexedDB factory for tests
+ *
+ * Implements the slice of the IndexedDB API that IndexedDBStorageAdapter
+ * uses: open with upgrades, keyPath object stores and transactions whose
+ * get/put/delete/getAll/clear requests settle asynchronously. Databases live
+ * on the factory, so a second adapter opened on the same factory sees the
+ * data the first one wrote, as it would after a page reload.
+ */
+
+const later = callback => setTimeout(callback, 0);
+
+function createRequest() {
+  return { result: undefined, error: null, onsuccess: null, onerror: null };
+}
+
+class FakeTransaction {
+  constructor(db, storeName, mode) {
+    this.db = db;
+    this.storeName = storeName;
+    this.mode = mode;
+    this.pending = 0;
+    this.done = false;
+    this.error = null;
+    this.oncomplete = null;
+    this.onerror = null;
+    this.onabort = null;
+    // A transaction with no requests still completes
+    later(() => this.settle());
+  }
+
+  objectStore(name) {
+    if (name !== this.storeName) {
+      throw new Error(`Object store ${name} is not in this transaction`);
+    }
+    return new FakeObjectStore(this, this.db.stores.get(name));
+  }
+
+  request(operation, writes = false) {
+    if (writes && this.mode !== 'readwrite') {
+      throw new Error('Transaction is read-only');
+    }
+    const request = createRequest();
+    this.pending++;
+    later(() => {
+      request.result = operation();
+      if (request.onsuccess) request.onsuccess();
+      this.pending--;
+      this.settle();
+    });
+    return request;
+  }
+
+  settle() {
+    if (this.pending > 0 || this.done) return;
+    this.done = true;
+    later(() => this.oncomplete && this.oncomplete());
+  }
+}
+
+class FakeObjectStore {
+  constructor(transaction, store) {
+    this.transaction = transaction;
+    this.store = store;
+  }
+
+  get(key) {
+    return this.transaction.request(() => structuredClone(this.store.records.get(key)));
+  }
+
+  getAll() {
+    return this.transaction.request(() => [...this.store.records.values()].map(value => structuredClone(value)));
+  }
+
+  put(value) {
+    return this.transaction.request(() => {
+      const key = value[this.store.keyPath];
+      this.store.records.set(key, structuredClone(value));
+      return key;
+    }, true);
+  }
+
+  delete(key) {
+    return this.transaction.request(() => {
+      this.store.records.delete(key);
+    }, true);
+  }
+
+  clear() {
+    return this.transaction.request(() => {
+      this.store.records.clear();
+    }, true);
+  }
+}
+
+class FakeDatabase {
+  constructor(name) {
+    this.name = name;
+    this.version = 0;
+    this.stores = new Map();
+    this.objectStoreNames = { contains: storeName => this.stores.has(storeName) };
+  }
+
+  createObjectStore(storeName, { keyPath }) {
+    this.stores.set(storeName, { keyPath, records: new Map() });
+  }
+
+  transaction(storeName, mode = 'readonly') {
+    if (!this.stores.has(storeName)) {
+      throw new Error(`No object store named ${storeName}`);
+    }
+    return new FakeTransaction(this, storeName, mode);
+  }
+}
+
+export function createFakeIndexedDB() {
+  const databases = new Map();
+
+  return {
+    databases,
+    open(name, version = 1) {
+      const request = { ...createRequest(), onupgradeneeded: null };
+      later(() => {
+        if (!databases.has(name)) databases.set(name, new FakeDatabase(name));
+        const db = databases.get(name);
+        request.result = db;
+        if (version > db.version) {
+          db.version = version;
+          if (request.onupgradeneeded) request.onupgradeneeded();
+        }
+        if (request.onsuccess) request.onsuccess();
+      });
+      return request;
+    }
+  };
+}
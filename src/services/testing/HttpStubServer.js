@@ -0,0 +1,83 @@
+/**
+ * Local HTTP stub server for tests
+ *
+ * Records every request and answers from a table of routes. A route responds
+ * with `{ status, headers, body, delayMs, bodyDelayMs }` or a function of
+ * the recorded request that returns one; `bodyDelayMs` sends the headers
+ * at once and the body that much later. Object bodies are sent as JSON. Unknown routes
+ * get a 404.
+ */
+
+import http from 'http';
+
+export class HttpStubServer {
+  constructor() {
+    this.routes = new Map();
+    this.requests = [];
+    this.server = http.createServer((req, res) => this.handle(req, res));
+  }
+
+  async start() {
+    await new Promise(resolve => this.server.listen(0, '127.0.0.1', resolve));
+    this.baseUrl = `http://127.0.0.1:${this.server.address().port}`;
+    return this.baseUrl;
+  }
+
+  async stop() {
+    this.server.closeAllConnections();
+    await new Promise(resolve => this.server.close(resolve));
+  }
+
+  route(method, path, responder) {
+    this.routes.set(`${method.toUpperCase()} ${path}`, responder);
+    return this;
+  }
+
+  async handle(req, res) {
+    const chunks = [];
+    for await (const chunk of req) {
+      chunks.push(chunk);
+    }
+
+    const body = Buffer.concat(chunks).toString('utf8');
+    const contentType = req.headers['content-type'] || '';
+    const url = new URL(req.url, 'http://localhost');
+    const request = {
+      method: req.method,
+      path: url.pathname,
+      query: Object.fromEntries(url.searchParams.entries()),
+      headers: req.headers,
+      body
+    };
+
+    if (contentType.includes('json') && body) {
+      request.json = JSON.parse(body);
+    } else if (contentType.includes('x-www-form-urlencoded')) {
+      request.form = Object.fromEntries(new URLSearchParams(body).entries());
+    }
+    this.requests.push(request);
+
+    const responder = this.routes.get(`${req.method} ${url.pathname}`);
+    const response = typeof responder === 'function'
+      ? await responder(request)
+      : responder || { status: 404, body: { message: 'Not found' } };
+
+    if (response.delayMs) {
+      await new Promise(resolve => setTimeout(resolve, response.delayMs));
+    }
+
+    const headers = { ...response.headers };
+    let payload = response.body;
+    if (payload !== undefined && typeof payload !== 'string') {
+      payload = JSON.stringify(payload);
+      headers['content-type'] = headers['content-type'] || 'application/json';
+    }
+
+    res.writeHead(response.status || 200, headers);
+    if (response.bodyDelayMs) {
+      res.flushHeaders();
+      await new Promise(resolve => setTimeout(resolve, response.bodyDelayMs));
+    }
+    res.end(payload);
+  }
+}
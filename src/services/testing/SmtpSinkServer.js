@@ -0,0 +1,260 @@
+/**
+ * Local SMTP sink server for tests
+ *
+ * Accepts SMTP sessions on 127.0.0.1, records every message it receives and
+ * never relays anything. Behaviour can be tuned per test:
+ *
+ * - starttls: advertise STARTTLS using the bundled localhost certificate,
+ *   exported as `cert` for clients to trust
+ * - stallAfterStartTls: answer STARTTLS, then never start the TLS handshake
+ * - pipelining: advertise PIPELINING (default: true)
+ * - auth: `{ user, pass }` required before MAIL FROM
+ * - authMethods: mechanisms advertised in EHLO (default: PLAIN LOGIN)
+ * - rejectRecipients: map of address to a full reply, e.g. '550 5.1.1 User unknown'
+ * - replies: map of verb (MAIL, DATA, ...) to a reply that overrides the default
+ */
+
+import net from 'net';
+import tls from 'tls';
+import { key, cert } from './localhostCertificate.js';
+
+export { cert };
+
+export class SmtpSinkServer {
+  constructor(options = {}) {
+    this.options = {
+      hostname: 'sink.localhost',
+      starttls: false,
+      stallAfterStartTls: false,
+      pipelining: true,
+      auth: null,
+      authMethods: ['PLAIN', 'LOGIN'],
+      rejectRecipients: {},
+      replies: {},
+      ...options
+    };
+    this.messages = [];
+    this.sessions = [];
+    this.sockets = new Set();
+    this.server = net.createServer(socket => this.handleConnection(socket));
+  }
+
+  async start() {
+    await new Promise(resolve => this.server.listen(0, '127.0.0.1', resolve));
+    this.port = this.server.address().port;
+    return this.port;
+  }
+
+  async stop() {
+    this.sockets.forEach(socket => socket.destroy());
+    await new Promise(resolve => this.server.close(resolve));
+  }
+
+  handleConnection(socket) {
+    const session = {
+      secure: false,
+      user: null,
+      from: null,
+      recipients: [],
+      commands: [],
+      chunk: 0,
+      mailChunk: null,
+      mode: 'command',
+      dataLines: [],
+      buffer: ''
+    };
+    this.sessions.push(session);
+    this.attach(session, socket);
+    this.send(session, `220 ${this.options.hostname} ESMTP sink ready`);
+  }
+
+  attach(session, socket) {
+    session.socket = socket;
+    this.sockets.add(socket);
+    socket.setEncoding('utf8');
+    socket.on('error', () => {});
+    socket.on('close', () => this.sockets.delete(socket));
+    session.onData = chunk => {
+      session.chunk++;
+      session.buffer += chunk;
+      let index;
+      while ((index = session.buffer.indexOf('\r\n')) !== -1) {
+        const line = session.buffer.slice(0, index);
+        session.buffer = session.buffer.slice(index + 2);
+        this.handleLine(session, line);
+      }
+    };
+    socket.on('data', session.onData);
+  }
+
+  send(session, reply) {
+    session.socket.write(`${reply}\r\n`);
+  }
+
+  reply(session, verb, fallback) {
+    this.send(session, this.options.replies[verb] || fallback);
+  }
+
+  handleLine(session, line) {
+    if (session.mode === 'data') {
+      if (line === '.') {
+        session.mode = 'command';
+        this.messages.push({
+          from: session.from,
+          recipients: session.recipients,
+          data: session.dataLines.join('\r\n'),
+          secure: session.secure,
+          user: session.user,
+          pipelined: session.pipelined
+        });
+        session.dataLines = [];
+        session.recipients = [];
+        this.reply(session, 'MESSAGE', '250 2.0.0 Ok: queued');
+      } else {
+        session.dataLines.push(line.startsWith('..') ? line.slice(1) : line);
+      }
+      return;
+    }
+
+    if (session.mode === 'auth-login-user') {
+      session.pendingUser = Buffer.from(line, 'base64').toString('utf8');
+      session.mode = 'auth-login-pass';
+      this.send(session, '334 UGFzc3dvcmQ6');
+      return;
+    }
+
+    if (session.mode === 'auth-login-pass') {
+      session.mode = 'command';
+      this.finishAuth(session, session.pendingUser, Buffer.from(line, 'base64').toString('utf8'));
+      return;
+    }
+
+    const [verb, ...rest] = line.split(' ');
+    const command = verb.toUpperCase();
+    const argument = rest.join(' ');
+    session.commands.push(command);
+
+    switch (command) {
+      case 'EHLO':
+      case 'HELO':
+        this.handleEhlo(session);
+        break;
+      case 'STARTTLS':
+        this.handleStartTls(session);
+        break;
+      case 'AUTH':
+        this.handleAuth(session, argument);
+        break;
+      case 'MAIL':
+        if (this.options.auth && !session.user) {
+          this.send(session, '530 5.7.0 Authentication required');
+          break;
+        }
+        session.from = argument.replace(/^FROM:\s*<?([^>]*)>?.*$/i, '$1');
+        session.recipients = [];
+        session.mailChunk = session.chunk;
+        this.reply(session, 'MAIL', '250 2.1.0 Ok');
+        break;
+      case 'RCPT': {
+        const recipient = argument.replace(/^TO:\s*<?([^>]*)>?.*$/i, '$1');
+        if (this.options.rejectRecipients[recipient]) {
+          this.send(session, this.options.rejectRecipients[recipient]);
+          break;
+        }
+        session.recipients.push(recipient);
+        this.reply(session, 'RCPT', '250 2.1.5 Ok');
+        break;
+      }
+      case 'DATA':
+        if (this.options.replies.DATA) {
+          this.send(session, this.options.replies.DATA);
+          break;
+        }
+        if (session.recipients.length === 0) {
+          this.send(session, '554 5.5.1 No valid recipients');
+          break;
+        }
+        session.mode = 'data';
+        session.pipelined = session.mailChunk === session.chunk;
+        this.send(session, '354 End data with <CR><LF>.<CR><LF>');
+        break;
+      case 'RSET':
+        session.from = null;
+        session.recipients = [];
+        this.send(session, '250 2.0.0 Ok');
+        break;
+      case 'NOOP':
+        this.send(session, '250 2.0.0 Ok');
+        break;
+      case 'QUIT':
+        this.send(session, '221 2.0.0 Bye');
+        session.socket.end();
+        break;
+      default:
+        this.send(session, '502 5.5.2 Command not recognized');
+    }
+  }
+
+  handleEhlo(session) {
+    const extensions = ['SIZE 10485760', '8BITMIME'];
+    if (this.options.pipelining) extensions.push('PIPELINING');
+    if (this.options.starttls && !session.secure) extensions.push('STARTTLS');
+    if (this.options.authMethods.length > 0) extensions.push(`AUTH ${this.options.authMethods.join(' ')}`);
+
+    const lines = [this.options.hostname, ...extensions];
+    lines.forEach((line, index) => {
+      const separator = index === lines.length - 1 ? ' ' : '-';
+      this.send(session, `250${separator}${line}`);
+    });
+  }
+
+  handleStartTls(session) {
+    if (!this.options.starttls || session.secure) {
+      this.send(session, '502 5.5.1 STARTTLS not available');
+      return;
+    }
+
+    this.send(session, '220 2.0.0 Ready to start TLS');
+
+    const plainSocket = session.socket;
+    plainSocket.removeListener('data', session.onData);
+    if (this.options.stallAfterStartTls) return;
+
+    const secureSocket = new tls.TLSSocket(plainSocket, {
+      isServer: true,
+      key,
+      cert
+    });
+    session.secure = true;
+    session.buffer = '';
+    this.attach(session, secureSocket);
+  }
+
+  handleAuth(session, argument) {
+    const [mechanism, initial] = argument.split(' ');
+
+    if (!this.options.authMethods.includes(mechanism.toUpperCase())) {
+      this.send(session, '504 5.5.4 Unrecognized authentication type');
+      return;
+    }
+
+    if (mechanism.toUpperCase() === 'PLAIN') {
+      const [, user, pass] = Buffer.from(initial || '', 'base64').toString('utf8').split('\u0000');
+      this.finishAuth(session, user, pass);
+      return;
+    }
+
+    session.mode = 'auth-login-user';
+    this.send(session, '334 VXNlcm5hbWU6');
+  }
+
+  finishAuth(session, user, pass) {
+    const expected = this.options.auth;
+    if (expected && expected.user === user && expected.pass === pass) {
+      session.user = user;
+      this.send(session, '235 2.7.0 Authentication successful');
+    } else {
+      this.send(session, '535 5.7.8 Authentication credentials invalid');
+    }
+  }
+}